@@ -1,7 +1,7 @@
 /**
  * Cart operation handlers
  */
-import { fetchProduct, getProductVariant, getProductPrice } from '../services/product.service.js';
+import { fetchProduct, getProductVariant, getProductPrice, repriceCartItems } from '../services/product.service.js';
 import { recomputeCartSummary, calculateDiscount, resetCheckoutState } from '../services/cart.service.js';
 import { fetchUserAddresses, fetchUserInfo } from '../services/gateway.service.js';
 import { fetchWithInternalAuth } from '../helpers/hmac.js';
@@ -87,13 +87,18 @@ export async function addItemHandler(req, cart, state, env) {
 	} else {
 		// Use product data
 		const variant = getProductVariant(prod, variantId);
+		if (variantId && !variant) {
+			return { error: 'variant_not_found', details: { productId, variantId }, status: 404 };
+		}
 		const price = getProductPrice(prod, variant);
-		const chosenVariantId = variant ? variant.variantId : variantId || null;
+		const chosenVariantId = variant ? variant.variantId : null;
 
 		const existingIndex = cart.items.findIndex((x) => x.productId === productId && x.variantId === chosenVariantId);
 
 		if (existingIndex >= 0) {
 			cart.items[existingIndex].qty += Number(quantity);
+			// The catalog price wins over whatever the line was added at
+			cart.items[existingIndex].unitPrice = price;
 		} else {
 			itemToAdd = {
 				productId,
@@ -103,6 +108,7 @@ export async function addItemHandler(req, cart, state, env) {
 				title: prod.title || 'Product',
 				attributes: variant?.attributes || {},
 			};
+			if (variant?.weight != null) itemToAdd.weight = variant.weight;
 			cart.items.push(itemToAdd);
 		}
 	}
@@ -478,6 +484,40 @@ export async function checkoutStartHandler(req, cart, state, env) {
 	const userInfo = await fetchUserInfo(env.GATEWAY_URL, authToken);
 	const userEmail = userInfo?.email || null;
 
+	// A restarted checkout must not keep holding stock under the previous reservation
+	if (cart.reservationId) {
+		const previous = await fetchWithInternalAuth(
+			env.INVENTORY_SERVICE_URL,
+			`/inventory/reservations/${cart.reservationId}`,
+			'GET',
+			null,
+			env.INTERNAL_SECRET,
+		);
+		if (previous.ok && previous.body?.live) {
+			await fetchWithInternalAuth(
+				env.INVENTORY_SERVICE_URL,
+				'/inventory/release',
+				'POST',
+				{ reservationId: cart.reservationId },
+				env.INTERNAL_SECRET,
+			);
+		}
+	}
+
+	// Charge the prices in effect now, not those the items were added at
+	if (env.PRODUCTS_SERVICE_URL) {
+		const unavailable = await repriceCartItems(cart, env.PRODUCTS_SERVICE_URL);
+		if (unavailable.length) {
+			return {
+				error: 'items_unavailable',
+				message: 'Some items could not be priced. Please review your cart.',
+				details: { items: unavailable },
+				status: 409,
+			};
+		}
+		recomputeCartSummary(cart);
+	}
+
 	const reservationId = `res_${crypto.randomUUID()}`;
 
 	// Reserve inventory
@@ -498,6 +538,8 @@ export async function checkoutStartHandler(req, cart, state, env) {
 			cartId: cart.cartId,
 			userId: userId,
 			ttl: RESERVATION_TTL,
+			// Lets inventory take stock from the warehouse nearest the buyer
+			shippingZone: cart.shippingMethod?.zone || null,
 		},
 		env.INTERNAL_SECRET,
 	);
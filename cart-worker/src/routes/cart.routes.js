@@ -37,7 +37,7 @@ export function setupCartRoutes(router, doInstance) {
 	router.post('/cart/add', async (req) => {
 		const result = await addItemHandler(req, getCart(), getState(), getEnv());
 		if (result.error) {
-			return errorResponse(result.error);
+			return errorResponse(result.error, result.details, result.status || 400);
 		}
 		return jsonResponse(result);
 	});
@@ -1,6 +1,7 @@
 /**
  * Product service integration
  */
+import { nowSec } from '../helpers/utils.js';
 
 export async function fetchProduct(productId, productsServiceUrl) {
 	try {
@@ -16,12 +17,50 @@ export async function fetchProduct(productId, productsServiceUrl) {
 	}
 }
 
+/**
+ * The variant a cart line refers to: the one with variantId, or the product's
+ * first (default) variant when none is given. Null when variantId does not
+ * belong to the product.
+ */
 export function getProductVariant(prod, variantId) {
 	if (!prod || !prod.variants) return null;
-	return prod.variants.find((v) => v.variantId === variantId) || prod.variants[0] || null;
+	if (variantId) return prod.variants.find((v) => v.variantId === variantId) || null;
+	return prod.variants[0] || null;
+}
+
+/**
+ * The unit price at `now`. The product service gives prices with any sale
+ * already applied; a sale that has ended since (a cached response) falls back
+ * to its compare-at price, which is the regular price while on sale.
+ */
+export function getProductPrice(prod, variant, now = nowSec()) {
+	const priced = variant || prod;
+	const price = variant ? variant.price : (prod.price ?? prod.metadata?.price);
+	if (priced.saleEndsAt != null && priced.saleEndsAt <= now && priced.compareAtPrice != null) {
+		return Number(priced.compareAtPrice);
+	}
+	return Number(price ?? 0);
 }
 
-export function getProductPrice(prod, variant) {
-	if (variant) return Number(variant.price ?? 0);
-	return Number(prod.metadata?.price ?? 0);
+/**
+ * Set every cart line to the price in effect at `now`. Returns the lines
+ * that could not be priced because their product or variant is gone or the
+ * product service did not answer.
+ */
+export async function repriceCartItems(cart, productsServiceUrl, now = nowSec()) {
+	const ids = [...new Set(cart.items.map((i) => i.productId))];
+	const products = await Promise.all(ids.map((id) => fetchProduct(id, productsServiceUrl)));
+	const byId = new Map(ids.map((id, i) => [id, products[i]]));
+
+	const unavailable = [];
+	for (const item of cart.items) {
+		const prod = byId.get(item.productId);
+		const variant = prod && getProductVariant(prod, item.variantId);
+		if (!variant) {
+			unavailable.push({ productId: item.productId, variantId: item.variantId || null });
+			continue;
+		}
+		item.unitPrice = getProductPrice(prod, variant, now);
+	}
+	return unavailable;
 }
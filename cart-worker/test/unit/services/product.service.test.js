@@ -0,0 +1,92 @@
+/**
+ * Unit tests for services/product.service.js
+ */
+import { describe, it, afterEach } from 'mocha';
+import sinon from 'sinon';
+import { getProductVariant, getProductPrice, repriceCartItems } from '../../../src/services/product.service.js';
+
+describe('product.service', () => {
+	const prod = {
+		productId: 'pro_tee',
+		metadata: { price: 20 },
+		variants: [
+			{ variantId: 'var_tee_s', price: 20, attributes: { size: 'S' } },
+			{ variantId: 'var_tee_xl', price: 22, attributes: { size: 'XL' } },
+		],
+	};
+
+	describe('getProductVariant', () => {
+		it('should return the requested variant', () => {
+			expect(getProductVariant(prod, 'var_tee_xl')).to.have.property('price', 22);
+		});
+
+		it('should return the first variant when none is requested', () => {
+			expect(getProductVariant(prod, undefined)).to.have.property('variantId', 'var_tee_s');
+		});
+
+		it('should return null for a variant the product does not have', () => {
+			expect(getProductVariant(prod, 'var_other')).to.be.null;
+		});
+	});
+
+	describe('getProductPrice', () => {
+		it('should use the variant price', () => {
+			expect(getProductPrice(prod, prod.variants[1])).to.equal(22);
+		});
+
+		it('should fall back to the product price without a variant', () => {
+			expect(getProductPrice(prod, null)).to.equal(20);
+		});
+
+		it('should use the sale price until the sale ends', () => {
+			const onSale = { variantId: 'var_tee_s', price: 15, compareAtPrice: 20, saleEndsAt: 1800000000 };
+
+			expect(getProductPrice(prod, onSale, 1799999999)).to.equal(15);
+			expect(getProductPrice(prod, onSale, 1800000000)).to.equal(20);
+		});
+	});
+
+	describe('repriceCartItems', () => {
+		afterEach(() => {
+			sinon.restore();
+		});
+
+		function productServiceReplies(products) {
+			sinon.stub(global, 'fetch').callsFake(async (url) => {
+				const found = products[url.split('/').pop()];
+				return { ok: !!found, status: found ? 200 : 404, json: async () => found };
+			});
+		}
+
+		it('should set each line to the current price', async () => {
+			productServiceReplies({
+				pro_tee: { ...prod, variants: [{ variantId: 'var_tee_xl', price: 18, compareAtPrice: 22, saleEndsAt: null }] },
+			});
+			const cart = { items: [{ productId: 'pro_tee', variantId: 'var_tee_xl', qty: 2, unitPrice: 22 }] };
+
+			const unavailable = await repriceCartItems(cart, 'https://products.example.com/');
+
+			expect(unavailable).to.be.empty;
+			expect(cart.items[0].unitPrice).to.equal(18);
+			expect(global.fetch).to.have.been.calledWith('https://products.example.com/products/pro_tee');
+		});
+
+		it('should report lines whose product or variant is gone', async () => {
+			productServiceReplies({ pro_tee: prod });
+			const cart = {
+				items: [
+					{ productId: 'pro_tee', variantId: 'var_tee_m', qty: 1, unitPrice: 20 },
+					{ productId: 'pro_mug', variantId: null, qty: 1, unitPrice: 9 },
+				],
+			};
+
+			const unavailable = await repriceCartItems(cart, 'https://products.example.com');
+
+			expect(unavailable).to.deep.equal([
+				{ productId: 'pro_tee', variantId: 'var_tee_m' },
+				{ productId: 'pro_mug', variantId: null },
+			]);
+			expect(cart.items[0].unitPrice).to.equal(20);
+		});
+	});
+});
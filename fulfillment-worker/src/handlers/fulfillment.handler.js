@@ -6,6 +6,14 @@ import { requireInternalAuth } from '../middleware/auth.middleware.js';
 import { fetchWarehouses, getPincodeZone } from '../db/queries.js';
 import { calculateTotalWeight, calculateShippingOptions, getZoneTransitDays } from '../services/shipping.service.js';
 import { getCouponDiscount } from '../services/coupon.service.js';
+import {
+	orderWarehousesForZone,
+	allocationFromReservation,
+	allocationFromStock,
+	groupByWarehouse,
+	fetchReservation,
+	fetchWarehouseStock,
+} from '../services/allocation.service.js';
 import { getOptionsSchema, allocateSchema, shipSchema } from '../validators/fulfillment.validator.js';
 
 /**
@@ -79,7 +87,11 @@ export async function getShippingOptionsHandler(req, env) {
 }
 
 /**
- * POST /fulfillment/allocate - Allocate items to warehouse
+ * POST /fulfillment/allocate - Allocate items to warehouses
+ *
+ * Uses the warehouses the reservation was taken from when there is one,
+ * otherwise current warehouse stock from inventory, and only falls back to
+ * the zone's warehouse when inventory cannot be asked.
  */
 export async function allocateHandler(req, env) {
 	const authError = await requireInternalAuth(req, env);
@@ -94,21 +106,48 @@ export async function allocateHandler(req, env) {
 
 	const pincode = address?.pincode;
 	const zone = (await getPincodeZone(env, pincode)) || 'OTHER';
-	const warehouses = await fetchWarehouses(env);
-	let chosenWarehouse = warehouses.find((w) => (w.zone || '').toUpperCase() === (zone || '').toUpperCase());
-	if (!chosenWarehouse) chosenWarehouse = warehouses[0] || null;
+	const warehouses = orderWarehousesForZone(await fetchWarehouses(env), zone);
 
-	const estimatedPickupAt = Date.now() + (chosenWarehouse?.handlingHours || 24) * 3600 * 1000;
+	let lines = null;
+	let unallocated = [];
+	let source = 'zone';
+
+	if (env.INVENTORY_SERVICE_URL) {
+		try {
+			if (reservationId) {
+				const reservation = await fetchReservation(env, reservationId);
+				const reserved = reservation ? allocationFromReservation(reservation) : [];
+				if (reserved.length) {
+					lines = reserved;
+					source = 'reservation';
+				}
+			}
+			if (!lines && items.every((it) => it.productId)) {
+				const stock = await fetchWarehouseStock(env, items);
+				if (stock) {
+					({ lines, unallocated } = allocationFromStock(items, stock, warehouses));
+					source = 'stock';
+				}
+			}
+		} catch (e) {
+			console.error('[FULFILLMENT.ALLOCATE] Inventory lookup failed, using zone warehouse', orderId, e);
+			lines = null;
+			unallocated = [];
+			source = 'zone';
+		}
+	}
 
-	const allocation = [
-		{
+	if (!lines) {
+		const chosenWarehouse = warehouses[0] || null;
+		lines = items.map((it) => ({
 			warehouseId: chosenWarehouse ? chosenWarehouse.warehouseId : null,
-			items: items.map((it) => ({ variantId: it.variantId, qty: it.qty })),
-			estimatedPickupAt,
-		},
-	];
+			productId: it.productId,
+			variantId: it.variantId,
+			qty: it.qty,
+		}));
+	}
 
-	return jsonResponse({ allocation });
+	return jsonResponse({ allocation: groupByWarehouse(lines, warehouses), unallocated, source });
 }
 
 /**
@@ -41,3 +41,27 @@ export async function verifySignature(request, secret, maxSkewMs = SIGNATURE_TIM
 	for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ sig.charCodeAt(i);
 	return diff === 0;
 }
+
+export async function fetchWithInternalAuth(baseUrl, path, method, body, secret) {
+	const url = baseUrl.replace(/\/$/, '') + path;
+	const ts = Date.now().toString();
+	const bodyText = body ? JSON.stringify(body) : '';
+	const signature = await hmacSHA256Hex(secret, `${ts}|${method}|${path}|${bodyText}`);
+
+	const res = await fetch(url, {
+		method,
+		headers: {
+			'x-timestamp': ts,
+			'x-signature': signature,
+			'content-type': 'application/json',
+		},
+		body: bodyText || undefined,
+	});
+
+	const txt = await res.text();
+	try {
+		return { ok: res.ok, status: res.status, body: txt ? JSON.parse(txt) : null };
+	} catch {
+		return { ok: res.ok, status: res.status, body: txt };
+	}
+}
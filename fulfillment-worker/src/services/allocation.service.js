@@ -0,0 +1,121 @@
+/**
+ * Warehouse allocation service
+ *
+ * Inventory owns per-warehouse stock. A reservation already records which
+ * warehouses its lines were taken from, so that is used as-is; without one,
+ * current warehouse stock is read and split the same way inventory would.
+ */
+import { fetchWithInternalAuth } from '../helpers/hmac.js';
+
+function resolveVariantId(productId, variantId) {
+	return variantId || `var_${productId}`;
+}
+
+/**
+ * Warehouses nearest-first for a zone: the zone's own, then the rest by priority.
+ */
+export function orderWarehousesForZone(warehouses, zone) {
+	const home = warehouses.find((w) => (w.zone || '').toUpperCase() === (zone || '').toUpperCase());
+	return home ? [home, ...warehouses.filter((w) => w !== home)] : [...warehouses];
+}
+
+/**
+ * Allocation lines per warehouse from a reservation's items.
+ */
+export function allocationFromReservation(reservation) {
+	const lines = [];
+	for (const it of reservation.items || []) {
+		for (const a of it.allocations || []) {
+			lines.push({ warehouseId: a.warehouseId, productId: it.productId, variantId: it.variantId, qty: a.qty });
+		}
+	}
+	return lines;
+}
+
+/**
+ * Split items across warehouses by available stock: one warehouse for the
+ * whole order if any can cover it, nearest first, otherwise each line from
+ * the nearest warehouses holding it. Whatever no warehouse holds is returned
+ * as unallocated.
+ */
+export function allocationFromStock(items, stockByProduct, orderedWarehouses) {
+	const available = new Map();
+	for (const product of Object.values(stockByProduct || {})) {
+		for (const v of product.variants || []) {
+			for (const w of v.warehouses || []) {
+				available.set(`${product.productId}:${v.variantId}:${w.warehouseId}`, Math.max(w.available || 0, 0));
+			}
+		}
+	}
+
+	const wanted = items.map((it) => ({ productId: it.productId, variantId: resolveVariantId(it.productId, it.variantId), qty: it.qty }));
+	const availableAt = (it, warehouseId) => available.get(`${it.productId}:${it.variantId}:${warehouseId}`) || 0;
+
+	const single = orderedWarehouses.find((w) => wanted.every((it) => availableAt(it, w.warehouseId) >= it.qty));
+	if (single) {
+		return { lines: wanted.map((it) => ({ warehouseId: single.warehouseId, ...it })), unallocated: [] };
+	}
+
+	const lines = [];
+	const unallocated = [];
+	for (const it of wanted) {
+		let remaining = it.qty;
+		for (const w of orderedWarehouses) {
+			if (remaining === 0) break;
+			const take = Math.min(remaining, availableAt(it, w.warehouseId));
+			if (take > 0) {
+				lines.push({ warehouseId: w.warehouseId, ...it, qty: take });
+				remaining -= take;
+			}
+		}
+		if (remaining > 0) unallocated.push({ ...it, qty: remaining });
+	}
+	return { lines, unallocated };
+}
+
+/**
+ * Group allocation lines into one shipment per warehouse, in warehouse order.
+ */
+export function groupByWarehouse(lines, orderedWarehouses, now = Date.now()) {
+	const byId = new Map(orderedWarehouses.map((w) => [w.warehouseId, w]));
+	const groups = new Map();
+	for (const l of lines) {
+		if (!groups.has(l.warehouseId)) groups.set(l.warehouseId, []);
+		groups.get(l.warehouseId).push({ productId: l.productId, variantId: l.variantId, qty: l.qty });
+	}
+
+	const rank = (id) => {
+		const i = orderedWarehouses.findIndex((w) => w.warehouseId === id);
+		return i === -1 ? orderedWarehouses.length : i;
+	};
+
+	return [...groups.entries()]
+		.sort(([a], [b]) => rank(a) - rank(b))
+		.map(([warehouseId, items]) => ({
+			warehouseId,
+			items,
+			estimatedPickupAt: now + (byId.get(warehouseId)?.handlingHours || 24) * 3600 * 1000,
+		}));
+}
+
+export async function fetchReservation(env, reservationId) {
+	const res = await fetchWithInternalAuth(
+		env.INVENTORY_SERVICE_URL,
+		`/inventory/reservations/${reservationId}`,
+		'GET',
+		null,
+		env.INTERNAL_SECRET,
+	);
+	return res.ok ? res.body : null;
+}
+
+export async function fetchWarehouseStock(env, items) {
+	const res = await fetchWithInternalAuth(
+		env.INVENTORY_SERVICE_URL,
+		'/inventory/stock-batch',
+		'POST',
+		{ items: items.map((it) => ({ productId: it.productId, variantId: it.variantId || null })) },
+		env.INTERNAL_SECRET,
+	);
+	return res.ok ? res.body?.products || null : null;
+}
@@ -103,6 +103,7 @@ export function calculateShippingOptions(env, totalWeight, subtotal, zone, trans
 			eta: formatDateDaysFromNow(finalTransitDays),
 			transitDays: finalTransitDays,
 			warehouseId: whId,
+			zone,
 		},
 		{
 			methodId: 'express',
@@ -111,6 +112,7 @@ export function calculateShippingOptions(env, totalWeight, subtotal, zone, trans
 			eta: formatDateDaysFromNow(exprDays),
 			transitDays: exprDays,
 			warehouseId: whId,
+			zone,
 		},
 		{
 			methodId: 'priority',
@@ -119,6 +121,7 @@ export function calculateShippingOptions(env, totalWeight, subtotal, zone, trans
 			eta: formatDateDaysFromNow(1),
 			transitDays: 1,
 			warehouseId: whId,
+			zone,
 		},
 	];
 
@@ -38,6 +38,7 @@ export const allocateSchema = Joi.object({
 	items: Joi.array()
 		.items(
 			Joi.object({
+				productId: Joi.string().optional(),
 				variantId: Joi.string().optional(),
 				qty: Joi.number().integer().min(1).required(),
 			}),
@@ -159,6 +159,110 @@ describe('Fulfillment Worker Integration', () => {
 
 			expect(response.status).to.equal(200);
 			expect(data).to.have.property('allocation');
+			expect(data).to.have.property('source', 'zone');
+		});
+
+		it('should allocate from the warehouses the reservation holds stock in', async () => {
+			env.DB.prepare().all.resolves({
+				results: [
+					{ warehouse_id: 'wh_mumbai', zone: 'MUM', handling_hours: 24, priority: 0 },
+					{ warehouse_id: 'wh_delhi', zone: 'DEL', handling_hours: 24, priority: 1 },
+				],
+			});
+			env.PINCODE_KV.get.resolves(JSON.stringify({ zone: 'MUM' }));
+			env.INVENTORY_SERVICE_URL = 'https://inventory.test';
+			const fetchStub = sinon.stub(globalThis, 'fetch').resolves(
+				new Response(
+					JSON.stringify({
+						reservationId: 'res_123',
+						items: [
+							{
+								productId: 'pro_1',
+								variantId: 'var_pro_1',
+								qty: 3,
+								allocations: [
+									{ warehouseId: 'wh_mumbai', qty: 1 },
+									{ warehouseId: 'wh_delhi', qty: 2 },
+								],
+							},
+						],
+					}),
+				),
+			);
+
+			request = new Request('https://example.com/fulfillment/allocate', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', 'x-timestamp': Date.now().toString(), 'x-signature': 'test-signature' },
+				body: JSON.stringify({
+					orderId: 'order_123',
+					reservationId: 'res_123',
+					items: [{ productId: 'pro_1', variantId: 'var_pro_1', qty: 3 }],
+					address: { pincode: '400001' },
+				}),
+			});
+
+			const response = await handler.fetch(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(fetchStub.firstCall.args[0]).to.equal('https://inventory.test/inventory/reservations/res_123');
+			expect(data.source).to.equal('reservation');
+			expect(data.allocation.map((a) => [a.warehouseId, a.items[0].qty])).to.deep.equal([
+				['wh_mumbai', 1],
+				['wh_delhi', 2],
+			]);
+		});
+		it('should split by warehouse stock when there is no reservation to follow', async () => {
+			env.DB.prepare().all.resolves({
+				results: [
+					{ warehouse_id: 'wh_mumbai', zone: 'MUM', handling_hours: 24, priority: 0 },
+					{ warehouse_id: 'wh_delhi', zone: 'DEL', handling_hours: 24, priority: 1 },
+				],
+			});
+			env.PINCODE_KV.get.resolves(JSON.stringify({ zone: 'MUM' }));
+			env.INVENTORY_SERVICE_URL = 'https://inventory.test';
+			const fetchStub = sinon.stub(globalThis, 'fetch').resolves(
+				new Response(
+					JSON.stringify({
+						products: {
+							pro_1: {
+								productId: 'pro_1',
+								variants: [
+									{
+										variantId: 'var_pro_1',
+										warehouses: [
+											{ warehouseId: 'wh_mumbai', available: 1 },
+											{ warehouseId: 'wh_delhi', available: 1 },
+										],
+									},
+								],
+							},
+						},
+					}),
+				),
+			);
+
+			request = new Request('https://example.com/fulfillment/allocate', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', 'x-timestamp': Date.now().toString(), 'x-signature': 'test-signature' },
+				body: JSON.stringify({
+					orderId: 'order_123',
+					items: [{ productId: 'pro_1', qty: 3 }],
+					address: { pincode: '400001' },
+				}),
+			});
+
+			const response = await handler.fetch(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(fetchStub.firstCall.args[0]).to.equal('https://inventory.test/inventory/stock-batch');
+			expect(data.source).to.equal('stock');
+			expect(data.allocation.map((a) => [a.warehouseId, a.items[0].qty])).to.deep.equal([
+				['wh_mumbai', 1],
+				['wh_delhi', 1],
+			]);
+			expect(data.unallocated).to.deep.equal([{ productId: 'pro_1', variantId: 'var_pro_1', qty: 1 }]);
 		});
 	});
 
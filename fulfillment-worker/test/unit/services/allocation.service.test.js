@@ -0,0 +1,173 @@
+/**
+ * Unit tests for allocation.service.js
+ */
+import { describe, it, afterEach } from 'mocha';
+import {
+	orderWarehousesForZone,
+	allocationFromReservation,
+	allocationFromStock,
+	groupByWarehouse,
+	fetchReservation,
+	fetchWarehouseStock,
+} from '../../../src/services/allocation.service.js';
+import sinon from 'sinon';
+
+const warehouses = [
+	{ warehouseId: 'wh_mumbai', zone: 'MUM', handlingHours: 24 },
+	{ warehouseId: 'wh_delhi', zone: 'DEL', handlingHours: 48 },
+	{ warehouseId: 'wh_chennai', zone: 'CHN', handlingHours: 24 },
+];
+
+function stock(productId, byWarehouse) {
+	return {
+		productId,
+		variants: [
+			{
+				variantId: `var_${productId}`,
+				warehouses: Object.entries(byWarehouse).map(([warehouseId, available]) => ({ warehouseId, available })),
+			},
+		],
+	};
+}
+
+describe('allocation.service', () => {
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('orderWarehousesForZone', () => {
+		it('should put the zone warehouse first', () => {
+			const ordered = orderWarehousesForZone(warehouses, 'chn');
+
+			expect(ordered.map((w) => w.warehouseId)).to.deep.equal(['wh_chennai', 'wh_mumbai', 'wh_delhi']);
+		});
+
+		it('should keep priority order for unknown zones', () => {
+			expect(orderWarehousesForZone(warehouses, 'OTHER')).to.deep.equal(warehouses);
+		});
+	});
+
+	describe('allocationFromReservation', () => {
+		it('should flatten the reserved warehouse allocations', () => {
+			const lines = allocationFromReservation({
+				items: [
+					{
+						productId: 'pro_1',
+						variantId: 'var_pro_1',
+						qty: 3,
+						allocations: [
+							{ warehouseId: 'wh_mumbai', qty: 1 },
+							{ warehouseId: 'wh_delhi', qty: 2 },
+						],
+					},
+					{ productId: 'pro_2', variantId: 'var_pro_2', qty: 1 },
+				],
+			});
+
+			expect(lines).to.deep.equal([
+				{ warehouseId: 'wh_mumbai', productId: 'pro_1', variantId: 'var_pro_1', qty: 1 },
+				{ warehouseId: 'wh_delhi', productId: 'pro_1', variantId: 'var_pro_1', qty: 2 },
+			]);
+		});
+	});
+
+	describe('allocationFromStock', () => {
+		it('should ship the whole order from one warehouse when one holds it', () => {
+			const products = { pro_1: stock('pro_1', { wh_mumbai: 5, wh_delhi: 5 }), pro_2: stock('pro_2', { wh_delhi: 1 }) };
+
+			const { lines, unallocated } = allocationFromStock(
+				[
+					{ productId: 'pro_1', qty: 2 },
+					{ productId: 'pro_2', qty: 1 },
+				],
+				products,
+				warehouses,
+			);
+
+			expect(lines.map((l) => l.warehouseId)).to.deep.equal(['wh_delhi', 'wh_delhi']);
+			expect(unallocated).to.be.empty;
+		});
+
+		it('should split across warehouses and report what nobody holds', () => {
+			const products = { pro_1: stock('pro_1', { wh_mumbai: 1, wh_chennai: 2 }) };
+
+			const { lines, unallocated } = allocationFromStock([{ productId: 'pro_1', qty: 5 }], products, warehouses);
+
+			expect(lines).to.deep.equal([
+				{ warehouseId: 'wh_mumbai', productId: 'pro_1', variantId: 'var_pro_1', qty: 1 },
+				{ warehouseId: 'wh_chennai', productId: 'pro_1', variantId: 'var_pro_1', qty: 2 },
+			]);
+			expect(unallocated).to.deep.equal([{ productId: 'pro_1', variantId: 'var_pro_1', qty: 2 }]);
+		});
+	});
+
+	describe('groupByWarehouse', () => {
+		it('should build one shipment per warehouse with its pickup time', () => {
+			const lines = [
+				{ warehouseId: 'wh_delhi', productId: 'pro_1', variantId: 'var_pro_1', qty: 2 },
+				{ warehouseId: 'wh_mumbai', productId: 'pro_1', variantId: 'var_pro_1', qty: 1 },
+				{ warehouseId: 'wh_delhi', productId: 'pro_2', variantId: 'var_pro_2', qty: 1 },
+			];
+
+			const allocation = groupByWarehouse(lines, warehouses, 0);
+
+			expect(allocation).to.deep.equal([
+				{ warehouseId: 'wh_mumbai', items: [{ productId: 'pro_1', variantId: 'var_pro_1', qty: 1 }], estimatedPickupAt: 24 * 3600 * 1000 },
+				{
+					warehouseId: 'wh_delhi',
+					items: [
+						{ productId: 'pro_1', variantId: 'var_pro_1', qty: 2 },
+						{ productId: 'pro_2', variantId: 'var_pro_2', qty: 1 },
+					],
+					estimatedPickupAt: 48 * 3600 * 1000,
+				},
+			]);
+		});
+	});
+
+	describe('fetchReservation', () => {
+		it('should read the reservation from inventory with a signed request', async () => {
+			const reservation = { reservationId: 'res_1', items: [] };
+			const fetchStub = sinon.stub(globalThis, 'fetch').resolves(new Response(JSON.stringify(reservation)));
+			const env = { INVENTORY_SERVICE_URL: 'https://inventory.test/', INTERNAL_SECRET: 'secret' };
+
+			expect(await fetchReservation(env, 'res_1')).to.deep.equal(reservation);
+			const [url, init] = fetchStub.firstCall.args;
+			expect(url).to.equal('https://inventory.test/inventory/reservations/res_1');
+			expect(init.headers).to.have.property('x-signature');
+		});
+
+		it('should return null when inventory fails', async () => {
+			sinon.stub(globalThis, 'fetch').resolves(new Response('oops', { status: 404 }));
+
+			const reservation = await fetchReservation({ INVENTORY_SERVICE_URL: 'https://inventory.test', INTERNAL_SECRET: 's' }, 'res_1');
+
+			expect(reservation).to.equal(null);
+		});
+	});
+
+	describe('fetchWarehouseStock', () => {
+		it('should ask inventory for stock with a signed request', async () => {
+			const fetchStub = sinon.stub(globalThis, 'fetch').resolves(new Response(JSON.stringify({ products: { pro_1: {} } })));
+			const env = { INVENTORY_SERVICE_URL: 'https://inventory.test/', INTERNAL_SECRET: 'secret' };
+
+			const products = await fetchWarehouseStock(env, [{ productId: 'pro_1', qty: 1 }]);
+
+			expect(products).to.deep.equal({ pro_1: {} });
+			const [url, init] = fetchStub.firstCall.args;
+			expect(url).to.equal('https://inventory.test/inventory/stock-batch');
+			expect(init.headers).to.have.property('x-signature');
+			expect(JSON.parse(init.body)).to.deep.equal({ items: [{ productId: 'pro_1', variantId: null }] });
+		});
+
+		it('should return null when inventory fails', async () => {
+			sinon.stub(globalThis, 'fetch').resolves(new Response('oops', { status: 500 }));
+
+			const products = await fetchWarehouseStock({ INVENTORY_SERVICE_URL: 'https://inventory.test', INTERNAL_SECRET: 's' }, [
+				{ productId: 'pro_1', qty: 1 },
+			]);
+
+			expect(products).to.equal(null);
+		});
+	});
+});
@@ -63,6 +63,7 @@ describe('shipping.service', () => {
 			expect(options[0]).to.have.property('methodId', 'standard');
 			expect(options[1]).to.have.property('methodId', 'express');
 			expect(options[2]).to.have.property('methodId', 'priority');
+			expect(options.every((o) => o.zone === 'MUM')).to.be.true;
 		});
 
 		it('should apply free shipping for high subtotal', () => {
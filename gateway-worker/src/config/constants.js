@@ -12,3 +12,13 @@ export const DEFAULT_TIMEOUT = 20000; // 20 seconds
 export const GATEWAY_TIMEOUT = 25000; // 25 seconds
 export const AUTH_TIMEOUT = 15000; // 15 seconds
 export const PRODUCT_TIMEOUT = 10000; // 10 seconds
+
+// Storefront listing parameters forwarded to the product service, besides attr.<name> filters
+export const PRODUCT_LISTING_PARAMS = ['limit', 'offset', 'cursor', 'category', 'minPrice', 'maxPrice', 'inStock', 'sort'];
+
+// Paging parameters forwarded to order listings
+export const ORDER_PAGE_PARAMS = ['limit', 'cursor'];
+
+// Paging parameters forwarded to review listings; the admin queue also takes a status
+export const REVIEW_PAGE_PARAMS = ['limit', 'cursor'];
+export const REVIEW_QUEUE_PARAMS = [...REVIEW_PAGE_PARAMS, 'status'];
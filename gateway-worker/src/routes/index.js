@@ -7,7 +7,14 @@ import { requireAuth, requireAdmin, extractUser } from '../middleware/auth.middl
 import { callService } from '../services/service-caller.js';
 import { getCartStub, fetchDO } from '../helpers/cart.js';
 import { signedHeadersFor } from '../helpers/hmac.js';
-import { AUTH_TIMEOUT, PRODUCT_TIMEOUT } from '../config/constants.js';
+import {
+	AUTH_TIMEOUT,
+	PRODUCT_TIMEOUT,
+	PRODUCT_LISTING_PARAMS,
+	ORDER_PAGE_PARAMS,
+	REVIEW_PAGE_PARAMS,
+	REVIEW_QUEUE_PARAMS,
+} from '../config/constants.js';
 
 export function setupRoutes(router) {
 	// CORS
@@ -86,16 +93,21 @@ export function setupRoutes(router) {
 	// Product routes (public)
 	router.get('/api/products', async (req, env) => {
 		const url = new URL(req.url);
-		const res = await callService(
-			'PRODUCTS_SERVICE',
-			`/products?limit=${url.searchParams.get('limit') || 20}&offset=${url.searchParams.get('offset') || 0}`,
-			'GET',
-			null,
-			{},
-			null,
-			env,
-			PRODUCT_TIMEOUT,
-		);
+		const query = new URLSearchParams();
+		for (const [key, value] of url.searchParams) {
+			if (PRODUCT_LISTING_PARAMS.includes(key) || key.startsWith('attr.')) query.append(key, value);
+		}
+		const res = await callService('PRODUCTS_SERVICE', `/products?${query}`, 'GET', null, {}, null, env, PRODUCT_TIMEOUT);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/products/search', async (req, env) => {
+		const url = new URL(req.url);
+		const query = new URLSearchParams();
+		for (const key of ['q', 'limit', 'offset']) {
+			if (url.searchParams.has(key)) query.set(key, url.searchParams.get(key));
+		}
+		const res = await callService('PRODUCTS_SERVICE', `/products/search?${query}`, 'GET', null, {}, null, env, PRODUCT_TIMEOUT);
 		return jsonRes(res.body, res.status);
 	});
 
@@ -104,6 +116,23 @@ export function setupRoutes(router) {
 		return jsonRes(res.body, res.status);
 	});
 
+	router.get('/api/products/:id/reviews', async (req, env) => {
+		const url = new URL(req.url);
+		const query = new URLSearchParams();
+		for (const key of REVIEW_PAGE_PARAMS) {
+			if (url.searchParams.get(key)) query.set(key, url.searchParams.get(key));
+		}
+		const qs = query.toString();
+		const path = `/products/${req.params.id}/reviews${qs ? `?${qs}` : ''}`;
+		const res = await callService('PRODUCTS_SERVICE', path, 'GET', null, {}, null, env, PRODUCT_TIMEOUT);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/categories', async (req, env) => {
+		const res = await callService('PRODUCTS_SERVICE', '/categories', 'GET', null, {}, null, env, PRODUCT_TIMEOUT);
+		return jsonRes(res.body, res.status);
+	});
+
 	// Authenticated user routes
 	router.get('/api/auth/me', async (req, env) => {
 		const user = await requireAuth(req, env);
@@ -371,7 +400,13 @@ export function setupRoutes(router) {
 	router.get('/api/orders', async (req, env) => {
 		const user = await requireAuth(req, env);
 		if (user instanceof Response) return user;
-		const res = await callService('ORDER_SERVICE', `/orders/user/${user.sub}`, 'GET', null, {}, user, env);
+		const url = new URL(req.url);
+		const query = new URLSearchParams();
+		for (const key of ORDER_PAGE_PARAMS) {
+			if (url.searchParams.get(key)) query.set(key, url.searchParams.get(key));
+		}
+		const qs = query.toString();
+		const res = await callService('ORDER_SERVICE', `/orders/user/${user.sub}${qs ? `?${qs}` : ''}`, 'GET', null, {}, user, env);
 		return jsonRes(res.body, res.status);
 	});
 
@@ -385,6 +420,21 @@ export function setupRoutes(router) {
 		return jsonRes(res.body, res.status);
 	});
 
+	// Review routes (auth required). The product service checks with the order
+	// service that the user has a delivered order for the product.
+	router.post('/api/products/:id/reviews', async (req, env) => {
+		const user = await requireAuth(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json().catch(() => null);
+		if (!body) return jsonRes({ error: 'invalid_json' }, 400);
+		// The reviewer is always the signed-in user
+		const review = { ...body, userId: user.sub };
+		const path = `/products/${req.params.id}/reviews`;
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'POST', path, review);
+		const res = await callService('PRODUCTS_SERVICE', path, 'POST', review, headers, user, env, PRODUCT_TIMEOUT);
+		return jsonRes(res.body, res.status);
+	});
+
 	// Admin routes
 	router.post('/api/admin/products/images/upload', async (req, env) => {
 		const user = await requireAdmin(req, env);
@@ -432,6 +482,40 @@ export function setupRoutes(router) {
 		}
 	});
 
+	router.get('/api/admin/products/images', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const url = new URL(req.url);
+		const query = new URLSearchParams();
+		for (const key of ['limit', 'cursor']) {
+			if (url.searchParams.get(key)) query.set(key, url.searchParams.get(key));
+		}
+		const qs = query.toString();
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'GET', '/products/images', '');
+		const res = await callService('PRODUCTS_SERVICE', `/products/images${qs ? `?${qs}` : ''}`, 'GET', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.delete('/api/admin/products/images', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json();
+		const path = '/products/images';
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'DELETE', path, body);
+		const res = await callService('PRODUCTS_SERVICE', path, 'DELETE', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.post('/api/admin/products/images/cleanup', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const dryRun = new URL(req.url).searchParams.get('dryRun');
+		const path = `/products/images/cleanup${dryRun ? `?dryRun=${encodeURIComponent(dryRun)}` : ''}`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'POST', '/products/images/cleanup', '');
+		const res = await callService('PRODUCTS_SERVICE', path, 'POST', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
 	router.post('/api/admin/products', async (req, env) => {
 		const user = await requireAdmin(req, env);
 		if (user instanceof Response) return user;
@@ -492,15 +576,184 @@ export function setupRoutes(router) {
 		const user = await requireAdmin(req, env);
 		if (user instanceof Response) return user;
 		const path = `/products/${req.params.id}`;
-		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'DELETE', path, '');
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'DELETE', path, '');
+		const res = await callService('PRODUCTS_SERVICE', path, 'DELETE', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.post('/api/admin/products/import', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		// CSV and NDJSON uploads are forwarded as { csv } / { ndjson } so the internal call stays JSON
+		const contentType = req.headers.get('content-type') || '';
+		const body = contentType.includes('text/csv')
+			? { csv: await req.text() }
+			: contentType.includes('ndjson')
+				? { ndjson: await req.text() }
+				: await req.json().catch(() => null);
+		if (!body) return jsonRes({ error: 'invalid_json' }, 400);
+		const dryRun = new URL(req.url).searchParams.get('dryRun');
+		const path = `/products/import${dryRun ? `?dryRun=${encodeURIComponent(dryRun)}` : ''}`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'POST', '/products/import', body);
+		const res = await callService('PRODUCTS_SERVICE', path, 'POST', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/admin/products/export', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const format = new URL(req.url).searchParams.get('format');
+		const path = `/products/export${format ? `?format=${encodeURIComponent(format)}` : ''}`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'GET', '/products/export', '');
+		// Streamed straight through; callService would buffer and parse the file
+		const forwardedReq = new Request(`https://internal${path}`, {
+			method: 'GET',
+			headers: { ...headers, 'x-user-id': user.sub, 'x-user-role': user.role },
+		});
+		let response;
+		if (env.PRODUCTS_SERVICE && typeof env.PRODUCTS_SERVICE.fetch === 'function') {
+			response = await env.PRODUCTS_SERVICE.fetch(forwardedReq);
+		} else if (env.PRODUCTS_SERVICE_URL && env.PRODUCTS_SERVICE_URL.startsWith('http')) {
+			response = await fetch(env.PRODUCTS_SERVICE_URL.replace(/\/$/, '') + path, { method: 'GET', headers: forwardedReq.headers });
+		} else {
+			return jsonRes({ error: 'service_not_configured' }, 502);
+		}
+		const responseHeaders = new Headers(corsHeaders);
+		for (const key of ['content-type', 'content-disposition']) {
+			if (response.headers.get(key)) responseHeaders.set(key, response.headers.get(key));
+		}
+		return new Response(response.body, { status: response.status, headers: responseHeaders });
+	});
+
+	router.post('/api/admin/products/:id/variants', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json();
+		const path = `/products/${req.params.id}/variants`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'POST', path, body);
+		const res = await callService('PRODUCTS_SERVICE', path, 'POST', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.put('/api/admin/products/:id/variants/:variantId', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json();
+		const path = `/products/${req.params.id}/variants/${req.params.variantId}`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'PUT', path, body);
+		const res = await callService('PRODUCTS_SERVICE', path, 'PUT', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.delete('/api/admin/products/:id/variants/:variantId', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const path = `/products/${req.params.id}/variants/${req.params.variantId}`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'DELETE', path, '');
+		const res = await callService('PRODUCTS_SERVICE', path, 'DELETE', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/admin/products/:id/price-history', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const path = `/products/${req.params.id}/price-history`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'GET', path, '');
+		const res = await callService('PRODUCTS_SERVICE', path, 'GET', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/admin/products/:id/sales', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const path = `/products/${req.params.id}/sales`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'GET', path, '');
+		const res = await callService('PRODUCTS_SERVICE', path, 'GET', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.post('/api/admin/products/:id/sales', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json();
+		const path = `/products/${req.params.id}/sales`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'POST', path, body);
+		const res = await callService('PRODUCTS_SERVICE', path, 'POST', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.delete('/api/admin/products/:id/sales/:saleId', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const path = `/products/${req.params.id}/sales/${req.params.saleId}`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'DELETE', path, '');
 		const res = await callService('PRODUCTS_SERVICE', path, 'DELETE', null, headers, user, env);
 		return jsonRes(res.body, res.status);
 	});
 
+	router.post('/api/admin/categories', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json();
+		const path = '/categories';
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'POST', path, body);
+		const res = await callService('PRODUCTS_SERVICE', path, 'POST', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.put('/api/admin/categories/:id', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json();
+		const path = `/categories/${req.params.id}`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'PUT', path, body);
+		const res = await callService('PRODUCTS_SERVICE', path, 'PUT', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.delete('/api/admin/categories/:id', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const path = `/categories/${req.params.id}`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'DELETE', path, '');
+		const res = await callService('PRODUCTS_SERVICE', path, 'DELETE', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/admin/reviews', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const url = new URL(req.url);
+		const query = new URLSearchParams();
+		for (const key of REVIEW_QUEUE_PARAMS) {
+			if (url.searchParams.get(key)) query.set(key, url.searchParams.get(key));
+		}
+		const qs = query.toString();
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'GET', '/reviews', '');
+		const res = await callService('PRODUCTS_SERVICE', `/reviews${qs ? `?${qs}` : ''}`, 'GET', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.put('/api/admin/reviews/:reviewId', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json();
+		const path = `/reviews/${req.params.reviewId}`;
+		const headers = await signedHeadersFor(env.ADMIN_SECRET || env.INTERNAL_SECRET, 'PUT', path, body);
+		const res = await callService('PRODUCTS_SERVICE', path, 'PUT', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
 	router.get('/api/admin/orders', async (req, env) => {
 		const user = await requireAdmin(req, env);
 		if (user instanceof Response) return user;
-		const res = await callService('ORDER_SERVICE', '/debug/list-orders', 'GET', null, {}, user, env);
+		const url = new URL(req.url);
+		const query = new URLSearchParams();
+		for (const key of ORDER_PAGE_PARAMS) {
+			if (url.searchParams.get(key)) query.set(key, url.searchParams.get(key));
+		}
+		const qs = query.toString();
+		const res = await callService('ORDER_SERVICE', `/debug/list-orders${qs ? `?${qs}` : ''}`, 'GET', null, {}, user, env);
 		return jsonRes(res.body, res.status);
 	});
 
@@ -524,6 +777,206 @@ export function setupRoutes(router) {
 		return jsonRes(res.body, res.status);
 	});
 
+	router.post('/api/admin/inventory/stock-policy', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json();
+		const path = '/inventory/admin/stock-policy';
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'POST', path, body);
+		const res = await callService('INVENTORY_SERVICE', path, 'POST', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.post('/api/admin/inventory/reorder-point', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json();
+		const path = '/inventory/admin/reorder-point';
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'POST', path, body);
+		const res = await callService('INVENTORY_SERVICE', path, 'POST', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/admin/inventory/low-stock', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const limit = new URL(req.url).searchParams.get('limit');
+		const path = `/inventory/admin/low-stock${limit ? `?limit=${encodeURIComponent(limit)}` : ''}`;
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'GET', path, '');
+		const res = await callService('INVENTORY_SERVICE', path, 'GET', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/admin/inventory/alerts', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const url = new URL(req.url);
+		const query = new URLSearchParams();
+		for (const key of ['productId', 'status', 'limit']) {
+			if (url.searchParams.get(key)) query.set(key, url.searchParams.get(key));
+		}
+		const qs = query.toString();
+		const path = `/inventory/admin/alerts${qs ? `?${qs}` : ''}`;
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'GET', path, '');
+		const res = await callService('INVENTORY_SERVICE', path, 'GET', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.post('/api/admin/inventory/import', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		// CSV uploads are forwarded as { csv } so the internal call stays JSON
+		const isCsv = (req.headers.get('content-type') || '').includes('text/csv');
+		const body = isCsv ? { csv: await req.text() } : await req.json().catch(() => null);
+		if (!body) return jsonRes({ error: 'invalid_json' }, 400);
+		const dryRun = new URL(req.url).searchParams.get('dryRun');
+		const path = `/inventory/admin/import${dryRun ? `?dryRun=${encodeURIComponent(dryRun)}` : ''}`;
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'POST', path, body);
+		const res = await callService('INVENTORY_SERVICE', path, 'POST', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/admin/inventory/export', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const url = new URL(req.url);
+		const query = new URLSearchParams();
+		for (const key of ['format', 'warehouseId']) {
+			if (url.searchParams.get(key)) query.set(key, url.searchParams.get(key));
+		}
+		const qs = query.toString();
+		const path = `/inventory/admin/export${qs ? `?${qs}` : ''}`;
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'GET', path, '');
+		// Streamed straight through; callService would buffer and parse the file
+		const forwardedReq = new Request(`https://internal${path}`, {
+			method: 'GET',
+			headers: { ...headers, 'x-user-id': user.sub, 'x-user-role': user.role },
+		});
+		let response;
+		if (env.INVENTORY_SERVICE && typeof env.INVENTORY_SERVICE.fetch === 'function') {
+			response = await env.INVENTORY_SERVICE.fetch(forwardedReq);
+		} else if (env.INVENTORY_SERVICE_URL && env.INVENTORY_SERVICE_URL.startsWith('http')) {
+			response = await fetch(env.INVENTORY_SERVICE_URL.replace(/\/$/, '') + path, { method: 'GET', headers: forwardedReq.headers });
+		} else {
+			return jsonRes({ error: 'service_not_configured' }, 502);
+		}
+		const responseHeaders = new Headers(corsHeaders);
+		for (const key of ['content-type', 'content-disposition']) {
+			if (response.headers.get(key)) responseHeaders.set(key, response.headers.get(key));
+		}
+		return new Response(response.body, { status: response.status, headers: responseHeaders });
+	});
+
+	router.post('/api/admin/inventory/restock', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json();
+		const path = '/inventory/restock';
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'POST', path, body);
+		const res = await callService('INVENTORY_SERVICE', path, 'POST', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.post('/api/admin/inventory/reconcile', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json().catch(() => ({}));
+		const path = '/inventory/admin/reconcile';
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'POST', path, body);
+		const res = await callService('INVENTORY_SERVICE', path, 'POST', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.post('/api/admin/inventory/transfers', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json();
+		const path = '/inventory/admin/transfers';
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'POST', path, body);
+		const res = await callService('INVENTORY_SERVICE', path, 'POST', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/admin/inventory/transfers', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const url = new URL(req.url);
+		const query = new URLSearchParams();
+		for (const key of ['status', 'productId', 'warehouseId', 'limit']) {
+			if (url.searchParams.get(key)) query.set(key, url.searchParams.get(key));
+		}
+		const qs = query.toString();
+		const path = `/inventory/admin/transfers${qs ? `?${qs}` : ''}`;
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'GET', path, '');
+		const res = await callService('INVENTORY_SERVICE', path, 'GET', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/admin/inventory/transfers/:transferId', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const path = `/inventory/admin/transfers/${encodeURIComponent(req.params.transferId)}`;
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'GET', path, '');
+		const res = await callService('INVENTORY_SERVICE', path, 'GET', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	// action: ship, receive or cancel
+	router.post('/api/admin/inventory/transfers/:transferId/:action', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json().catch(() => ({}));
+		const path = `/inventory/admin/transfers/${encodeURIComponent(req.params.transferId)}/${encodeURIComponent(req.params.action)}`;
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'POST', path, body);
+		const res = await callService('INVENTORY_SERVICE', path, 'POST', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/admin/inventory/reservations', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const url = new URL(req.url);
+		const query = new URLSearchParams();
+		for (const key of ['userId', 'cartId', 'status', 'limit']) {
+			if (url.searchParams.get(key)) query.set(key, url.searchParams.get(key));
+		}
+		const qs = query.toString();
+		const path = `/inventory/reservations${qs ? `?${qs}` : ''}`;
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'GET', path, '');
+		const res = await callService('INVENTORY_SERVICE', path, 'GET', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/admin/inventory/reservations/:reservationId', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const path = `/inventory/reservations/${encodeURIComponent(req.params.reservationId)}`;
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'GET', path, '');
+		const res = await callService('INVENTORY_SERVICE', path, 'GET', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.post('/api/admin/inventory/reservations/:reservationId/extend', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const body = await req.json().catch(() => ({}));
+		const path = `/inventory/reservations/${encodeURIComponent(req.params.reservationId)}/extend`;
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'POST', path, body);
+		const res = await callService('INVENTORY_SERVICE', path, 'POST', body, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
+	router.get('/api/admin/inventory/:productId/adjustments', async (req, env) => {
+		const user = await requireAdmin(req, env);
+		if (user instanceof Response) return user;
+		const url = new URL(req.url);
+		const query = new URLSearchParams({ productId: req.params.productId, limit: url.searchParams.get('limit') || '50' });
+		const path = `/inventory/admin/adjustments?${query}`;
+		const headers = await signedHeadersFor(env.INTERNAL_SECRET, 'GET', path, '');
+		const res = await callService('INVENTORY_SERVICE', path, 'GET', null, headers, user, env);
+		return jsonRes(res.body, res.status);
+	});
+
 	router.get('/api/admin/inventory/:productId', async (req, env) => {
 		const user = await requireAdmin(req, env);
 		if (user instanceof Response) return user;
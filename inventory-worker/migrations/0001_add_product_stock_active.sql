@@ -0,0 +1,2 @@
+-- Lets the catalog archive products so they can no longer be reserved
+ALTER TABLE product_stock ADD COLUMN active INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,14 @@
+-- Audit ledger for admin stock changes
+CREATE TABLE IF NOT EXISTS stock_adjustments (
+  adjustment_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  operation TEXT NOT NULL,
+  delta INTEGER NOT NULL,
+  stock_before INTEGER NOT NULL,
+  stock_after INTEGER NOT NULL,
+  reason TEXT,
+  actor_id TEXT,
+  created_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_adjustments_product ON stock_adjustments(product_id, created_at);
@@ -0,0 +1,40 @@
+-- Key product_stock by (product_id, variant_id). Existing rows become the
+-- default variant var_<product_id>, which is the id the catalog already exposes.
+CREATE TABLE product_stock_new (
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  stock INTEGER NOT NULL DEFAULT 0,
+  reserved INTEGER NOT NULL DEFAULT 0,
+  active INTEGER NOT NULL DEFAULT 1,
+  updated_at INTEGER,
+  PRIMARY KEY (product_id, variant_id)
+);
+
+INSERT INTO product_stock_new (product_id, variant_id, stock, reserved, active, updated_at)
+SELECT product_id, 'var_' || product_id, stock, reserved, active, updated_at FROM product_stock;
+
+DROP TABLE product_stock;
+ALTER TABLE product_stock_new RENAME TO product_stock;
+CREATE INDEX idx_stock_updated ON product_stock(updated_at);
+
+-- Adjustments are rebuilt the same way so variant_id is NOT NULL, as in schema.sql
+CREATE TABLE stock_adjustments_new (
+  adjustment_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  operation TEXT NOT NULL,
+  delta INTEGER NOT NULL,
+  stock_before INTEGER NOT NULL,
+  stock_after INTEGER NOT NULL,
+  reason TEXT,
+  actor_id TEXT,
+  created_at INTEGER
+);
+
+INSERT INTO stock_adjustments_new (adjustment_id, product_id, variant_id, operation, delta, stock_before, stock_after, reason, actor_id, created_at)
+SELECT adjustment_id, product_id, 'var_' || product_id, operation, delta, stock_before, stock_after, reason, actor_id, created_at
+FROM stock_adjustments;
+
+DROP TABLE stock_adjustments;
+ALTER TABLE stock_adjustments_new RENAME TO stock_adjustments;
+CREATE INDEX idx_adjustments_product ON stock_adjustments(product_id, created_at);
@@ -0,0 +1,11 @@
+-- Per-item reservation rows; the CHECK on qty is what rolls back a reservation
+-- batch when one of its conditional stock updates matches nothing
+CREATE TABLE IF NOT EXISTS reservation_items (
+  reservation_id TEXT NOT NULL,
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  qty INTEGER NOT NULL CHECK (qty > 0),
+  PRIMARY KEY (reservation_id, product_id, variant_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservation_items_product ON reservation_items(product_id, variant_id);
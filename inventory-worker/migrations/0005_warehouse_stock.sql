@@ -0,0 +1,28 @@
+-- Stock per warehouse. Everything on hand so far is booked to wh_mumbai, the
+-- highest-priority warehouse, so product_stock stays the sum over warehouses.
+CREATE TABLE IF NOT EXISTS warehouse_stock (
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  warehouse_id TEXT NOT NULL,
+  stock INTEGER NOT NULL DEFAULT 0,
+  reserved INTEGER NOT NULL DEFAULT 0,
+  updated_at INTEGER,
+  PRIMARY KEY (product_id, variant_id, warehouse_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_warehouse_stock_warehouse ON warehouse_stock(warehouse_id);
+
+INSERT OR IGNORE INTO warehouse_stock (product_id, variant_id, warehouse_id, stock, reserved, updated_at)
+SELECT product_id, variant_id, 'wh_mumbai', stock, reserved, updated_at FROM product_stock;
+
+CREATE TABLE IF NOT EXISTS reservation_allocations (
+  reservation_id TEXT NOT NULL,
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  warehouse_id TEXT NOT NULL,
+  qty INTEGER NOT NULL CHECK (qty > 0),
+  PRIMARY KEY (reservation_id, product_id, variant_id, warehouse_id)
+);
+
+ALTER TABLE stock_adjustments ADD COLUMN warehouse_id TEXT;
+UPDATE stock_adjustments SET warehouse_id = 'wh_mumbai' WHERE warehouse_id IS NULL;
@@ -0,0 +1,12 @@
+-- Per-product backorder / pre-order policy, and how many units of a
+-- reservation were taken beyond stock under it.
+CREATE TABLE IF NOT EXISTS stock_policies (
+  product_id TEXT PRIMARY KEY,
+  policy TEXT NOT NULL DEFAULT 'deny',
+  backorder_limit INTEGER,
+  release_date INTEGER,
+  lead_time_days INTEGER,
+  updated_at INTEGER
+);
+
+ALTER TABLE reservations ADD COLUMN backordered INTEGER NOT NULL DEFAULT 0;
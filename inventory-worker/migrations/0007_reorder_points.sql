@@ -0,0 +1,22 @@
+-- Reorder thresholds / safety stock per product and the low-stock alert log
+CREATE TABLE IF NOT EXISTS reorder_points (
+  product_id TEXT PRIMARY KEY,
+  reorder_threshold INTEGER NOT NULL CHECK (reorder_threshold >= 0),
+  safety_stock INTEGER NOT NULL DEFAULT 0 CHECK (safety_stock >= 0),
+  updated_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS stock_alerts (
+  alert_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  available INTEGER NOT NULL,
+  reorder_threshold INTEGER NOT NULL,
+  safety_stock INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  created_at INTEGER NOT NULL,
+  resolved_at INTEGER
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_alerts_open ON stock_alerts(product_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_stock_alerts_created ON stock_alerts(created_at);
@@ -0,0 +1,26 @@
+-- Restocking committed reservations after a cancellation or return
+CREATE TABLE IF NOT EXISTS restocks (
+  restock_id TEXT PRIMARY KEY,
+  reservation_id TEXT NOT NULL,
+  order_id TEXT,
+  reason TEXT NOT NULL,
+  items TEXT NOT NULL,
+  sellable INTEGER NOT NULL,
+  damaged INTEGER NOT NULL,
+  actor_id TEXT,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_restocks_reservation ON restocks(reservation_id);
+
+CREATE TABLE IF NOT EXISTS restock_items (
+  restock_id TEXT NOT NULL,
+  reservation_id TEXT NOT NULL,
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  warehouse_id TEXT,
+  condition TEXT NOT NULL,
+  qty INTEGER NOT NULL CHECK (qty > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_restock_items_line ON restock_items(reservation_id, product_id, variant_id);
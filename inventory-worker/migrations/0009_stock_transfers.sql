@@ -0,0 +1,29 @@
+-- Transfers of stock between warehouses and their status history
+CREATE TABLE IF NOT EXISTS stock_transfers (
+  transfer_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  from_warehouse_id TEXT NOT NULL,
+  to_warehouse_id TEXT NOT NULL,
+  qty INTEGER NOT NULL CHECK (qty > 0),
+  status TEXT NOT NULL DEFAULT 'requested',
+  note TEXT,
+  requested_by TEXT,
+  created_at INTEGER NOT NULL,
+  shipped_at INTEGER,
+  received_at INTEGER,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_status ON stock_transfers(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_product ON stock_transfers(product_id, created_at);
+
+CREATE TABLE IF NOT EXISTS stock_transfer_events (
+  transfer_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  qty INTEGER NOT NULL CHECK (qty > 0),
+  actor_id TEXT,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfer_events_transfer ON stock_transfer_events(transfer_id, created_at);
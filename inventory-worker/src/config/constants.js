@@ -10,5 +10,45 @@ export const CORS_HEADERS = {
 
 export const SIGNATURE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
 export const DEFAULT_RESERVATION_TTL = 900; // 15 minutes
-export const LOCK_RETRY_ATTEMPTS = 3;
-export const LOCK_RETRY_DELAY = 2000; // 2 seconds
+export const EXPIRY_SWEEP_BATCH_SIZE = 100;
+export const STOCK_ADJUSTMENT_OPERATIONS = ['set', 'increment', 'decrement'];
+export const DEFAULT_ADJUSTMENT_LIMIT = 50;
+export const MAX_ADJUSTMENT_LIMIT = 500;
+export const COORDINATOR_HOLD_TTL_MS = 30 * 1000; // pending holds not confirmed by then are dropped
+export const RESERVATION_STATUSES = ['active', 'committed', 'released', 'expired'];
+export const MAX_RESERVATION_TTL = 7200; // 2 hours from creation, however often it is extended
+export const DEFAULT_RESERVATION_LIMIT = 50;
+export const MAX_RESERVATION_LIMIT = 500;
+export const D1_MAX_BOUND_PARAMS = 100;
+export const MAX_STOCK_BATCH_SIZE = 500;
+
+// Mirrors fulfillment-worker's warehouses table, in its priority order
+export const WAREHOUSES = [
+	{ warehouseId: 'wh_mumbai', zone: 'MUM' },
+	{ warehouseId: 'wh_delhi', zone: 'DEL' },
+	{ warehouseId: 'wh_chennai', zone: 'CHN' },
+	{ warehouseId: 'wh_bangalore', zone: 'BLR' },
+];
+export const WAREHOUSE_IDS = WAREHOUSES.map((w) => w.warehouseId);
+export const DEFAULT_WAREHOUSE_ID = 'wh_mumbai'; // stock recorded before warehouses existed lives here
+export const RESERVATION_PLAN_ATTEMPTS = 2; // re-plan once if another checkout took the planned warehouse stock
+export const STOCK_POLICIES = ['deny', 'backorder', 'preorder'];
+export const STOCK_ALERT_STATUSES = ['open', 'resolved'];
+export const DEFAULT_ALERT_LIMIT = 50;
+export const MAX_ALERT_LIMIT = 500;
+// A worker invocation may make 1000 D1 queries and subrequests. Rows are written
+// IMPORT_BATCH_SIZE to a D1 batch (one read and one batch per chunk); what grows
+// with the file is the follow-up per touched product: a coordinator refresh, a
+// reorder check write and a low-stock notification. 300 products cost ~900 of those.
+export const IMPORT_MAX_ROWS = 300;
+export const IMPORT_BATCH_SIZE = 50;
+export const EXPORT_PAGE_SIZE = 500;
+export const EXPORT_FORMATS = ['csv', 'json'];
+export const RECONCILE_CRON = '17 * * * *'; // hourly; the five-minute cron runs the expiry sweep
+export const RECONCILE_SETTLE_SECONDS = 60; // a reservation settled this recently may have moved reserved after the report read it
+export const RESTOCK_REASONS = ['cancellation', 'return'];
+export const RESTOCK_CONDITIONS = ['sellable', 'damaged'];
+export const TRANSFER_STATUSES = ['requested', 'in_transit', 'received', 'cancelled'];
+export const DEFAULT_TRANSFER_LIMIT = 50;
+export const MAX_TRANSFER_LIMIT = 200;
+export const TRANSFER_ACTIONS = ['ship', 'receive', 'cancel'];
@@ -1,52 +1,787 @@
 /**
  * Database query functions
  */
+import { D1_MAX_BOUND_PARAMS } from '../config/constants.js';
 
-export async function getProductStock(env, productId) {
-	return await env.DB.prepare('SELECT * FROM product_stock WHERE product_id = ?').bind(productId).first();
+export async function getVariantStock(env, productId, variantId) {
+	return await env.DB.prepare('SELECT * FROM product_stock WHERE product_id = ? AND variant_id = ?').bind(productId, variantId).first();
 }
 
-export async function reserveStock(env, productId, qty) {
+export async function listVariantStock(env, productId) {
+	return await env.DB.prepare('SELECT * FROM product_stock WHERE product_id = ? ORDER BY variant_id').bind(productId).all();
+}
+
+/**
+ * Rows of a per-product table for many products in one round trip. D1 caps
+ * bound parameters per statement, so the ids are split across statements in
+ * a single batch.
+ */
+async function selectForProducts(env, table, order, productIds) {
+	if (!productIds.length) return [];
+
+	const statements = [];
+	for (let i = 0; i < productIds.length; i += D1_MAX_BOUND_PARAMS) {
+		const chunk = productIds.slice(i, i + D1_MAX_BOUND_PARAMS);
+		statements.push(
+			env.DB.prepare(`SELECT * FROM ${table} WHERE product_id IN (${chunk.map(() => '?').join(', ')}) ORDER BY ${order}`).bind(...chunk),
+		);
+	}
+
+	const results = await env.DB.batch(statements);
+	return results.flatMap((r) => r.results || []);
+}
+
+export async function listStockForProducts(env, productIds) {
+	return await selectForProducts(env, 'product_stock', 'product_id, variant_id', productIds);
+}
+
+export async function getStockPolicy(env, productId) {
+	return await env.DB.prepare('SELECT * FROM stock_policies WHERE product_id = ?').bind(productId).first();
+}
+
+export async function listStockPolicies(env, productIds) {
+	return await selectForProducts(env, 'stock_policies', 'product_id', productIds);
+}
+
+export async function upsertStockPolicy(env, { productId, policy, backorderLimit, releaseDate, leadTimeDays, now }) {
 	return await env.DB.prepare(
-		`UPDATE product_stock 
-     SET reserved = reserved + ?, updated_at = strftime('%s','now') 
-     WHERE product_id = ? AND (stock - reserved) >= ?`,
+		`INSERT INTO stock_policies (product_id, policy, backorder_limit, release_date, lead_time_days, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(product_id) DO UPDATE SET
+       policy = excluded.policy,
+       backorder_limit = excluded.backorder_limit,
+       release_date = excluded.release_date,
+       lead_time_days = excluded.lead_time_days,
+       updated_at = excluded.updated_at`,
 	)
-		.bind(qty, productId, qty)
+		.bind(productId, policy, backorderLimit ?? null, releaseDate ?? null, leadTimeDays ?? null, now)
+		.run();
+}
+
+export async function listWarehouseStock(env, productId) {
+	return await env.DB.prepare('SELECT * FROM warehouse_stock WHERE product_id = ? ORDER BY variant_id, warehouse_id').bind(productId).all();
+}
+
+export async function listWarehouseStockForProducts(env, productIds) {
+	return await selectForProducts(env, 'warehouse_stock', 'product_id, variant_id, warehouse_id', productIds);
+}
+
+export async function getWarehouseStock(env, productId, variantId, warehouseId) {
+	return await env.DB.prepare('SELECT * FROM warehouse_stock WHERE product_id = ? AND variant_id = ? AND warehouse_id = ?')
+		.bind(productId, variantId, warehouseId)
+		.first();
+}
+
+function ensureWarehouseStockStatement(env, productId, variantId, warehouseId, now) {
+	return env.DB.prepare(
+		`INSERT OR IGNORE INTO warehouse_stock (product_id, variant_id, warehouse_id, stock, reserved, updated_at) VALUES (?, ?, ?, 0, 0, ?)`,
+	).bind(productId, variantId, warehouseId, now);
+}
+
+export async function ensureWarehouseStock(env, productId, variantId, warehouseId, now) {
+	return await ensureWarehouseStockStatement(env, productId, variantId, warehouseId, now).run();
+}
+
+/**
+ * One page of warehouse_stock in key order, starting after the given
+ * (productId, variantId, warehouseId) key.
+ */
+export async function listWarehouseStockPage(env, after, limit, warehouseId = null) {
+	const where = [];
+	const binds = [];
+	if (after) {
+		where.push('(product_id, variant_id, warehouse_id) > (?, ?, ?)');
+		binds.push(after.productId, after.variantId, after.warehouseId);
+	}
+	if (warehouseId) {
+		where.push('warehouse_id = ?');
+		binds.push(warehouseId);
+	}
+
+	const clause = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+	return await env.DB.prepare(`SELECT * FROM warehouse_stock${clause} ORDER BY product_id, variant_id, warehouse_id LIMIT ?`)
+		.bind(...binds, limit)
+		.all();
+}
+
+export async function getExpiredReservations(env, now, limit) {
+	return await env.DB.prepare(`SELECT * FROM reservations WHERE status = 'active' AND expires_at < ? ORDER BY expires_at LIMIT ?`)
+		.bind(now, limit)
+		.all();
+}
+
+export async function deactivateProductStock(env, productId) {
+	return await env.DB.prepare(`UPDATE product_stock SET active = 0, updated_at = strftime('%s','now') WHERE product_id = ?`)
+		.bind(productId)
 		.run();
 }
 
-export async function releaseReservedStock(env, productId, qty) {
-	return await env.DB.prepare(`UPDATE product_stock SET reserved = reserved - ? WHERE product_id = ?`).bind(qty, productId).run();
+/**
+ * Insert a reservation and reserve all of its items in one batch.
+ * Each stock update only matches while enough is available; the
+ * reservation_items row after it gets qty 0 when the update matched nothing,
+ * which trips the CHECK constraint and rolls the whole batch back. Every
+ * item's warehouse allocations are guarded the same way against
+ * warehouse_stock, through reservation_allocations.
+ *
+ * A line with backordered units instead only matches while exactly
+ * qty - backordered units are still on hand and the rest fits within
+ * backorderLimit (null: no limit), so the recorded split stays true.
+ */
+export async function createReservationWithItems(env, reservation, items) {
+	const { reservationId, userId, cartId, expiresAt, now } = reservation;
+	const backordered = items.reduce((sum, it) => sum + (it.backordered || 0), 0);
+	// backorderLimit only feeds the guard below, it is not part of the reservation
+	const stored = items.map(({ backorderLimit, ...it }) => it);
+
+	const statements = [
+		env.DB.prepare(
+			`INSERT INTO reservations (
+        reservation_id, user_id, cart_id, items, backordered, status, expires_at, created_at, updated_at
+      )
+      VALUES (?, ?, ?, ?, ?, 'active', ?, ?, ?)`,
+		).bind(reservationId, userId || null, cartId || null, JSON.stringify(stored), backordered, expiresAt, now, now),
+	];
+
+	for (const it of items) {
+		statements.push(
+			it.backordered
+				? env.DB.prepare(
+						`UPDATE product_stock SET reserved = reserved + ?, updated_at = ?
+             WHERE product_id = ? AND variant_id = ? AND active = 1
+               AND MAX(stock - reserved, 0) = ? AND (? IS NULL OR (stock - reserved + ?) >= ?)`,
+					).bind(it.qty, now, it.productId, it.variantId, it.qty - it.backordered, it.backorderLimit, it.backorderLimit, it.qty)
+				: env.DB.prepare(
+						`UPDATE product_stock SET reserved = reserved + ?, updated_at = ?
+             WHERE product_id = ? AND variant_id = ? AND active = 1 AND (stock - reserved) >= ?`,
+					).bind(it.qty, now, it.productId, it.variantId, it.qty),
+			env.DB.prepare(
+				`INSERT INTO reservation_items (reservation_id, product_id, variant_id, qty)
+         VALUES (?, ?, ?, CASE WHEN changes() = 1 THEN ? ELSE 0 END)`,
+			).bind(reservationId, it.productId, it.variantId, it.qty),
+		);
+
+		for (const a of it.allocations || []) {
+			statements.push(
+				env.DB.prepare(
+					`UPDATE warehouse_stock SET reserved = reserved + ?, updated_at = ?
+           WHERE product_id = ? AND variant_id = ? AND warehouse_id = ? AND (stock - reserved) >= ?`,
+				).bind(a.qty, now, it.productId, it.variantId, a.warehouseId, a.qty),
+				env.DB.prepare(
+					`INSERT INTO reservation_allocations (reservation_id, product_id, variant_id, warehouse_id, qty)
+           VALUES (?, ?, ?, ?, CASE WHEN changes() = 1 THEN ? ELSE 0 END)`,
+				).bind(reservationId, it.productId, it.variantId, a.warehouseId, a.qty),
+			);
+		}
+	}
+
+	return await env.DB.batch(statements);
 }
 
-export async function commitStock(env, productId, qty) {
+export async function getReservation(env, reservationId) {
+	return await env.DB.prepare('SELECT * FROM reservations WHERE reservation_id = ?').bind(reservationId).first();
+}
+
+export async function listReservationAllocations(env, reservationId) {
+	return await env.DB.prepare(
+		'SELECT product_id, variant_id, warehouse_id, qty FROM reservation_allocations WHERE reservation_id = ? ORDER BY rowid',
+	)
+		.bind(reservationId)
+		.all();
+}
+
+export async function listReservations(env, { userId, cartId, status }, limit) {
+	const where = [];
+	const binds = [];
+	if (userId) {
+		where.push('user_id = ?');
+		binds.push(userId);
+	}
+	if (cartId) {
+		where.push('cart_id = ?');
+		binds.push(cartId);
+	}
+	if (status) {
+		where.push('status = ?');
+		binds.push(status);
+	}
+
+	const clause = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+	return await env.DB.prepare(`SELECT * FROM reservations${clause} ORDER BY created_at DESC LIMIT ?`)
+		.bind(...binds, limit)
+		.all();
+}
+
+/**
+ * Move expires_at of a still-live reservation; a no-op (0 changes) once it was
+ * committed, released or swept.
+ */
+export async function extendReservationExpiry(env, reservationId, expiresAt, now) {
 	return await env.DB.prepare(
-		`UPDATE product_stock 
-     SET stock = stock - ?, reserved = reserved - ?, updated_at = strftime('%s','now') 
-     WHERE product_id = ?`,
+		`UPDATE reservations SET expires_at = ?, updated_at = ? WHERE reservation_id = ? AND status = 'active' AND expires_at >= ?`,
 	)
-		.bind(qty, qty, productId)
+		.bind(expiresAt, now, reservationId, now)
 		.run();
 }
 
-export async function createReservation(env, reservationId, userId, cartId, items, expiresAt, now) {
+const STILL_ACTIVE = `EXISTS (SELECT 1 FROM reservations WHERE reservation_id = ? AND status = 'active')`;
+
+/**
+ * Move an active reservation to committed, released or expired and settle
+ * its stock in one batch. A commit takes the units off stock and reserved, in
+ * total and from each warehouse in the line's allocations; anything else only
+ * gives back reserved. Every stock update runs only while the reservation is
+ * still active and the status change comes last, so concurrent callers cannot
+ * both move its stock. The last result has 0 changes when it already left
+ * active.
+ */
+export async function settleReservation(env, reservationId, status, lines, now) {
+	const commit = status === 'committed';
+	const statements = [];
+	for (const l of lines) {
+		statements.push(
+			env.DB.prepare(
+				commit
+					? `UPDATE product_stock SET stock = stock - ?, reserved = reserved - ?, updated_at = ?
+             WHERE product_id = ? AND variant_id = ? AND ${STILL_ACTIVE}`
+					: `UPDATE product_stock SET reserved = reserved - ? WHERE product_id = ? AND variant_id = ? AND ${STILL_ACTIVE}`,
+			).bind(...(commit ? [l.qty, l.qty, now] : [l.qty]), l.productId, l.variantId, reservationId),
+		);
+		for (const a of l.allocations) {
+			statements.push(
+				env.DB.prepare(
+					commit
+						? `UPDATE warehouse_stock SET stock = stock - ?, reserved = reserved - ?, updated_at = ?
+               WHERE product_id = ? AND variant_id = ? AND warehouse_id = ? AND ${STILL_ACTIVE}`
+						: `UPDATE warehouse_stock SET reserved = reserved - ?
+               WHERE product_id = ? AND variant_id = ? AND warehouse_id = ? AND ${STILL_ACTIVE}`,
+				).bind(...(commit ? [a.qty, a.qty, now] : [a.qty]), l.productId, l.variantId, a.warehouseId, reservationId),
+			);
+		}
+	}
+	statements.push(
+		env.DB.prepare(`UPDATE reservations SET status = ?, updated_at = ? WHERE reservation_id = ? AND status = 'active'`).bind(
+			status,
+			now,
+			reservationId,
+		),
+	);
+
+	const results = await env.DB.batch(statements);
+	return results[results.length - 1];
+}
+
+function ensureProductStockStatement(env, productId, variantId, now) {
+	return env.DB.prepare(
+		`INSERT OR IGNORE INTO product_stock (product_id, variant_id, stock, reserved, updated_at) VALUES (?, ?, 0, 0, ?)`,
+	).bind(productId, variantId, now);
+}
+
+export async function ensureProductStock(env, productId, variantId, now) {
+	return await ensureProductStockStatement(env, productId, variantId, now).run();
+}
+
+/**
+ * The statements of one stock adjustment: the warehouse update only matches
+ * if its stock is still what the caller read; the product total and the
+ * ledger row are each guarded by changes() so a lost race writes nothing.
+ */
+function stockAdjustmentStatements(env, adjustment) {
+	const { adjustmentId, productId, variantId, warehouseId, operation, stockBefore, stockAfter, reason, actorId, now } = adjustment;
+	const delta = stockAfter - stockBefore;
+
+	return [
+		env.DB.prepare(
+			`UPDATE warehouse_stock SET stock = ?, updated_at = ?
+       WHERE product_id = ? AND variant_id = ? AND warehouse_id = ? AND stock = ? AND reserved <= ?`,
+		).bind(stockAfter, now, productId, variantId, warehouseId, stockBefore, stockAfter),
+		env.DB.prepare(
+			`UPDATE product_stock SET stock = stock + ?, updated_at = ? WHERE product_id = ? AND variant_id = ? AND changes() = 1`,
+		).bind(delta, now, productId, variantId),
+		env.DB.prepare(
+			`INSERT INTO stock_adjustments (
+        adjustment_id, product_id, variant_id, warehouse_id, operation, delta, stock_before, stock_after, reason, actor_id, created_at
+      )
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ? WHERE changes() = 1`,
+		).bind(
+			adjustmentId,
+			productId,
+			variantId,
+			warehouseId,
+			operation,
+			delta,
+			stockBefore,
+			stockAfter,
+			reason || null,
+			actorId || null,
+			now,
+		),
+	];
+}
+
+/**
+ * Apply an admin stock change to one warehouse, the product total and the
+ * ledger in one batch.
+ */
+export async function applyStockAdjustment(env, adjustment) {
+	const [update] = await env.DB.batch(stockAdjustmentStatements(env, adjustment));
+	return update;
+}
+
+/**
+ * Apply many adjustments in one batch. Each stands alone: one whose
+ * warehouse update matches nothing leaves the others in place. Adjustments
+ * flagged `create` get their stock rows created first. Returns the warehouse
+ * update result of each, in order.
+ */
+export async function applyStockAdjustments(env, adjustments) {
+	const creates = adjustments
+		.filter((a) => a.create)
+		.flatMap((a) => [
+			ensureProductStockStatement(env, a.productId, a.variantId, a.now),
+			ensureWarehouseStockStatement(env, a.productId, a.variantId, a.warehouseId, a.now),
+		]);
+
+	const results = await env.DB.batch([...creates, ...adjustments.flatMap((a) => stockAdjustmentStatements(env, a))]);
+	return adjustments.map((_, i) => results[creates.length + i * 3]);
+}
+
+export async function listStockAdjustments(env, productId, limit) {
+	if (productId) {
+		return await env.DB.prepare('SELECT * FROM stock_adjustments WHERE product_id = ? ORDER BY created_at DESC LIMIT ?')
+			.bind(productId, limit)
+			.all();
+	}
+	return await env.DB.prepare('SELECT * FROM stock_adjustments ORDER BY created_at DESC LIMIT ?').bind(limit).all();
+}
+
+export async function listReorderPoints(env, productIds) {
+	return await selectForProducts(env, 'reorder_points', 'product_id', productIds);
+}
+
+export async function upsertReorderPoint(env, { productId, reorderThreshold, safetyStock, now }) {
 	return await env.DB.prepare(
-		`INSERT OR REPLACE INTO reservations (
-      reservation_id, user_id, cart_id, items, status, expires_at, created_at, updated_at
-    )
-    VALUES (?, ?, ?, ?, 'active', ?, ?, ?)`,
+		`INSERT INTO reorder_points (product_id, reorder_threshold, safety_stock, updated_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(product_id) DO UPDATE SET
+       reorder_threshold = excluded.reorder_threshold,
+       safety_stock = excluded.safety_stock,
+       updated_at = excluded.updated_at`,
 	)
-		.bind(reservationId, userId, cartId, JSON.stringify(items), expiresAt, now, now)
+		.bind(productId, reorderThreshold, safetyStock, now)
 		.run();
 }
 
-export async function getReservation(env, reservationId) {
-	return await env.DB.prepare('SELECT * FROM reservations WHERE reservation_id = ?').bind(reservationId).first();
+/**
+ * Active products whose available stock across variants is below their
+ * reorder threshold, furthest below first.
+ */
+export async function listProductsBelowReorderPoint(env, limit) {
+	return await env.DB.prepare(
+		`SELECT rp.product_id, rp.reorder_threshold, rp.safety_stock,
+            SUM(ps.stock) AS stock, SUM(ps.reserved) AS reserved, SUM(ps.stock - ps.reserved) AS available
+     FROM reorder_points rp
+     JOIN product_stock ps ON ps.product_id = rp.product_id AND ps.active = 1
+     GROUP BY rp.product_id
+     HAVING available < rp.reorder_threshold
+     ORDER BY available - rp.reorder_threshold, rp.product_id
+     LIMIT ?`,
+	)
+		.bind(limit)
+		.all();
+}
+
+/**
+ * Raise an alert unless the product already has an open one; meta.changes
+ * is 0 when it did.
+ */
+export async function insertStockAlert(env, alert) {
+	const { alertId, productId, severity, available, reorderThreshold, safetyStock, now } = alert;
+	return await env.DB.prepare(
+		`INSERT OR IGNORE INTO stock_alerts (alert_id, product_id, severity, available, reorder_threshold, safety_stock, status, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, 'open', ?)`,
+	)
+		.bind(alertId, productId, severity, available, reorderThreshold, safetyStock, now)
+		.run();
 }
 
-export async function updateReservationStatus(env, reservationId, status, now) {
-	return await env.DB.prepare(`UPDATE reservations SET status=?, updated_at=? WHERE reservation_id=?`)
-		.bind(status, now, reservationId)
+export async function resolveStockAlert(env, productId, now) {
+	return await env.DB.prepare(`UPDATE stock_alerts SET status = 'resolved', resolved_at = ? WHERE product_id = ? AND status = 'open'`)
+		.bind(now, productId)
 		.run();
 }
+
+export async function listStockAlerts(env, { productId, status }, limit) {
+	const where = [];
+	const binds = [];
+	if (productId) {
+		where.push('product_id = ?');
+		binds.push(productId);
+	}
+	if (status) {
+		where.push('status = ?');
+		binds.push(status);
+	}
+
+	const clause = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+	return await env.DB.prepare(`SELECT * FROM stock_alerts${clause} ORDER BY created_at DESC LIMIT ?`)
+		.bind(...binds, limit)
+		.all();
+}
+
+// Lines of active reservations as recorded in reservations.items, the same
+// record commit and release work from. Lines without a variantId hold the
+// default variant.
+const ACTIVE_LINES = `
+  SELECT r.reservation_id,
+         json_extract(j.value, '$.productId') AS product_id,
+         COALESCE(NULLIF(json_extract(j.value, '$.variantId'), ''), 'var_' || json_extract(j.value, '$.productId')) AS variant_id,
+         j.value AS line
+  FROM reservations r, json_each(r.items) j
+  WHERE r.status = 'active'`;
+
+// A variant with a reservation that left active since `?` may have settled
+// after the report read it; it is left for a later run
+function settling(row) {
+	return `EXISTS (
+    SELECT 1 FROM reservation_items ri JOIN reservations r ON r.reservation_id = ri.reservation_id
+    WHERE ri.product_id = ${row}.product_id AND ri.variant_id = ${row}.variant_id AND r.status != 'active' AND r.updated_at >= ?)`;
+}
+
+/**
+ * product_stock rows whose reserved differs from the sum of active
+ * reservation lines, with that expected figure.
+ */
+export async function listReservedDrift(env, { productId = null, settledBefore }) {
+	return await env.DB.prepare(
+		`WITH lines AS (${ACTIVE_LINES}),
+     expected AS (SELECT product_id, variant_id, SUM(json_extract(line, '$.qty')) AS qty FROM lines GROUP BY product_id, variant_id)
+     SELECT s.product_id, s.variant_id, s.reserved, COALESCE(e.qty, 0) AS expected, ${settling('s')} AS settling
+     FROM product_stock s
+     LEFT JOIN expected e ON e.product_id = s.product_id AND e.variant_id = s.variant_id
+     WHERE s.reserved != COALESCE(e.qty, 0) AND (? IS NULL OR s.product_id = ?)
+     ORDER BY s.product_id, s.variant_id`,
+	)
+		.bind(settledBefore, productId, productId)
+		.all();
+}
+
+/**
+ * warehouse_stock rows whose reserved differs from the active reservations'
+ * allocations. Lines recorded before allocations existed hold the default
+ * warehouse; a line with an empty allocation list holds none.
+ */
+export async function listWarehouseReservedDrift(env, { productId = null, settledBefore, defaultWarehouseId }) {
+	return await env.DB.prepare(
+		`WITH lines AS (${ACTIVE_LINES}),
+     allocations AS (
+       SELECT product_id, variant_id, ? AS warehouse_id, json_extract(line, '$.qty') AS qty
+       FROM lines WHERE json_type(line, '$.allocations') IS NULL
+       UNION ALL
+       SELECT l.product_id, l.variant_id, json_extract(a.value, '$.warehouseId'), json_extract(a.value, '$.qty')
+       FROM lines l, json_each(l.line, '$.allocations') a
+     ),
+     expected AS (SELECT product_id, variant_id, warehouse_id, SUM(qty) AS qty FROM allocations GROUP BY product_id, variant_id, warehouse_id)
+     SELECT s.product_id, s.variant_id, s.warehouse_id, s.reserved, COALESCE(e.qty, 0) AS expected, ${settling('s')} AS settling
+     FROM warehouse_stock s
+     LEFT JOIN expected e ON e.product_id = s.product_id AND e.variant_id = s.variant_id AND e.warehouse_id = s.warehouse_id
+     WHERE s.reserved != COALESCE(e.qty, 0) AND (? IS NULL OR s.product_id = ?)
+     ORDER BY s.product_id, s.variant_id, s.warehouse_id`,
+	)
+		.bind(defaultWarehouseId, settledBefore, productId, productId)
+		.all();
+}
+
+/**
+ * Set reserved to the reconciled figure, in one batch of independent
+ * updates. Each only applies if reserved is still what the report saw and
+ * no reservation of the variant has started to commit or release since.
+ * Returns the result of each, in order.
+ */
+export async function repairReserved(env, fixes, settledBefore, now) {
+	const statements = fixes.map((f) =>
+		f.warehouseId
+			? env.DB.prepare(
+					`UPDATE warehouse_stock SET reserved = ?, updated_at = ?
+           WHERE product_id = ? AND variant_id = ? AND warehouse_id = ? AND reserved = ? AND NOT ${settling('warehouse_stock')}`,
+				).bind(f.expected, now, f.productId, f.variantId, f.warehouseId, f.reserved, settledBefore)
+			: env.DB.prepare(
+					`UPDATE product_stock SET reserved = ?, updated_at = ?
+           WHERE product_id = ? AND variant_id = ? AND reserved = ? AND NOT ${settling('product_stock')}`,
+				).bind(f.expected, now, f.productId, f.variantId, f.reserved, settledBefore),
+	);
+
+	return statements.length ? await env.DB.batch(statements) : [];
+}
+
+export async function getRestock(env, restockId) {
+	return await env.DB.prepare('SELECT * FROM restocks WHERE restock_id = ?').bind(restockId).first();
+}
+
+export async function listRestockedItems(env, reservationId) {
+	return await env.DB.prepare(
+		`SELECT product_id, variant_id, warehouse_id, SUM(qty) AS qty FROM restock_items
+     WHERE reservation_id = ? GROUP BY product_id, variant_id, warehouse_id`,
+	)
+		.bind(reservationId)
+		.all();
+}
+
+// Units committed on one line (productId, variantId) of a committed reservation
+const COMMITTED_LINE_QTY = `(
+  SELECT SUM(json_extract(j.value, '$.qty')) FROM reservations r, json_each(r.items) j
+  WHERE r.reservation_id = ? AND r.status = 'committed' AND json_extract(j.value, '$.productId') = ?
+    AND COALESCE(NULLIF(json_extract(j.value, '$.variantId'), ''), 'var_' || json_extract(j.value, '$.productId')) = ?)`;
+
+/**
+ * Record a restock and put its sellable units back in one batch. Each
+ * restock_items row gets qty 0 when it would take its line past the
+ * committed quantity, counting earlier restocks, which trips the CHECK and
+ * rolls everything back; so does a restock_id that was already used.
+ * Sellable units with a warehouse go back to it and the product total, with
+ * a ledger row; backordered ones only to the total.
+ */
+export async function createRestock(env, restock, lines) {
+	const { restockId, reservationId, orderId, reason, sellable, damaged, actorId, now } = restock;
+
+	const creates = lines
+		.filter((l) => l.condition === 'sellable' && l.warehouseId)
+		.flatMap((l) => [
+			ensureProductStockStatement(env, l.productId, l.variantId, now),
+			ensureWarehouseStockStatement(env, l.productId, l.variantId, l.warehouseId, now),
+		]);
+
+	const statements = [
+		...creates,
+		env.DB.prepare(
+			`INSERT INTO restocks (restock_id, reservation_id, order_id, reason, items, sellable, damaged, actor_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+		).bind(restockId, reservationId, orderId || null, reason, JSON.stringify(lines), sellable, damaged, actorId || null, now),
+	];
+
+	for (const l of lines) {
+		statements.push(
+			env.DB.prepare(
+				`INSERT INTO restock_items (restock_id, reservation_id, product_id, variant_id, warehouse_id, condition, qty)
+         VALUES (?, ?, ?, ?, ?, ?, CASE
+           WHEN COALESCE((SELECT SUM(qty) FROM restock_items WHERE reservation_id = ? AND product_id = ? AND variant_id = ?), 0) + ?
+             <= COALESCE(${COMMITTED_LINE_QTY}, 0)
+           THEN ? ELSE 0 END)`,
+			).bind(
+				restockId,
+				reservationId,
+				l.productId,
+				l.variantId,
+				l.warehouseId,
+				l.condition,
+				reservationId,
+				l.productId,
+				l.variantId,
+				l.qty,
+				reservationId,
+				l.productId,
+				l.variantId,
+				l.qty,
+			),
+		);
+
+		if (l.condition !== 'sellable') continue;
+
+		statements.push(
+			env.DB.prepare(`UPDATE product_stock SET stock = stock + ?, updated_at = ? WHERE product_id = ? AND variant_id = ?`).bind(
+				l.qty,
+				now,
+				l.productId,
+				l.variantId,
+			),
+		);
+		if (l.warehouseId) {
+			statements.push(
+				env.DB.prepare(
+					`UPDATE warehouse_stock SET stock = stock + ?, updated_at = ? WHERE product_id = ? AND variant_id = ? AND warehouse_id = ?`,
+				).bind(l.qty, now, l.productId, l.variantId, l.warehouseId),
+				env.DB.prepare(
+					`INSERT INTO stock_adjustments (
+            adjustment_id, product_id, variant_id, warehouse_id, operation, delta, stock_before, stock_after, reason, actor_id, created_at
+          )
+          SELECT ?, product_id, variant_id, warehouse_id, 'increment', ?, stock - ?, stock, ?, ?, ?
+          FROM warehouse_stock WHERE product_id = ? AND variant_id = ? AND warehouse_id = ?`,
+				).bind(
+					`adj_${crypto.randomUUID()}`,
+					l.qty,
+					l.qty,
+					`${reason} ${restockId}`,
+					actorId || null,
+					now,
+					l.productId,
+					l.variantId,
+					l.warehouseId,
+				),
+			);
+		}
+	}
+
+	return await env.DB.batch(statements);
+}
+
+export async function getStockTransfer(env, transferId) {
+	return await env.DB.prepare('SELECT * FROM stock_transfers WHERE transfer_id = ?').bind(transferId).first();
+}
+
+export async function listStockTransferEvents(env, transferId) {
+	return await env.DB.prepare('SELECT * FROM stock_transfer_events WHERE transfer_id = ? ORDER BY created_at, rowid')
+		.bind(transferId)
+		.all();
+}
+
+export async function listStockTransfers(env, { status, productId, warehouseId }, limit) {
+	const where = [];
+	const binds = [];
+	if (status) {
+		where.push('status = ?');
+		binds.push(status);
+	}
+	if (productId) {
+		where.push('product_id = ?');
+		binds.push(productId);
+	}
+	if (warehouseId) {
+		where.push('(from_warehouse_id = ? OR to_warehouse_id = ?)');
+		binds.push(warehouseId, warehouseId);
+	}
+
+	const clause = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+	return await env.DB.prepare(`SELECT * FROM stock_transfers${clause} ORDER BY created_at DESC LIMIT ?`)
+		.bind(...binds, limit)
+		.all();
+}
+
+export async function createStockTransfer(env, transfer) {
+	const { transferId, productId, variantId, fromWarehouseId, toWarehouseId, qty, note, actorId, now } = transfer;
+
+	return await env.DB.batch([
+		env.DB.prepare(
+			`INSERT INTO stock_transfers (
+        transfer_id, product_id, variant_id, from_warehouse_id, to_warehouse_id, qty, status, note, requested_by, created_at, updated_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'requested', ?, ?, ?, ?)`,
+		).bind(transferId, productId, variantId, fromWarehouseId, toWarehouseId, qty, note || null, actorId || null, now, now),
+		env.DB.prepare(
+			`INSERT INTO stock_transfer_events (transfer_id, status, qty, actor_id, created_at) VALUES (?, 'requested', ?, ?, ?)`,
+		).bind(transferId, qty, actorId || null, now),
+	]);
+}
+
+/**
+ * The status change of a transfer step, only from the status it expects, and
+ * the warehouse stock update that goes with it (if any) guarded on that
+ * change. The event row fails the CHECK unless the last of them matched, so
+ * a transfer that moved on or a source without the units rolls it all back.
+ */
+function transferStepStatements(env, transfer, step, stockUpdate) {
+	const { transferId, qty, actorId, now } = transfer;
+	const { from, to, timestampColumn } = step;
+
+	const statements = [
+		timestampColumn
+			? env.DB.prepare(
+					`UPDATE stock_transfers SET status = ?, ${timestampColumn} = ?, updated_at = ? WHERE transfer_id = ? AND status = ?`,
+				).bind(to, now, now, transferId, from)
+			: env.DB.prepare(`UPDATE stock_transfers SET status = ?, updated_at = ? WHERE transfer_id = ? AND status = ?`).bind(
+					to,
+					now,
+					transferId,
+					from,
+				),
+	];
+	if (stockUpdate) statements.push(stockUpdate);
+	statements.push(
+		env.DB.prepare(
+			`INSERT INTO stock_transfer_events (transfer_id, status, qty, actor_id, created_at)
+       VALUES (?, ?, CASE WHEN changes() = 1 THEN ? ELSE 0 END, ?, ?)`,
+		).bind(transferId, to, qty, actorId || null, now),
+	);
+	return statements;
+}
+
+function transferLedgerStatements(env, transfer, warehouseId, delta) {
+	const { transferId, productId, variantId, actorId, now } = transfer;
+
+	return [
+		env.DB.prepare(`UPDATE product_stock SET stock = stock + ?, updated_at = ? WHERE product_id = ? AND variant_id = ?`).bind(
+			delta,
+			now,
+			productId,
+			variantId,
+		),
+		env.DB.prepare(
+			`INSERT INTO stock_adjustments (
+        adjustment_id, product_id, variant_id, warehouse_id, operation, delta, stock_before, stock_after, reason, actor_id, created_at
+      )
+      SELECT ?, product_id, variant_id, warehouse_id, ?, ?, stock - ?, stock, ?, ?, ?
+      FROM warehouse_stock WHERE product_id = ? AND variant_id = ? AND warehouse_id = ?`,
+		).bind(
+			`adj_${crypto.randomUUID()}`,
+			delta > 0 ? 'increment' : 'decrement',
+			delta,
+			delta,
+			`transfer ${transferId}`,
+			actorId || null,
+			now,
+			productId,
+			variantId,
+			warehouseId,
+		),
+	];
+}
+
+/**
+ * requested -> in_transit: the units leave the source warehouse, which must
+ * have them available (not reserved), and the product total.
+ */
+export async function shipStockTransfer(env, transfer) {
+	const { productId, variantId, fromWarehouseId, qty, now } = transfer;
+
+	return await env.DB.batch([
+		...transferStepStatements(
+			env,
+			transfer,
+			{ from: 'requested', to: 'in_transit', timestampColumn: 'shipped_at' },
+			env.DB.prepare(
+				`UPDATE warehouse_stock SET stock = stock - ?, updated_at = ?
+         WHERE product_id = ? AND variant_id = ? AND warehouse_id = ? AND (stock - reserved) >= ? AND changes() = 1`,
+			).bind(qty, now, productId, variantId, fromWarehouseId, qty),
+		),
+		...transferLedgerStatements(env, transfer, fromWarehouseId, -qty),
+	]);
+}
+
+/**
+ * in_transit -> received: the units arrive at the destination warehouse and
+ * count towards the product total again.
+ */
+export async function receiveStockTransfer(env, transfer) {
+	const { productId, variantId, toWarehouseId, qty, now } = transfer;
+
+	return await env.DB.batch([
+		ensureProductStockStatement(env, productId, variantId, now),
+		ensureWarehouseStockStatement(env, productId, variantId, toWarehouseId, now),
+		...transferStepStatements(
+			env,
+			transfer,
+			{ from: 'in_transit', to: 'received', timestampColumn: 'received_at' },
+			env.DB.prepare(
+				`UPDATE warehouse_stock SET stock = stock + ?, updated_at = ?
+         WHERE product_id = ? AND variant_id = ? AND warehouse_id = ? AND changes() = 1`,
+			).bind(qty, now, productId, variantId, toWarehouseId),
+		),
+		...transferLedgerStatements(env, transfer, toWarehouseId, qty),
+	]);
+}
+
+/**
+ * requested -> cancelled; nothing has moved yet.
+ */
+export async function cancelStockTransfer(env, transfer) {
+	return await env.DB.batch(transferStepStatements(env, transfer, { from: 'requested', to: 'cancelled' }));
+}
@@ -0,0 +1,221 @@
+/**
+ * Stock coordinator Durable Object
+ *
+ * One instance per product (idFromName(productId)) admits reservations for
+ * that product in arrival order against its own counters, so a drop on a hot
+ * product is decided in memory instead of by racing D1 writes. Admitted holds
+ * stay pending until the caller's reservation batch has written them through
+ * to D1, which remains the durable record; the coordinator reloads from D1
+ * whenever a write-through fails or stock is adjusted.
+ */
+import { Router } from 'itty-router';
+import { listVariantStock, getStockPolicy } from '../db/queries.js';
+import { formatPolicy, oversellLimit } from '../services/policy.service.js';
+import { jsonResponse, jsonError } from '../helpers/response.js';
+import { COORDINATOR_HOLD_TTL_MS } from '../config/constants.js';
+
+export class StockCoordinator {
+	constructor(state, env) {
+		this.state = state;
+		this.env = env;
+		this.router = Router();
+		this.productId = null;
+		this.variants = null; // variantId -> { stock, reserved, active }
+		this.policy = null; // backorder / pre-order policy, see policy.service.js
+		this.pending = new Map(); // reservationId -> { lines, deadline, generation }
+		this.generation = 0; // bumped on every reload from D1
+		this.loading = null;
+		this.initRouter();
+	}
+
+	async load(productId) {
+		const [rows, policy] = await Promise.all([listVariantStock(this.env, productId), getStockPolicy(this.env, productId)]);
+		const variants = new Map();
+		for (const r of rows?.results || []) {
+			variants.set(r.variant_id, { stock: r.stock || 0, reserved: r.reserved || 0, active: r.active !== 0 });
+		}
+		this.productId = productId;
+		this.variants = variants;
+		this.policy = formatPolicy(policy);
+		this.generation++;
+	}
+
+	async ensureLoaded(productId) {
+		if (this.variants) return;
+		if (!this.loading) {
+			this.loading = this.load(productId).finally(() => {
+				this.loading = null;
+			});
+		}
+		await this.loading;
+	}
+
+	pendingQty(variantId) {
+		let qty = 0;
+		for (const hold of this.pending.values()) {
+			for (const l of hold.lines) {
+				if (l.variantId === variantId) qty += l.qty;
+			}
+		}
+		return qty;
+	}
+
+	prunePending(now = Date.now()) {
+		// A hold whose caller died before confirm/cancel must not block stock forever
+		for (const [reservationId, hold] of this.pending) {
+			if (hold.deadline <= now) this.pending.delete(reservationId);
+		}
+	}
+
+	// reserve() and settle() never await, so each call sees and leaves consistent counters
+
+	reserve(reservationId, lines) {
+		this.prunePending();
+		if (this.pending.has(reservationId)) return null;
+
+		// null: an open-ended pre-order, nothing to check
+		const limit = oversellLimit(this.policy);
+
+		for (const l of lines) {
+			const v = this.variants.get(l.variantId);
+			if (!v) {
+				return { status: 404, error: 'product_not_found', productId: this.productId, variantId: l.variantId };
+			}
+			if (!v.active) {
+				return { status: 409, error: 'product_unavailable', productId: this.productId, variantId: l.variantId };
+			}
+			const available = v.stock - v.reserved - this.pendingQty(l.variantId);
+			if (limit !== null && available + limit < l.qty) {
+				return {
+					status: 409,
+					error: 'INSUFFICIENT_STOCK',
+					productId: this.productId,
+					variantId: l.variantId,
+					available: Math.max(available, 0),
+					requested: l.qty,
+				};
+			}
+		}
+
+		this.pending.set(reservationId, { lines, deadline: Date.now() + COORDINATOR_HOLD_TTL_MS, generation: this.generation });
+		return null;
+	}
+
+	async confirm(reservationId) {
+		const hold = this.pending.get(reservationId);
+		if (!hold) return false;
+		this.pending.delete(reservationId);
+
+		// A reload since the hold may or may not have seen its write, so ask D1 again
+		if (hold.generation !== this.generation) {
+			await this.load(this.productId);
+			return true;
+		}
+
+		for (const l of hold.lines) {
+			const v = this.variants.get(l.variantId);
+			if (v) v.reserved += l.qty;
+		}
+		return true;
+	}
+
+	settle(lines, committed) {
+		for (const l of lines) {
+			const v = this.variants.get(l.variantId);
+			if (!v) continue;
+			v.reserved = Math.max(v.reserved - l.qty, 0);
+			// Committed backorders take stock below zero, as in D1
+			if (committed) v.stock -= l.qty;
+		}
+	}
+
+	snapshot() {
+		const variants = [...this.variants.entries()].map(([variantId, v]) => ({
+			variantId,
+			stock: v.stock,
+			reserved: v.reserved,
+			pending: this.pendingQty(variantId),
+			active: v.active,
+		}));
+		return { productId: this.productId, variants, policy: this.policy, pendingReservations: this.pending.size };
+	}
+
+	initRouter() {
+		const withProduct = (handler) => async (req) => {
+			const body = await req.json().catch(() => ({}));
+			if (!body.productId) return jsonError({ error: 'missing_productId' }, 400);
+			await this.ensureLoaded(body.productId);
+			return handler(body);
+		};
+
+		// Admit a hold on lines [{ variantId, qty }] for this product
+		this.router.post(
+			'/reserve',
+			withProduct(({ reservationId, lines }) => {
+				const rejected = this.reserve(reservationId, lines || []);
+				if (rejected) {
+					const { status, ...body } = rejected;
+					return jsonError(body, status);
+				}
+				return jsonResponse({ held: true, reservationId });
+			}),
+		);
+
+		// The hold is now in D1: count it as reserved
+		this.router.post(
+			'/confirm',
+			withProduct(async ({ reservationId }) => jsonResponse({ confirmed: await this.confirm(reservationId), reservationId })),
+		);
+
+		// The write-through failed: drop the hold and resync, D1 may know something we don't
+		this.router.post(
+			'/cancel',
+			withProduct(async ({ reservationId }) => {
+				this.pending.delete(reservationId);
+				await this.load(this.productId);
+				return jsonResponse({ cancelled: true, reservationId });
+			}),
+		);
+
+		this.router.post(
+			'/commit',
+			withProduct(({ lines }) => {
+				this.settle(lines || [], true);
+				return jsonResponse({ committed: true });
+			}),
+		);
+
+		this.router.post(
+			'/release',
+			withProduct(({ lines }) => {
+				this.settle(lines || [], false);
+				return jsonResponse({ released: true });
+			}),
+		);
+
+		// Stock changed outside a reservation (admin adjustment, deactivation)
+		this.router.post(
+			'/refresh',
+			withProduct(async ({ productId }) => {
+				await this.load(productId);
+				return jsonResponse(this.snapshot());
+			}),
+		);
+
+		this.router.post(
+			'/state',
+			withProduct(() => jsonResponse(this.snapshot())),
+		);
+
+		this.router.all('*', () => jsonError({ error: 'not_found' }, 404));
+	}
+
+	async fetch(req) {
+		try {
+			return await this.router.fetch(req);
+		} catch (e) {
+			console.error('[StockCoordinator] Error', e);
+			return jsonError({ error: 'coordinator_error', message: String(e) }, 500);
+		}
+	}
+}
@@ -1,11 +1,49 @@
 /**
  * Inventory request handlers
  */
-import { jsonResponse, jsonError } from '../helpers/response.js';
-import { requireInternalAuth } from '../middleware/auth.middleware.js';
-import { reserveInventory, rollbackReservation, commitReservation, releaseReservation } from '../services/inventory.service.js';
-import { getProductStock } from '../db/queries.js';
-import { reserveSchema, commitSchema, releaseSchema, productStockSchema } from '../validators/inventory.validator.js';
+import { jsonResponse, jsonError, corsHeaders } from '../helpers/response.js';
+import { requireInternalAuth, extractUserContext } from '../middleware/auth.middleware.js';
+import {
+	reserveInventory,
+	commitReservation,
+	releaseReservation,
+	expireStaleReservations,
+	getStockSummary,
+	getStockBatch,
+	getReservationDetails,
+	findReservations,
+	extendReservation,
+} from '../services/inventory.service.js';
+import { adjustStock } from '../services/adjustment.service.js';
+import { setStockPolicy } from '../services/policy.service.js';
+import { setReorderPoint, listLowStock, formatAlert } from '../services/alert.service.js';
+import { readImportRows, importStock, exportStockStream } from '../services/bulk.service.js';
+import { reconcileReserved } from '../services/reconcile.service.js';
+import { restockReservation } from '../services/restock.service.js';
+import { requestTransfer, getTransferDetails, findTransfers, advanceTransfer } from '../services/transfer.service.js';
+import { refreshCoordinator, getCoordinatorState } from '../services/coordinator.service.js';
+import { deactivateProductStock, listStockAdjustments, listStockAlerts } from '../db/queries.js';
+import {
+	reserveSchema,
+	commitSchema,
+	releaseSchema,
+	restockSchema,
+	productStockSchema,
+	stockBatchSchema,
+	adminUpdateSchema,
+	adjustmentsQuerySchema,
+	stockPolicySchema,
+	reorderPointSchema,
+	lowStockQuerySchema,
+	alertsQuerySchema,
+	exportQuerySchema,
+	reconcileSchema,
+	transferSchema,
+	transfersQuerySchema,
+	reservationsQuerySchema,
+	extendReservationSchema,
+} from '../validators/inventory.validator.js';
+import { TRANSFER_ACTIONS } from '../config/constants.js';
 
 /**
  * Validate request body against Joi schema
@@ -40,40 +78,43 @@ export async function reserveHandler(req, env) {
 		return jsonError({ error: 'validation_error', details: validation.error }, 400);
 	}
 
-	const { reservationId, cartId, userId, items, ttl } = validation.value;
+	const { reservationId, cartId, userId, items, ttl, shippingZone } = validation.value;
 
-	console.log('[INVENTORY.RESERVE] Request:', { reservationId, userId, itemCount: items.length });
+	console.log('[INVENTORY.RESERVE] Request:', { reservationId, userId, itemCount: items.length, shippingZone });
 
 	try {
-		const result = await reserveInventory(env, reservationId, userId, cartId, items, ttl);
+		const result = await reserveInventory(env, reservationId, userId, cartId, items, ttl, shippingZone || null);
 		console.log(`[INVENTORY.RESERVE] Reservation created: ${reservationId}`);
 		return jsonResponse(result);
 	} catch (err) {
-		console.error('[INVENTORY.RESERVE] Error, rolling back', err);
-
-		// Extract applied items and locked items from error context
-		const applied = (err && err.applied) || [];
-		const locked = (err && err.locked) || [];
-
-		await rollbackReservation(env, applied, locked);
+		// Nothing to roll back: the reservation batch either applied fully or not at all
+		console.error('[INVENTORY.RESERVE] Error', err);
 
 		if (err && typeof err === 'object') {
+			if (err.error === 'invalid_item') {
+				return jsonError({ error: 'invalid_item', productId: err.productId }, 400);
+			}
 			if (err.error === 'INSUFFICIENT_STOCK') {
 				return jsonError(
 					{
 						error: 'INSUFFICIENT_STOCK',
 						productId: err.productId,
+						variantId: err.variantId,
 						available: err.available,
 						requested: err.requested,
+						backorderable: err.backorderable,
 					},
 					409,
 				);
 			}
 			if (err.error === 'product_not_found') {
-				return jsonError({ error: 'product_not_found', productId: err.productId }, 404);
+				return jsonError({ error: 'product_not_found', productId: err.productId, variantId: err.variantId }, 404);
 			}
-			if (err.error === 'locked') {
-				return jsonError({ error: 'product_locked', message: err.message || 'locked' }, 409);
+			if (err.error === 'product_unavailable') {
+				return jsonError({ error: 'product_unavailable', productId: err.productId, variantId: err.variantId }, 409);
+			}
+			if (err.error === 'reservation_exists') {
+				return jsonError({ error: 'reservation_exists', reservationId: err.reservationId }, 409);
 			}
 		}
 
@@ -153,6 +194,130 @@ export async function releaseHandler(req, env) {
 	}
 }
 
+/**
+ * POST /inventory/restock - Return committed units after a cancellation or return
+ *
+ * Without items, everything not yet restocked comes back in `condition`.
+ * restockId makes a repeated call a no-op that returns the original
+ * restock; it is required with items and defaults to one per reservation
+ * without.
+ */
+export async function restockHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const validation = await validateBody(restockSchema)(req);
+	if (validation.error) {
+		return jsonError({ error: 'validation_error', details: validation.error }, 400);
+	}
+
+	const actorId = extractUserContext(req)?.userId || null;
+	console.log('[INVENTORY.RESTOCK] Request:', { ...validation.value, actorId });
+
+	try {
+		const result = await restockReservation(env, { ...validation.value, actorId });
+		console.log('[INVENTORY.RESTOCK] Completed', { restockId: result.restockId, duplicate: result.duplicate });
+		return jsonResponse(result);
+	} catch (e) {
+		console.error('[INVENTORY.RESTOCK] Error', e);
+		if (e.error === 'not_found') {
+			return jsonError({ error: 'not_found' }, 404);
+		}
+		if (e.error === 'restock_id_required') {
+			return jsonError({ error: 'restock_id_required' }, 400);
+		}
+		if (e.error === 'unknown_line') {
+			return jsonError({ error: 'unknown_line', productId: e.productId, variantId: e.variantId }, 400);
+		}
+		if (['not_committed', 'exceeds_committed', 'nothing_to_restock', 'restock_id_conflict', 'restock_conflict'].includes(e.error)) {
+			const { error, ...details } = e;
+			return jsonError({ error, ...details }, 409);
+		}
+		return jsonError({ error: 'restock_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * GET /inventory/reservations/:id - Reservation status, items and expiry
+ */
+export async function getReservationHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	try {
+		const reservation = await getReservationDetails(env, req.params.id);
+		return jsonResponse(reservation);
+	} catch (e) {
+		if (e.error === 'not_found') {
+			return jsonError({ error: 'not_found' }, 404);
+		}
+		console.error('[INVENTORY.RESERVATION] Error', e);
+		return jsonError({ error: 'reservation_query_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * GET /inventory/reservations?userId=&cartId=&status= - List reservations
+ */
+export async function listReservationsHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const url = new URL(req.url);
+	const { error, value } = reservationsQuerySchema.validate({
+		userId: url.searchParams.get('userId') || undefined,
+		cartId: url.searchParams.get('cartId') || undefined,
+		status: url.searchParams.get('status') || undefined,
+		limit: url.searchParams.get('limit') || undefined,
+	});
+	if (error) {
+		return jsonError({ error: 'validation_error', details: error.details[0].message }, 400);
+	}
+
+	const { limit, ...filters } = value;
+
+	try {
+		const reservations = await findReservations(env, filters, limit);
+		return jsonResponse({ reservations });
+	} catch (e) {
+		console.error('[INVENTORY.RESERVATION] List error', e);
+		return jsonError({ error: 'reservation_query_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * POST /inventory/reservations/:id/extend - Push out a live reservation's expiry
+ */
+export async function extendReservationHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const validation = await validateBody(extendReservationSchema)(req);
+	if (validation.error) {
+		return jsonError({ error: 'validation_error', details: validation.error }, 400);
+	}
+
+	const reservationId = req.params.id;
+
+	try {
+		const result = await extendReservation(env, reservationId, validation.value.ttl);
+		console.log(`[INVENTORY.EXTEND] Reservation ${reservationId} now expires at ${result.expiresAt}`);
+		return jsonResponse(result);
+	} catch (e) {
+		console.error('[INVENTORY.EXTEND] Error', e);
+		if (e.error === 'not_found') {
+			return jsonError({ error: 'not_found' }, 404);
+		}
+		if (e.error === 'not_active') {
+			return jsonError({ error: 'not_active', status: e.status }, 409);
+		}
+		if (e.error === 'reservation_expired') {
+			return jsonError({ error: 'reservation_expired', expiresAt: e.expiresAt }, 409);
+		}
+		return jsonError({ error: 'extend_failed', message: String(e) }, 500);
+	}
+}
+
 /**
  * POST /inventory/product-stock - Get product stock
  */
@@ -167,71 +332,482 @@ export async function getProductStockHandler(req, env) {
 
 	const { productId } = validation.value;
 
-	const row = await getProductStock(env, productId);
+	// Totals across variants plus one entry per variant; unknown products report zero
+	const summary = await getStockSummary(env, productId);
+	return jsonResponse(summary);
+}
+
+/**
+ * POST /inventory/stock-batch - Stock for many products/variants at once
+ */
+export async function getStockBatchHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const validation = await validateBody(stockBatchSchema)(req);
+	if (validation.error) {
+		return jsonError({ error: 'validation_error', details: validation.error }, 400);
+	}
+
+	try {
+		const products = await getStockBatch(env, validation.value.items);
+		return jsonResponse({ products });
+	} catch (e) {
+		console.error('[INVENTORY.STOCK_BATCH] Error', e);
+		return jsonError({ error: 'stock_query_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * POST /inventory/product-deactivate - Stop selling an archived product
+ */
+export async function deactivateProductHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const validation = await validateBody(productStockSchema)(req);
+	if (validation.error) {
+		return jsonError({ error: 'validation_error', details: validation.error }, 400);
+	}
+
+	const { productId } = validation.value;
+
+	try {
+		await deactivateProductStock(env, productId);
+		await refreshCoordinator(env, productId);
+		console.log(`[INVENTORY.DEACTIVATE] Product deactivated: ${productId}`);
+		return jsonResponse({ productId, deactivated: true });
+	} catch (e) {
+		console.error('[INVENTORY.DEACTIVATE] Error', e);
+		return jsonError({ error: 'deactivate_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * POST /inventory/admin/update - Set, increment or decrement stock
+ */
+export async function adminUpdateHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
 
-	if (!row) {
-		return jsonResponse({ productId, stock: 0, reserved: 0 });
+	const validation = await validateBody(adminUpdateSchema)(req);
+	if (validation.error) {
+		return jsonError({ error: 'validation_error', details: validation.error }, 400);
 	}
 
-	return jsonResponse({
-		productId: row.product_id,
-		stock: row.stock || 0,
-		reserved: row.reserved || 0,
+	const actorId = extractUserContext(req)?.userId || null;
+
+	console.log('[INVENTORY.ADMIN_UPDATE] Request:', { ...validation.value, actorId });
+
+	try {
+		const result = await adjustStock(env, { ...validation.value, actorId });
+		console.log(`[INVENTORY.ADMIN_UPDATE] Adjustment recorded: ${result.adjustmentId}`);
+		return jsonResponse(result);
+	} catch (e) {
+		console.error('[INVENTORY.ADMIN_UPDATE] Error', e);
+		if (e.error === 'product_not_found') {
+			return jsonError({ error: 'product_not_found', productId: e.productId, warehouseId: e.warehouseId }, 404);
+		}
+		if (e.error === 'negative_stock') {
+			return jsonError({ error: 'negative_stock', stock: e.stock, requested: e.requested }, 409);
+		}
+		if (e.error === 'below_reserved') {
+			return jsonError({ error: 'below_reserved', reserved: e.reserved, stockAfter: e.stockAfter }, 409);
+		}
+		if (e.error === 'stock_conflict') {
+			return jsonError({ error: 'stock_conflict', message: 'stock changed during update, retry' }, 409);
+		}
+		return jsonError({ error: 'update_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * POST /inventory/admin/stock-policy - Set a product's backorder / pre-order policy
+ */
+export async function setStockPolicyHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const validation = await validateBody(stockPolicySchema)(req);
+	if (validation.error) {
+		return jsonError({ error: 'validation_error', details: validation.error }, 400);
+	}
+
+	console.log('[INVENTORY.STOCK_POLICY] Request:', validation.value);
+
+	try {
+		const result = await setStockPolicy(env, validation.value);
+		return jsonResponse(result);
+	} catch (e) {
+		console.error('[INVENTORY.STOCK_POLICY] Error', e);
+		return jsonError({ error: 'stock_policy_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * POST /inventory/admin/reorder-point - Set a product's reorder threshold and safety stock
+ */
+export async function setReorderPointHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const validation = await validateBody(reorderPointSchema)(req);
+	if (validation.error) {
+		return jsonError({ error: 'validation_error', details: validation.error }, 400);
+	}
+
+	console.log('[INVENTORY.REORDER_POINT] Request:', validation.value);
+
+	try {
+		const result = await setReorderPoint(env, validation.value);
+		return jsonResponse(result);
+	} catch (e) {
+		console.error('[INVENTORY.REORDER_POINT] Error', e);
+		return jsonError({ error: 'reorder_point_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * GET /inventory/admin/low-stock - Products under their reorder threshold
+ */
+export async function listLowStockHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const url = new URL(req.url);
+	const { error, value } = lowStockQuerySchema.validate({
+		limit: url.searchParams.get('limit') || undefined,
 	});
+	if (error) {
+		return jsonError({ error: 'validation_error', details: error.details[0].message }, 400);
+	}
+
+	try {
+		const products = await listLowStock(env, value.limit);
+		return jsonResponse({ products });
+	} catch (e) {
+		console.error('[INVENTORY.LOW_STOCK] List error', e);
+		return jsonError({ error: 'low_stock_query_failed', message: String(e) }, 500);
+	}
 }
 
 /**
- * GET /debug/product/:productId - Debug endpoint
+ * GET /inventory/admin/alerts - Low-stock alert log
  */
-export async function debugProductHandler(req, env) {
-	const productId = req.params.productId;
+export async function listAlertsHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
 
-	if (!productId) {
-		return jsonError({ error: 'missing_productId' }, 400);
+	const url = new URL(req.url);
+	const { error, value } = alertsQuerySchema.validate({
+		productId: url.searchParams.get('productId') || undefined,
+		status: url.searchParams.get('status') || undefined,
+		limit: url.searchParams.get('limit') || undefined,
+	});
+	if (error) {
+		return jsonError({ error: 'validation_error', details: error.details[0].message }, 400);
+	}
+
+	const { limit, ...filters } = value;
+
+	try {
+		const rows = await listStockAlerts(env, filters, limit);
+		return jsonResponse({ alerts: (rows.results || []).map(formatAlert) });
+	} catch (e) {
+		console.error('[INVENTORY.ALERTS] Error', e);
+		return jsonError({ error: 'alerts_query_failed', message: String(e) }, 500);
 	}
+}
+
+/**
+ * GET /inventory/admin/adjustments - List stock adjustment ledger
+ */
+export async function listAdjustmentsHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
 
-	let stockRow = null;
-	let lockValue = null;
-	let reservation = null;
+	const url = new URL(req.url);
+	const { error, value } = adjustmentsQuerySchema.validate({
+		productId: url.searchParams.get('productId') || undefined,
+		limit: url.searchParams.get('limit') || undefined,
+	});
+	if (error) {
+		return jsonError({ error: 'validation_error', details: error.details[0].message }, 400);
+	}
 
 	try {
-		stockRow = await getProductStock(env, productId);
+		const rows = await listStockAdjustments(env, value.productId, value.limit);
+		const adjustments = (rows.results || []).map((r) => ({
+			adjustmentId: r.adjustment_id,
+			productId: r.product_id,
+			variantId: r.variant_id,
+			warehouseId: r.warehouse_id,
+			operation: r.operation,
+			delta: r.delta,
+			stockBefore: r.stock_before,
+			stockAfter: r.stock_after,
+			reason: r.reason,
+			actorId: r.actor_id,
+			createdAt: r.created_at,
+		}));
+		return jsonResponse({ adjustments });
+	} catch (e) {
+		console.error('[INVENTORY.ADJUSTMENTS] Error', e);
+		return jsonError({ error: 'adjustments_query_failed', message: String(e) }, 500);
+	}
+}
 
-		if (env.INVENTORY_LOCK_KV) {
-			const key = `lock:product:${productId}`;
-			lockValue = await env.INVENTORY_LOCK_KV.get(key);
+/**
+ * POST /inventory/admin/import - Set warehouse stock from a CSV or JSON file
+ *
+ * Body is CSV text (Content-Type text/csv) with a productId,variantId,warehouse,stock
+ * header, or JSON: a rows array, { rows }, or { csv }. ?dryRun=true validates only.
+ */
+export async function importStockHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
 
-			if (lockValue && lockValue.startsWith('res-')) {
-				const reservationId = lockValue.replace('res-', '');
-				reservation = await env.DB.prepare('SELECT * FROM reservations WHERE reservation_id = ?').bind(reservationId).first();
-			}
+	const url = new URL(req.url);
+	let file;
+	try {
+		if ((req.headers.get('content-type') || '').includes('text/csv')) {
+			file = { csv: await req.text() };
+		} else {
+			const body = await req.json();
+			file = Array.isArray(body) ? { rows: body } : body || {};
 		}
-	} catch (err) {
-		return jsonError({ error: 'debug_query_failed', message: String(err) }, 500);
+	} catch {
+		return jsonError({ error: 'invalid_json' }, 400);
 	}
 
-	return jsonResponse({
-		productId,
-		stock: stockRow?.stock ?? 0,
-		reserved: stockRow?.reserved ?? 0,
-		lock: lockValue || null,
-		reservation,
+	const dryRun = url.searchParams.get('dryRun') === 'true' || file.dryRun === true;
+	const actorId = extractUserContext(req)?.userId || null;
+
+	try {
+		const rows = readImportRows(file);
+		console.log('[INVENTORY.IMPORT] Request:', { rows: rows.length, dryRun, actorId });
+
+		const report = await importStock(env, rows, { dryRun, actorId });
+		console.log('[INVENTORY.IMPORT] Completed', { ...report, results: undefined });
+		return jsonResponse(report);
+	} catch (e) {
+		console.error('[INVENTORY.IMPORT] Error', e);
+		if (e.error === 'invalid_file') {
+			return jsonError({ error: 'invalid_file', message: e.message }, 400);
+		}
+		if (e.error === 'too_many_rows') {
+			return jsonError({ error: 'too_many_rows', max: e.max, rows: e.rows }, 413);
+		}
+		return jsonError({ error: 'import_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * GET /inventory/admin/export - Stream warehouse stock as CSV or JSON
+ */
+export async function exportStockHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const url = new URL(req.url);
+	const { error, value } = exportQuerySchema.validate({
+		format: url.searchParams.get('format') || undefined,
+		warehouseId: url.searchParams.get('warehouseId') || undefined,
+	});
+	if (error) {
+		return jsonError({ error: 'validation_error', details: error.details[0].message }, 400);
+	}
+
+	const filename = `inventory-${value.warehouseId || 'all'}-${new Date().toISOString().slice(0, 10)}.${value.format}`;
+	return new Response(exportStockStream(env, value), {
+		headers: {
+			'Content-Type': value.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+			'Content-Disposition': `attachment; filename="${filename}"`,
+			...corsHeaders(),
+		},
+	});
+}
+
+/**
+ * POST /inventory/admin/expire-reservations - Run the expiry sweep on demand
+ */
+export async function expireReservationsHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	try {
+		const report = await expireStaleReservations(env);
+		console.log('[INVENTORY.SWEEP] Manual sweep completed', report);
+		return jsonResponse(report);
+	} catch (e) {
+		console.error('[INVENTORY.SWEEP] Error', e);
+		return jsonError({ error: 'sweep_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * POST /inventory/admin/reconcile - Check reserved counters against active reservations
+ *
+ * Reports drift by default; { repair: true } also sets each counter that is
+ * not mid-commit/release to its expected figure.
+ */
+export async function reconcileHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const validation = await validateBody(reconcileSchema)(req);
+	if (validation.error) {
+		return jsonError({ error: 'validation_error', details: validation.error }, 400);
+	}
+
+	console.log('[INVENTORY.RECONCILE] Request:', validation.value);
+
+	try {
+		const report = await reconcileReserved(env, validation.value);
+		console.log('[INVENTORY.RECONCILE] Completed', { ...report, drift: undefined });
+		return jsonResponse(report);
+	} catch (e) {
+		console.error('[INVENTORY.RECONCILE] Error', e);
+		return jsonError({ error: 'reconcile_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * POST /inventory/admin/transfers - Request a transfer between warehouses
+ */
+export async function createTransferHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const validation = await validateBody(transferSchema)(req);
+	if (validation.error) {
+		return jsonError({ error: 'validation_error', details: validation.error }, 400);
+	}
+
+	const actorId = extractUserContext(req)?.userId || null;
+	console.log('[INVENTORY.TRANSFER] Request:', { ...validation.value, actorId });
+
+	try {
+		const transfer = await requestTransfer(env, { ...validation.value, actorId });
+		return jsonResponse(transfer, 201);
+	} catch (e) {
+		console.error('[INVENTORY.TRANSFER] Error', e);
+		if (e.error === 'product_not_found') {
+			return jsonError({ error: 'product_not_found', productId: e.productId, warehouseId: e.warehouseId }, 404);
+		}
+		if (e.error === 'insufficient_stock') {
+			return jsonError({ error: 'insufficient_stock', warehouseId: e.warehouseId, available: e.available, requested: e.requested }, 409);
+		}
+		return jsonError({ error: 'transfer_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * GET /inventory/admin/transfers - List transfers, newest first
+ */
+export async function listTransfersHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const url = new URL(req.url);
+	const { error, value } = transfersQuerySchema.validate({
+		status: url.searchParams.get('status') || undefined,
+		productId: url.searchParams.get('productId') || undefined,
+		warehouseId: url.searchParams.get('warehouseId') || undefined,
+		limit: url.searchParams.get('limit') || undefined,
 	});
+	if (error) {
+		return jsonError({ error: 'validation_error', details: error.details[0].message }, 400);
+	}
+
+	const { limit, ...filters } = value;
+
+	try {
+		const transfers = await findTransfers(env, filters, limit);
+		return jsonResponse({ transfers });
+	} catch (e) {
+		console.error('[INVENTORY.TRANSFER] List error', e);
+		return jsonError({ error: 'transfer_query_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * GET /inventory/admin/transfers/:id - A transfer and its status history
+ */
+export async function getTransferHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	try {
+		const transfer = await getTransferDetails(env, req.params.id);
+		return jsonResponse(transfer);
+	} catch (e) {
+		if (e.error === 'not_found') {
+			return jsonError({ error: 'not_found' }, 404);
+		}
+		console.error('[INVENTORY.TRANSFER] Error', e);
+		return jsonError({ error: 'transfer_query_failed', message: String(e) }, 500);
+	}
 }
 
 /**
- * GET /debug/locks/:productId - Debug lock endpoint
+ * POST /inventory/admin/transfers/:id/:action - Ship, receive or cancel a transfer
  */
-export async function debugLockHandler(req, env) {
-	if (!env.INVENTORY_LOCK_KV) {
-		return jsonError({ error: 'KV not configured' }, 500);
+export async function advanceTransferHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const { id, action } = req.params;
+	if (!TRANSFER_ACTIONS.includes(action)) {
+		return jsonError({ error: 'not_found' }, 404);
 	}
 
+	const actorId = extractUserContext(req)?.userId || null;
+	console.log(`[INVENTORY.TRANSFER] ${action} ${id}`, { actorId });
+
 	try {
-		const key = `lock:product:${req.params.productId}`;
-		const lock = await env.INVENTORY_LOCK_KV.get(key);
-		return jsonResponse({ productId: req.params.productId, lock });
+		const transfer = await advanceTransfer(env, id, action, actorId);
+		return jsonResponse(transfer);
 	} catch (e) {
-		return jsonError({ error: 'lock_check_failed', message: String(e) }, 500);
+		console.error('[INVENTORY.TRANSFER] Error', e);
+		if (e.error === 'not_found') {
+			return jsonError({ error: 'not_found' }, 404);
+		}
+		if (e.error === 'invalid_transition') {
+			return jsonError({ error: 'invalid_transition', status: e.status, action: e.action }, 409);
+		}
+		if (e.error === 'insufficient_stock') {
+			return jsonError({ error: 'insufficient_stock', warehouseId: e.warehouseId, available: e.available, requested: e.requested }, 409);
+		}
+		return jsonError({ error: 'transfer_failed', message: String(e) }, 500);
+	}
+}
+
+/**
+ * GET /debug/product/:productId - Debug endpoint
+ */
+export async function debugProductHandler(req, env) {
+	const productId = req.params.productId;
+
+	if (!productId) {
+		return jsonError({ error: 'missing_productId' }, 400);
 	}
+
+	let summary = null;
+	let coordinator = null;
+
+	try {
+		summary = await getStockSummary(env, productId);
+		coordinator = await getCoordinatorState(env, productId);
+	} catch (err) {
+		return jsonError({ error: 'debug_query_failed', message: String(err) }, 500);
+	}
+
+	return jsonResponse({
+		productId,
+		stock: summary.stock,
+		reserved: summary.reserved,
+		variants: summary.variants,
+		coordinator,
+	});
 }
@@ -0,0 +1,72 @@
+/**
+ * Minimal CSV reading/writing (RFC 4180: comma separated, double-quoted
+ * fields, "" for a quote inside one)
+ */
+
+/**
+ * Parse CSV text into an array of rows, each an array of field strings.
+ * Blank lines are skipped.
+ */
+export function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	const endRow = () => {
+		row.push(field);
+		if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+		row = [];
+		field = '';
+	};
+
+	// A spreadsheet export may start with a byte order mark
+	const src = String(text || '').replace(/^\uFEFF/, '');
+	for (let i = 0; i < src.length; i++) {
+		const ch = src[i];
+		if (quoted) {
+			if (ch === '"' && src[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (ch === '"') {
+				quoted = false;
+			} else {
+				field += ch;
+			}
+		} else if (ch === '"') {
+			quoted = true;
+		} else if (ch === ',') {
+			row.push(field);
+			field = '';
+		} else if (ch === '\n' || ch === '\r') {
+			if (ch === '\r' && src[i + 1] === '\n') i++;
+			endRow();
+		} else {
+			field += ch;
+		}
+	}
+	if (field !== '' || row.length) endRow();
+
+	return rows;
+}
+
+/**
+ * Parse CSV with a header line into objects keyed by the header names.
+ */
+export function parseCsvRecords(text) {
+	const [header, ...rows] = parseCsv(text);
+	if (!header) return { columns: [], records: [] };
+
+	const columns = header.map((h) => h.trim());
+	const records = rows.map((fields) => Object.fromEntries(columns.map((c, i) => [c, (fields[i] ?? '').trim()])));
+	return { columns, records };
+}
+
+function csvField(value) {
+	const s = value === null || value === undefined ? '' : String(value);
+	return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsvLine(values) {
+	return `${values.map(csvField).join(',')}\n`;
+}
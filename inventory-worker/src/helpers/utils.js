@@ -6,6 +6,14 @@ export function nowSec() {
 	return Math.floor(Date.now() / 1000);
 }
 
+/**
+ * Products without real variants are stocked under a single default variant,
+ * matching the `var_<productId>` id the catalog hands to the cart.
+ */
+export function resolveVariantId(productId, variantId) {
+	return variantId || `var_${productId}`;
+}
+
 export function sleep(ms) {
 	return new Promise((r) => setTimeout(r, ms));
 }
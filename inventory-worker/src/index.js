@@ -3,6 +3,10 @@
  */
 import { Router } from 'itty-router';
 import { setupInventoryRoutes } from './routes/inventory.routes.js';
+import { expireStaleReservations } from './services/inventory.service.js';
+import { runReconciliation } from './services/reconcile.service.js';
+import { RECONCILE_CRON } from './config/constants.js';
+import { StockCoordinator } from './do/StockCoordinator.js';
 
 const router = Router();
 
@@ -11,4 +15,25 @@ setupInventoryRoutes(router);
 
 export default {
 	fetch: (req, env) => router.fetch(req, env),
+
+	// Cron triggers: hourly reserved-count reconciliation; otherwise expire
+	// reservations abandoned before commit/release
+	scheduled: (event, env, ctx) => {
+		if (event.cron === RECONCILE_CRON) {
+			ctx.waitUntil(
+				runReconciliation(env)
+					.then((report) => console.log('[INVENTORY.RECONCILE] Completed', { cron: event.cron, ...report, drift: undefined }))
+					.catch((e) => console.error('[INVENTORY.RECONCILE] Failed', e)),
+			);
+			return;
+		}
+
+		ctx.waitUntil(
+			expireStaleReservations(env)
+				.then((report) => console.log('[INVENTORY.SWEEP] Completed', { cron: event.cron, ...report }))
+				.catch((e) => console.error('[INVENTORY.SWEEP] Failed', e)),
+		);
+	},
 };
+
+export { StockCoordinator };
@@ -7,9 +7,28 @@ import {
 	reserveHandler,
 	commitHandler,
 	releaseHandler,
+	restockHandler,
+	getReservationHandler,
+	listReservationsHandler,
+	extendReservationHandler,
 	getProductStockHandler,
+	getStockBatchHandler,
+	deactivateProductHandler,
+	adminUpdateHandler,
+	listAdjustmentsHandler,
+	setStockPolicyHandler,
+	setReorderPointHandler,
+	listLowStockHandler,
+	listAlertsHandler,
+	importStockHandler,
+	exportStockHandler,
+	reconcileHandler,
+	createTransferHandler,
+	listTransfersHandler,
+	getTransferHandler,
+	advanceTransferHandler,
+	expireReservationsHandler,
 	debugProductHandler,
-	debugLockHandler,
 } from '../handlers/inventory.handler.js';
 
 export function setupInventoryRoutes(router) {
@@ -29,11 +48,32 @@ export function setupInventoryRoutes(router) {
 	router.post('/inventory/reserve', reserveHandler);
 	router.post('/inventory/commit', commitHandler);
 	router.post('/inventory/release', releaseHandler);
+	router.post('/inventory/restock', restockHandler);
+	router.get('/inventory/reservations', listReservationsHandler);
+	router.get('/inventory/reservations/:id', getReservationHandler);
+	router.post('/inventory/reservations/:id/extend', extendReservationHandler);
 	router.post('/inventory/product-stock', getProductStockHandler);
+	router.post('/inventory/stock-batch', getStockBatchHandler);
+	router.post('/inventory/product-deactivate', deactivateProductHandler);
+
+	// Admin endpoints (gateway enforces the admin role and signs the call)
+	router.post('/inventory/admin/update', adminUpdateHandler);
+	router.get('/inventory/admin/adjustments', listAdjustmentsHandler);
+	router.post('/inventory/admin/stock-policy', setStockPolicyHandler);
+	router.post('/inventory/admin/reorder-point', setReorderPointHandler);
+	router.get('/inventory/admin/low-stock', listLowStockHandler);
+	router.get('/inventory/admin/alerts', listAlertsHandler);
+	router.post('/inventory/admin/import', importStockHandler);
+	router.get('/inventory/admin/export', exportStockHandler);
+	router.post('/inventory/admin/expire-reservations', expireReservationsHandler);
+	router.post('/inventory/admin/reconcile', reconcileHandler);
+	router.post('/inventory/admin/transfers', createTransferHandler);
+	router.get('/inventory/admin/transfers', listTransfersHandler);
+	router.get('/inventory/admin/transfers/:id', getTransferHandler);
+	router.post('/inventory/admin/transfers/:id/:action', advanceTransferHandler);
 
 	// Debug endpoints
 	router.get('/debug/product/:productId', debugProductHandler);
-	router.get('/debug/locks/:productId', debugLockHandler);
 
 	// 404
 	router.all('*', (req) =>
@@ -1,20 +1,52 @@
 
 DROP TABLE IF EXISTS product_stock;
 CREATE TABLE product_stock (
-  product_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,             -- var_<product_id> for products without real variants
   stock INTEGER NOT NULL DEFAULT 0,
   reserved INTEGER NOT NULL DEFAULT 0,
-  updated_at INTEGER
+  active INTEGER NOT NULL DEFAULT 1,    -- 0 once the product is archived in the catalog
+  updated_at INTEGER,
+  PRIMARY KEY (product_id, variant_id)
 );
 
 CREATE INDEX idx_stock_updated ON product_stock(updated_at);
 
+-- Per-warehouse split of product_stock; product_stock keeps the totals.
+-- Backordered units live only in the totals: reserved there also counts
+-- backordered units of active reservations, and committed backorders drive
+-- stock below the sum over warehouses (below zero once nothing is left)
+DROP TABLE IF EXISTS warehouse_stock;
+CREATE TABLE warehouse_stock (
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  warehouse_id TEXT NOT NULL,           -- wh_mumbai, wh_delhi, wh_chennai, wh_bangalore
+  stock INTEGER NOT NULL DEFAULT 0,
+  reserved INTEGER NOT NULL DEFAULT 0,
+  updated_at INTEGER,
+  PRIMARY KEY (product_id, variant_id, warehouse_id)
+);
+
+CREATE INDEX idx_warehouse_stock_warehouse ON warehouse_stock(warehouse_id);
+
+-- What happens when a product runs out; no row means deny
+DROP TABLE IF EXISTS stock_policies;
+CREATE TABLE stock_policies (
+  product_id TEXT PRIMARY KEY,
+  policy TEXT NOT NULL DEFAULT 'deny',  -- deny, backorder, preorder
+  backorder_limit INTEGER,              -- units sellable beyond stock; NULL on preorder = no limit
+  release_date INTEGER,                 -- preorder: accepted until this time (unix seconds)
+  lead_time_days INTEGER,               -- backorder: expected days until backordered units ship
+  updated_at INTEGER
+);
+
 DROP TABLE IF EXISTS reservations;
 CREATE TABLE reservations (
   reservation_id TEXT PRIMARY KEY,
   user_id TEXT,                         -- Optional for guest checkout
   cart_id TEXT,
   items TEXT,                           -- JSON array
+  backordered INTEGER NOT NULL DEFAULT 0, -- units reserved beyond stock (backorder/preorder)
   status TEXT,                          -- active, committed, released, expired
   expires_at INTEGER,
   created_at INTEGER,
@@ -25,36 +57,183 @@ CREATE INDEX idx_reservations_user ON reservations(user_id);
 CREATE INDEX idx_reservations_status ON reservations(status);
 CREATE INDEX idx_reservations_expires ON reservations(expires_at);
 
+-- One row per reserved product/variant, written in the same batch as the
+-- conditional stock update. qty is 0 when that update matched nothing, so the
+-- CHECK fails and the whole reservation rolls back.
+DROP TABLE IF EXISTS reservation_items;
+CREATE TABLE reservation_items (
+  reservation_id TEXT NOT NULL,
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  qty INTEGER NOT NULL CHECK (qty > 0),
+  PRIMARY KEY (reservation_id, product_id, variant_id)
+);
+
+CREATE INDEX idx_reservation_items_product ON reservation_items(product_id, variant_id);
+
+-- Which warehouses ship each reservation line, guarded the same way as
+-- reservation_items against its conditional warehouse_stock update
+DROP TABLE IF EXISTS reservation_allocations;
+CREATE TABLE reservation_allocations (
+  reservation_id TEXT NOT NULL,
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  warehouse_id TEXT NOT NULL,
+  qty INTEGER NOT NULL CHECK (qty > 0),
+  PRIMARY KEY (reservation_id, product_id, variant_id, warehouse_id)
+);
+
 -- Initial stock for 30 products
-INSERT INTO product_stock (product_id, stock, reserved, updated_at)
+INSERT INTO product_stock (product_id, variant_id, stock, reserved, updated_at)
 VALUES
-  ('pro_neural_v2_001', 5, 0, strftime('%s','now')),
-  ('pro_neural_mk1_002', 8, 0, strftime('%s','now')),
-  ('pro_sony_mdr_003', 3, 0, strftime('%s','now')),
-  ('pro_akg_k240_004', 12, 0, strftime('%s','now')),
-  ('pro_apple_ii_005', 2, 0, strftime('%s','now')),
-  ('pro_commodore_64_006', 6, 0, strftime('%s','now')),
-  ('pro_gameboy_007', 4, 0, strftime('%s','now')),
-  ('pro_rabbit_r1_008', 10, 0, strftime('%s','now')),
-  ('pro_quantum_pad_009', 1, 0, strftime('%s','now')),
-  ('pro_holo_display_010', 7, 0, strftime('%s','now')),
-  ('pro_polaroid_600_011', 15, 0, strftime('%s','now')),
-  ('pro_ibm_model_m_012', 9, 0, strftime('%s','now')),
-  ('pro_atari_2600_013', 11, 0, strftime('%s','now')),
-  ('pro_ai_pet_014', 8, 0, strftime('%s','now')),
-  ('pro_hp_calc_015', 20, 0, strftime('%s','now')),
-  ('pro_cyber_glove_016', 6, 0, strftime('%s','now')),
-  ('pro_zenith_trans_017', 4, 0, strftime('%s','now')),
-  ('pro_quantum_drive_018', 2, 0, strftime('%s','now')),
-  ('pro_olivetti_019', 10, 0, strftime('%s','now')),
-  ('pro_ai_art_020', 7, 0, strftime('%s','now')),
-  ('pro_sony_walkman_021', 3, 0, strftime('%s','now')),
-  ('pro_vr_cyber_022', 5, 0, strftime('%s','now')),
-  ('pro_palm_pilot_023', 14, 0, strftime('%s','now')),
-  ('pro_quantum_watch_024', 1, 0, strftime('%s','now')),
-  ('pro_moog_synth_025', 2, 0, strftime('%s','now')),
-  ('pro_ai_trans_026', 13, 0, strftime('%s','now')),
-  ('pro_crt_monitor_027', 8, 0, strftime('%s','now')),
-  ('pro_cyber_implant_028', 1, 0, strftime('%s','now')),
-  ('pro_floppy_drive_029', 16, 0, strftime('%s','now')),
-  ('pro_ai_home_030', 12, 0, strftime('%s','now'));
+  ('pro_neural_v2_001', 'var_pro_neural_v2_001', 5, 0, strftime('%s','now')),
+  ('pro_neural_mk1_002', 'var_pro_neural_mk1_002', 8, 0, strftime('%s','now')),
+  ('pro_sony_mdr_003', 'var_pro_sony_mdr_003', 3, 0, strftime('%s','now')),
+  ('pro_akg_k240_004', 'var_pro_akg_k240_004', 12, 0, strftime('%s','now')),
+  ('pro_apple_ii_005', 'var_pro_apple_ii_005', 2, 0, strftime('%s','now')),
+  ('pro_commodore_64_006', 'var_pro_commodore_64_006', 6, 0, strftime('%s','now')),
+  ('pro_gameboy_007', 'var_pro_gameboy_007', 4, 0, strftime('%s','now')),
+  ('pro_rabbit_r1_008', 'var_pro_rabbit_r1_008', 10, 0, strftime('%s','now')),
+  ('pro_quantum_pad_009', 'var_pro_quantum_pad_009', 1, 0, strftime('%s','now')),
+  ('pro_holo_display_010', 'var_pro_holo_display_010', 7, 0, strftime('%s','now')),
+  ('pro_polaroid_600_011', 'var_pro_polaroid_600_011', 15, 0, strftime('%s','now')),
+  ('pro_ibm_model_m_012', 'var_pro_ibm_model_m_012', 9, 0, strftime('%s','now')),
+  ('pro_atari_2600_013', 'var_pro_atari_2600_013', 11, 0, strftime('%s','now')),
+  ('pro_ai_pet_014', 'var_pro_ai_pet_014', 8, 0, strftime('%s','now')),
+  ('pro_hp_calc_015', 'var_pro_hp_calc_015', 20, 0, strftime('%s','now')),
+  ('pro_cyber_glove_016', 'var_pro_cyber_glove_016', 6, 0, strftime('%s','now')),
+  ('pro_zenith_trans_017', 'var_pro_zenith_trans_017', 4, 0, strftime('%s','now')),
+  ('pro_quantum_drive_018', 'var_pro_quantum_drive_018', 2, 0, strftime('%s','now')),
+  ('pro_olivetti_019', 'var_pro_olivetti_019', 10, 0, strftime('%s','now')),
+  ('pro_ai_art_020', 'var_pro_ai_art_020', 7, 0, strftime('%s','now')),
+  ('pro_sony_walkman_021', 'var_pro_sony_walkman_021', 3, 0, strftime('%s','now')),
+  ('pro_vr_cyber_022', 'var_pro_vr_cyber_022', 5, 0, strftime('%s','now')),
+  ('pro_palm_pilot_023', 'var_pro_palm_pilot_023', 14, 0, strftime('%s','now')),
+  ('pro_quantum_watch_024', 'var_pro_quantum_watch_024', 1, 0, strftime('%s','now')),
+  ('pro_moog_synth_025', 'var_pro_moog_synth_025', 2, 0, strftime('%s','now')),
+  ('pro_ai_trans_026', 'var_pro_ai_trans_026', 13, 0, strftime('%s','now')),
+  ('pro_crt_monitor_027', 'var_pro_crt_monitor_027', 8, 0, strftime('%s','now')),
+  ('pro_cyber_implant_028', 'var_pro_cyber_implant_028', 1, 0, strftime('%s','now')),
+  ('pro_floppy_drive_029', 'var_pro_floppy_drive_029', 16, 0, strftime('%s','now')),
+  ('pro_ai_home_030', 'var_pro_ai_home_030', 12, 0, strftime('%s','now'));
+
+-- All initial stock sits in the Mumbai warehouse
+INSERT INTO warehouse_stock (product_id, variant_id, warehouse_id, stock, reserved, updated_at)
+SELECT product_id, variant_id, 'wh_mumbai', stock, reserved, updated_at FROM product_stock;
+
+DROP TABLE IF EXISTS stock_adjustments;
+CREATE TABLE stock_adjustments (
+  adjustment_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  warehouse_id TEXT,
+  operation TEXT NOT NULL,              -- set, increment, decrement
+  delta INTEGER NOT NULL,               -- stock_after - stock_before
+  stock_before INTEGER NOT NULL,        -- warehouse stock before/after the change
+  stock_after INTEGER NOT NULL,
+  reason TEXT,
+  actor_id TEXT,                        -- Admin user who made the change
+  created_at INTEGER
+);
+
+CREATE INDEX idx_adjustments_product ON stock_adjustments(product_id, created_at);
+
+-- Reorder point per product: alert when available stock (stock - reserved,
+-- all variants) falls below reorder_threshold; at or below safety_stock the
+-- alert is critical
+DROP TABLE IF EXISTS reorder_points;
+CREATE TABLE reorder_points (
+  product_id TEXT PRIMARY KEY,
+  reorder_threshold INTEGER NOT NULL CHECK (reorder_threshold >= 0),
+  safety_stock INTEGER NOT NULL DEFAULT 0 CHECK (safety_stock >= 0),
+  updated_at INTEGER
+);
+
+-- Low-stock alert log. At most one open alert per product; it is resolved
+-- once available stock is back at the threshold.
+DROP TABLE IF EXISTS stock_alerts;
+CREATE TABLE stock_alerts (
+  alert_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  severity TEXT NOT NULL,               -- low, critical
+  available INTEGER NOT NULL,           -- when raised
+  reorder_threshold INTEGER NOT NULL,
+  safety_stock INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',  -- open, resolved
+  created_at INTEGER NOT NULL,
+  resolved_at INTEGER
+);
+
+CREATE UNIQUE INDEX idx_stock_alerts_open ON stock_alerts(product_id) WHERE status = 'open';
+CREATE INDEX idx_stock_alerts_created ON stock_alerts(created_at);
+
+-- Committed stock put back after a cancellation or return. restock_id is the
+-- caller's idempotency key, so repeating a restock hits the primary key and
+-- the whole batch rolls back.
+DROP TABLE IF EXISTS restocks;
+CREATE TABLE restocks (
+  restock_id TEXT PRIMARY KEY,
+  reservation_id TEXT NOT NULL,
+  order_id TEXT,
+  reason TEXT NOT NULL,                 -- cancellation, return
+  items TEXT NOT NULL,                  -- JSON array of the restock_items rows
+  sellable INTEGER NOT NULL,            -- units back in stock
+  damaged INTEGER NOT NULL,             -- units received but written off
+  actor_id TEXT,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_restocks_reservation ON restocks(reservation_id);
+
+-- Units restocked per reservation line. qty is 0 when the line would pass
+-- its committed quantity, so the CHECK fails and the restock rolls back.
+-- warehouse_id is NULL for backordered units, which never left a warehouse.
+DROP TABLE IF EXISTS restock_items;
+CREATE TABLE restock_items (
+  restock_id TEXT NOT NULL,
+  reservation_id TEXT NOT NULL,
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  warehouse_id TEXT,
+  condition TEXT NOT NULL,              -- sellable, damaged
+  qty INTEGER NOT NULL CHECK (qty > 0)
+);
+
+CREATE INDEX idx_restock_items_line ON restock_items(reservation_id, product_id, variant_id);
+
+-- Units moved between warehouses. Stock leaves the source when the transfer
+-- ships and reaches the destination when it is received; in between it is
+-- counted nowhere, so neither warehouse can sell it.
+DROP TABLE IF EXISTS stock_transfers;
+CREATE TABLE stock_transfers (
+  transfer_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  variant_id TEXT NOT NULL,
+  from_warehouse_id TEXT NOT NULL,
+  to_warehouse_id TEXT NOT NULL,
+  qty INTEGER NOT NULL CHECK (qty > 0),
+  status TEXT NOT NULL DEFAULT 'requested', -- requested, in_transit, received, cancelled
+  note TEXT,
+  requested_by TEXT,
+  created_at INTEGER NOT NULL,
+  shipped_at INTEGER,
+  received_at INTEGER,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_stock_transfers_status ON stock_transfers(status, created_at);
+CREATE INDEX idx_stock_transfers_product ON stock_transfers(product_id, created_at);
+
+-- One row per transfer status change. Written after the guarded stock update
+-- of the step with qty 0 when that update matched nothing, so the CHECK fails
+-- and the step rolls back.
+DROP TABLE IF EXISTS stock_transfer_events;
+CREATE TABLE stock_transfer_events (
+  transfer_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  qty INTEGER NOT NULL CHECK (qty > 0),
+  actor_id TEXT,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_stock_transfer_events_transfer ON stock_transfer_events(transfer_id, created_at);
@@ -1,4 +1,14 @@
-INSERT INTO product_stock (product_id, stock, reserved, updated_at) VALUES
-('pro_001', 50, 0, strftime('%s','now')),
-('pro_002', 100, 0, strftime('%s','now')),
-('pro_003', 75, 0, strftime('%s','now'));
\ No newline at end of file
+-- Local development stock. Real stock is loaded with POST /inventory/admin/import
+-- (CSV: productId,variantId,warehouse,stock) and read back with GET /inventory/admin/export.
+
+INSERT INTO product_stock (product_id, variant_id, stock, reserved, updated_at) VALUES
+('pro_001', 'var_pro_001', 50, 0, strftime('%s','now')),
+('pro_002', 'var_pro_002', 100, 0, strftime('%s','now')),
+('pro_003', 'var_pro_003', 75, 0, strftime('%s','now'));
+
+INSERT INTO warehouse_stock (product_id, variant_id, warehouse_id, stock, reserved, updated_at) VALUES
+('pro_001', 'var_pro_001', 'wh_mumbai', 30, 0, strftime('%s','now')),
+('pro_001', 'var_pro_001', 'wh_delhi', 20, 0, strftime('%s','now')),
+('pro_002', 'var_pro_002', 'wh_mumbai', 40, 0, strftime('%s','now')),
+('pro_002', 'var_pro_002', 'wh_bangalore', 60, 0, strftime('%s','now')),
+('pro_003', 'var_pro_003', 'wh_chennai', 75, 0, strftime('%s','now'));
@@ -0,0 +1,87 @@
+/**
+ * Admin stock adjustment service
+ */
+import { getWarehouseStock, ensureProductStock, ensureWarehouseStock, applyStockAdjustment } from '../db/queries.js';
+import { refreshCoordinator } from './coordinator.service.js';
+import { checkStockLevelsSafely } from './alert.service.js';
+import { nowSec, resolveVariantId } from '../helpers/utils.js';
+import { DEFAULT_WAREHOUSE_ID } from '../config/constants.js';
+
+function computeStockAfter(operation, stockBefore, quantity) {
+	if (operation === 'set') return quantity;
+	if (operation === 'increment') return stockBefore + quantity;
+	return stockBefore - quantity;
+}
+
+/**
+ * Adjust one warehouse's stock for a variant; the product total moves by the
+ * same delta. stockBefore/stockAfter and reserved are the warehouse's.
+ */
+export async function adjustStock(
+	env,
+	{ productId, variantId: requestedVariantId, warehouseId: requestedWarehouseId, operation, quantity, reason, actorId },
+) {
+	const now = nowSec();
+	const variantId = resolveVariantId(productId, requestedVariantId);
+	const warehouseId = requestedWarehouseId || DEFAULT_WAREHOUSE_ID;
+
+	// Restocking a product or warehouse inventory has never seen creates its rows
+	if (operation !== 'decrement') {
+		await ensureProductStock(env, productId, variantId, now);
+		await ensureWarehouseStock(env, productId, variantId, warehouseId, now);
+	}
+
+	const row = await getWarehouseStock(env, productId, variantId, warehouseId);
+	if (!row) {
+		throw { error: 'product_not_found', productId, variantId, warehouseId };
+	}
+
+	const stockBefore = row.stock || 0;
+	const reserved = row.reserved || 0;
+	const stockAfter = computeStockAfter(operation, stockBefore, quantity);
+
+	if (stockAfter < 0) {
+		throw { error: 'negative_stock', productId, stock: stockBefore, requested: quantity };
+	}
+	if (stockAfter < reserved) {
+		throw { error: 'below_reserved', productId, reserved, stockAfter };
+	}
+
+	const adjustmentId = `adj_${crypto.randomUUID()}`;
+	const upd = await applyStockAdjustment(env, {
+		adjustmentId,
+		productId,
+		variantId,
+		warehouseId,
+		operation,
+		stockBefore,
+		stockAfter,
+		reason,
+		actorId,
+		now,
+	});
+	const changes = upd.meta?.changes || upd.changes || 0;
+
+	if (!upd.success || changes === 0) {
+		// Stock or reserved moved between our read and the write
+		throw { error: 'stock_conflict', productId };
+	}
+
+	await refreshCoordinator(env, productId);
+	await checkStockLevelsSafely(env, [productId]);
+
+	return {
+		adjustmentId,
+		productId,
+		variantId,
+		warehouseId,
+		operation,
+		delta: stockAfter - stockBefore,
+		stockBefore,
+		stockAfter,
+		reserved,
+		available: stockAfter - reserved,
+		actorId: actorId || null,
+		createdAt: now,
+	};
+}
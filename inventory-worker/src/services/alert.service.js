@@ -0,0 +1,147 @@
+/**
+ * Reorder points and low-stock alerts
+ *
+ * Each product may have a reorder threshold and a safety stock. After stock
+ * goes down (a commit or an admin decrement) the products involved are
+ * checked; one falling below its threshold gets an open alert in the
+ * stock_alerts log and is sent to the configured notifier. The alert stays
+ * open, so nothing is sent again, until stock is back at the threshold.
+ */
+import {
+	listReorderPoints,
+	upsertReorderPoint,
+	listStockForProducts,
+	listProductsBelowReorderPoint,
+	insertStockAlert,
+	resolveStockAlert,
+} from '../db/queries.js';
+import { nowSec } from '../helpers/utils.js';
+
+function formatReorderPoint(row) {
+	return {
+		productId: row.product_id,
+		reorderThreshold: row.reorder_threshold,
+		safetyStock: row.safety_stock,
+	};
+}
+
+/**
+ * 'critical' at or below safety stock, 'low' below the threshold, else null.
+ */
+export function alertSeverity(available, { reorderThreshold, safetyStock }) {
+	if (available >= reorderThreshold) return null;
+	return available <= safetyStock ? 'critical' : 'low';
+}
+
+export function formatAlert(row) {
+	return {
+		alertId: row.alert_id,
+		productId: row.product_id,
+		severity: row.severity,
+		available: row.available,
+		reorderThreshold: row.reorder_threshold,
+		safetyStock: row.safety_stock,
+		status: row.status,
+		createdAt: row.created_at,
+		resolvedAt: row.resolved_at ?? null,
+	};
+}
+
+export async function setReorderPoint(env, { productId, reorderThreshold, safetyStock = 0 }) {
+	const now = nowSec();
+	await upsertReorderPoint(env, { productId, reorderThreshold, safetyStock, now });
+	const [alert] = await checkStockLevels(env, [productId]);
+	return { productId, reorderThreshold, safetyStock, updatedAt: now, alert: alert || null };
+}
+
+/**
+ * Products currently under their reorder threshold, furthest below first.
+ */
+export async function listLowStock(env, limit) {
+	const rows = await listProductsBelowReorderPoint(env, limit);
+	return (rows.results || []).map((r) => {
+		const point = formatReorderPoint(r);
+		return {
+			...point,
+			stock: r.stock,
+			reserved: r.reserved,
+			available: r.available,
+			shortfall: point.reorderThreshold - r.available,
+			severity: alertSeverity(r.available, point),
+		};
+	});
+}
+
+/**
+ * Deliver a newly raised alert. The D1 log is the record; a webhook
+ * (STOCK_ALERT_WEBHOOK_URL) is optional and its failures are only logged.
+ */
+async function notifyLowStock(env, alert) {
+	console.warn('[INVENTORY.LOW_STOCK]', alert);
+	if (!env.STOCK_ALERT_WEBHOOK_URL) return;
+
+	try {
+		const res = await fetch(env.STOCK_ALERT_WEBHOOK_URL, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ type: 'inventory.low_stock', alert }),
+		});
+		if (!res.ok) console.error('[INVENTORY.LOW_STOCK] Webhook failed', res.status);
+	} catch (e) {
+		console.error('[INVENTORY.LOW_STOCK] Webhook error', e);
+	}
+}
+
+/**
+ * Compare available stock with the reorder point of each product that has
+ * one, raising or resolving alerts. Returns the alerts newly raised.
+ */
+export async function checkStockLevels(env, productIds) {
+	const points = (await listReorderPoints(env, [...new Set(productIds)])).map(formatReorderPoint);
+	if (!points.length) return [];
+
+	const watched = points.map((p) => p.productId);
+	const rows = await listStockForProducts(env, watched);
+	const available = new Map();
+	for (const r of rows) {
+		if (!r.active) continue;
+		available.set(r.product_id, (available.get(r.product_id) || 0) + (r.stock || 0) - (r.reserved || 0));
+	}
+
+	const now = nowSec();
+	const raised = [];
+	for (const point of points) {
+		// Deactivated or never-stocked products are not reordered
+		if (!available.has(point.productId)) continue;
+		const units = available.get(point.productId);
+		const severity = alertSeverity(units, point);
+
+		if (!severity) {
+			await resolveStockAlert(env, point.productId, now);
+			continue;
+		}
+
+		const alert = { alertId: `alert_${crypto.randomUUID()}`, ...point, severity, available: units };
+		const ins = await insertStockAlert(env, { ...alert, now });
+		// The product already has an open alert
+		if ((ins.meta?.changes || ins.changes || 0) === 0) continue;
+
+		const opened = { ...alert, status: 'open', createdAt: now };
+		await notifyLowStock(env, opened);
+		raised.push(opened);
+	}
+	return raised;
+}
+
+/**
+ * checkStockLevels for callers whose own write already succeeded: a failed
+ * check is logged, never thrown.
+ */
+export async function checkStockLevelsSafely(env, productIds) {
+	try {
+		return await checkStockLevels(env, productIds);
+	} catch (e) {
+		console.error('[INVENTORY.LOW_STOCK] Check failed', e);
+		return [];
+	}
+}
@@ -0,0 +1,208 @@
+/**
+ * Bulk stock import and export
+ *
+ * An import sets warehouse stock to the counted figure from a WMS file, one
+ * row per productId/variantId/warehouse. Every row is validated and reported
+ * on; valid rows are applied in D1 batches as ordinary adjustments, so each
+ * lands in the stock_adjustments ledger and moves the product total with it.
+ */
+import { listWarehouseStockForProducts, applyStockAdjustments, listWarehouseStockPage } from '../db/queries.js';
+import { refreshCoordinator } from './coordinator.service.js';
+import { checkStockLevelsSafely } from './alert.service.js';
+import { warehouseIdForCode } from './warehouse.service.js';
+import { importRowSchema } from '../validators/inventory.validator.js';
+import { parseCsvRecords, toCsvLine } from '../helpers/csv.js';
+import { nowSec, resolveVariantId } from '../helpers/utils.js';
+import { IMPORT_MAX_ROWS, IMPORT_BATCH_SIZE, EXPORT_PAGE_SIZE } from '../config/constants.js';
+
+const IMPORT_COLUMNS = ['productId', 'warehouse', 'stock'];
+const EXPORT_COLUMNS = ['productId', 'variantId', 'warehouse', 'stock', 'reserved', 'available'];
+
+/**
+ * Rows of an import file: CSV text with a header line, or already-parsed
+ * JSON rows. Throws { error: 'invalid_file' } when it cannot be read as rows.
+ */
+export function readImportRows({ csv, rows }) {
+	if (Array.isArray(rows)) return rows;
+
+	if (typeof csv === 'string') {
+		const { columns, records } = parseCsvRecords(csv);
+		const missing = IMPORT_COLUMNS.filter((c) => !columns.includes(c));
+		if (missing.length) {
+			throw { error: 'invalid_file', message: `missing column(s): ${missing.join(', ')}` };
+		}
+		return records;
+	}
+
+	throw { error: 'invalid_file', message: 'expected CSV text or a rows array' };
+}
+
+/**
+ * Validate rows into import lines, or an error per row. Rows are numbered
+ * from 1 in file order; a later row for the same variant and warehouse is
+ * rejected rather than silently winning.
+ */
+function validateRows(rows) {
+	const seen = new Map();
+	return rows.map((raw, i) => {
+		const row = i + 1;
+		const { error, value } = importRowSchema.validate(raw ?? {}, { abortEarly: false });
+		if (error) {
+			return { row, status: 'invalid', errors: error.details.map((d) => d.message) };
+		}
+
+		const line = {
+			row,
+			productId: value.productId,
+			variantId: resolveVariantId(value.productId, value.variantId),
+			warehouseId: warehouseIdForCode(value.warehouse),
+			stock: value.stock,
+		};
+		const key = `${line.productId}:${line.variantId}:${line.warehouseId}`;
+		if (seen.has(key)) {
+			return { row, status: 'invalid', errors: [`duplicate of row ${seen.get(key)}`] };
+		}
+		seen.set(key, row);
+		return line;
+	});
+}
+
+async function importBatch(env, lines, { dryRun, actorId, now }) {
+	const rows = await listWarehouseStockForProducts(env, [...new Set(lines.map((l) => l.productId))]);
+	const current = new Map(rows.map((r) => [`${r.product_id}:${r.variant_id}:${r.warehouse_id}`, r]));
+
+	const results = new Map();
+	const pending = [];
+	for (const l of lines) {
+		const existing = current.get(`${l.productId}:${l.variantId}:${l.warehouseId}`);
+		const reserved = existing?.reserved || 0;
+		const result = {
+			row: l.row,
+			productId: l.productId,
+			variantId: l.variantId,
+			warehouseId: l.warehouseId,
+			stockBefore: existing?.stock || 0,
+			stockAfter: l.stock,
+		};
+
+		if (l.stock < reserved) {
+			results.set(l.row, { ...result, status: 'failed', error: 'below_reserved', reserved });
+		} else if (existing && l.stock === result.stockBefore) {
+			results.set(l.row, { ...result, status: 'unchanged' });
+		} else if (dryRun) {
+			results.set(l.row, { ...result, status: 'valid' });
+		} else {
+			const adjustmentId = `adj_${crypto.randomUUID()}`;
+			pending.push({ ...result, adjustmentId, operation: 'set', reason: 'import', actorId, create: !existing, now });
+			results.set(l.row, { ...result, status: 'updated', adjustmentId });
+		}
+	}
+
+	if (pending.length) {
+		const updates = await applyStockAdjustments(env, pending);
+		pending.forEach((a, i) => {
+			// Stock or reserved moved since the read; this row wrote nothing
+			if ((updates[i]?.meta?.changes || updates[i]?.changes || 0) === 0) {
+				const { adjustmentId, ...result } = results.get(a.row);
+				results.set(a.row, { ...result, status: 'failed', error: 'stock_conflict' });
+			}
+		});
+	}
+
+	return lines.map((l) => results.get(l.row));
+}
+
+/**
+ * Validate and apply an import. With dryRun nothing is written and valid
+ * rows report what they would change.
+ */
+export async function importStock(env, rows, { dryRun = false, actorId = null } = {}) {
+	if (rows.length > IMPORT_MAX_ROWS) {
+		throw { error: 'too_many_rows', max: IMPORT_MAX_ROWS, rows: rows.length };
+	}
+
+	const now = nowSec();
+	const checked = validateRows(rows);
+	const lines = checked.filter((c) => !c.status);
+
+	const applied = new Map();
+	for (let i = 0; i < lines.length; i += IMPORT_BATCH_SIZE) {
+		for (const result of await importBatch(env, lines.slice(i, i + IMPORT_BATCH_SIZE), { dryRun, actorId, now })) {
+			applied.set(result.row, result);
+		}
+	}
+
+	const results = checked.map((c) => (c.status ? c : applied.get(c.row)));
+
+	const touched = [...new Set(results.filter((r) => r.status === 'updated').map((r) => r.productId))];
+	for (const productId of touched) {
+		await refreshCoordinator(env, productId);
+	}
+	await checkStockLevelsSafely(env, touched);
+
+	const tally = (status) => results.filter((r) => r.status === status).length;
+	return {
+		dryRun,
+		total: results.length,
+		updated: tally('updated'),
+		unchanged: tally('unchanged'),
+		valid: tally('valid'),
+		invalid: tally('invalid'),
+		failed: tally('failed'),
+		results,
+	};
+}
+
+function exportRecord(r) {
+	return {
+		productId: r.product_id,
+		variantId: r.variant_id,
+		warehouse: r.warehouse_id,
+		stock: r.stock,
+		reserved: r.reserved,
+		available: r.stock - r.reserved,
+	};
+}
+
+/**
+ * Current warehouse stock as a stream, read page by page in key order so an
+ * export of any size never holds more than one page. CSV uses the import
+ * columns (plus reserved/available), so an export can be edited and fed back.
+ */
+export function exportStockStream(env, { format = 'csv', warehouseId = null } = {}) {
+	const encoder = new TextEncoder();
+	let after = null;
+	let count = 0;
+
+	return new ReadableStream({
+		start(controller) {
+			controller.enqueue(encoder.encode(format === 'csv' ? toCsvLine(EXPORT_COLUMNS) : '['));
+		},
+		async pull(controller) {
+			try {
+				const rows = (await listWarehouseStockPage(env, after, EXPORT_PAGE_SIZE, warehouseId)).results || [];
+
+				let chunk = '';
+				for (const r of rows) {
+					const record = exportRecord(r);
+					chunk += format === 'csv' ? toCsvLine(EXPORT_COLUMNS.map((c) => record[c])) : `${count ? ',' : ''}\n${JSON.stringify(record)}`;
+					count++;
+				}
+
+				if (rows.length < EXPORT_PAGE_SIZE) {
+					if (format === 'json') chunk += count ? '\n]\n' : ']\n';
+					if (chunk) controller.enqueue(encoder.encode(chunk));
+					controller.close();
+					return;
+				}
+
+				const last = rows[rows.length - 1];
+				after = { productId: last.product_id, variantId: last.variant_id, warehouseId: last.warehouse_id };
+				controller.enqueue(encoder.encode(chunk));
+			} catch (e) {
+				console.error('[INVENTORY.EXPORT] Error', e);
+				controller.error(e);
+			}
+		},
+	});
+}
@@ -0,0 +1,104 @@
+/**
+ * Client for the per-product StockCoordinator Durable Object
+ *
+ * Everything here is a no-op unless the STOCK_COORDINATOR binding exists, so
+ * reservations fall back to the plain D1 batch.
+ */
+import { resolveVariantId } from '../helpers/utils.js';
+
+export function coordinatorEnabled(env) {
+	return Boolean(env.STOCK_COORDINATOR);
+}
+
+async function callCoordinator(env, productId, path, body = {}) {
+	const stub = env.STOCK_COORDINATOR.get(env.STOCK_COORDINATOR.idFromName(productId));
+	const res = await stub.fetch(`https://stock-coordinator${path}`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ productId, ...body }),
+	});
+	const data = await res.json().catch(() => ({}));
+	return { ok: res.ok, status: res.status, body: data };
+}
+
+/**
+ * Group items into { productId -> [{ variantId, qty }] }, in productId order.
+ */
+function linesByProduct(items) {
+	const grouped = new Map();
+	for (const it of [...items].sort((a, b) => a.productId.localeCompare(b.productId))) {
+		if (!grouped.has(it.productId)) grouped.set(it.productId, []);
+		grouped.get(it.productId).push({ variantId: resolveVariantId(it.productId, it.variantId), qty: Number(it.qty) });
+	}
+	return grouped;
+}
+
+/**
+ * Ask each product's coordinator to admit its lines. If one refuses, the holds
+ * already granted are cancelled and the refusal is thrown in the same shape
+ * reserveInventory uses.
+ */
+export async function holdStock(env, reservationId, items) {
+	if (!coordinatorEnabled(env)) return;
+
+	const held = [];
+	for (const [productId, lines] of linesByProduct(items)) {
+		const res = await callCoordinator(env, productId, '/reserve', { reservationId, lines });
+		if (!res.ok) {
+			await Promise.all(held.map((p) => callCoordinator(env, p, '/cancel', { reservationId }).catch(() => null)));
+			throw res.body?.error ? res.body : { error: 'coordinator_error', productId, status: res.status };
+		}
+		held.push(productId);
+	}
+}
+
+/**
+ * Tell the coordinators whether the reservation reached D1.
+ */
+export async function settleHolds(env, reservationId, items, written) {
+	if (!coordinatorEnabled(env)) return;
+
+	const path = written ? '/confirm' : '/cancel';
+	for (const productId of linesByProduct(items).keys()) {
+		try {
+			await callCoordinator(env, productId, path, { reservationId });
+		} catch (e) {
+			console.error(`[settleHolds] ${path} failed for ${productId}`, e);
+		}
+	}
+}
+
+/**
+ * Mirror a commit or release that has already been applied in D1.
+ */
+export async function notifyCoordinators(env, action, items) {
+	if (!coordinatorEnabled(env)) return;
+
+	for (const [productId, lines] of linesByProduct(items)) {
+		try {
+			await callCoordinator(env, productId, `/${action}`, { lines });
+		} catch (e) {
+			console.error(`[notifyCoordinators] ${action} failed for ${productId}`, e);
+		}
+	}
+}
+
+/**
+ * Reload a product's coordinator after stock changed outside a reservation.
+ */
+export async function refreshCoordinator(env, productId) {
+	if (!coordinatorEnabled(env)) return;
+
+	try {
+		await callCoordinator(env, productId, '/refresh');
+	} catch (e) {
+		console.error(`[refreshCoordinator] Failed for ${productId}`, e);
+	}
+}
+
+export async function getCoordinatorState(env, productId) {
+	if (!coordinatorEnabled(env)) return null;
+
+	const res = await callCoordinator(env, productId, '/state');
+	return res.ok ? res.body : null;
+}
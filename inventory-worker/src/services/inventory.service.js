@@ -2,113 +2,275 @@
  * Inventory business logic service
  */
 import {
-	getProductStock,
-	reserveStock,
-	releaseReservedStock,
-	commitStock,
-	createReservation,
+	getVariantStock,
+	listVariantStock,
+	listStockForProducts,
+	listWarehouseStock,
+	listWarehouseStockForProducts,
+	createReservationWithItems,
 	getReservation,
-	updateReservationStatus,
+	listReservationAllocations,
+	settleReservation,
+	getExpiredReservations,
+	listReservations,
+	extendReservationExpiry,
 } from '../db/queries.js';
-import { acquireLock, releaseLock } from './lock.service.js';
-import { nowSec } from '../helpers/utils.js';
-import { DEFAULT_RESERVATION_TTL } from '../config/constants.js';
+import { holdStock, settleHolds, notifyCoordinators } from './coordinator.service.js';
+import { planAllocations, allocationsOf } from './warehouse.service.js';
+import { getPolicy, getPolicies, oversellLimit, expectedShipAt } from './policy.service.js';
+import { checkStockLevelsSafely } from './alert.service.js';
+import { nowSec, resolveVariantId } from '../helpers/utils.js';
+import { DEFAULT_RESERVATION_TTL, EXPIRY_SWEEP_BATCH_SIZE, MAX_RESERVATION_TTL, RESERVATION_PLAN_ATTEMPTS } from '../config/constants.js';
 
-export async function reserveInventory(env, reservationId, userId, cartId, items, ttl) {
-	const now = nowSec();
-	const expiresAt = now + Number(ttl || DEFAULT_RESERVATION_TTL);
-	const locked = [];
-	const applied = [];
-
-	try {
-		// Process each item
-		for (const it of items) {
-			const productId = it.productId;
-			const qty = Number(it.qty || 0);
-
-			if (!productId || qty <= 0) {
-				const err = { error: 'invalid_item', productId };
-				err.applied = applied;
-				err.locked = locked;
-				throw err;
-			}
+function summarizeStock(productId, rows, warehouseRows = []) {
+	const variants = rows.map((r) => ({
+		variantId: r.variant_id,
+		stock: r.stock || 0,
+		reserved: r.reserved || 0,
+		available: (r.stock || 0) - (r.reserved || 0),
+		active: r.active !== 0,
+		warehouses: warehouseRows
+			.filter((w) => w.variant_id === r.variant_id)
+			.map((w) => ({
+				warehouseId: w.warehouse_id,
+				stock: w.stock || 0,
+				reserved: w.reserved || 0,
+				available: (w.stock || 0) - (w.reserved || 0),
+			})),
+	}));
 
-			// Check stock
-			const row = await getProductStock(env, productId);
-			if (!row) {
-				const err = { error: 'product_not_found', productId };
-				err.applied = applied;
-				err.locked = locked;
-				throw err;
-			}
+	const stock = variants.reduce((sum, v) => sum + v.stock, 0);
+	const reserved = variants.reduce((sum, v) => sum + v.reserved, 0);
+	return { productId, stock, reserved, available: stock - reserved, variants };
+}
 
-			const available = (row.stock || 0) - (row.reserved || 0);
-			if (available < qty) {
-				const err = { error: 'INSUFFICIENT_STOCK', productId, available, requested: qty };
-				err.applied = applied;
-				err.locked = locked;
-				throw err;
-			}
+function groupByProduct(rows) {
+	const grouped = new Map();
+	for (const r of rows) {
+		if (!grouped.has(r.product_id)) grouped.set(r.product_id, []);
+		grouped.get(r.product_id).push(r);
+	}
+	return grouped;
+}
 
-			// Acquire lock
-			const owner = `res-${reservationId}`;
-			const lock = await acquireLock(env, productId, owner, ttl);
-			if (!lock.ok) {
-				const err = { error: lock.error || 'locked', message: lock.message };
-				err.applied = applied;
-				err.locked = locked;
-				throw err;
-			}
+/**
+ * Stock for every variant of a product, split by warehouse, plus
+ * product-level totals and the product's backorder/pre-order policy.
+ */
+export async function getStockSummary(env, productId) {
+	const [rows, warehouseRows, stockPolicy] = await Promise.all([
+		listVariantStock(env, productId),
+		listWarehouseStock(env, productId),
+		getPolicy(env, productId),
+	]);
+	return { ...summarizeStock(productId, rows?.results || [], warehouseRows?.results || []), stockPolicy };
+}
 
-			if (lock.key) locked.push({ productId, owner });
+/**
+ * Summaries for many products from one batched read per table. An item
+ * naming a variantId narrows that product to the requested variants (totals
+ * included); unknown products come back with zero stock.
+ */
+export async function getStockBatch(env, items) {
+	const wanted = new Map(); // productId -> Set of variantIds, or null for all
+	for (const { productId, variantId } of items) {
+		if (!wanted.has(productId)) wanted.set(productId, variantId ? new Set() : null);
+		const variants = wanted.get(productId);
+		if (variants && variantId) variants.add(variantId);
+		else if (!variantId) wanted.set(productId, null);
+	}
 
-			// Reserve stock
-			const upd = await reserveStock(env, productId, qty);
-			const changes = upd.meta?.changes || upd.changes || 0;
+	const productIds = [...wanted.keys()];
+	const [rows, warehouseRows, policies] = await Promise.all([
+		listStockForProducts(env, productIds),
+		listWarehouseStockForProducts(env, productIds),
+		getPolicies(env, productIds),
+	]);
+	const rowsByProduct = groupByProduct(rows);
+	const warehouseRowsByProduct = groupByProduct(warehouseRows);
 
-			if (!upd.success || changes === 0) {
-				const err = { error: 'INSUFFICIENT_STOCK', productId };
-				err.applied = applied;
-				err.locked = locked;
-				throw err;
-			}
+	const products = {};
+	for (const [productId, variants] of wanted) {
+		const productRows = rowsByProduct.get(productId) || [];
+		products[productId] = {
+			...summarizeStock(
+				productId,
+				variants ? productRows.filter((r) => variants.has(r.variant_id)) : productRows,
+				warehouseRowsByProduct.get(productId) || [],
+			),
+			stockPolicy: policies.get(productId),
+		};
+	}
+	return products;
+}
 
-			applied.push({ productId, qty });
-		}
+/**
+ * Merge cart lines for the same product/variant so each gets one conditional
+ * update in the reservation batch.
+ */
+function aggregateItems(items) {
+	const lines = new Map();
 
-		// Create reservation record
-		await createReservation(env, reservationId, userId, cartId, items, expiresAt, now);
+	for (const it of items) {
+		const productId = it.productId;
+		const qty = Number(it.qty || 0);
 
-		return { reservationId, expiresAt, items: applied, locked };
-	} catch (err) {
-		// Attach context for rollback
-		if (err && typeof err === 'object' && !err.applied) {
-			err.applied = applied;
-			err.locked = locked;
+		if (!productId || !Number.isInteger(qty) || qty <= 0) {
+			throw { error: 'invalid_item', productId };
 		}
-		throw err;
+
+		const variantId = resolveVariantId(productId, it.variantId);
+		const key = `${productId}:${variantId}`;
+		const line = lines.get(key);
+		if (line) line.qty += qty;
+		else lines.set(key, { productId, variantId, qty });
 	}
+
+	return [...lines.values()];
 }
 
-export async function rollbackReservation(env, applied, locked) {
-	// Rollback applied reservations
-	for (const r of applied) {
-		try {
-			await releaseReservedStock(env, r.productId, r.qty);
-			console.log(`[rollbackReservation] Rolled back ${r.productId}`);
-		} catch (e) {
-			console.error(`[rollbackReservation] Rollback error for ${r.productId}`, e);
+/**
+ * Work out which line made the reservation batch roll back. Stock may have
+ * moved since, so if every line now fits report a plain shortage.
+ */
+async function explainShortage(env, lines, policies, now) {
+	for (const it of lines) {
+		const row = await getVariantStock(env, it.productId, it.variantId);
+		if (!row) {
+			return { error: 'product_not_found', productId: it.productId, variantId: it.variantId };
+		}
+		if (row.active === 0) {
+			return { error: 'product_unavailable', productId: it.productId, variantId: it.variantId };
+		}
+		const available = (row.stock || 0) - (row.reserved || 0);
+		const limit = oversellLimit(policies.get(it.productId), now);
+		if (limit !== null && available + limit < it.qty) {
+			const shortage = {
+				error: 'INSUFFICIENT_STOCK',
+				productId: it.productId,
+				variantId: it.variantId,
+				available: Math.max(available, 0),
+				requested: it.qty,
+			};
+			// Units that may still go on backorder once the on-hand ones are gone
+			if (limit > 0) shortage.backorderable = Math.max(limit + Math.min(available, 0), 0);
+			return shortage;
 		}
 	}
+	return { error: 'INSUFFICIENT_STOCK' };
+}
 
-	// Release locks
-	for (const l of locked) {
-		try {
-			await releaseLock(env, l.productId, l.owner);
-		} catch (e) {
-			console.error(`[rollbackReservation] Release error for ${l.productId}`, e);
+function lineKey(line) {
+	return `${line.productId}:${line.variantId}`;
+}
+
+/**
+ * Split each line into units on hand, allocated to warehouses near the
+ * shipping zone, and units taken beyond stock under the product's backorder
+ * or pre-order policy. Products that deny overselling skip the stock read;
+ * their lines simply fail in the batch when short.
+ */
+async function planReservation(env, lines, policies, shippingZone, now) {
+	const productIds = [...new Set(lines.map((l) => l.productId))];
+	const limits = new Map(productIds.map((id) => [id, oversellLimit(policies.get(id), now)]));
+	const oversellable = productIds.some((id) => limits.get(id) !== 0);
+
+	const [stockRows, warehouseRows] = await Promise.all([
+		oversellable ? listStockForProducts(env, productIds) : [],
+		listWarehouseStockForProducts(env, productIds),
+	]);
+	const stockByLine = new Map(stockRows.map((r) => [`${r.product_id}:${r.variant_id}`, r]));
+
+	const split = lines.map((l) => {
+		const limit = limits.get(l.productId);
+		if (limit === 0) return { ...l };
+		const row = stockByLine.get(lineKey(l));
+		const onHand = Math.min(Math.max((row?.stock || 0) - (row?.reserved || 0), 0), l.qty);
+		return onHand === l.qty ? { ...l } : { ...l, backordered: l.qty - onHand, backorderLimit: limit };
+	});
+
+	// Backordered units have no warehouse to ship from yet
+	const stocked = split.filter((l) => l.qty > (l.backordered || 0)).map((l) => ({ ...l, qty: l.qty - (l.backordered || 0) }));
+	const allocations = new Map(planAllocations(stocked, warehouseRows, shippingZone).map((l) => [lineKey(l), l.allocations]));
+
+	return split.map((l) => {
+		const line = { ...l, allocations: allocations.get(lineKey(l)) || [] };
+		if (!l.backordered) return line;
+		const policy = policies.get(l.productId);
+		return { ...line, backorderType: policy.policy, shipsAt: expectedShipAt(policy, now) };
+	});
+}
+
+/**
+ * Reserve every item or none: the availability checks, reserved increments
+ * and the reservation row are written in a single D1 batch. With the stock
+ * coordinator bound, each product's coordinator admits the lines first so
+ * contention on hot products is settled before D1 is touched.
+ *
+ * Each line is also allocated to warehouses nearest the shipping zone, and
+ * products with a backorder or pre-order policy may go beyond stock. The
+ * plan is made from a read just before the batch, so if another checkout
+ * changes the stock it relied on first it is re-planned once.
+ */
+export async function reserveInventory(env, reservationId, userId, cartId, items, ttl, shippingZone = null) {
+	const now = nowSec();
+	const expiresAt = now + Number(ttl || DEFAULT_RESERVATION_TTL);
+	const lines = aggregateItems(items);
+	const policies = await getPolicies(env, [...new Set(lines.map((l) => l.productId))]);
+
+	await holdStock(env, reservationId, lines);
+
+	let written = false;
+	let planned = lines;
+	try {
+		for (let attempt = 1; !written; attempt++) {
+			planned = await planReservation(env, lines, policies, shippingZone, now);
+			try {
+				await createReservationWithItems(env, { reservationId, userId, cartId, expiresAt, now }, planned);
+				written = true;
+			} catch (e) {
+				const message = String(e?.message || e);
+				if (message.includes('UNIQUE constraint failed: reservations.reservation_id')) {
+					throw { error: 'reservation_exists', reservationId };
+				}
+				if (message.includes('CHECK constraint failed')) {
+					const shortage = await explainShortage(env, lines, policies, now);
+					// Totals still cover the order, only the planned split went stale
+					if (shortage.productId || attempt >= RESERVATION_PLAN_ATTEMPTS) throw shortage;
+					continue;
+				}
+				throw e;
+			}
 		}
+	} finally {
+		await settleHolds(env, reservationId, lines, written);
 	}
+
+	const reserved = planned.map(({ backorderLimit, ...it }) => it);
+	return {
+		reservationId,
+		expiresAt,
+		backordered: reserved.reduce((sum, it) => sum + (it.backordered || 0), 0),
+		items: reserved,
+	};
+}
+
+function productIdsOf(items) {
+	return [...new Set(items.map((it) => it.productId))];
+}
+
+/**
+ * Settle a reservation's items; a commit, release or sweep that lost the
+ * race to another gets 0 changes and moves nothing
+ */
+async function settleItems(env, reservationId, status, items, now) {
+	const lines = items.map((it) => ({
+		productId: it.productId,
+		variantId: resolveVariantId(it.productId, it.variantId),
+		qty: it.qty,
+		allocations: allocationsOf(it),
+	}));
+	return await settleReservation(env, reservationId, status, lines, now);
 }
 
 export async function commitReservation(env, reservationId) {
@@ -123,24 +285,18 @@ export async function commitReservation(env, reservationId) {
 
 	const items = JSON.parse(res.items || '[]');
 
-	// Deduct stock and reserved
-	for (const it of items) {
-		await commitStock(env, it.productId, it.qty);
-
-		// Release lock
-		if (env.INVENTORY_LOCK_KV) {
-			try {
-				await env.INVENTORY_LOCK_KV.delete(`lock:product:${it.productId}`);
-			} catch (e) {
-				console.error(`[commitReservation] Unlock error for ${it.productId}`, e);
-			}
-		}
+	// Deduct stock and reserved, in total and from each shipping warehouse
+	const claim = await settleItems(env, reservationId, 'committed', items, nowSec());
+	if ((claim.meta?.changes || claim.changes || 0) === 0) {
+		const current = await getReservation(env, reservationId);
+		throw { error: 'not_active', status: current?.status };
 	}
 
-	// Update reservation status
-	await updateReservationStatus(env, reservationId, 'committed', nowSec());
+	await notifyCoordinators(env, 'commit', items);
+	await checkStockLevelsSafely(env, productIdsOf(items));
 
-	return { committed: true, reservationId };
+	// Callers carry the backorder onto the order
+	return { committed: true, reservationId, backordered: res.backordered || 0, items };
 }
 
 export async function releaseReservation(env, reservationId) {
@@ -149,26 +305,128 @@ export async function releaseReservation(env, reservationId) {
 		throw { error: 'not_found' };
 	}
 
-	// Only release if active
+	// Only an active reservation holds stock; releasing anything else is a no-op
 	if (row.status === 'active') {
 		const items = JSON.parse(row.items || '[]');
+		const claim = await settleItems(env, reservationId, 'released', items, nowSec());
+		if ((claim.meta?.changes || claim.changes || 0) === 1) {
+			await notifyCoordinators(env, 'release', items);
+		}
+	}
 
-		for (const it of items) {
-			await releaseReservedStock(env, it.productId, it.qty);
+	return { released: true, reservationId };
+}
 
-			// Release lock
-			if (env.INVENTORY_LOCK_KV) {
-				try {
-					await env.INVENTORY_LOCK_KV.delete(`lock:product:${it.productId}`);
-				} catch (e) {
-					console.error(`[releaseReservation] Unlock error for ${it.productId}`, e);
-				}
-			}
-		}
+function formatReservation(row, now) {
+	return {
+		reservationId: row.reservation_id,
+		userId: row.user_id,
+		cartId: row.cart_id,
+		status: row.status,
+		items: JSON.parse(row.items || '[]'),
+		backordered: row.backordered || 0,
+		expiresAt: row.expires_at,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+		// Past expires_at but not swept yet is already dead
+		live: row.status === 'active' && row.expires_at >= now,
+	};
+}
+
+/**
+ * A reservation with the warehouses each line was reserved from, as recorded
+ * in reservation_allocations; fulfillment ships from these.
+ */
+export async function getReservationDetails(env, reservationId) {
+	const row = await getReservation(env, reservationId);
+	if (!row) {
+		throw { error: 'not_found' };
 	}
 
-	// Update reservation status
-	await updateReservationStatus(env, reservationId, 'released', nowSec());
+	const reservation = formatReservation(row, nowSec());
+	const allocations = (await listReservationAllocations(env, reservationId))?.results || [];
+	if (allocations.length) {
+		reservation.items = reservation.items.map((it) => {
+			const variantId = resolveVariantId(it.productId, it.variantId);
+			return {
+				...it,
+				allocations: allocations
+					.filter((a) => a.product_id === it.productId && a.variant_id === variantId)
+					.map((a) => ({ warehouseId: a.warehouse_id, qty: a.qty })),
+			};
+		});
+	}
+	return reservation;
+}
 
-	return { released: true, reservationId };
+export async function findReservations(env, filters, limit) {
+	const rows = await listReservations(env, filters, limit);
+	const now = nowSec();
+	return (rows?.results || []).map((row) => formatReservation(row, now));
+}
+
+/**
+ * Push expires_at of a live reservation to ttl seconds from now, never past
+ * created_at + MAX_RESERVATION_TTL and never earlier than it already is.
+ */
+export async function extendReservation(env, reservationId, ttl) {
+	const row = await getReservation(env, reservationId);
+	if (!row) {
+		throw { error: 'not_found' };
+	}
+
+	const now = nowSec();
+	if (row.status !== 'active') {
+		throw { error: 'not_active', status: row.status };
+	}
+	if (row.expires_at < now) {
+		throw { error: 'reservation_expired', expiresAt: row.expires_at };
+	}
+
+	const maxExpiresAt = (row.created_at || now) + MAX_RESERVATION_TTL;
+	const expiresAt = Math.max(row.expires_at, Math.min(now + Number(ttl || DEFAULT_RESERVATION_TTL), maxExpiresAt));
+
+	const upd = await extendReservationExpiry(env, reservationId, expiresAt, now);
+	const changes = upd.meta?.changes || upd.changes || 0;
+	if (changes === 0) {
+		// Committed, released or swept since we read it
+		throw { error: 'not_active' };
+	}
+
+	return {
+		...formatReservation({ ...row, expires_at: expiresAt, updated_at: now }, now),
+		capped: expiresAt === maxExpiresAt,
+	};
+}
+
+/**
+ * Expire active reservations past expires_at: each one flips to 'expired'
+ * and gives back its reserved quantity in one batch, so a concurrent
+ * commit/release cannot double count.
+ */
+export async function expireStaleReservations(env, now = nowSec(), limit = EXPIRY_SWEEP_BATCH_SIZE) {
+	const report = { scanned: 0, expired: [], releasedUnits: 0, errors: [] };
+
+	const rows = await getExpiredReservations(env, now, limit);
+	const reservations = rows?.results || [];
+	report.scanned = reservations.length;
+
+	for (const res of reservations) {
+		try {
+			const items = JSON.parse(res.items || '[]');
+			const claim = await settleItems(env, res.reservation_id, 'expired', items, now);
+			const changes = claim.meta?.changes || claim.changes || 0;
+			if (changes === 0) continue; // Committed or released in the meantime
+
+			report.releasedUnits += items.reduce((sum, it) => sum + Number(it.qty || 0), 0);
+			await notifyCoordinators(env, 'release', items);
+
+			report.expired.push(res.reservation_id);
+		} catch (e) {
+			console.error(`[expireStaleReservations] Failed for ${res.reservation_id}`, e);
+			report.errors.push({ reservationId: res.reservation_id, message: String(e) });
+		}
+	}
+
+	return report;
 }
@@ -0,0 +1,69 @@
+/**
+ * Backorder / pre-order policy service
+ */
+import { getStockPolicy, listStockPolicies, upsertStockPolicy } from '../db/queries.js';
+import { refreshCoordinator } from './coordinator.service.js';
+import { nowSec } from '../helpers/utils.js';
+
+const DENY = { policy: 'deny', backorderLimit: null, releaseDate: null, leadTimeDays: null };
+
+export function formatPolicy(row) {
+	if (!row) return { ...DENY };
+	return {
+		policy: row.policy || 'deny',
+		backorderLimit: row.backorder_limit ?? null,
+		releaseDate: row.release_date ?? null,
+		leadTimeDays: row.lead_time_days ?? null,
+	};
+}
+
+/**
+ * How many units may be sold beyond stock right now: 0 when out of stock
+ * means sold out, null means no limit (an open-ended pre-order). A pre-order
+ * stops at its release date; from then on only stock on hand sells.
+ */
+export function oversellLimit(policy, now = nowSec()) {
+	if (policy?.policy === 'backorder') return policy.backorderLimit || 0;
+	if (policy?.policy === 'preorder' && policy.releaseDate && now < policy.releaseDate) return policy.backorderLimit ?? null;
+	return 0;
+}
+
+/**
+ * When units taken beyond stock are expected to ship, in unix seconds.
+ */
+export function expectedShipAt(policy, now = nowSec()) {
+	if (policy?.policy === 'preorder') return policy.releaseDate ?? null;
+	if (policy?.policy === 'backorder' && policy.leadTimeDays != null) return now + policy.leadTimeDays * 86400;
+	return null;
+}
+
+export async function getPolicy(env, productId) {
+	return formatPolicy(await getStockPolicy(env, productId));
+}
+
+/**
+ * Policies for many products keyed by productId; products without one deny.
+ */
+export async function getPolicies(env, productIds) {
+	const rows = await listStockPolicies(env, productIds);
+	const byProduct = new Map(rows.map((r) => [r.product_id, r]));
+	return new Map(productIds.map((id) => [id, formatPolicy(byProduct.get(id))]));
+}
+
+export async function setStockPolicy(env, { productId, policy, backorderLimit, releaseDate, leadTimeDays }) {
+	const now = nowSec();
+	const fields =
+		policy === 'deny'
+			? { ...DENY }
+			: {
+					policy,
+					backorderLimit: backorderLimit ?? null,
+					releaseDate: policy === 'preorder' ? releaseDate : null,
+					leadTimeDays: leadTimeDays ?? null,
+				};
+
+	await upsertStockPolicy(env, { productId, ...fields, now });
+	await refreshCoordinator(env, productId);
+
+	return { productId, ...fields, updatedAt: now };
+}
@@ -0,0 +1,84 @@
+/**
+ * Reconciliation of reserved counters against active reservations
+ *
+ * product_stock.reserved and warehouse_stock.reserved are moved by reserve,
+ * commit, release and the expiry sweep, each in one batch with the
+ * reservation's status change. The
+ * reservations table is the record: a variant should hold exactly the
+ * quantity of its active reservation lines (per warehouse, their
+ * allocations). Anything else is drift, e.g. phantom reserved units left
+ * by a manual edit or by a settle from before those batches, which nothing
+ * will ever give back.
+ *
+ * Variants with a reservation that left active within the last
+ * RECONCILE_SETTLE_SECONDS are reported as settling and never repaired: the
+ * report may have read them on either side of that change.
+ */
+import { listReservedDrift, listWarehouseReservedDrift, repairReserved } from '../db/queries.js';
+import { refreshCoordinator } from './coordinator.service.js';
+import { nowSec } from '../helpers/utils.js';
+import { DEFAULT_WAREHOUSE_ID, RECONCILE_SETTLE_SECONDS } from '../config/constants.js';
+
+function formatDrift(row) {
+	return {
+		productId: row.product_id,
+		variantId: row.variant_id,
+		...(row.warehouse_id ? { warehouseId: row.warehouse_id } : {}),
+		reserved: row.reserved,
+		expected: row.expected,
+		drift: row.reserved - row.expected,
+		settling: Boolean(row.settling),
+	};
+}
+
+/**
+ * Report every reserved counter that disagrees with active reservations,
+ * optionally for one product. With repair, each one not settling is set to
+ * its expected figure unless it moved since it was read.
+ */
+export async function reconcileReserved(env, { repair = false, productId = null } = {}) {
+	const now = nowSec();
+	const settledBefore = now - RECONCILE_SETTLE_SECONDS;
+
+	const [products, warehouses] = await Promise.all([
+		listReservedDrift(env, { productId, settledBefore }),
+		listWarehouseReservedDrift(env, { productId, settledBefore, defaultWarehouseId: DEFAULT_WAREHOUSE_ID }),
+	]);
+	const drift = [...(products.results || []), ...(warehouses.results || [])].map(formatDrift);
+
+	if (repair) {
+		const fixes = drift.filter((d) => !d.settling);
+		const results = await repairReserved(env, fixes, settledBefore, now);
+		fixes.forEach((f, i) => {
+			// Reserved moved, or a reservation started settling, since the report
+			f.repaired = (results[i]?.meta?.changes || results[i]?.changes || 0) === 1;
+		});
+		for (const d of drift) d.repaired ??= false;
+
+		const touched = [...new Set(fixes.filter((f) => f.repaired).map((f) => f.productId))];
+		for (const id of touched) {
+			await refreshCoordinator(env, id);
+		}
+	}
+
+	return {
+		checkedAt: now,
+		repair,
+		drifted: drift.length,
+		settling: drift.filter((d) => d.settling).length,
+		repaired: drift.filter((d) => d.repaired).length,
+		drift,
+	};
+}
+
+/**
+ * The scheduled run: always reports, and repairs only where
+ * RECONCILE_AUTO_REPAIR is enabled.
+ */
+export async function runReconciliation(env) {
+	const report = await reconcileReserved(env, { repair: env.RECONCILE_AUTO_REPAIR === 'true' });
+	if (report.drifted) {
+		console.warn('[INVENTORY.RECONCILE] Drift found', report);
+	}
+	return report;
+}
@@ -0,0 +1,205 @@
+/**
+ * Restocking committed reservations
+ *
+ * A cancelled or returned order gives its committed units back. Each unit is
+ * either sellable, and returns to stock at the warehouse it shipped from, or
+ * damaged, and is only recorded. A restock is keyed by its restockId, which
+ * the caller must give for a partial return and which defaults to one per
+ * reservation for a full one, and no line can ever be restocked past what
+ * was committed, so repeating a call never restocks twice.
+ */
+import { getReservation, getRestock, listRestockedItems, createRestock } from '../db/queries.js';
+import { refreshCoordinator } from './coordinator.service.js';
+import { checkStockLevelsSafely } from './alert.service.js';
+import { allocationsOf } from './warehouse.service.js';
+import { nowSec, resolveVariantId } from '../helpers/utils.js';
+
+export function formatRestock(row) {
+	return {
+		restockId: row.restock_id,
+		reservationId: row.reservation_id,
+		orderId: row.order_id ?? null,
+		reason: row.reason,
+		sellable: row.sellable,
+		damaged: row.damaged,
+		items: JSON.parse(row.items || '[]'),
+		actorId: row.actor_id ?? null,
+		createdAt: row.created_at,
+	};
+}
+
+const lineKey = (productId, variantId) => `${productId}:${variantId}`;
+
+/**
+ * Committed units per reservation line, with the warehouses they shipped
+ * from. Lines with the same variant are merged.
+ */
+function committedLines(items) {
+	const lines = new Map();
+	for (const it of items) {
+		const variantId = resolveVariantId(it.productId, it.variantId);
+		const key = lineKey(it.productId, variantId);
+		const line = lines.get(key) || { productId: it.productId, variantId, qty: 0, shipped: new Map() };
+		line.qty += Number(it.qty);
+		for (const a of allocationsOf(it)) {
+			line.shipped.set(a.warehouseId, (line.shipped.get(a.warehouseId) || 0) + a.qty);
+		}
+		lines.set(key, line);
+	}
+	return lines;
+}
+
+/**
+ * Split units of a line over the warehouses it shipped from that have not
+ * had them back yet; what is left over was backordered (warehouse null).
+ */
+function splitByWarehouse(line, qty, returned) {
+	const parts = [];
+	let remaining = qty;
+	for (const [warehouseId, shipped] of line.shipped) {
+		if (remaining === 0) break;
+		const take = Math.min(remaining, Math.max(shipped - (returned.get(warehouseId) || 0), 0));
+		if (take > 0) {
+			parts.push({ warehouseId, qty: take });
+			returned.set(warehouseId, (returned.get(warehouseId) || 0) + take);
+			remaining -= take;
+		}
+	}
+	if (remaining > 0) parts.push({ warehouseId: null, qty: remaining });
+	return parts;
+}
+
+/**
+ * Restock lines for a request: the given items, or else everything not yet
+ * restocked in the default condition. Throws when an item is not on the
+ * reservation or would pass its committed quantity.
+ */
+function planRestock(lines, restocked, { items, condition }) {
+	const done = new Map();
+	const returned = new Map();
+	for (const r of restocked) {
+		const key = lineKey(r.product_id, r.variant_id);
+		done.set(key, (done.get(key) || 0) + r.qty);
+		if (!returned.has(key)) returned.set(key, new Map());
+		if (r.warehouse_id) returned.get(key).set(r.warehouse_id, r.qty);
+	}
+
+	const requested = items
+		? items.map((it) => ({ ...it, variantId: resolveVariantId(it.productId, it.variantId), condition: it.condition || condition }))
+		: [...lines.values()]
+				.map((l) => ({
+					productId: l.productId,
+					variantId: l.variantId,
+					qty: l.qty - (done.get(lineKey(l.productId, l.variantId)) || 0),
+					condition,
+				}))
+				.filter((l) => l.qty > 0);
+
+	const planned = [];
+	for (const it of requested) {
+		const key = lineKey(it.productId, it.variantId);
+		const line = lines.get(key);
+		if (!line) {
+			throw { error: 'unknown_line', productId: it.productId, variantId: it.variantId };
+		}
+
+		const already = done.get(key) || 0;
+		if (already + it.qty > line.qty) {
+			throw {
+				error: 'exceeds_committed',
+				productId: it.productId,
+				variantId: it.variantId,
+				committed: line.qty,
+				restocked: already,
+				requested: it.qty,
+			};
+		}
+		done.set(key, already + it.qty);
+
+		if (!returned.has(key)) returned.set(key, new Map());
+		const parts = it.warehouseId ? [{ warehouseId: it.warehouseId, qty: it.qty }] : splitByWarehouse(line, it.qty, returned.get(key));
+		for (const p of parts) {
+			const same = planned.find(
+				(l) =>
+					l.productId === it.productId && l.variantId === it.variantId && l.warehouseId === p.warehouseId && l.condition === it.condition,
+			);
+			if (same) {
+				same.qty += p.qty;
+			} else {
+				planned.push({ productId: it.productId, variantId: it.variantId, warehouseId: p.warehouseId, condition: it.condition, qty: p.qty });
+			}
+		}
+	}
+	return planned;
+}
+
+function replay(reservationId, existing) {
+	if (existing.reservation_id !== reservationId) {
+		throw { error: 'restock_id_conflict', restockId: existing.restock_id, reservationId: existing.reservation_id };
+	}
+	return { ...formatRestock(existing), duplicate: true };
+}
+
+/**
+ * Put the units of a committed reservation back. Repeating a restockId
+ * returns the original restock (duplicate: true) and changes nothing.
+ */
+export async function restockReservation(env, { restockId, reservationId, orderId, reason, condition = 'sellable', items, actorId }) {
+	// Partial returns each need their own key; a default one would make the
+	// second return of a reservation replay the first
+	if (items && !restockId) {
+		throw { error: 'restock_id_required' };
+	}
+	const id = restockId || `rst_${reservationId}`;
+
+	const existing = await getRestock(env, id);
+	if (existing) return replay(reservationId, existing);
+
+	const reservation = await getReservation(env, reservationId);
+	if (!reservation) {
+		throw { error: 'not_found' };
+	}
+	if (reservation.status !== 'committed') {
+		throw { error: 'not_committed', status: reservation.status };
+	}
+
+	const lines = committedLines(JSON.parse(reservation.items || '[]'));
+	const restocked = (await listRestockedItems(env, reservationId)).results || [];
+	const planned = planRestock(lines, restocked, { items, condition });
+	if (!planned.length) {
+		throw { error: 'nothing_to_restock' };
+	}
+
+	const now = nowSec();
+	const units = (c) => planned.filter((l) => l.condition === c).reduce((sum, l) => sum + l.qty, 0);
+	const restock = { restockId: id, reservationId, orderId, reason, sellable: units('sellable'), damaged: units('damaged'), actorId, now };
+
+	try {
+		await createRestock(env, restock, planned);
+	} catch (e) {
+		// The same restockId won a race, or another restock took the units first
+		const raced = await getRestock(env, id);
+		if (raced) return replay(reservationId, raced);
+		console.error('[restockReservation] Batch failed', e);
+		throw { error: 'restock_conflict', reservationId };
+	}
+
+	const touched = [...new Set(planned.filter((l) => l.condition === 'sellable').map((l) => l.productId))];
+	for (const productId of touched) {
+		await refreshCoordinator(env, productId);
+	}
+	await checkStockLevelsSafely(env, touched);
+
+	return {
+		restockId: id,
+		reservationId,
+		orderId: orderId || null,
+		reason,
+		sellable: restock.sellable,
+		damaged: restock.damaged,
+		items: planned,
+		actorId: actorId || null,
+		createdAt: now,
+		duplicate: false,
+	};
+}
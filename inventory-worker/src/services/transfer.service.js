@@ -0,0 +1,150 @@
+/**
+ * Stock transfers between warehouses
+ *
+ * A transfer moves units of one variant from one warehouse to another:
+ * requested -> in_transit -> received, or requested -> cancelled. Shipping
+ * takes the units out of the source's available stock, receiving books them
+ * at the destination; each step is one D1 batch that also writes the
+ * adjustment ledger, so warehouse stock stays the figure reservations plan on.
+ */
+import {
+	getWarehouseStock,
+	getStockTransfer,
+	listStockTransfers,
+	listStockTransferEvents,
+	createStockTransfer,
+	shipStockTransfer,
+	receiveStockTransfer,
+	cancelStockTransfer,
+} from '../db/queries.js';
+import { refreshCoordinator } from './coordinator.service.js';
+import { checkStockLevelsSafely } from './alert.service.js';
+import { nowSec, resolveVariantId } from '../helpers/utils.js';
+
+export function formatTransfer(row) {
+	return {
+		transferId: row.transfer_id,
+		productId: row.product_id,
+		variantId: row.variant_id,
+		fromWarehouseId: row.from_warehouse_id,
+		toWarehouseId: row.to_warehouse_id,
+		qty: row.qty,
+		status: row.status,
+		note: row.note ?? null,
+		requestedBy: row.requested_by ?? null,
+		createdAt: row.created_at,
+		shippedAt: row.shipped_at ?? null,
+		receivedAt: row.received_at ?? null,
+		updatedAt: row.updated_at,
+	};
+}
+
+function formatEvent(row) {
+	return { status: row.status, actorId: row.actor_id ?? null, createdAt: row.created_at };
+}
+
+export async function requestTransfer(
+	env,
+	{ productId, variantId: requestedVariantId, fromWarehouseId, toWarehouseId, qty, note, actorId },
+) {
+	const variantId = resolveVariantId(productId, requestedVariantId);
+
+	const source = await getWarehouseStock(env, productId, variantId, fromWarehouseId);
+	if (!source) {
+		throw { error: 'product_not_found', productId, variantId, warehouseId: fromWarehouseId };
+	}
+	const available = (source.stock || 0) - (source.reserved || 0);
+	if (available < qty) {
+		throw { error: 'insufficient_stock', warehouseId: fromWarehouseId, available, requested: qty };
+	}
+
+	const now = nowSec();
+	const transferId = `trf_${crypto.randomUUID()}`;
+	await createStockTransfer(env, { transferId, productId, variantId, fromWarehouseId, toWarehouseId, qty, note, actorId, now });
+
+	return formatTransfer({
+		transfer_id: transferId,
+		product_id: productId,
+		variant_id: variantId,
+		from_warehouse_id: fromWarehouseId,
+		to_warehouse_id: toWarehouseId,
+		qty,
+		status: 'requested',
+		note,
+		requested_by: actorId,
+		created_at: now,
+		updated_at: now,
+	});
+}
+
+export async function getTransferDetails(env, transferId) {
+	const row = await getStockTransfer(env, transferId);
+	if (!row) {
+		throw { error: 'not_found' };
+	}
+	const events = await listStockTransferEvents(env, transferId);
+	return { ...formatTransfer(row), events: (events.results || []).map(formatEvent) };
+}
+
+export async function findTransfers(env, filters, limit) {
+	const rows = await listStockTransfers(env, filters, limit);
+	return (rows.results || []).map(formatTransfer);
+}
+
+const STEPS = {
+	ship: { from: 'requested', run: shipStockTransfer },
+	receive: { from: 'in_transit', run: receiveStockTransfer },
+	cancel: { from: 'requested', run: cancelStockTransfer },
+};
+
+/**
+ * Move a transfer on by one step: 'ship', 'receive' or 'cancel'. Throws
+ * invalid_transition when it is not in the status the step starts from, and
+ * insufficient_stock when the source no longer has the units to ship.
+ */
+export async function advanceTransfer(env, transferId, action, actorId) {
+	const step = STEPS[action];
+	const row = await getStockTransfer(env, transferId);
+	if (!row) {
+		throw { error: 'not_found' };
+	}
+	if (row.status !== step.from) {
+		throw { error: 'invalid_transition', status: row.status, action };
+	}
+
+	const transfer = {
+		transferId,
+		productId: row.product_id,
+		variantId: row.variant_id,
+		fromWarehouseId: row.from_warehouse_id,
+		toWarehouseId: row.to_warehouse_id,
+		qty: row.qty,
+		actorId,
+		now: nowSec(),
+	};
+
+	try {
+		await step.run(env, transfer);
+	} catch (e) {
+		const current = await getStockTransfer(env, transferId);
+		if (current && current.status !== step.from) {
+			// Another admin moved it on first
+			throw { error: 'invalid_transition', status: current.status, action };
+		}
+		if (action === 'ship') {
+			const source = await getWarehouseStock(env, transfer.productId, transfer.variantId, transfer.fromWarehouseId);
+			const available = source ? (source.stock || 0) - (source.reserved || 0) : 0;
+			if (available < transfer.qty) {
+				throw { error: 'insufficient_stock', warehouseId: transfer.fromWarehouseId, available, requested: transfer.qty };
+			}
+		}
+		throw e;
+	}
+
+	if (action !== 'cancel') {
+		await refreshCoordinator(env, transfer.productId);
+		await checkStockLevelsSafely(env, [transfer.productId]);
+	}
+
+	return await getTransferDetails(env, transferId);
+}
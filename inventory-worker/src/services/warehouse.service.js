@@ -0,0 +1,80 @@
+/**
+ * Warehouse selection for reservations
+ */
+import { WAREHOUSES, DEFAULT_WAREHOUSE_ID } from '../config/constants.js';
+
+/**
+ * Warehouse ids nearest-first for a shipping zone: the zone's own warehouse,
+ * then the rest in priority order. An unknown or missing zone keeps the plain
+ * priority order.
+ */
+export function warehousesForZone(zone) {
+	const ids = WAREHOUSES.map((w) => w.warehouseId);
+	const home = WAREHOUSES.find((w) => w.zone === String(zone || '').toUpperCase());
+	return home ? [home.warehouseId, ...ids.filter((id) => id !== home.warehouseId)] : ids;
+}
+
+/**
+ * Warehouse id for an id or zone code in any case (wh_delhi, DEL, del).
+ */
+export function warehouseIdForCode(code) {
+	const upper = String(code || '').toUpperCase();
+	return WAREHOUSES.find((w) => w.warehouseId.toUpperCase() === upper || w.zone === upper)?.warehouseId || null;
+}
+
+/**
+ * The items of a line as shipped from each warehouse. Reservations made
+ * before warehouses existed hold everything in the default one; a fully
+ * backordered line has an empty list.
+ */
+export function allocationsOf(item) {
+	return Array.isArray(item.allocations) ? item.allocations : [{ warehouseId: DEFAULT_WAREHOUSE_ID, qty: Number(item.qty) }];
+}
+
+/**
+ * Decide where each line ships from, given warehouse_stock rows for its
+ * products. One warehouse that can cover the whole order wins, nearest
+ * first, so the order ships as one parcel; otherwise each line is filled from
+ * the nearest warehouses that have stock. A shortfall is left on the nearest
+ * warehouse so the reservation batch rejects it like any other shortage.
+ */
+export function planAllocations(lines, rows, zone) {
+	const available = new Map();
+	const extra = new Set();
+	for (const r of rows) {
+		available.set(`${r.product_id}:${r.variant_id}:${r.warehouse_id}`, Math.max((r.stock || 0) - (r.reserved || 0), 0));
+		extra.add(r.warehouse_id);
+	}
+
+	const order = warehousesForZone(zone);
+	for (const id of order) extra.delete(id);
+	order.push(...[...extra].sort());
+
+	const availableAt = (line, warehouseId) => available.get(`${line.productId}:${line.variantId}:${warehouseId}`) || 0;
+
+	const single = order.find((warehouseId) => lines.every((l) => availableAt(l, warehouseId) >= l.qty));
+	if (single) {
+		return lines.map((l) => ({ ...l, allocations: [{ warehouseId: single, qty: l.qty }] }));
+	}
+
+	return lines.map((l) => {
+		const allocations = [];
+		let remaining = l.qty;
+		for (const warehouseId of order) {
+			if (remaining === 0) break;
+			const take = Math.min(remaining, availableAt(l, warehouseId));
+			if (take > 0) {
+				allocations.push({ warehouseId, qty: take });
+				remaining -= take;
+			}
+		}
+
+		if (remaining > 0) {
+			const nearest = allocations.find((a) => a.warehouseId === order[0]);
+			if (nearest) nearest.qty += remaining;
+			else allocations.unshift({ warehouseId: order[0], qty: remaining });
+		}
+
+		return { ...l, allocations };
+	});
+}
@@ -2,6 +2,29 @@
  * Joi validation schemas for inventory operations
  */
 import Joi from 'joi';
+import {
+	STOCK_ADJUSTMENT_OPERATIONS,
+	DEFAULT_ADJUSTMENT_LIMIT,
+	MAX_ADJUSTMENT_LIMIT,
+	RESERVATION_STATUSES,
+	DEFAULT_RESERVATION_TTL,
+	MAX_RESERVATION_TTL,
+	DEFAULT_RESERVATION_LIMIT,
+	MAX_RESERVATION_LIMIT,
+	MAX_STOCK_BATCH_SIZE,
+	WAREHOUSE_IDS,
+	STOCK_POLICIES,
+	STOCK_ALERT_STATUSES,
+	DEFAULT_ALERT_LIMIT,
+	MAX_ALERT_LIMIT,
+	WAREHOUSES,
+	EXPORT_FORMATS,
+	RESTOCK_REASONS,
+	RESTOCK_CONDITIONS,
+	TRANSFER_STATUSES,
+	DEFAULT_TRANSFER_LIMIT,
+	MAX_TRANSFER_LIMIT,
+} from '../config/constants.js';
 
 export const reserveSchema = Joi.object({
 	reservationId: Joi.string().required().messages({
@@ -25,6 +48,7 @@ export const reserveSchema = Joi.object({
 			'any.required': 'items array is required',
 		}),
 	ttl: Joi.number().integer().min(60).max(3600).default(900),
+	shippingZone: Joi.string().optional().allow(null, ''),
 });
 
 export const commitSchema = Joi.object({
@@ -41,9 +65,237 @@ export const releaseSchema = Joi.object({
 	}),
 });
 
+const restockConditionSchema = Joi.string()
+	.valid(...RESTOCK_CONDITIONS)
+	.messages({ 'any.only': `condition must be one of ${RESTOCK_CONDITIONS.join(', ')}` });
+
+export const restockSchema = Joi.object({
+	reservationId: Joi.string().required().messages({
+		'string.empty': 'reservationId is required',
+		'any.required': 'reservationId is required',
+	}),
+	restockId: Joi.string()
+		.max(100)
+		.when('items', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.optional() })
+		.messages({ 'any.required': 'restockId is required when returning specific items' }),
+	orderId: Joi.string().optional().allow(null, ''),
+	reason: Joi.string()
+		.valid(...RESTOCK_REASONS)
+		.required()
+		.messages({
+			'any.only': `reason must be one of ${RESTOCK_REASONS.join(', ')}`,
+			'any.required': 'reason is required',
+		}),
+	condition: restockConditionSchema.default('sellable'),
+	items: Joi.array()
+		.items(
+			Joi.object({
+				productId: Joi.string().required(),
+				variantId: Joi.string().optional().allow(null, ''),
+				qty: Joi.number().integer().min(1).required(),
+				condition: restockConditionSchema.optional(),
+				warehouseId: Joi.string()
+					.valid(...WAREHOUSE_IDS)
+					.optional()
+					.messages({ 'any.only': `warehouseId must be one of ${WAREHOUSE_IDS.join(', ')}` }),
+			}),
+		)
+		.min(1)
+		.optional(),
+});
+
 export const productStockSchema = Joi.object({
 	productId: Joi.string().required().messages({
 		'string.empty': 'productId is required',
 		'any.required': 'productId is required',
 	}),
 });
+
+export const stockBatchSchema = Joi.object({
+	items: Joi.array()
+		.items(
+			Joi.object({
+				productId: Joi.string().required(),
+				variantId: Joi.string().optional().allow(null, ''),
+			}),
+		)
+		.min(1)
+		.max(MAX_STOCK_BATCH_SIZE)
+		.required()
+		.messages({
+			'array.min': 'At least one item is required',
+			'array.max': `At most ${MAX_STOCK_BATCH_SIZE} items per request`,
+			'any.required': 'items array is required',
+		}),
+});
+
+export const adminUpdateSchema = Joi.object({
+	productId: Joi.string().required().messages({
+		'string.empty': 'productId is required',
+		'any.required': 'productId is required',
+	}),
+	variantId: Joi.string().optional().allow(null, ''),
+	warehouseId: Joi.string()
+		.valid(...WAREHOUSE_IDS)
+		.optional()
+		.messages({ 'any.only': `warehouseId must be one of ${WAREHOUSE_IDS.join(', ')}` }),
+	operation: Joi.string()
+		.valid(...STOCK_ADJUSTMENT_OPERATIONS)
+		.required()
+		.messages({
+			'any.only': `operation must be one of ${STOCK_ADJUSTMENT_OPERATIONS.join(', ')}`,
+			'any.required': 'operation is required',
+		}),
+	quantity: Joi.when('operation', {
+		is: 'set',
+		then: Joi.number().integer().min(0).required(),
+		otherwise: Joi.number().integer().min(1).required(),
+	}),
+	reason: Joi.string().max(500).required().messages({
+		'string.empty': 'reason is required',
+		'any.required': 'reason is required',
+	}),
+});
+
+export const stockPolicySchema = Joi.object({
+	productId: Joi.string().required().messages({
+		'string.empty': 'productId is required',
+		'any.required': 'productId is required',
+	}),
+	policy: Joi.string()
+		.valid(...STOCK_POLICIES)
+		.required()
+		.messages({
+			'any.only': `policy must be one of ${STOCK_POLICIES.join(', ')}`,
+			'any.required': 'policy is required',
+		}),
+	// Units sellable beyond stock; a pre-order without one is open-ended
+	backorderLimit: Joi.when('policy', {
+		is: 'backorder',
+		then: Joi.number().integer().min(1).required(),
+		otherwise: Joi.number().integer().min(1).optional().allow(null),
+	}).messages({ 'any.required': 'backorderLimit is required for backorder' }),
+	releaseDate: Joi.when('policy', {
+		is: 'preorder',
+		then: Joi.number().integer().min(0).required(),
+		otherwise: Joi.forbidden(),
+	}).messages({ 'any.required': 'releaseDate is required for preorder' }),
+	leadTimeDays: Joi.number().integer().min(0).optional().allow(null),
+});
+
+export const reorderPointSchema = Joi.object({
+	productId: Joi.string().required().messages({
+		'string.empty': 'productId is required',
+		'any.required': 'productId is required',
+	}),
+	reorderThreshold: Joi.number().integer().min(0).required().messages({
+		'any.required': 'reorderThreshold is required',
+	}),
+	safetyStock: Joi.number()
+		.integer()
+		.min(0)
+		.max(Joi.ref('reorderThreshold'))
+		.default(0)
+		.messages({ 'number.max': 'safetyStock cannot exceed reorderThreshold' }),
+});
+
+export const lowStockQuerySchema = Joi.object({
+	limit: Joi.number().integer().min(1).max(MAX_ALERT_LIMIT).default(DEFAULT_ALERT_LIMIT),
+});
+
+export const alertsQuerySchema = Joi.object({
+	productId: Joi.string().optional(),
+	status: Joi.string()
+		.valid(...STOCK_ALERT_STATUSES)
+		.optional()
+		.messages({ 'any.only': `status must be one of ${STOCK_ALERT_STATUSES.join(', ')}` }),
+	limit: Joi.number().integer().min(1).max(MAX_ALERT_LIMIT).default(DEFAULT_ALERT_LIMIT),
+});
+
+// Imported rows name the warehouse by id or by its zone code (MUM, DEL, ...)
+const WAREHOUSE_CODES = [...WAREHOUSE_IDS, ...WAREHOUSES.map((w) => w.zone)];
+
+export const importRowSchema = Joi.object({
+	productId: Joi.string().required().messages({
+		'string.empty': 'productId is required',
+		'any.required': 'productId is required',
+	}),
+	variantId: Joi.string().optional().allow(null, ''),
+	warehouse: Joi.string()
+		.uppercase()
+		.valid(...WAREHOUSE_CODES.map((c) => c.toUpperCase()))
+		.required()
+		.messages({
+			'any.only': `warehouse must be one of ${WAREHOUSE_CODES.join(', ')}`,
+			'any.required': 'warehouse is required',
+		}),
+	stock: Joi.number().integer().min(0).required().messages({
+		'number.base': 'stock must be a number',
+		'any.required': 'stock is required',
+	}),
+}).unknown(true);
+
+export const exportQuerySchema = Joi.object({
+	format: Joi.string()
+		.valid(...EXPORT_FORMATS)
+		.default('csv')
+		.messages({ 'any.only': `format must be one of ${EXPORT_FORMATS.join(', ')}` }),
+	warehouseId: Joi.string()
+		.valid(...WAREHOUSE_IDS)
+		.optional()
+		.messages({ 'any.only': `warehouseId must be one of ${WAREHOUSE_IDS.join(', ')}` }),
+});
+
+const warehouseIdSchema = Joi.string()
+	.valid(...WAREHOUSE_IDS)
+	.messages({ 'any.only': `warehouseId must be one of ${WAREHOUSE_IDS.join(', ')}` });
+
+export const transferSchema = Joi.object({
+	productId: Joi.string().required().messages({
+		'string.empty': 'productId is required',
+		'any.required': 'productId is required',
+	}),
+	variantId: Joi.string().optional().allow(null, ''),
+	fromWarehouseId: warehouseIdSchema.required().messages({ 'any.required': 'fromWarehouseId is required' }),
+	toWarehouseId: warehouseIdSchema.required().messages({ 'any.required': 'toWarehouseId is required' }),
+	qty: Joi.number().integer().min(1).required().messages({
+		'any.required': 'qty is required',
+	}),
+	note: Joi.string().max(500).optional().allow(null, ''),
+})
+	.custom((value, helpers) => (value.toWarehouseId === value.fromWarehouseId ? helpers.error('transfer.sameWarehouse') : value))
+	.messages({ 'transfer.sameWarehouse': 'toWarehouseId must differ from fromWarehouseId' });
+
+export const transfersQuerySchema = Joi.object({
+	status: Joi.string()
+		.valid(...TRANSFER_STATUSES)
+		.optional()
+		.messages({ 'any.only': `status must be one of ${TRANSFER_STATUSES.join(', ')}` }),
+	productId: Joi.string().optional(),
+	warehouseId: warehouseIdSchema.optional(),
+	limit: Joi.number().integer().min(1).max(MAX_TRANSFER_LIMIT).default(DEFAULT_TRANSFER_LIMIT),
+});
+
+export const reconcileSchema = Joi.object({
+	repair: Joi.boolean().default(false),
+	productId: Joi.string().optional(),
+});
+
+export const adjustmentsQuerySchema = Joi.object({
+	productId: Joi.string().optional(),
+	limit: Joi.number().integer().min(1).max(MAX_ADJUSTMENT_LIMIT).default(DEFAULT_ADJUSTMENT_LIMIT),
+});
+
+export const reservationsQuerySchema = Joi.object({
+	userId: Joi.string().optional(),
+	cartId: Joi.string().optional(),
+	status: Joi.string()
+		.valid(...RESERVATION_STATUSES)
+		.optional()
+		.messages({ 'any.only': `status must be one of ${RESERVATION_STATUSES.join(', ')}` }),
+	limit: Joi.number().integer().min(1).max(MAX_RESERVATION_LIMIT).default(DEFAULT_RESERVATION_LIMIT),
+});
+
+export const extendReservationSchema = Joi.object({
+	ttl: Joi.number().integer().min(60).max(MAX_RESERVATION_TTL).default(DEFAULT_RESERVATION_TTL),
+});
@@ -39,11 +39,6 @@ describe('Inventory Worker Integration', () => {
 					run: sinon.stub(),
 				}),
 			},
-			INVENTORY_LOCK_KV: {
-				get: sinon.stub(),
-				put: sinon.stub().resolves(),
-				delete: sinon.stub().resolves(),
-			},
 			INTERNAL_SECRET: 'test-secret',
 			TEST_MODE: 'true',
 		};
@@ -55,19 +50,7 @@ describe('Inventory Worker Integration', () => {
 
 	describe('POST /inventory/reserve', () => {
 		it('should reserve inventory for items', async () => {
-			const mockStock = {
-				product_id: 'pro_1',
-				stock: 100,
-				reserved: 10,
-			};
-
-			env.DB.prepare().bind.returnsThis();
-			env.DB.prepare().first.onFirstCall().resolves(mockStock); // Get stock
-			env.DB.prepare().first.onSecondCall().resolves(null); // Check lock
-			env.DB.prepare().run.onFirstCall().resolves({ success: true }); // Reserve stock
-			env.DB.prepare().run.onSecondCall().resolves({ success: true }); // Create reservation
-
-			env.INVENTORY_LOCK_KV.get.resolves(null); // No existing lock
+			env.DB.batch = sinon.stub().resolves([{ success: true }, { success: true, meta: { changes: 1 } }, { success: true }]);
 
 			const body = JSON.stringify({
 				reservationId: 'res_123',
@@ -91,7 +74,153 @@ describe('Inventory Worker Integration', () => {
 			const response = await handler.fetch(request, env);
 			const data = await response.json();
 
-			expect([200, 400]).to.include(response.status);
+			expect(response.status).to.equal(200);
+			expect(data.items).to.deep.equal([
+				{ productId: 'pro_1', variantId: 'var_pro_1', qty: 2, allocations: [{ warehouseId: 'wh_mumbai', qty: 2 }] },
+			]);
+			// Reads of stock policies and warehouse stock, then the reservation write
+			expect(env.DB.batch).to.have.been.calledThrice;
+			expect(data.backordered).to.equal(0);
+		});
+
+		it('should return 409 when the batch rolls back for lack of stock', async () => {
+			env.DB.batch = sinon.stub().rejects(new Error('D1_ERROR: CHECK constraint failed: qty > 0: SQLITE_CONSTRAINT'));
+			env.DB.batch.onFirstCall().resolves([{ results: [] }]);
+			env.DB.batch.onSecondCall().resolves([{ results: [] }]);
+			env.DB.prepare().first.resolves({ product_id: 'pro_1', variant_id: 'var_pro_1', stock: 1, reserved: 1, active: 1 });
+
+			const body = JSON.stringify({ reservationId: 'res_123', items: [{ productId: 'pro_1', qty: 1 }] });
+			const { timestamp, signature } = await generateSignature(env.INTERNAL_SECRET, 'POST', '/inventory/reserve', body);
+
+			request = new Request('https://example.com/inventory/reserve', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'x-timestamp': timestamp,
+					'x-signature': signature,
+				},
+				body,
+			});
+
+			const response = await handler.fetch(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(409);
+			expect(data).to.include({ error: 'INSUFFICIENT_STOCK', productId: 'pro_1', available: 0, requested: 1 });
+		});
+	});
+
+	describe('POST /inventory/stock-batch', () => {
+		it('should return stock for every requested product', async () => {
+			env.DB.batch = sinon
+				.stub()
+				.resolves([{ results: [{ product_id: 'pro_1', variant_id: 'var_pro_1', stock: 8, reserved: 3, active: 1 }] }]);
+
+			const body = JSON.stringify({ items: [{ productId: 'pro_1' }, { productId: 'pro_2' }] });
+			const { timestamp, signature } = await generateSignature(env.INTERNAL_SECRET, 'POST', '/inventory/stock-batch', body);
+			request = new Request('https://example.com/inventory/stock-batch', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', 'x-timestamp': timestamp, 'x-signature': signature },
+				body,
+			});
+
+			const response = await handler.fetch(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data.products.pro_1).to.include({ stock: 8, reserved: 3, available: 5 });
+			expect(data.products.pro_2).to.include({ stock: 0, available: 0 });
+		});
+	});
+
+	describe('GET /inventory/reservations/:id', () => {
+		it('should return reservation status and items', async () => {
+			const now = Math.floor(Date.now() / 1000);
+			env.DB.prepare().first.resolves({
+				reservation_id: 'res_123',
+				user_id: 'user_123',
+				cart_id: 'cart_123',
+				status: 'active',
+				items: JSON.stringify([{ productId: 'pro_1', variantId: 'var_pro_1', qty: 2 }]),
+				expires_at: now + 600,
+				created_at: now - 300,
+				updated_at: now - 300,
+			});
+			env.DB.prepare().all = sinon.stub().resolves({
+				results: [
+					{ product_id: 'pro_1', variant_id: 'var_pro_1', warehouse_id: 'wh_mumbai', qty: 1 },
+					{ product_id: 'pro_1', variant_id: 'var_pro_1', warehouse_id: 'wh_pune', qty: 1 },
+				],
+			});
+
+			const path = '/inventory/reservations/res_123';
+			const { timestamp, signature } = await generateSignature(env.INTERNAL_SECRET, 'GET', path, '');
+			request = new Request(`https://example.com${path}`, {
+				method: 'GET',
+				headers: { 'x-timestamp': timestamp, 'x-signature': signature },
+			});
+
+			const response = await handler.fetch(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data).to.include({ reservationId: 'res_123', status: 'active', live: true });
+			expect(data.items).to.deep.equal([
+				{
+					productId: 'pro_1',
+					variantId: 'var_pro_1',
+					qty: 2,
+					allocations: [
+						{ warehouseId: 'wh_mumbai', qty: 1 },
+						{ warehouseId: 'wh_pune', qty: 1 },
+					],
+				},
+			]);
+		});
+
+		it('should return 404 for unknown reservations', async () => {
+			env.DB.prepare().first.resolves(null);
+
+			const path = '/inventory/reservations/res_missing';
+			const { timestamp, signature } = await generateSignature(env.INTERNAL_SECRET, 'GET', path, '');
+			request = new Request(`https://example.com${path}`, {
+				method: 'GET',
+				headers: { 'x-timestamp': timestamp, 'x-signature': signature },
+			});
+
+			const response = await handler.fetch(request, env);
+
+			expect(response.status).to.equal(404);
+		});
+	});
+
+	describe('POST /inventory/reservations/:id/extend', () => {
+		it('should push out the expiry of a live reservation', async () => {
+			const now = Math.floor(Date.now() / 1000);
+			env.DB.prepare().first.resolves({
+				reservation_id: 'res_123',
+				status: 'active',
+				items: '[]',
+				expires_at: now + 60,
+				created_at: now - 840,
+			});
+			env.DB.prepare().run.resolves({ success: true, meta: { changes: 1 } });
+
+			const path = '/inventory/reservations/res_123/extend';
+			const body = JSON.stringify({ ttl: 600 });
+			const { timestamp, signature } = await generateSignature(env.INTERNAL_SECRET, 'POST', path, body);
+			request = new Request(`https://example.com${path}`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', 'x-timestamp': timestamp, 'x-signature': signature },
+				body,
+			});
+
+			const response = await handler.fetch(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data.expiresAt).to.be.at.least(now + 600);
+			expect(data.capped).to.equal(false);
 		});
 	});
 
@@ -105,7 +234,9 @@ describe('Inventory Worker Integration', () => {
 
 			env.DB.prepare().bind.returnsThis();
 			env.DB.prepare().first.resolves(mockReservation);
-			env.DB.prepare().run.resolves({ success: true });
+			env.DB.prepare().run.resolves({ success: true, meta: { changes: 1 } });
+			// Total and default-warehouse stock updates, then the status change the claim is read from
+			env.DB.batch = sinon.stub().resolves([{ success: true }, { success: true }, { success: true, meta: { changes: 1 } }]);
 
 			const body = JSON.stringify({
 				reservationId: 'res_123',
@@ -123,8 +254,69 @@ describe('Inventory Worker Integration', () => {
 			});
 
 			const response = await handler.fetch(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data).to.include({ committed: true, reservationId: 'res_123' });
+			// Stock and status settle together in the first batch
+			expect(env.DB.batch.firstCall.args[0]).to.have.length(3);
+			expect(env.DB.prepare).to.have.been.calledWithMatch(sinon.match('UPDATE reservations SET status = ?'));
+		});
+	});
+
+	describe('POST /inventory/admin/update', () => {
+		it('should adjust stock and return the ledger entry', async () => {
+			env.DB.prepare().first.resolves({ product_id: 'pro_1', stock: 10, reserved: 2 });
+			env.DB.prepare().run.resolves({ success: true });
+			env.DB.batch = sinon.stub().resolves([{ success: true, meta: { changes: 1 } }, { success: true }]);
+
+			const body = JSON.stringify({ productId: 'pro_1', operation: 'increment', quantity: 5, reason: 'Restock' });
+			const { timestamp, signature } = await generateSignature(env.INTERNAL_SECRET, 'POST', '/inventory/admin/update', body);
+
+			request = new Request('https://example.com/inventory/admin/update', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'x-timestamp': timestamp,
+					'x-signature': signature,
+					'x-user-id': 'usr_admin',
+					'x-user-role': 'admin',
+				},
+				body,
+			});
+
+			const response = await handler.fetch(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data).to.include({ productId: 'pro_1', stockBefore: 10, stockAfter: 15, actorId: 'usr_admin' });
+		});
+	});
+
+	describe('scheduled', () => {
+		it('should run the reservation expiry sweep', async () => {
+			env.DB.prepare().all = sinon.stub().resolves({ results: [] });
+			const ctx = { waitUntil: sinon.stub() };
+
+			handler.scheduled({ cron: '*/5 * * * *' }, env, ctx);
+			await ctx.waitUntil.firstCall.args[0];
+
+			expect(ctx.waitUntil).to.have.been.calledOnce;
+			expect(env.DB.prepare.lastCall.args[0]).to.include("status = 'active' AND expires_at < ?");
+		});
+
+		it('should run reconciliation on the hourly cron without repairing by default', async () => {
+			env.DB.prepare().all = sinon.stub().resolves({ results: [] });
+			env.DB.batch = sinon.stub();
+			const ctx = { waitUntil: sinon.stub() };
+
+			handler.scheduled({ cron: '17 * * * *' }, env, ctx);
+			const report = await ctx.waitUntil.firstCall.args[0];
 
-			expect([200, 404]).to.include(response.status);
+			expect(report).to.be.undefined;
+			expect(env.DB.prepare).to.have.been.calledWithMatch(sinon.match('json_each(r.items)'));
+			expect(env.DB.prepare).to.not.have.been.calledWithMatch(sinon.match(/expires_at < \?/));
+			expect(env.DB.batch).to.not.have.been.called;
 		});
 	});
 });
@@ -24,10 +24,11 @@ describe('db.queries', () => {
 		sinon.restore();
 	});
 
-	describe('getProductStock', () => {
-		it('should fetch product stock', async () => {
+	describe('getVariantStock', () => {
+		it('should fetch stock for a product variant', async () => {
 			const mockStock = {
 				product_id: 'pro_123',
+				variant_id: 'var_pro_123',
 				stock: 100,
 				reserved: 10,
 			};
@@ -39,48 +40,459 @@ describe('db.queries', () => {
 
 			env.DB.prepare.returns(stmt);
 
-			const result = await queries.getProductStock(env, 'pro_123');
+			const result = await queries.getVariantStock(env, 'pro_123', 'var_pro_123');
 
-			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM product_stock WHERE product_id = ?');
-			expect(stmt.bind).to.have.been.calledWith('pro_123');
+			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM product_stock WHERE product_id = ? AND variant_id = ?');
+			expect(stmt.bind).to.have.been.calledWith('pro_123', 'var_pro_123');
 			expect(result).to.have.property('stock', 100);
 		});
 	});
 
-	describe('reserveStock', () => {
-		it('should reserve stock for a product', async () => {
+	describe('listVariantStock', () => {
+		it('should fetch stock rows for every variant of a product', async () => {
 			const stmt = {
 				bind: sinon.stub().returnsThis(),
-				run: sinon.stub().resolves({ success: true, changes: 1 }),
+				all: sinon.stub().resolves({ results: [{ variant_id: 'var_s' }, { variant_id: 'var_m' }] }),
 			};
 
 			env.DB.prepare.returns(stmt);
 
-			const result = await queries.reserveStock(env, 'pro_123', 5);
+			const result = await queries.listVariantStock(env, 'pro_123');
+
+			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM product_stock WHERE product_id = ? ORDER BY variant_id');
+			expect(stmt.bind).to.have.been.calledWith('pro_123');
+			expect(result.results).to.have.length(2);
+		});
+	});
+
+	describe('deactivateProductStock', () => {
+		it('should mark the product stock row inactive', async () => {
+			const stmt = {
+				bind: sinon.stub().returnsThis(),
+				run: sinon.stub().resolves({ success: true, meta: { changes: 1 } }),
+			};
 
-			expect(env.DB.prepare).to.have.been.called;
-			expect(stmt.bind).to.have.been.calledWith(5, 'pro_123', 5);
+			env.DB.prepare.returns(stmt);
+
+			await queries.deactivateProductStock(env, 'pro_123');
+
+			expect(env.DB.prepare.firstCall.args[0]).to.include('SET active = 0');
+			expect(stmt.bind).to.have.been.calledWith('pro_123');
 			expect(stmt.run).to.have.been.calledOnce;
 		});
 	});
 
-	describe('createReservation', () => {
-		it('should create a reservation record', async () => {
+	describe('createReservationWithItems', () => {
+		it('should batch the reservation insert with a guarded update per item', async () => {
+			const stmts = [];
+			env.DB.prepare = sinon.stub().callsFake((query) => {
+				const stmt = { query, bind: sinon.stub().returnsThis() };
+				stmts.push(stmt);
+				return stmt;
+			});
+			env.DB.batch = sinon.stub().resolves([]);
+
+			const items = [
+				{ productId: 'pro_1', variantId: 'var_pro_1', qty: 2 },
+				{ productId: 'pro_2', variantId: 'var_m', qty: 1 },
+			];
+			const reservation = { reservationId: 'res_123', userId: 'user_123', cartId: null, expiresAt: 1700000900, now: 1700000000 };
+
+			await queries.createReservationWithItems(env, reservation, items);
+
+			const batch = env.DB.batch.firstCall.args[0];
+			expect(batch).to.have.length(5);
+			expect(batch[0].query).to.include('INSERT INTO reservations');
+			expect(batch[0].query).to.not.include('OR REPLACE');
+			expect(batch[0].bind).to.have.been.calledWith(
+				'res_123',
+				'user_123',
+				null,
+				JSON.stringify(items),
+				0,
+				1700000900,
+				1700000000,
+				1700000000,
+			);
+			expect(batch[3].query).to.include('active = 1 AND (stock - reserved) >= ?');
+			expect(batch[3].bind).to.have.been.calledWith(1, 1700000000, 'pro_2', 'var_m', 1);
+			expect(batch[4].query).to.include('INSERT INTO reservation_items');
+			expect(batch[4].bind).to.have.been.calledWith('res_123', 'pro_2', 'var_m', 1);
+		});
+
+		it('should guard each warehouse allocation the same way', async () => {
+			const stmts = [];
+			env.DB.prepare = sinon.stub().callsFake((query) => {
+				const stmt = { query, bind: sinon.stub().returnsThis() };
+				stmts.push(stmt);
+				return stmt;
+			});
+			env.DB.batch = sinon.stub().resolves([]);
+
+			const items = [
+				{
+					productId: 'pro_1',
+					variantId: 'var_pro_1',
+					qty: 3,
+					allocations: [
+						{ warehouseId: 'wh_mumbai', qty: 1 },
+						{ warehouseId: 'wh_delhi', qty: 2 },
+					],
+				},
+			];
+			const reservation = { reservationId: 'res_123', expiresAt: 1700000900, now: 1700000000 };
+
+			await queries.createReservationWithItems(env, reservation, items);
+
+			const batch = env.DB.batch.firstCall.args[0];
+			expect(batch).to.have.length(7);
+			expect(batch[5].query).to.include('UPDATE warehouse_stock SET reserved = reserved + ?');
+			expect(batch[5].bind).to.have.been.calledWith(2, 1700000000, 'pro_1', 'var_pro_1', 'wh_delhi', 2);
+			expect(batch[6].query).to.include('INSERT INTO reservation_allocations');
+			expect(batch[6].query).to.include('CASE WHEN changes() = 1');
+			expect(batch[6].bind).to.have.been.calledWith('res_123', 'pro_1', 'var_pro_1', 'wh_delhi', 2);
+		});
+	});
+
+	describe('applyStockAdjustment', () => {
+		it('should batch the guarded warehouse update with the total and the ledger insert', async () => {
 			const stmt = {
 				bind: sinon.stub().returnsThis(),
-				run: sinon.stub().resolves({ success: true }),
 			};
+			env.DB.prepare.returns(stmt);
+			env.DB.batch = sinon.stub().resolves([{ success: true, meta: { changes: 1 } }, { success: true }, { success: true }]);
 
+			const result = await queries.applyStockAdjustment(env, {
+				adjustmentId: 'adj_1',
+				productId: 'pro_123',
+				variantId: 'var_pro_123',
+				warehouseId: 'wh_delhi',
+				operation: 'increment',
+				stockBefore: 5,
+				stockAfter: 15,
+				reason: 'Restock',
+				actorId: 'usr_admin',
+				now: 1700000000,
+			});
+
+			expect(env.DB.batch).to.have.been.calledOnce;
+			expect(env.DB.batch.firstCall.args[0]).to.have.length(3);
+			expect(env.DB.prepare.firstCall.args[0]).to.include('UPDATE warehouse_stock');
+			expect(env.DB.prepare.secondCall.args[0]).to.include('UPDATE product_stock SET stock = stock + ?');
+			expect(env.DB.prepare.secondCall.args[0]).to.include('changes() = 1');
+			expect(env.DB.prepare.thirdCall.args[0]).to.include('WHERE changes() = 1');
+			expect(stmt.bind.firstCall).to.have.been.calledWith(15, 1700000000, 'pro_123', 'var_pro_123', 'wh_delhi', 5, 15);
+			expect(stmt.bind.secondCall).to.have.been.calledWith(10, 1700000000, 'pro_123', 'var_pro_123');
+			expect(stmt.bind.thirdCall).to.have.been.calledWith(
+				'adj_1',
+				'pro_123',
+				'var_pro_123',
+				'wh_delhi',
+				'increment',
+				10,
+				5,
+				15,
+				'Restock',
+				'usr_admin',
+				1700000000,
+			);
+			expect(result.meta.changes).to.equal(1);
+		});
+	});
+
+	describe('listStockAdjustments', () => {
+		it('should filter by product when given', async () => {
+			const stmt = {
+				bind: sinon.stub().returnsThis(),
+				all: sinon.stub().resolves({ results: [] }),
+			};
 			env.DB.prepare.returns(stmt);
 
-			const items = [{ productId: 'pro_1', qty: 2 }];
-			const now = Math.floor(Date.now() / 1000);
-			const expiresAt = now + 900;
+			await queries.listStockAdjustments(env, 'pro_123', 20);
 
-			await queries.createReservation(env, 'res_123', 'user_123', 'cart_123', items, expiresAt, now);
+			expect(env.DB.prepare.firstCall.args[0]).to.include('WHERE product_id = ?');
+			expect(stmt.bind).to.have.been.calledWith('pro_123', 20);
+		});
 
-			expect(env.DB.prepare).to.have.been.called;
-			expect(stmt.run).to.have.been.calledOnce;
+		it('should list all adjustments without a product', async () => {
+			const stmt = {
+				bind: sinon.stub().returnsThis(),
+				all: sinon.stub().resolves({ results: [] }),
+			};
+			env.DB.prepare.returns(stmt);
+
+			await queries.listStockAdjustments(env, undefined, 20);
+
+			expect(env.DB.prepare.firstCall.args[0]).to.not.include('WHERE');
+			expect(stmt.bind).to.have.been.calledWith(20);
+		});
+	});
+
+	describe('settleReservation', () => {
+		it('should guard every stock update on the reservation being active and change its status last', async () => {
+			env.DB.prepare = sinon.stub().callsFake((query) => ({ query, bind: sinon.stub().returnsThis() }));
+			env.DB.batch = sinon.stub().resolves([{}, {}, { success: true, meta: { changes: 1 } }]);
+
+			const claim = await queries.settleReservation(
+				env,
+				'res_123',
+				'released',
+				[{ productId: 'pro_1', variantId: 'var_pro_1', qty: 2, allocations: [{ warehouseId: 'wh_mumbai', qty: 2 }] }],
+				1700000000,
+			);
+
+			const [stock, warehouse, status] = env.DB.batch.firstCall.args[0];
+			expect(stock.query).to.include('UPDATE product_stock SET reserved = reserved - ?');
+			expect(warehouse.query).to.include('UPDATE warehouse_stock SET reserved = reserved - ?');
+			for (const s of [stock, warehouse]) {
+				expect(s.query).to.include("EXISTS (SELECT 1 FROM reservations WHERE reservation_id = ? AND status = 'active')");
+			}
+			expect(status.query).to.include("WHERE reservation_id = ? AND status = 'active'");
+			expect(status.bind).to.have.been.calledWith('released', 1700000000, 'res_123');
+			expect(claim).to.deep.equal({ success: true, meta: { changes: 1 } });
+		});
+
+		it('should take committed units off stock as well as reserved', async () => {
+			env.DB.prepare = sinon.stub().callsFake((query) => ({ query, bind: sinon.stub().returnsThis() }));
+			env.DB.batch = sinon.stub().resolves([{}, {}]);
+
+			await queries.settleReservation(
+				env,
+				'res_123',
+				'committed',
+				[{ productId: 'pro_1', variantId: 'var_pro_1', qty: 2, allocations: [] }],
+				1700000000,
+			);
+
+			const [stock] = env.DB.batch.firstCall.args[0];
+			expect(stock.query).to.include('SET stock = stock - ?, reserved = reserved - ?');
+			expect(stock.bind).to.have.been.calledWith(2, 2, 1700000000, 'pro_1', 'var_pro_1', 'res_123');
+		});
+	});
+
+	describe('listReservations', () => {
+		it('should filter by the given fields', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.listReservations(env, { userId: 'user_1', status: 'active' }, 20);
+
+			expect(env.DB.prepare).to.have.been.calledWith(
+				'SELECT * FROM reservations WHERE user_id = ? AND status = ? ORDER BY created_at DESC LIMIT ?',
+			);
+			expect(stmt.bind).to.have.been.calledWith('user_1', 'active', 20);
+		});
+
+		it('should list everything without filters', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.listReservations(env, {}, 50);
+
+			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM reservations ORDER BY created_at DESC LIMIT ?');
+			expect(stmt.bind).to.have.been.calledWith(50);
+		});
+	});
+
+	describe('listReservationAllocations', () => {
+		it('should read the warehouse split recorded for a reservation', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.listReservationAllocations(env, 'res_1');
+
+			expect(env.DB.prepare.firstCall.args[0]).to.include('FROM reservation_allocations WHERE reservation_id = ?');
+			expect(stmt.bind).to.have.been.calledWith('res_1');
+		});
+	});
+
+	describe('extendReservationExpiry', () => {
+		it('should only move live reservations', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), run: sinon.stub().resolves({ meta: { changes: 1 } }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.extendReservationExpiry(env, 'res_1', 1700001800, 1700000000);
+
+			expect(env.DB.prepare.firstCall.args[0]).to.include("status = 'active' AND expires_at >= ?");
+			expect(stmt.bind).to.have.been.calledWith(1700001800, 1700000000, 'res_1', 1700000000);
+		});
+	});
+
+	describe('listStockForProducts', () => {
+		it('should split ids across statements in one batch', async () => {
+			const stmts = [];
+			env.DB.prepare = sinon.stub().callsFake((query) => {
+				const stmt = { query, bind: sinon.stub().returnsThis() };
+				stmts.push(stmt);
+				return stmt;
+			});
+			env.DB.batch = sinon.stub().resolves([{ results: [{ product_id: 'pro_0' }] }, { results: [{ product_id: 'pro_100' }] }]);
+
+			const ids = Array.from({ length: 150 }, (_, i) => `pro_${i}`);
+			const rows = await queries.listStockForProducts(env, ids);
+
+			expect(env.DB.batch).to.have.been.calledOnce;
+			expect(stmts).to.have.length(2);
+			expect(stmts[0].bind.firstCall.args).to.have.length(100);
+			expect(stmts[1].bind.firstCall.args).to.deep.equal(ids.slice(100));
+			expect(rows).to.deep.equal([{ product_id: 'pro_0' }, { product_id: 'pro_100' }]);
+		});
+
+		it('should skip the query for an empty list', async () => {
+			env.DB.batch = sinon.stub();
+			expect(await queries.listStockForProducts(env, [])).to.deep.equal([]);
+			expect(env.DB.batch).to.not.have.been.called;
+		});
+	});
+
+	describe('listProductsBelowReorderPoint', () => {
+		it('should compare available stock of active variants with the threshold', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.listProductsBelowReorderPoint(env, 25);
+
+			const sql = env.DB.prepare.firstCall.args[0];
+			expect(sql).to.include('ps.active = 1');
+			expect(sql).to.include('HAVING available < rp.reorder_threshold');
+			expect(stmt.bind).to.have.been.calledWith(25);
+		});
+	});
+
+	describe('insertStockAlert', () => {
+		it('should leave an existing open alert alone', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), run: sinon.stub().resolves({ meta: { changes: 0 } }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.insertStockAlert(env, {
+				alertId: 'alert_1',
+				productId: 'pro_1',
+				severity: 'low',
+				available: 3,
+				reorderThreshold: 5,
+				safetyStock: 1,
+				now: 100,
+			});
+
+			expect(env.DB.prepare.firstCall.args[0]).to.include('INSERT OR IGNORE INTO stock_alerts');
+			expect(stmt.bind).to.have.been.calledWith('alert_1', 'pro_1', 'low', 3, 5, 1, 100);
+		});
+	});
+
+	describe('listStockAlerts', () => {
+		it('should filter by product and status', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.listStockAlerts(env, { productId: 'pro_1', status: 'open' }, 10);
+
+			expect(env.DB.prepare).to.have.been.calledWith(
+				'SELECT * FROM stock_alerts WHERE product_id = ? AND status = ? ORDER BY created_at DESC LIMIT ?',
+			);
+			expect(stmt.bind).to.have.been.calledWith('pro_1', 'open', 10);
+		});
+	});
+
+	describe('applyStockAdjustments', () => {
+		it('should create missing rows first and return each warehouse update', async () => {
+			const stmt = { bind: sinon.stub().returnsThis() };
+			env.DB.prepare.returns(stmt);
+			const results = Array.from({ length: 8 }, (_, i) => ({ meta: { changes: i } }));
+			env.DB.batch = sinon.stub().resolves(results);
+
+			const adjustment = { productId: 'pro_1', variantId: 'var_pro_1', warehouseId: 'wh_delhi', stockBefore: 0, stockAfter: 3, now: 1 };
+			const updates = await queries.applyStockAdjustments(env, [
+				{ ...adjustment, adjustmentId: 'adj_1', create: true },
+				{ ...adjustment, adjustmentId: 'adj_2', productId: 'pro_2', variantId: 'var_pro_2' },
+			]);
+
+			expect(env.DB.batch.firstCall.args[0]).to.have.length(8);
+			expect(env.DB.prepare.firstCall.args[0]).to.include('INSERT OR IGNORE INTO product_stock');
+			expect(updates).to.deep.equal([results[2], results[5]]);
+		});
+	});
+
+	describe('listWarehouseStockPage', () => {
+		it('should continue after the last key', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.listWarehouseStockPage(env, { productId: 'pro_1', variantId: 'var_pro_1', warehouseId: 'wh_delhi' }, 500, 'wh_mumbai');
+
+			expect(env.DB.prepare).to.have.been.calledWith(
+				'SELECT * FROM warehouse_stock WHERE (product_id, variant_id, warehouse_id) > (?, ?, ?) AND warehouse_id = ? ORDER BY product_id, variant_id, warehouse_id LIMIT ?',
+			);
+			expect(stmt.bind).to.have.been.calledWith('pro_1', 'var_pro_1', 'wh_delhi', 'wh_mumbai', 500);
+		});
+	});
+
+	describe('listReservedDrift', () => {
+		it('should compare reserved with active reservation lines', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.listReservedDrift(env, { productId: 'pro_1', settledBefore: 1700000000 });
+
+			const sql = env.DB.prepare.firstCall.args[0];
+			expect(sql).to.include('json_each(r.items)');
+			expect(sql).to.include("WHERE r.status = 'active'");
+			expect(sql).to.include('s.reserved != COALESCE(e.qty, 0)');
+			expect(stmt.bind).to.have.been.calledWith(1700000000, 'pro_1', 'pro_1');
+		});
+	});
+
+	describe('repairReserved', () => {
+		it('should guard each update on the reserved figure it was computed from', async () => {
+			const stmt = { bind: sinon.stub().returnsThis() };
+			env.DB.prepare.returns(stmt);
+			env.DB.batch = sinon.stub().resolves([{ meta: { changes: 1 } }, { meta: { changes: 0 } }]);
+
+			const results = await queries.repairReserved(
+				env,
+				[
+					{ productId: 'pro_1', variantId: 'var_pro_1', reserved: 5, expected: 2 },
+					{ productId: 'pro_1', variantId: 'var_pro_1', warehouseId: 'wh_delhi', reserved: 3, expected: 0 },
+				],
+				1700000000,
+				1700000060,
+			);
+
+			expect(env.DB.prepare.firstCall.args[0]).to.include('UPDATE product_stock');
+			expect(env.DB.prepare.secondCall.args[0]).to.include('UPDATE warehouse_stock');
+			expect(stmt.bind.firstCall).to.have.been.calledWith(2, 1700000060, 'pro_1', 'var_pro_1', 5, 1700000000);
+			expect(stmt.bind.secondCall).to.have.been.calledWith(0, 1700000060, 'pro_1', 'var_pro_1', 'wh_delhi', 3, 1700000000);
+			expect(results).to.have.length(2);
+		});
+
+		it('should not run an empty batch', async () => {
+			env.DB.batch = sinon.stub();
+
+			expect(await queries.repairReserved(env, [], 1, 2)).to.deep.equal([]);
+			expect(env.DB.batch).to.not.have.been.called;
+		});
+	});
+
+	describe('createRestock', () => {
+		it('should guard each line and only move stock for sellable units', async () => {
+			const stmt = { bind: sinon.stub().returnsThis() };
+			env.DB.prepare.returns(stmt);
+			env.DB.batch = sinon.stub().resolves([]);
+
+			await queries.createRestock(
+				env,
+				{ restockId: 'rst_1', reservationId: 'res_1', reason: 'return', sellable: 1, damaged: 1, now: 1700000000 },
+				[
+					{ productId: 'pro_1', variantId: 'var_pro_1', warehouseId: 'wh_delhi', condition: 'sellable', qty: 1 },
+					{ productId: 'pro_1', variantId: 'var_pro_1', warehouseId: 'wh_delhi', condition: 'damaged', qty: 1 },
+				],
+			);
+
+			const sql = env.DB.prepare.getCalls().map((c) => c.args[0]);
+			// two ensure rows, the restock, then guard + product + warehouse + ledger, then the damaged guard
+			expect(env.DB.batch.firstCall.args[0]).to.have.length(8);
+			expect(sql[2]).to.include('INSERT INTO restocks');
+			expect(sql[3]).to.include("r.status = 'committed'");
+			expect(sql.filter((q) => q.includes('UPDATE'))).to.have.length(2);
 		});
 	});
 });
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for csv.js
+ */
+import { describe, it } from 'mocha';
+import { parseCsv, parseCsvRecords, toCsvLine } from '../../../src/helpers/csv.js';
+
+describe('csv', () => {
+	describe('parseCsv', () => {
+		it('should split lines and fields', () => {
+			expect(parseCsv('a,b\r\n1,2\n3,\n')).to.deep.equal([
+				['a', 'b'],
+				['1', '2'],
+				['3', ''],
+			]);
+		});
+
+		it('should read quoted fields with commas, quotes and newlines', () => {
+			expect(parseCsv('"a,b","say ""hi""","two\nlines"')).to.deep.equal([['a,b', 'say "hi"', 'two\nlines']]);
+		});
+
+		it('should skip blank lines and a byte order mark', () => {
+			expect(parseCsv('\uFEFFa\n\n\nb')).to.deep.equal([['a'], ['b']]);
+		});
+	});
+
+	describe('parseCsvRecords', () => {
+		it('should key fields by the trimmed header', () => {
+			const { columns, records } = parseCsvRecords(' productId , stock\npro_1, 5\npro_2');
+
+			expect(columns).to.deep.equal(['productId', 'stock']);
+			expect(records).to.deep.equal([
+				{ productId: 'pro_1', stock: '5' },
+				{ productId: 'pro_2', stock: '' },
+			]);
+		});
+
+		it('should return nothing for an empty file', () => {
+			expect(parseCsvRecords('')).to.deep.equal({ columns: [], records: [] });
+		});
+	});
+
+	describe('toCsvLine', () => {
+		it('should quote only fields that need it', () => {
+			expect(toCsvLine(['pro_1', 'a,b', 'say "hi"', 3, null])).to.equal('pro_1,"a,b","say ""hi""",3,\n');
+		});
+
+		it('should round-trip through parseCsv', () => {
+			const values = ['x', 'y,z', '"q"', 'line\nbreak'];
+			expect(parseCsv(toCsvLine(values))).to.deep.equal([values]);
+		});
+	});
+});
@@ -2,7 +2,7 @@
  * Unit tests for utils.js
  */
 import { describe, it } from 'mocha';
-import { nowSec, sleep, constantTimeEqual } from '../../../src/helpers/utils.js';
+import { nowSec, sleep, constantTimeEqual, resolveVariantId } from '../../../src/helpers/utils.js';
 
 describe('utils', () => {
 	describe('nowSec', () => {
@@ -49,4 +49,15 @@ describe('utils', () => {
 			expect(constantTimeEqual(undefined, '')).to.be.true;
 		});
 	});
+
+	describe('resolveVariantId', () => {
+		it('should keep an explicit variant id', () => {
+			expect(resolveVariantId('pro_1', 'var_size_m')).to.equal('var_size_m');
+		});
+
+		it('should fall back to the default variant id', () => {
+			expect(resolveVariantId('pro_1', null)).to.equal('var_pro_1');
+			expect(resolveVariantId('pro_1', '')).to.equal('var_pro_1');
+		});
+	});
 });
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for adjustment.service.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { adjustStock } from '../../../src/services/adjustment.service.js';
+import sinon from 'sinon';
+
+describe('adjustment.service', () => {
+	let env;
+	let stockRow;
+	let updateResult;
+
+	beforeEach(() => {
+		stockRow = { product_id: 'pro_1', stock: 10, reserved: 3 };
+		updateResult = { success: true, meta: { changes: 1 } };
+
+		env = {
+			DB: {
+				prepare: sinon.stub().callsFake((query) => {
+					const stmt = {
+						query,
+						bind: sinon.stub().returnsThis(),
+						first: sinon.stub(),
+						run: sinon.stub().resolves({ success: true }),
+					};
+					if (query.includes('SELECT') && query.includes('warehouse_stock')) {
+						stmt.first.callsFake(async () => stockRow);
+					}
+					return stmt;
+				}),
+				// Reorder point lookups (none configured) are batches of SELECTs
+				batch: sinon
+					.stub()
+					.callsFake(async (statements) =>
+						statements[0].query.startsWith('SELECT') ? [{ results: [] }] : [updateResult, { success: true }],
+					),
+			},
+		};
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('adjustStock', () => {
+		it('should increment stock and record the ledger entry', async () => {
+			const result = await adjustStock(env, {
+				productId: 'pro_1',
+				operation: 'increment',
+				quantity: 5,
+				reason: 'Restock',
+				actorId: 'usr_1',
+			});
+
+			expect(result).to.include({
+				productId: 'pro_1',
+				operation: 'increment',
+				delta: 5,
+				stockBefore: 10,
+				stockAfter: 15,
+				reserved: 3,
+				available: 12,
+				actorId: 'usr_1',
+			});
+			expect(result.adjustmentId).to.match(/^adj_/);
+			// The adjustment is one batch; the reorder point check follows it
+			expect(env.DB.batch.firstCall.args[0]).to.have.length(3);
+			expect(env.DB.batch.secondCall.args[0][0].query).to.include('FROM reorder_points');
+		});
+
+		it('should set stock to an absolute value', async () => {
+			const result = await adjustStock(env, { productId: 'pro_1', operation: 'set', quantity: 4, reason: 'Cycle count' });
+
+			expect(result).to.include({ stockBefore: 10, stockAfter: 4, delta: -6 });
+		});
+
+		it('should create the stock row before restocking', async () => {
+			await adjustStock(env, { productId: 'pro_1', operation: 'set', quantity: 4, reason: 'New product' });
+
+			expect(env.DB.prepare.firstCall.args[0]).to.include('INSERT OR IGNORE INTO product_stock');
+			expect(env.DB.prepare.secondCall.args[0]).to.include('INSERT OR IGNORE INTO warehouse_stock');
+		});
+
+		it('should not create a stock row for decrements', async () => {
+			stockRow = null;
+
+			let caughtError;
+			try {
+				await adjustStock(env, { productId: 'pro_missing', operation: 'decrement', quantity: 1, reason: 'Damaged' });
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				caughtError = err;
+			}
+
+			expect(caughtError).to.have.property('error', 'product_not_found');
+			expect(env.DB.prepare.firstCall.args[0]).to.not.include('INSERT');
+		});
+
+		it('should reject decrements below zero', async () => {
+			let caughtError;
+			try {
+				await adjustStock(env, { productId: 'pro_1', operation: 'decrement', quantity: 11, reason: 'Damaged' });
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				caughtError = err;
+			}
+
+			expect(caughtError).to.have.property('error', 'negative_stock');
+			expect(env.DB.batch).to.not.have.been.called;
+		});
+
+		it('should reject stock below the reserved quantity', async () => {
+			let caughtError;
+			try {
+				await adjustStock(env, { productId: 'pro_1', operation: 'set', quantity: 2, reason: 'Cycle count' });
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				caughtError = err;
+			}
+
+			expect(caughtError).to.include({ error: 'below_reserved', reserved: 3, stockAfter: 2 });
+		});
+
+		it('should report a conflict when the guarded update matches nothing', async () => {
+			updateResult = { success: true, meta: { changes: 0 } };
+
+			let caughtError;
+			try {
+				await adjustStock(env, { productId: 'pro_1', operation: 'increment', quantity: 1, reason: 'Restock' });
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				caughtError = err;
+			}
+
+			expect(caughtError).to.have.property('error', 'stock_conflict');
+		});
+	});
+
+	describe('variant resolution', () => {
+		it('should adjust the requested variant', async () => {
+			const result = await adjustStock(env, {
+				productId: 'pro_1',
+				variantId: 'var_size_l',
+				operation: 'increment',
+				quantity: 2,
+				reason: 'Restock',
+			});
+
+			expect(result).to.have.property('variantId', 'var_size_l');
+			expect(env.DB.prepare.thirdCall.returnValue.bind).to.have.been.calledWith('pro_1', 'var_size_l', 'wh_mumbai');
+		});
+
+		it('should fall back to the default variant', async () => {
+			const result = await adjustStock(env, { productId: 'pro_1', operation: 'increment', quantity: 2, reason: 'Restock' });
+
+			expect(result).to.have.property('variantId', 'var_pro_1');
+		});
+	});
+
+	describe('warehouse resolution', () => {
+		it('should adjust the requested warehouse', async () => {
+			const result = await adjustStock(env, {
+				productId: 'pro_1',
+				warehouseId: 'wh_delhi',
+				operation: 'increment',
+				quantity: 2,
+				reason: 'Restock',
+			});
+
+			expect(result).to.have.property('warehouseId', 'wh_delhi');
+			expect(env.DB.prepare.thirdCall.returnValue.bind).to.have.been.calledWith('pro_1', 'var_pro_1', 'wh_delhi');
+		});
+
+		it('should fall back to the default warehouse', async () => {
+			const result = await adjustStock(env, { productId: 'pro_1', operation: 'increment', quantity: 2, reason: 'Restock' });
+
+			expect(result).to.have.property('warehouseId', 'wh_mumbai');
+		});
+	});
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for alert.service.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { alertSeverity, checkStockLevels, checkStockLevelsSafely, listLowStock } from '../../../src/services/alert.service.js';
+import sinon from 'sinon';
+
+describe('alert.service', () => {
+	let env;
+	let pointRows;
+	let stockRows;
+	let insertResult;
+	let fetchStub;
+
+	beforeEach(() => {
+		pointRows = [{ product_id: 'pro_1', reorder_threshold: 5, safety_stock: 2 }];
+		stockRows = [{ product_id: 'pro_1', variant_id: 'var_pro_1', stock: 6, reserved: 2, active: 1 }];
+		insertResult = { success: true, meta: { changes: 1 } };
+		fetchStub = sinon.stub(global, 'fetch').resolves({ ok: true, status: 200 });
+		sinon.stub(console, 'warn');
+
+		env = {
+			DB: {
+				prepare: sinon.stub().callsFake((query) => ({
+					query,
+					bind: sinon.stub().returnsThis(),
+					run: sinon.stub().callsFake(async () => (query.includes('INSERT') ? insertResult : { success: true, meta: { changes: 0 } })),
+					all: sinon.stub().resolves({ results: [] }),
+				})),
+				batch: sinon
+					.stub()
+					.callsFake(async (statements) => [{ results: statements[0].query.includes('reorder_points') ? pointRows : stockRows }]),
+			},
+		};
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	const written = (fragment) => env.DB.prepare.getCalls().filter((c) => c.args[0].includes(fragment));
+
+	describe('alertSeverity', () => {
+		it('should grade available stock against the reorder point', () => {
+			const point = { reorderThreshold: 5, safetyStock: 2 };
+			expect(alertSeverity(5, point)).to.equal(null);
+			expect(alertSeverity(4, point)).to.equal('low');
+			expect(alertSeverity(2, point)).to.equal('critical');
+			expect(alertSeverity(-3, point)).to.equal('critical');
+		});
+	});
+
+	describe('checkStockLevels', () => {
+		it('should raise and send an alert below the threshold', async () => {
+			env.STOCK_ALERT_WEBHOOK_URL = 'https://hooks.example.com/stock';
+
+			const raised = await checkStockLevels(env, ['pro_1', 'pro_1']);
+
+			expect(raised).to.have.length(1);
+			expect(raised[0]).to.include({ productId: 'pro_1', severity: 'low', available: 4, reorderThreshold: 5, status: 'open' });
+			expect(written('INSERT OR IGNORE INTO stock_alerts')).to.have.length(1);
+			expect(fetchStub).to.have.been.calledOnceWith('https://hooks.example.com/stock');
+			expect(JSON.parse(fetchStub.firstCall.args[1].body)).to.include({ type: 'inventory.low_stock' });
+		});
+
+		it('should not send again while an alert is open', async () => {
+			env.STOCK_ALERT_WEBHOOK_URL = 'https://hooks.example.com/stock';
+			insertResult = { success: true, meta: { changes: 0 } };
+
+			const raised = await checkStockLevels(env, ['pro_1']);
+
+			expect(raised).to.deep.equal([]);
+			expect(fetchStub).to.not.have.been.called;
+		});
+
+		it('should resolve the open alert once stock is back', async () => {
+			stockRows[0].stock = 10;
+
+			const raised = await checkStockLevels(env, ['pro_1']);
+
+			expect(raised).to.deep.equal([]);
+			expect(written("SET status = 'resolved'")).to.have.length(1);
+			expect(written('INSERT')).to.have.length(0);
+		});
+
+		it('should skip products without a reorder point', async () => {
+			pointRows = [];
+
+			expect(await checkStockLevels(env, ['pro_1'])).to.deep.equal([]);
+			expect(env.DB.batch).to.have.been.calledOnce;
+		});
+
+		it('should skip deactivated products', async () => {
+			stockRows[0].active = 0;
+
+			expect(await checkStockLevels(env, ['pro_1'])).to.deep.equal([]);
+			expect(written('stock_alerts')).to.have.length(0);
+		});
+
+		it('should log rather than throw for callers that already wrote', async () => {
+			env.DB.batch = sinon.stub().rejects(new Error('D1 down'));
+			sinon.stub(console, 'error');
+
+			expect(await checkStockLevelsSafely(env, ['pro_1'])).to.deep.equal([]);
+		});
+	});
+
+	describe('listLowStock', () => {
+		it('should report the shortfall and severity', async () => {
+			env.DB.prepare = sinon.stub().returns({
+				bind: sinon.stub().returnsThis(),
+				all: sinon.stub().resolves({
+					results: [{ product_id: 'pro_1', reorder_threshold: 5, safety_stock: 2, stock: 3, reserved: 1, available: 2 }],
+				}),
+			});
+
+			const products = await listLowStock(env, 50);
+
+			expect(products).to.deep.equal([
+				{
+					productId: 'pro_1',
+					reorderThreshold: 5,
+					safetyStock: 2,
+					stock: 3,
+					reserved: 1,
+					available: 2,
+					shortfall: 3,
+					severity: 'critical',
+				},
+			]);
+		});
+	});
+});
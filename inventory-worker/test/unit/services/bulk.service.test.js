@@ -0,0 +1,160 @@
+/**
+ * Unit tests for bulk.service.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { readImportRows, importStock, exportStockStream } from '../../../src/services/bulk.service.js';
+import sinon from 'sinon';
+
+describe('bulk.service', () => {
+	let env;
+	let warehouseRows;
+	let writeBatch;
+
+	beforeEach(() => {
+		warehouseRows = [{ product_id: 'pro_1', variant_id: 'var_pro_1', warehouse_id: 'wh_mumbai', stock: 10, reserved: 4 }];
+		writeBatch = sinon.stub().callsFake(async (statements) => statements.map(() => ({ success: true, meta: { changes: 1 } })));
+
+		env = {
+			DB: {
+				prepare: sinon.stub().callsFake((query) => ({
+					query,
+					bind: sinon.stub().returnsThis(),
+					all: sinon.stub().resolves({ results: [] }),
+				})),
+				batch: sinon.stub().callsFake(async (statements) => {
+					const query = statements[0].query;
+					if (query.includes('FROM warehouse_stock')) return [{ results: warehouseRows }];
+					if (query.startsWith('SELECT')) return [{ results: [] }];
+					return writeBatch(statements);
+				}),
+			},
+		};
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('readImportRows', () => {
+		it('should read CSV with a header', () => {
+			const rows = readImportRows({ csv: 'productId,variantId,warehouse,stock\npro_1,,MUM,12\n' });
+			expect(rows).to.deep.equal([{ productId: 'pro_1', variantId: '', warehouse: 'MUM', stock: '12' }]);
+		});
+
+		it('should pass JSON rows through', () => {
+			const rows = [{ productId: 'pro_1', warehouse: 'wh_delhi', stock: 3 }];
+			expect(readImportRows({ rows })).to.equal(rows);
+		});
+
+		it('should reject CSV missing a required column', () => {
+			expect(() => readImportRows({ csv: 'productId,stock\npro_1,3' }))
+				.to.throw()
+				.that.deep.includes({
+					error: 'invalid_file',
+					message: 'missing column(s): warehouse',
+				});
+		});
+
+		it('should reject a body that is neither', () => {
+			expect(() => readImportRows({}))
+				.to.throw()
+				.that.has.property('error', 'invalid_file');
+		});
+	});
+
+	describe('importStock', () => {
+		it('should report a result for every row', async () => {
+			const report = await importStock(env, [
+				{ productId: 'pro_1', warehouse: 'MUM', stock: '12' },
+				{ productId: 'pro_1', warehouse: 'wh_mumbai', stock: 1 },
+				{ productId: 'pro_2', warehouse: 'del', stock: 5 },
+				{ productId: 'pro_3', warehouse: 'wh_nowhere', stock: 5 },
+				{ productId: 'pro_1', variantId: 'var_pro_1', warehouse: 'MUM', stock: 10 },
+			]);
+
+			expect(report).to.include({ dryRun: false, total: 5, updated: 2, invalid: 3, failed: 0 });
+			expect(report.results[0]).to.include({ row: 1, status: 'updated', warehouseId: 'wh_mumbai', stockBefore: 10, stockAfter: 12 });
+			expect(report.results[1]).to.deep.equal({ row: 2, status: 'invalid', errors: ['duplicate of row 1'] });
+			expect(report.results[2]).to.include({ row: 3, status: 'updated', warehouseId: 'wh_delhi', stockBefore: 0, stockAfter: 5 });
+			expect(report.results[3].errors[0]).to.include('warehouse must be one of');
+			expect(report.results[4]).to.deep.equal({ row: 5, status: 'invalid', errors: ['duplicate of row 1'] });
+		});
+
+		it('should create stock rows for new variants before the adjustments', async () => {
+			await importStock(env, [{ productId: 'pro_2', warehouse: 'DEL', stock: 5 }], { actorId: 'usr_admin' });
+
+			const statements = writeBatch.firstCall.args[0];
+			expect(statements).to.have.length(5);
+			expect(statements[0].query).to.include('INSERT OR IGNORE INTO product_stock');
+			expect(statements[1].query).to.include('INSERT OR IGNORE INTO warehouse_stock');
+			expect(statements[2].query).to.include('UPDATE warehouse_stock');
+		});
+
+		it('should not go below reserved', async () => {
+			const report = await importStock(env, [{ productId: 'pro_1', warehouse: 'MUM', stock: 3 }]);
+
+			expect(report.results[0]).to.include({ status: 'failed', error: 'below_reserved', reserved: 4 });
+			expect(writeBatch).to.not.have.been.called;
+		});
+
+		it('should report rows whose stock moved during the import', async () => {
+			writeBatch.callsFake(async (statements) => statements.map(() => ({ success: true, meta: { changes: 0 } })));
+
+			const report = await importStock(env, [{ productId: 'pro_1', warehouse: 'MUM', stock: 12 }]);
+
+			expect(report.results[0]).to.include({ status: 'failed', error: 'stock_conflict' });
+			expect(report.results[0]).to.not.have.property('adjustmentId');
+		});
+
+		it('should skip unchanged rows and write nothing on a dry run', async () => {
+			const report = await importStock(
+				env,
+				[
+					{ productId: 'pro_1', warehouse: 'MUM', stock: 10 },
+					{ productId: 'pro_1', warehouse: 'CHN', stock: 2 },
+				],
+				{ dryRun: true },
+			);
+
+			expect(report).to.include({ dryRun: true, unchanged: 1, valid: 1, updated: 0 });
+			expect(writeBatch).to.not.have.been.called;
+		});
+
+		it('should refuse files over the row limit', async () => {
+			const rows = Array.from({ length: 301 }, (_, i) => ({ productId: `pro_${i}`, warehouse: 'MUM', stock: 1 }));
+
+			try {
+				await importStock(env, rows);
+				expect.fail('Should have thrown');
+			} catch (e) {
+				expect(e).to.deep.equal({ error: 'too_many_rows', max: 300, rows: 301 });
+			}
+		});
+	});
+
+	describe('exportStockStream', () => {
+		it('should write CSV in the import columns', async () => {
+			env.DB.prepare = sinon.stub().returns({
+				bind: sinon.stub().returnsThis(),
+				all: sinon.stub().resolves({ results: warehouseRows }),
+			});
+
+			const text = await new Response(exportStockStream(env, { format: 'csv' })).text();
+
+			expect(text).to.equal('productId,variantId,warehouse,stock,reserved,available\npro_1,var_pro_1,wh_mumbai,10,4,6\n');
+		});
+
+		it('should write a JSON array', async () => {
+			env.DB.prepare = sinon.stub().returns({
+				bind: sinon.stub().returnsThis(),
+				all: sinon.stub().resolves({ results: warehouseRows }),
+			});
+
+			const json = JSON.parse(await new Response(exportStockStream(env, { format: 'json' })).text());
+
+			expect(json).to.deep.equal([
+				{ productId: 'pro_1', variantId: 'var_pro_1', warehouse: 'wh_mumbai', stock: 10, reserved: 4, available: 6 },
+			]);
+		});
+	});
+});
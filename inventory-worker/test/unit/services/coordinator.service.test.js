@@ -0,0 +1,132 @@
+/**
+ * Unit tests for coordinator.service.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import {
+	coordinatorEnabled,
+	holdStock,
+	settleHolds,
+	notifyCoordinators,
+	refreshCoordinator,
+	getCoordinatorState,
+} from '../../../src/services/coordinator.service.js';
+import sinon from 'sinon';
+
+describe('coordinator.service', () => {
+	let env;
+	let calls;
+	let responses;
+
+	beforeEach(() => {
+		calls = [];
+		responses = {};
+		env = {
+			STOCK_COORDINATOR: {
+				idFromName: sinon.stub().callsFake((name) => `id:${name}`),
+				get: sinon.stub().callsFake((id) => ({
+					fetch: sinon.stub().callsFake(async (url, init) => {
+						const path = new URL(url).pathname;
+						const body = JSON.parse(init.body);
+						calls.push({ id, path, body });
+						const [status, data] = responses[`${body.productId}${path}`] || [200, { ok: true }];
+						return new Response(JSON.stringify(data), { status });
+					}),
+				})),
+			},
+		};
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('coordinatorEnabled', () => {
+		it('should depend on the STOCK_COORDINATOR binding', () => {
+			expect(coordinatorEnabled(env)).to.equal(true);
+			expect(coordinatorEnabled({})).to.equal(false);
+		});
+	});
+
+	describe('holdStock', () => {
+		it('should hold lines per product in productId order', async () => {
+			await holdStock(env, 'res_1', [
+				{ productId: 'pro_b', variantId: 'var_m', qty: 1 },
+				{ productId: 'pro_a', qty: 2 },
+				{ productId: 'pro_b', variantId: 'var_l', qty: 3 },
+			]);
+
+			expect(calls.map((c) => c.id)).to.deep.equal(['id:pro_a', 'id:pro_b']);
+			expect(calls[0].body).to.deep.equal({ productId: 'pro_a', reservationId: 'res_1', lines: [{ variantId: 'var_pro_a', qty: 2 }] });
+			expect(calls[1].body.lines).to.deep.equal([
+				{ variantId: 'var_m', qty: 1 },
+				{ variantId: 'var_l', qty: 3 },
+			]);
+		});
+
+		it('should cancel granted holds and throw the refusal', async () => {
+			responses['pro_b/reserve'] = [409, { error: 'INSUFFICIENT_STOCK', productId: 'pro_b', available: 0, requested: 1 }];
+
+			let caughtError;
+			try {
+				await holdStock(env, 'res_1', [
+					{ productId: 'pro_a', qty: 1 },
+					{ productId: 'pro_b', qty: 1 },
+				]);
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				caughtError = err;
+			}
+
+			expect(caughtError).to.deep.equal({ error: 'INSUFFICIENT_STOCK', productId: 'pro_b', available: 0, requested: 1 });
+			expect(calls.map((c) => `${c.body.productId}${c.path}`)).to.deep.equal(['pro_a/reserve', 'pro_b/reserve', 'pro_a/cancel']);
+		});
+
+		it('should do nothing without the binding', async () => {
+			await holdStock({}, 'res_1', [{ productId: 'pro_a', qty: 1 }]);
+			expect(calls).to.be.empty;
+		});
+	});
+
+	describe('settleHolds', () => {
+		it('should confirm written reservations', async () => {
+			await settleHolds(env, 'res_1', [{ productId: 'pro_a', qty: 1 }], true);
+			expect(calls[0]).to.deep.include({ path: '/confirm', body: { productId: 'pro_a', reservationId: 'res_1' } });
+		});
+
+		it('should cancel reservations that did not reach D1', async () => {
+			await settleHolds(env, 'res_1', [{ productId: 'pro_a', qty: 1 }], false);
+			expect(calls[0].path).to.equal('/cancel');
+		});
+	});
+
+	describe('notifyCoordinators', () => {
+		it('should send the action with resolved lines', async () => {
+			await notifyCoordinators(env, 'commit', [{ productId: 'pro_a', qty: 2 }]);
+			expect(calls[0]).to.deep.include({ path: '/commit', body: { productId: 'pro_a', lines: [{ variantId: 'var_pro_a', qty: 2 }] } });
+		});
+
+		it('should not throw when a coordinator is unreachable', async () => {
+			env.STOCK_COORDINATOR.get = sinon.stub().returns({ fetch: sinon.stub().rejects(new Error('DO down')) });
+			await notifyCoordinators(env, 'release', [{ productId: 'pro_a', qty: 2 }]);
+		});
+	});
+
+	describe('refreshCoordinator', () => {
+		it('should reload the product coordinator', async () => {
+			await refreshCoordinator(env, 'pro_a');
+			expect(calls[0]).to.deep.include({ path: '/refresh', body: { productId: 'pro_a' } });
+		});
+	});
+
+	describe('getCoordinatorState', () => {
+		it('should return the snapshot', async () => {
+			responses['pro_a/state'] = [200, { productId: 'pro_a', variants: [], pendingReservations: 0 }];
+			const state = await getCoordinatorState(env, 'pro_a');
+			expect(state).to.deep.equal({ productId: 'pro_a', variants: [], pendingReservations: 0 });
+		});
+
+		it('should return null without the binding', async () => {
+			expect(await getCoordinatorState({}, 'pro_a')).to.equal(null);
+		});
+	});
+});
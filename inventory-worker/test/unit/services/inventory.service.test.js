@@ -2,7 +2,17 @@
  * Unit tests for inventory.service.js
  */
 import { describe, it, beforeEach, afterEach } from 'mocha';
-import { reserveInventory, rollbackReservation, commitReservation, releaseReservation } from '../../../src/services/inventory.service.js';
+import {
+	getStockSummary,
+	getStockBatch,
+	reserveInventory,
+	commitReservation,
+	releaseReservation,
+	expireStaleReservations,
+	getReservationDetails,
+	findReservations,
+	extendReservation,
+} from '../../../src/services/inventory.service.js';
 import sinon from 'sinon';
 
 describe('inventory.service', () => {
@@ -17,11 +27,6 @@ describe('inventory.service', () => {
 					run: sinon.stub(),
 				}),
 			},
-			INVENTORY_LOCK_KV: {
-				get: sinon.stub(),
-				put: sinon.stub(),
-				delete: sinon.stub(),
-			},
 		};
 	});
 
@@ -30,52 +35,101 @@ describe('inventory.service', () => {
 	});
 
 	describe('reserveInventory', () => {
-		it('should reserve inventory for valid items', async () => {
+		let stmts;
+		let stockRows;
+		let warehouseRows;
+		let productRows;
+		let policyRows;
+		let reserveBatch;
+
+		beforeEach(() => {
+			stmts = [];
+			stockRows = {};
+			env.DB.prepare = sinon.stub().callsFake((query) => {
+				const stmt = {
+					query,
+					bind: sinon.stub().returnsThis(),
+					first: sinon.stub().callsFake(async () => stockRows[stmt.bind.lastCall.args.join(':')] ?? null),
+					run: sinon.stub().resolves({ success: true }),
+				};
+				stmts.push(stmt);
+				return stmt;
+			});
+			warehouseRows = [];
+			productRows = [];
+			policyRows = [];
+			reserveBatch = sinon.stub().resolves([]);
+			// Stock and policy reads are batches of SELECTs; anything else is the reservation write
+			env.DB.batch = sinon.stub().callsFake(async (statements) => {
+				const query = statements[0].query;
+				if (query.includes('FROM stock_policies')) return [{ results: policyRows }];
+				if (query.includes('FROM warehouse_stock')) return [{ results: warehouseRows }];
+				if (query.includes('FROM product_stock')) return [{ results: productRows }];
+				return reserveBatch(statements);
+			});
+		});
+
+		it('should reserve all items in a single batch', async () => {
 			const items = [
 				{ productId: 'pro_1', qty: 2 },
 				{ productId: 'pro_2', qty: 1 },
 			];
 
-			// Mock DB queries
-			const stmt1 = env.DB.prepare();
-			stmt1.first.onFirstCall().resolves({ stock: 10, reserved: 2 });
-			stmt1.first.onSecondCall().resolves({ stock: 5, reserved: 1 });
-
-			// Mock lock service via KV
-			env.INVENTORY_LOCK_KV.get.onFirstCall().resolves(null);
-			env.INVENTORY_LOCK_KV.get.onSecondCall().resolves(null);
-			env.INVENTORY_LOCK_KV.put.onFirstCall().resolves();
-			env.INVENTORY_LOCK_KV.put.onSecondCall().resolves();
-			env.INVENTORY_LOCK_KV.get.onCall(2).resolves('res-res_123'); // Verify first lock
-			env.INVENTORY_LOCK_KV.get.onCall(3).resolves('res-res_123'); // Verify second lock
-
-			// Mock reserve stock
-			const reserveStmt = env.DB.prepare();
-			reserveStmt.run.onFirstCall().resolves({ success: true, changes: 1, meta: { changes: 1 } });
-			reserveStmt.run.onSecondCall().resolves({ success: true, changes: 1, meta: { changes: 1 } });
-
-			// Mock create reservation
-			const createStmt = env.DB.prepare();
-			createStmt.run.resolves({ success: true });
-
 			const result = await reserveInventory(env, 'res_123', 'user123', 'cart_123', items, 900);
 
 			expect(result).to.have.property('reservationId', 'res_123');
 			expect(result.items).to.have.length(2);
-			expect(env.DB.prepare).to.have.been.called;
+			expect(reserveBatch).to.have.been.calledOnce;
+
+			const batch = reserveBatch.firstCall.args[0];
+			expect(batch).to.have.length(9);
+			expect(batch[0].query).to.include('INSERT INTO reservations');
+			expect(batch[1].query).to.include('(stock - reserved) >= ?');
+			expect(batch[1].bind).to.have.been.calledWith(2, sinon.match.number, 'pro_1', 'var_pro_1', 2);
+			expect(batch[2].query).to.include('CASE WHEN changes() = 1 THEN ? ELSE 0 END');
+			expect(batch[2].bind).to.have.been.calledWith('res_123', 'pro_1', 'var_pro_1', 2);
+		});
+
+		it('should reserve the requested variant and store resolved variant ids', async () => {
+			const items = [
+				{ productId: 'pro_1', variantId: 'var_size_m', qty: 1 },
+				{ productId: 'pro_2', qty: 1 },
+			];
+
+			const result = await reserveInventory(env, 'res_123', 'user123', 'cart_123', items, 900);
+
+			expect(result.items).to.deep.equal([
+				{ productId: 'pro_1', variantId: 'var_size_m', qty: 1, allocations: [{ warehouseId: 'wh_mumbai', qty: 1 }] },
+				{ productId: 'pro_2', variantId: 'var_pro_2', qty: 1, allocations: [{ warehouseId: 'wh_mumbai', qty: 1 }] },
+			]);
+
+			const insert = stmts.find((s) => s.query.includes('INSERT INTO reservations'));
+			expect(JSON.parse(insert.bind.firstCall.args[3])).to.deep.equal(result.items);
 		});
 
-		it('should throw error for insufficient stock', async () => {
-			const items = [{ productId: 'pro_1', qty: 100 }];
+		it('should merge repeated lines for the same variant', async () => {
+			const items = [
+				{ productId: 'pro_1', qty: 1 },
+				{ productId: 'pro_1', variantId: 'var_pro_1', qty: 2 },
+			];
 
-			// Mock DB - stock check returns insufficient stock
-			const stmt = env.DB.prepare();
-			stmt.first.resolves({ stock: 10, reserved: 5 });
+			const result = await reserveInventory(env, 'res_123', 'user123', 'cart_123', items, 900);
+
+			expect(result.items).to.deep.equal([
+				{ productId: 'pro_1', variantId: 'var_pro_1', qty: 3, allocations: [{ warehouseId: 'wh_mumbai', qty: 3 }] },
+			]);
+			expect(reserveBatch.firstCall.args[0]).to.have.length(5);
+		});
 
-			// Mock lock service via KV
-			env.INVENTORY_LOCK_KV.get.resolves(null);
-			env.INVENTORY_LOCK_KV.put.resolves();
-			env.INVENTORY_LOCK_KV.get.onCall(1).resolves('res-res_123'); // Verify lock
+		it('should report the short item when the batch rolls back', async () => {
+			reserveBatch.rejects(new Error('D1_ERROR: CHECK constraint failed: qty > 0: SQLITE_CONSTRAINT'));
+			stockRows['pro_1:var_pro_1'] = { stock: 10, reserved: 0, active: 1 };
+			stockRows['pro_2:var_pro_2'] = { stock: 10, reserved: 5, active: 1 };
+
+			const items = [
+				{ productId: 'pro_1', qty: 1 },
+				{ productId: 'pro_2', qty: 100 },
+			];
 
 			let caughtError;
 			try {
@@ -85,21 +139,21 @@ describe('inventory.service', () => {
 				caughtError = err;
 			}
 
-			expect(caughtError).to.have.property('error', 'INSUFFICIENT_STOCK');
-			expect(caughtError.applied).to.be.an('array');
-			expect(caughtError.locked).to.be.an('array');
+			expect(caughtError).to.deep.equal({
+				error: 'INSUFFICIENT_STOCK',
+				productId: 'pro_2',
+				variantId: 'var_pro_2',
+				available: 5,
+				requested: 100,
+			});
 		});
 
 		it('should throw error for product not found', async () => {
-			const items = [{ productId: 'pro_notfound', qty: 1 }];
-
-			// Mock DB - product not found
-			const stmt = env.DB.prepare();
-			stmt.first.resolves(null);
+			reserveBatch.rejects(new Error('CHECK constraint failed: qty > 0'));
 
 			let caughtError;
 			try {
-				await reserveInventory(env, 'res_123', 'user123', 'cart_123', items, 900);
+				await reserveInventory(env, 'res_123', 'user123', 'cart_123', [{ productId: 'pro_notfound', qty: 1 }], 900);
 				expect.fail('Should have thrown an error');
 			} catch (err) {
 				caughtError = err;
@@ -108,70 +162,125 @@ describe('inventory.service', () => {
 			expect(caughtError).to.have.property('error', 'product_not_found');
 		});
 
-		it('should throw error for invalid item', async () => {
-			const items = [{ productId: '', qty: 1 }];
+		it('should throw error for deactivated product', async () => {
+			reserveBatch.rejects(new Error('CHECK constraint failed: qty > 0'));
+			stockRows['pro_archived:var_pro_archived'] = { stock: 10, reserved: 0, active: 0 };
 
 			let caughtError;
 			try {
-				await reserveInventory(env, 'res_123', 'user123', 'cart_123', items, 900);
+				await reserveInventory(env, 'res_123', 'user123', 'cart_123', [{ productId: 'pro_archived', qty: 1 }], 900);
 				expect.fail('Should have thrown an error');
 			} catch (err) {
 				caughtError = err;
 			}
 
-			expect(caughtError).to.have.property('error', 'invalid_item');
+			expect(caughtError).to.have.property('error', 'product_unavailable');
+			expect(caughtError).to.have.property('productId', 'pro_archived');
 		});
 
-		it('should throw error for zero quantity', async () => {
-			const items = [{ productId: 'pro_1', qty: 0 }];
+		it('should report a shortage when stock recovered before the diagnosis', async () => {
+			reserveBatch.rejects(new Error('CHECK constraint failed: qty > 0'));
+			stockRows['pro_1:var_pro_1'] = { stock: 10, reserved: 0, active: 1 };
 
 			let caughtError;
 			try {
-				await reserveInventory(env, 'res_123', 'user123', 'cart_123', items, 900);
+				await reserveInventory(env, 'res_123', 'user123', 'cart_123', [{ productId: 'pro_1', qty: 1 }], 900);
 				expect.fail('Should have thrown an error');
 			} catch (err) {
 				caughtError = err;
 			}
 
-			expect(caughtError).to.have.property('error', 'invalid_item');
+			expect(caughtError).to.deep.equal({ error: 'INSUFFICIENT_STOCK' });
+			expect(reserveBatch).to.have.been.calledTwice;
 		});
 
-		it('should throw error when lock acquisition fails', async () => {
-			const items = [{ productId: 'pro_1', qty: 2 }];
+		it('should re-plan once when only the warehouse split went stale', async () => {
+			reserveBatch.onFirstCall().rejects(new Error('CHECK constraint failed: qty > 0'));
+			stockRows['pro_1:var_pro_1'] = { stock: 10, reserved: 0, active: 1 };
 
-			// Mock DB - stock available
-			const stmt = env.DB.prepare();
-			stmt.first.resolves({ stock: 10, reserved: 2 });
+			const result = await reserveInventory(env, 'res_123', 'user123', 'cart_123', [{ productId: 'pro_1', qty: 1 }], 900);
+
+			expect(result).to.have.property('reservationId', 'res_123');
+			expect(reserveBatch).to.have.been.calledTwice;
+		});
+
+		it('should guard backordered lines on the exact on-hand split', async () => {
+			policyRows = [{ product_id: 'pro_1', policy: 'backorder', backorder_limit: 5 }];
+			productRows = [{ product_id: 'pro_1', variant_id: 'var_pro_1', stock: 3, reserved: 2 }];
+			warehouseRows = [{ product_id: 'pro_1', variant_id: 'var_pro_1', warehouse_id: 'wh_mumbai', stock: 3, reserved: 2 }];
+
+			const result = await reserveInventory(env, 'res_123', 'user123', 'cart_123', [{ productId: 'pro_1', qty: 4 }], 900);
+
+			expect(result.backordered).to.equal(3);
+			expect(result.items[0]).to.include({ qty: 4, backordered: 3, backorderType: 'backorder' });
+			expect(result.items[0].allocations).to.deep.equal([{ warehouseId: 'wh_mumbai', qty: 1 }]);
+
+			const batch = reserveBatch.firstCall.args[0];
+			expect(batch[0].bind.firstCall.args[4]).to.equal(3);
+			expect(batch[1].query).to.include('MAX(stock - reserved, 0) = ?');
+			expect(batch[1].bind).to.have.been.calledWith(4, sinon.match.number, 'pro_1', 'var_pro_1', 1, 5, 5, 4);
+		});
+
+		it('should allocate lines to the warehouse nearest the shipping zone', async () => {
+			warehouseRows = [
+				{ product_id: 'pro_1', variant_id: 'var_pro_1', warehouse_id: 'wh_mumbai', stock: 5, reserved: 0 },
+				{ product_id: 'pro_1', variant_id: 'var_pro_1', warehouse_id: 'wh_chennai', stock: 5, reserved: 0 },
+			];
 
-			// Mock lock service - lock acquisition fails
-			env.INVENTORY_LOCK_KV.get.resolves('res-other_reservation'); // Lock held by another
+			const result = await reserveInventory(env, 'res_123', 'user123', 'cart_123', [{ productId: 'pro_1', qty: 2 }], 900, 'CHN');
+
+			expect(result.items[0].allocations).to.deep.equal([{ warehouseId: 'wh_chennai', qty: 2 }]);
+			const batch = reserveBatch.firstCall.args[0];
+			expect(batch[3].query).to.include('UPDATE warehouse_stock');
+			expect(batch[3].bind).to.have.been.calledWith(2, sinon.match.number, 'pro_1', 'var_pro_1', 'wh_chennai', 2);
+		});
+
+		it('should reject a reservation id that already exists', async () => {
+			reserveBatch.rejects(new Error('D1_ERROR: UNIQUE constraint failed: reservations.reservation_id: SQLITE_CONSTRAINT'));
 
 			let caughtError;
 			try {
-				await reserveInventory(env, 'res_123', 'user123', 'cart_123', items, 900);
+				await reserveInventory(env, 'res_123', 'user123', 'cart_123', [{ productId: 'pro_1', qty: 1 }], 900);
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				caughtError = err;
+			}
+
+			expect(caughtError).to.deep.equal({ error: 'reservation_exists', reservationId: 'res_123' });
+		});
+
+		it('should rethrow unexpected database errors', async () => {
+			reserveBatch.rejects(new Error('D1_ERROR: network'));
+
+			let caughtError;
+			try {
+				await reserveInventory(env, 'res_123', 'user123', 'cart_123', [{ productId: 'pro_1', qty: 1 }], 900);
 				expect.fail('Should have thrown an error');
 			} catch (err) {
 				caughtError = err;
 			}
 
-			expect(caughtError).to.have.property('error');
+			expect(caughtError).to.be.an('error');
+			expect(caughtError.message).to.include('network');
 		});
 
-		it('should throw error when reserveStock fails', async () => {
-			const items = [{ productId: 'pro_1', qty: 2 }];
+		it('should throw error for invalid item', async () => {
+			const items = [{ productId: '', qty: 1 }];
 
-			// Mock DB - stock available
-			const stockStmt = env.DB.prepare();
-			stockStmt.first.resolves({ stock: 10, reserved: 2 });
+			let caughtError;
+			try {
+				await reserveInventory(env, 'res_123', 'user123', 'cart_123', items, 900);
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				caughtError = err;
+			}
 
-			// Mock lock service
-			env.INVENTORY_LOCK_KV.get.onFirstCall().resolves(null);
-			env.INVENTORY_LOCK_KV.put.resolves();
-			env.INVENTORY_LOCK_KV.get.onCall(1).resolves('res-res_123');
+			expect(caughtError).to.have.property('error', 'invalid_item');
+			expect(env.DB.batch).to.not.have.been.called;
+		});
 
-			// Mock reserve stock - fails (no changes)
-			const reserveStmt = env.DB.prepare();
-			reserveStmt.run.resolves({ success: false, changes: 0 });
+		it('should throw error for zero quantity', async () => {
+			const items = [{ productId: 'pro_1', qty: 0 }];
 
 			let caughtError;
 			try {
@@ -181,7 +290,7 @@ describe('inventory.service', () => {
 				caughtError = err;
 			}
 
-			expect(caughtError).to.have.property('error', 'INSUFFICIENT_STOCK');
+			expect(caughtError).to.have.property('error', 'invalid_item');
 		});
 	});
 
@@ -199,7 +308,7 @@ describe('inventory.service', () => {
 				const stmt = {
 					bind: sinon.stub().returnsThis(),
 					first: sinon.stub(),
-					run: sinon.stub().resolves({ success: true }),
+					run: sinon.stub().resolves({ success: true, meta: { changes: 1 } }),
 				};
 
 				if (query.includes('SELECT') && query.includes('reservations')) {
@@ -209,12 +318,17 @@ describe('inventory.service', () => {
 				return stmt;
 			});
 
-			env.INVENTORY_LOCK_KV.delete.resolves();
+			env.DB.batch = sinon.stub().callsFake(async (statements) => statements.map(() => ({ success: true, meta: { changes: 1 } })));
 
 			const result = await commitReservation(env, 'res_123');
 
 			expect(result).to.have.property('committed', true);
-			expect(env.DB.prepare).to.have.been.called;
+			// Stock, warehouse stock and the status change land together
+			const [statements] = env.DB.batch.firstCall.args;
+			expect(statements).to.have.length(3);
+			expect(statements[0].bind).to.have.been.calledWith(2, 2, sinon.match.number, 'pro_1', 'var_pro_1', 'res_123');
+			expect(statements[1].bind).to.have.been.calledWith(2, 2, sinon.match.number, 'pro_1', 'var_pro_1', 'wh_mumbai', 'res_123');
+			expect(statements[2].bind).to.have.been.calledWith('committed', sinon.match.number, 'res_123');
 		});
 
 		it('should throw error for reservation not found', async () => {
@@ -255,6 +369,44 @@ describe('inventory.service', () => {
 			expect(caughtError).to.have.property('error', 'not_active');
 			expect(caughtError).to.have.property('status', 'committed');
 		});
+
+		it('should not move stock when another caller claimed the reservation first', async () => {
+			const reservation = {
+				reservation_id: 'res_123',
+				status: 'active',
+				items: JSON.stringify([{ productId: 'pro_1', qty: 2 }]),
+			};
+			const stockUpdates = [];
+			let reads = 0;
+
+			env.DB.prepare = sinon.stub().callsFake((query) => {
+				const stmt = { query, bind: sinon.stub().returnsThis(), first: sinon.stub() };
+
+				if (query.startsWith('SELECT * FROM reservations')) {
+					stmt.first.callsFake(async () => (reads++ === 0 ? reservation : { ...reservation, status: 'released' }));
+				} else if (query.includes('_stock')) {
+					stockUpdates.push(query);
+				}
+
+				return stmt;
+			});
+			// The status change matched nothing, so neither did the stock updates guarded by it
+			env.DB.batch = sinon.stub().callsFake(async (statements) => statements.map(() => ({ success: true, meta: { changes: 0 } })));
+
+			let caughtError;
+			try {
+				await commitReservation(env, 'res_123');
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				caughtError = err;
+			}
+
+			expect(caughtError).to.deep.equal({ error: 'not_active', status: 'released' });
+			expect(stockUpdates).to.have.length(2);
+			for (const query of stockUpdates) {
+				expect(query).to.include("EXISTS (SELECT 1 FROM reservations WHERE reservation_id = ? AND status = 'active')");
+			}
+		});
 	});
 
 	describe('releaseReservation', () => {
@@ -270,7 +422,7 @@ describe('inventory.service', () => {
 				const stmt = {
 					bind: sinon.stub().returnsThis(),
 					first: sinon.stub(),
-					run: sinon.stub().resolves({ success: true }),
+					run: sinon.stub().resolves({ success: true, meta: { changes: 1 } }),
 				};
 
 				if (query.includes('SELECT') && query.includes('reservations')) {
@@ -280,12 +432,12 @@ describe('inventory.service', () => {
 				return stmt;
 			});
 
-			env.INVENTORY_LOCK_KV.delete.resolves();
+			env.DB.batch = sinon.stub().callsFake(async (statements) => statements.map(() => ({ success: true, meta: { changes: 1 } })));
 
 			const result = await releaseReservation(env, 'res_123');
 
 			expect(result).to.have.property('released', true);
-			expect(env.DB.prepare).to.have.been.called;
+			expect(env.DB.batch.firstCall.args[0].at(-1).bind).to.have.been.calledWith('released', sinon.match.number, 'res_123');
 		});
 
 		it('should release reservation even if not active', async () => {
@@ -305,7 +457,8 @@ describe('inventory.service', () => {
 			const result = await releaseReservation(env, 'res_123');
 
 			expect(result).to.have.property('released', true);
-			// Should not call releaseStock for non-active reservations
+			// Neither its status nor any stock is touched
+			expect(env.DB.prepare).to.not.have.been.calledWithMatch(sinon.match(/UPDATE/));
 		});
 
 		it('should throw error for reservation not found', async () => {
@@ -325,59 +478,412 @@ describe('inventory.service', () => {
 		});
 	});
 
-	describe('rollbackReservation', () => {
-		it('should rollback applied reservations and release locks', async () => {
-			const applied = [{ productId: 'pro_1', qty: 2 }];
-			const locked = [{ productId: 'pro_1', owner: 'res-res_123' }];
+	describe('expireStaleReservations', () => {
+		let expiredRows;
+		let claimChanges;
+		let releaseStmts;
+		let warehouseReleaseStmts;
+
+		beforeEach(() => {
+			expiredRows = [
+				{
+					reservation_id: 'res_old',
+					items: JSON.stringify([
+						{ productId: 'pro_1', qty: 2 },
+						{ productId: 'pro_2', qty: 1 },
+					]),
+				},
+			];
+			claimChanges = 1;
+			releaseStmts = [];
+			warehouseReleaseStmts = [];
 
-			// Mock DB - release stock
-			const releaseStockStmt = env.DB.prepare();
-			releaseStockStmt.run.resolves({ success: true });
+			env.DB.prepare = sinon.stub().callsFake((query) => {
+				const stmt = {
+					bind: sinon.stub().returnsThis(),
+					all: sinon.stub().callsFake(async () => ({ results: expiredRows })),
+				};
+				if (query.includes('UPDATE product_stock SET reserved = reserved - ?')) {
+					releaseStmts.push(stmt);
+				}
+				if (query.includes('UPDATE warehouse_stock SET reserved = reserved - ?')) {
+					warehouseReleaseStmts.push(stmt);
+				}
+				return stmt;
+			});
+			env.DB.batch = sinon
+				.stub()
+				.callsFake(async (statements) => [
+					...statements.slice(1).map(() => ({ success: true })),
+					{ success: true, meta: { changes: claimChanges } },
+				]);
+		});
+
+		it('should expire reservations and release their stock', async () => {
+			const report = await expireStaleReservations(env, 1700000000);
+
+			expect(report).to.deep.equal({
+				scanned: 1,
+				expired: ['res_old'],
+				releasedUnits: 3,
+				errors: [],
+			});
+			expect(releaseStmts).to.have.length(2);
+			expect(releaseStmts[0].bind).to.have.been.calledWith(2, 'pro_1');
+			expect(warehouseReleaseStmts).to.have.length(2);
+			expect(warehouseReleaseStmts[0].bind).to.have.been.calledWith(2, 'pro_1', 'var_pro_1', 'wh_mumbai');
+			expect(env.DB.batch.firstCall.args[0].at(-1).bind).to.have.been.calledWith('expired', 1700000000, 'res_old');
+		});
+
+		it('should release each warehouse allocation', async () => {
+			expiredRows = [
+				{
+					reservation_id: 'res_split',
+					items: JSON.stringify([
+						{
+							productId: 'pro_1',
+							variantId: 'var_pro_1',
+							qty: 3,
+							allocations: [
+								{ warehouseId: 'wh_delhi', qty: 2 },
+								{ warehouseId: 'wh_mumbai', qty: 1 },
+							],
+						},
+					]),
+				},
+			];
+
+			const report = await expireStaleReservations(env, 1700000000);
+
+			expect(report.releasedUnits).to.equal(3);
+			expect(releaseStmts).to.have.length(1);
+			expect(warehouseReleaseStmts.map((s) => s.bind.firstCall.args)).to.deep.equal([
+				[2, 'pro_1', 'var_pro_1', 'wh_delhi', 'res_split'],
+				[1, 'pro_1', 'var_pro_1', 'wh_mumbai', 'res_split'],
+			]);
+		});
 
-			// Mock lock service via KV
-			env.INVENTORY_LOCK_KV.get.resolves('res-res_123');
-			env.INVENTORY_LOCK_KV.delete.resolves();
+		it('should skip reservations committed or released during the sweep', async () => {
+			claimChanges = 0;
 
-			await rollbackReservation(env, applied, locked);
+			const report = await expireStaleReservations(env, 1700000000);
 
-			expect(releaseStockStmt.run).to.have.been.calledOnce;
-			expect(env.INVENTORY_LOCK_KV.delete).to.have.been.calledOnce;
+			expect(report.scanned).to.equal(1);
+			expect(report.expired).to.be.empty;
+			expect(report.releasedUnits).to.equal(0);
 		});
 
-		it('should handle rollback errors gracefully', async () => {
-			const applied = [{ productId: 'pro_1', qty: 2 }];
-			const locked = [{ productId: 'pro_1', owner: 'res-res_123' }];
+		it('should record failures and continue', async () => {
+			expiredRows = [
+				{ reservation_id: 'res_bad', items: 'not-json' },
+				{ reservation_id: 'res_old', items: JSON.stringify([{ productId: 'pro_1', qty: 2 }]) },
+			];
+
+			const report = await expireStaleReservations(env, 1700000000);
+
+			expect(report.expired).to.deep.equal(['res_old']);
+			expect(report.errors).to.have.length(1);
+			expect(report.errors[0]).to.have.property('reservationId', 'res_bad');
+		});
 
-			// Mock DB - release stock fails
-			const releaseStockStmt = env.DB.prepare();
-			releaseStockStmt.run.rejects(new Error('DB Error'));
+		it('should return an empty report when nothing has expired', async () => {
+			expiredRows = [];
 
-			// Mock lock service via KV
-			env.INVENTORY_LOCK_KV.get.resolves('res-res_123');
-			env.INVENTORY_LOCK_KV.delete.resolves();
+			const report = await expireStaleReservations(env, 1700000000);
 
-			// Should not throw, just log error
-			await rollbackReservation(env, applied, locked);
+			expect(report).to.deep.equal({ scanned: 0, expired: [], releasedUnits: 0, errors: [] });
+		});
+	});
 
-			expect(releaseStockStmt.run).to.have.been.calledOnce;
+	describe('getStockSummary', () => {
+		it('should total stock across variants and split it by warehouse', async () => {
+			const results = {
+				product_stock: [
+					{ product_id: 'pro_1', variant_id: 'var_s', stock: 4, reserved: 1, active: 1 },
+					{ product_id: 'pro_1', variant_id: 'var_m', stock: 6, reserved: 0, active: 1 },
+				],
+				warehouse_stock: [
+					{ product_id: 'pro_1', variant_id: 'var_m', warehouse_id: 'wh_delhi', stock: 2, reserved: 0 },
+					{ product_id: 'pro_1', variant_id: 'var_m', warehouse_id: 'wh_mumbai', stock: 4, reserved: 0 },
+					{ product_id: 'pro_1', variant_id: 'var_s', warehouse_id: 'wh_mumbai', stock: 4, reserved: 1 },
+				],
+			};
+			env.DB.prepare = sinon.stub().callsFake((query) => ({
+				bind: sinon.stub().returnsThis(),
+				all: sinon.stub().resolves({ results: results[query.match(/FROM (\w+)/)[1]] }),
+				first: sinon.stub().resolves({ product_id: 'pro_1', policy: 'backorder', backorder_limit: 10, lead_time_days: 21 }),
+			}));
+
+			const summary = await getStockSummary(env, 'pro_1');
+
+			expect(summary).to.deep.equal({
+				productId: 'pro_1',
+				stock: 10,
+				reserved: 1,
+				available: 9,
+				variants: [
+					{
+						variantId: 'var_s',
+						stock: 4,
+						reserved: 1,
+						available: 3,
+						active: true,
+						warehouses: [{ warehouseId: 'wh_mumbai', stock: 4, reserved: 1, available: 3 }],
+					},
+					{
+						variantId: 'var_m',
+						stock: 6,
+						reserved: 0,
+						available: 6,
+						active: true,
+						warehouses: [
+							{ warehouseId: 'wh_delhi', stock: 2, reserved: 0, available: 2 },
+							{ warehouseId: 'wh_mumbai', stock: 4, reserved: 0, available: 4 },
+						],
+					},
+				],
+				stockPolicy: { policy: 'backorder', backorderLimit: 10, releaseDate: null, leadTimeDays: 21 },
+			});
 		});
 
-		it('should handle lock release errors gracefully', async () => {
-			const applied = [{ productId: 'pro_1', qty: 2 }];
-			const locked = [{ productId: 'pro_1', owner: 'res-res_123' }];
+		it('should report zero stock for unknown products', async () => {
+			const stmt = env.DB.prepare();
+			stmt.all = sinon.stub().resolves({ results: [] });
+			stmt.first.resolves(null);
 
-			// Mock DB - release stock
-			const releaseStockStmt = env.DB.prepare();
-			releaseStockStmt.run.resolves({ success: true });
+			const summary = await getStockSummary(env, 'pro_missing');
 
-			// Mock lock service via KV - delete fails
-			env.INVENTORY_LOCK_KV.get.resolves('res-res_123');
-			env.INVENTORY_LOCK_KV.delete.rejects(new Error('KV Error'));
+			expect(summary).to.deep.equal({
+				productId: 'pro_missing',
+				stock: 0,
+				reserved: 0,
+				available: 0,
+				variants: [],
+				stockPolicy: { policy: 'deny', backorderLimit: null, releaseDate: null, leadTimeDays: null },
+			});
+		});
+	});
+
+	describe('reservation lookup and extension', () => {
+		const NOW = 1700000000;
+		let clock;
+		let row;
+		let extendChanges;
+		let extendStmt;
+		let allocationRows;
+
+		beforeEach(() => {
+			clock = sinon.useFakeTimers({ now: NOW * 1000, toFake: ['Date'] });
+			row = {
+				reservation_id: 'res_1',
+				user_id: 'user_1',
+				cart_id: 'cart_1',
+				status: 'active',
+				items: JSON.stringify([{ productId: 'pro_1', variantId: 'var_pro_1', qty: 2 }]),
+				expires_at: NOW + 60,
+				created_at: NOW - 840,
+				updated_at: NOW - 840,
+			};
+			extendChanges = 1;
+			allocationRows = [];
+
+			env.DB.prepare = sinon.stub().callsFake((query) => {
+				const stmt = {
+					bind: sinon.stub().returnsThis(),
+					first: sinon.stub().callsFake(async () => row),
+					all: sinon.stub().callsFake(async () => {
+						if (query.includes('FROM reservation_allocations')) return { results: allocationRows };
+						return { results: row ? [row] : [] };
+					}),
+					run: sinon.stub().callsFake(async () => ({ success: true, meta: { changes: extendChanges } })),
+				};
+				if (query.includes('SET expires_at')) extendStmt = stmt;
+				return stmt;
+			});
+		});
+
+		afterEach(() => {
+			clock.restore();
+		});
+
+		it('should describe a live reservation', async () => {
+			const details = await getReservationDetails(env, 'res_1');
+
+			expect(details).to.deep.equal({
+				reservationId: 'res_1',
+				userId: 'user_1',
+				cartId: 'cart_1',
+				status: 'active',
+				items: [{ productId: 'pro_1', variantId: 'var_pro_1', qty: 2 }],
+				backordered: 0,
+				expiresAt: NOW + 60,
+				createdAt: NOW - 840,
+				updatedAt: NOW - 840,
+				live: true,
+			});
+		});
+
+		it('should report the warehouses each line was reserved from', async () => {
+			allocationRows = [
+				{ product_id: 'pro_1', variant_id: 'var_pro_1', warehouse_id: 'wh_mumbai', qty: 1 },
+				{ product_id: 'pro_1', variant_id: 'var_pro_1', warehouse_id: 'wh_delhi', qty: 1 },
+			];
+
+			const details = await getReservationDetails(env, 'res_1');
+
+			expect(details.items).to.deep.equal([
+				{
+					productId: 'pro_1',
+					variantId: 'var_pro_1',
+					qty: 2,
+					allocations: [
+						{ warehouseId: 'wh_mumbai', qty: 1 },
+						{ warehouseId: 'wh_delhi', qty: 1 },
+					],
+				},
+			]);
+		});
+
+		it('should not call an unswept expired reservation live', async () => {
+			row.expires_at = NOW - 1;
+			expect((await getReservationDetails(env, 'res_1')).live).to.equal(false);
+		});
+
+		it('should throw not_found for unknown reservations', async () => {
+			row = null;
+			try {
+				await getReservationDetails(env, 'res_missing');
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.deep.equal({ error: 'not_found' });
+			}
+		});
+
+		it('should list matching reservations', async () => {
+			const list = await findReservations(env, { cartId: 'cart_1' }, 10);
+			expect(list).to.have.length(1);
+			expect(list[0]).to.include({ reservationId: 'res_1', live: true });
+		});
+
+		it('should extend to ttl seconds from now', async () => {
+			const result = await extendReservation(env, 'res_1', 900);
+
+			expect(result).to.include({ reservationId: 'res_1', expiresAt: NOW + 900, updatedAt: NOW, capped: false });
+			expect(extendStmt.bind).to.have.been.calledWith(NOW + 900, NOW, 'res_1', NOW);
+		});
+
+		it('should cap the expiry at the maximum lifetime', async () => {
+			row.created_at = NOW - 6900;
+
+			const result = await extendReservation(env, 'res_1', 900);
+
+			expect(result.expiresAt).to.equal(NOW + 300);
+			expect(result.capped).to.equal(true);
+		});
+
+		it('should never shorten a reservation', async () => {
+			row.expires_at = NOW + 1200;
+
+			const result = await extendReservation(env, 'res_1', 600);
+
+			expect(result.expiresAt).to.equal(NOW + 1200);
+		});
+
+		it('should refuse reservations that are no longer active', async () => {
+			row.status = 'committed';
+			try {
+				await extendReservation(env, 'res_1', 900);
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.deep.equal({ error: 'not_active', status: 'committed' });
+			}
+		});
+
+		it('should refuse reservations already past their expiry', async () => {
+			row.expires_at = NOW - 5;
+			try {
+				await extendReservation(env, 'res_1', 900);
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.deep.equal({ error: 'reservation_expired', expiresAt: NOW - 5 });
+			}
+		});
+
+		it('should refuse when the reservation settled during the update', async () => {
+			extendChanges = 0;
+			try {
+				await extendReservation(env, 'res_1', 900);
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.deep.equal({ error: 'not_active' });
+			}
+		});
+	});
+
+	describe('getStockBatch', () => {
+		let rows;
+		let warehouseRows;
+		let policyRows;
+
+		beforeEach(() => {
+			rows = [
+				{ product_id: 'pro_1', variant_id: 'var_s', stock: 4, reserved: 1, active: 1 },
+				{ product_id: 'pro_1', variant_id: 'var_m', stock: 6, reserved: 0, active: 1 },
+				{ product_id: 'pro_2', variant_id: 'var_pro_2', stock: 3, reserved: 3, active: 0 },
+			];
+			warehouseRows = [{ product_id: 'pro_2', variant_id: 'var_pro_2', warehouse_id: 'wh_chennai', stock: 3, reserved: 3 }];
+			env.DB.prepare = sinon.stub().callsFake((query) => ({ query, bind: sinon.stub().returnsThis() }));
+			policyRows = [];
+			env.DB.batch = sinon.stub().callsFake(async (statements) => {
+				const query = statements[0].query;
+				if (query.includes('stock_policies')) return [{ results: policyRows }];
+				return [{ results: query.includes('warehouse_stock') ? warehouseRows : rows }];
+			});
+		});
+
+		it('should summarize every requested product from one batch per table', async () => {
+			const products = await getStockBatch(env, [{ productId: 'pro_1' }, { productId: 'pro_2' }, { productId: 'pro_missing' }]);
+
+			expect(env.DB.batch).to.have.been.calledThrice;
+			expect(products.pro_1).to.include({ stock: 10, reserved: 1, available: 9 });
+			expect(products.pro_1.variants).to.have.length(2);
+			expect(products.pro_2.variants[0]).to.deep.equal({
+				variantId: 'var_pro_2',
+				stock: 3,
+				reserved: 3,
+				available: 0,
+				active: false,
+				warehouses: [{ warehouseId: 'wh_chennai', stock: 3, reserved: 3, available: 0 }],
+			});
+			expect(products.pro_missing).to.include({ productId: 'pro_missing', stock: 0, reserved: 0, available: 0 });
+			expect(products.pro_missing.stockPolicy).to.have.property('policy', 'deny');
+		});
+
+		it('should include each product policy', async () => {
+			policyRows = [{ product_id: 'pro_1', policy: 'preorder', release_date: 1800000000 }];
+
+			const products = await getStockBatch(env, [{ productId: 'pro_1' }, { productId: 'pro_2' }]);
+
+			expect(products.pro_1.stockPolicy).to.deep.equal({
+				policy: 'preorder',
+				backorderLimit: null,
+				releaseDate: 1800000000,
+				leadTimeDays: null,
+			});
+			expect(products.pro_2.stockPolicy).to.have.property('policy', 'deny');
+		});
+
+		it('should narrow a product to the requested variants', async () => {
+			const products = await getStockBatch(env, [{ productId: 'pro_1', variantId: 'var_m' }]);
+
+			expect(products.pro_1).to.include({ stock: 6, reserved: 0, available: 6 });
+			expect(products.pro_1.variants.map((v) => v.variantId)).to.deep.equal(['var_m']);
+		});
 
-			// Should not throw, just log error
-			await rollbackReservation(env, applied, locked);
+		it('should return all variants when any item for the product omits variantId', async () => {
+			const products = await getStockBatch(env, [{ productId: 'pro_1', variantId: 'var_m' }, { productId: 'pro_1' }]);
 
-			expect(env.INVENTORY_LOCK_KV.delete).to.have.been.calledOnce;
+			expect(products.pro_1.variants).to.have.length(2);
 		});
 	});
 });
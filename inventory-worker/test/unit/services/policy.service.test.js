@@ -0,0 +1,97 @@
+/**
+ * Unit tests for policy.service.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { formatPolicy, oversellLimit, expectedShipAt, getPolicies, setStockPolicy } from '../../../src/services/policy.service.js';
+import sinon from 'sinon';
+
+const NOW = 1700000000;
+
+describe('policy.service', () => {
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('formatPolicy', () => {
+		it('should deny when there is no policy row', () => {
+			expect(formatPolicy(null)).to.deep.equal({ policy: 'deny', backorderLimit: null, releaseDate: null, leadTimeDays: null });
+		});
+
+		it('should map the row to the API shape', () => {
+			const row = { product_id: 'pro_1', policy: 'backorder', backorder_limit: 5, release_date: null, lead_time_days: 21 };
+			expect(formatPolicy(row)).to.deep.equal({ policy: 'backorder', backorderLimit: 5, releaseDate: null, leadTimeDays: 21 });
+		});
+	});
+
+	describe('oversellLimit', () => {
+		it('should allow nothing beyond stock when denying', () => {
+			expect(oversellLimit({ policy: 'deny' }, NOW)).to.equal(0);
+			expect(oversellLimit(undefined, NOW)).to.equal(0);
+		});
+
+		it('should allow the backorder limit', () => {
+			expect(oversellLimit({ policy: 'backorder', backorderLimit: 5 }, NOW)).to.equal(5);
+		});
+
+		it('should leave a pre-order without a limit open-ended until release', () => {
+			expect(oversellLimit({ policy: 'preorder', releaseDate: NOW + 1, backorderLimit: null }, NOW)).to.equal(null);
+			expect(oversellLimit({ policy: 'preorder', releaseDate: NOW + 1, backorderLimit: 10 }, NOW)).to.equal(10);
+		});
+
+		it('should stop pre-orders at the release date', () => {
+			expect(oversellLimit({ policy: 'preorder', releaseDate: NOW, backorderLimit: 10 }, NOW)).to.equal(0);
+		});
+	});
+
+	describe('expectedShipAt', () => {
+		it('should ship pre-orders on the release date', () => {
+			expect(expectedShipAt({ policy: 'preorder', releaseDate: NOW + 100 }, NOW)).to.equal(NOW + 100);
+		});
+
+		it('should add the lead time to backorders', () => {
+			expect(expectedShipAt({ policy: 'backorder', leadTimeDays: 21 }, NOW)).to.equal(NOW + 21 * 86400);
+			expect(expectedShipAt({ policy: 'backorder', leadTimeDays: null }, NOW)).to.equal(null);
+		});
+	});
+
+	describe('getPolicies', () => {
+		it('should key policies by product and default to deny', async () => {
+			const env = {
+				DB: {
+					prepare: sinon.stub().returns({ bind: sinon.stub().returnsThis() }),
+					batch: sinon.stub().resolves([{ results: [{ product_id: 'pro_1', policy: 'backorder', backorder_limit: 2 }] }]),
+				},
+			};
+
+			const policies = await getPolicies(env, ['pro_1', 'pro_2']);
+
+			expect(policies.get('pro_1')).to.include({ policy: 'backorder', backorderLimit: 2 });
+			expect(policies.get('pro_2')).to.include({ policy: 'deny' });
+		});
+	});
+
+	describe('setStockPolicy', () => {
+		let env;
+		let stmt;
+
+		beforeEach(() => {
+			stmt = { bind: sinon.stub().returnsThis(), run: sinon.stub().resolves({ success: true }) };
+			env = { DB: { prepare: sinon.stub().returns(stmt) } };
+		});
+
+		it('should upsert the policy', async () => {
+			const result = await setStockPolicy(env, { productId: 'pro_1', policy: 'preorder', releaseDate: NOW, backorderLimit: 50 });
+
+			expect(env.DB.prepare.firstCall.args[0]).to.include('ON CONFLICT(product_id) DO UPDATE');
+			expect(stmt.bind).to.have.been.calledWith('pro_1', 'preorder', 50, NOW, null, sinon.match.number);
+			expect(result).to.include({ productId: 'pro_1', policy: 'preorder', releaseDate: NOW, backorderLimit: 50 });
+		});
+
+		it('should clear the other fields when going back to deny', async () => {
+			const result = await setStockPolicy(env, { productId: 'pro_1', policy: 'deny', backorderLimit: 5 });
+
+			expect(stmt.bind).to.have.been.calledWith('pro_1', 'deny', null, null, null, sinon.match.number);
+			expect(result.backorderLimit).to.equal(null);
+		});
+	});
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for reconcile.service.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { reconcileReserved, runReconciliation } from '../../../src/services/reconcile.service.js';
+import sinon from 'sinon';
+
+describe('reconcile.service', () => {
+	let env;
+	let productDrift;
+	let warehouseDrift;
+
+	beforeEach(() => {
+		productDrift = [
+			{ product_id: 'pro_1', variant_id: 'var_pro_1', reserved: 5, expected: 2, settling: 0 },
+			{ product_id: 'pro_2', variant_id: 'var_pro_2', reserved: 1, expected: 0, settling: 1 },
+		];
+		warehouseDrift = [{ product_id: 'pro_1', variant_id: 'var_pro_1', warehouse_id: 'wh_mumbai', reserved: 3, expected: 0, settling: 0 }];
+
+		env = {
+			DB: {
+				prepare: sinon.stub().callsFake((query) => ({
+					query,
+					bind: sinon.stub().returnsThis(),
+					all: sinon.stub().resolves({ results: query.includes('FROM warehouse_stock s') ? warehouseDrift : productDrift }),
+				})),
+				batch: sinon.stub().callsFake(async (statements) => statements.map(() => ({ success: true, meta: { changes: 1 } }))),
+			},
+		};
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('reconcileReserved', () => {
+		it('should report drift without writing', async () => {
+			const report = await reconcileReserved(env);
+
+			expect(report).to.include({ repair: false, drifted: 3, settling: 1, repaired: 0 });
+			expect(report.drift[0]).to.deep.equal({
+				productId: 'pro_1',
+				variantId: 'var_pro_1',
+				reserved: 5,
+				expected: 2,
+				drift: 3,
+				settling: false,
+			});
+			expect(report.drift[2]).to.include({ warehouseId: 'wh_mumbai', drift: 3 });
+			expect(env.DB.batch).to.not.have.been.called;
+		});
+
+		it('should repair everything not settling', async () => {
+			const report = await reconcileReserved(env, { repair: true });
+
+			expect(env.DB.batch.firstCall.args[0]).to.have.length(2);
+			expect(report.repaired).to.equal(2);
+			expect(report.drift.map((d) => d.repaired)).to.deep.equal([true, false, true]);
+		});
+
+		it('should not count an update that found the counter moved', async () => {
+			env.DB.batch = sinon.stub().resolves([{ meta: { changes: 0 } }, { meta: { changes: 1 } }]);
+
+			const report = await reconcileReserved(env, { repair: true });
+
+			expect(report.repaired).to.equal(1);
+			expect(report.drift[0].repaired).to.equal(false);
+		});
+	});
+
+	describe('runReconciliation', () => {
+		it('should only repair when auto repair is enabled', async () => {
+			await runReconciliation(env);
+			expect(env.DB.batch).to.not.have.been.called;
+
+			await runReconciliation({ ...env, RECONCILE_AUTO_REPAIR: 'true' });
+			expect(env.DB.batch).to.have.been.calledOnce;
+		});
+	});
+});
@@ -0,0 +1,164 @@
+/**
+ * Unit tests for restock.service.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { restockReservation, formatRestock } from '../../../src/services/restock.service.js';
+import sinon from 'sinon';
+
+describe('restock.service', () => {
+	let env;
+	let restockRow;
+	let reservation;
+	let restocked;
+
+	beforeEach(() => {
+		restockRow = null;
+		restocked = [];
+		reservation = {
+			reservation_id: 'res_1',
+			status: 'committed',
+			items: JSON.stringify([
+				{
+					productId: 'pro_1',
+					variantId: 'var_pro_1',
+					qty: 3,
+					allocations: [
+						{ warehouseId: 'wh_delhi', qty: 2 },
+						{ warehouseId: 'wh_mumbai', qty: 1 },
+					],
+				},
+			]),
+		};
+
+		env = {
+			DB: {
+				prepare: sinon.stub().callsFake((query) => ({
+					query,
+					bind: sinon.stub().returnsThis(),
+					first: sinon.stub().callsFake(async () => (query.includes('FROM restocks') ? restockRow : reservation)),
+					all: sinon.stub().callsFake(async () => ({ results: query.includes('FROM restock_items') ? restocked : [] })),
+				})),
+				batch: sinon.stub().callsFake(async (statements) => statements.map(() => ({ success: true, meta: { changes: 1 } }))),
+			},
+		};
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('restockReservation', () => {
+		it('should return everything to the warehouses it shipped from', async () => {
+			const res = await restockReservation(env, { reservationId: 'res_1', reason: 'cancellation' });
+
+			expect(res).to.include({ restockId: 'rst_res_1', sellable: 3, damaged: 0, duplicate: false });
+			expect(res.items).to.deep.equal([
+				{ productId: 'pro_1', variantId: 'var_pro_1', warehouseId: 'wh_delhi', condition: 'sellable', qty: 2 },
+				{ productId: 'pro_1', variantId: 'var_pro_1', warehouseId: 'wh_mumbai', condition: 'sellable', qty: 1 },
+			]);
+			const restockBatch = env.DB.batch.getCalls().find((c) => c.args[0].some((s) => s.query.includes('INSERT INTO restocks')));
+			expect(restockBatch).to.exist;
+		});
+
+		it('should skip warehouses that already had their units back', async () => {
+			restocked = [{ product_id: 'pro_1', variant_id: 'var_pro_1', warehouse_id: 'wh_delhi', qty: 2 }];
+
+			const res = await restockReservation(env, {
+				restockId: 'rma_1',
+				reservationId: 'res_1',
+				reason: 'return',
+				items: [{ productId: 'pro_1', qty: 1, condition: 'damaged' }],
+			});
+
+			expect(res).to.include({ sellable: 0, damaged: 1 });
+			expect(res.items).to.deep.equal([
+				{ productId: 'pro_1', variantId: 'var_pro_1', warehouseId: 'wh_mumbai', condition: 'damaged', qty: 1 },
+			]);
+		});
+
+		it('should replay an existing restock without writing', async () => {
+			restockRow = {
+				restock_id: 'rst_res_1',
+				reservation_id: 'res_1',
+				reason: 'cancellation',
+				items: '[]',
+				sellable: 3,
+				damaged: 0,
+				created_at: 1700000000,
+			};
+
+			const res = await restockReservation(env, { reservationId: 'res_1', reason: 'cancellation' });
+
+			expect(res).to.include({ restockId: 'rst_res_1', sellable: 3, duplicate: true });
+			expect(env.DB.batch).to.not.have.been.called;
+		});
+
+		it('should refuse a restockId used for another reservation', async () => {
+			restockRow = { restock_id: 'rma_1', reservation_id: 'res_other', items: '[]' };
+
+			try {
+				await restockReservation(env, { restockId: 'rma_1', reservationId: 'res_1', reason: 'return' });
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.deep.equal({ error: 'restock_id_conflict', restockId: 'rma_1', reservationId: 'res_other' });
+			}
+		});
+
+		it('should refuse a partial return without its own restockId', async () => {
+			try {
+				await restockReservation(env, { reservationId: 'res_1', reason: 'return', items: [{ productId: 'pro_1', qty: 1 }] });
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.deep.equal({ error: 'restock_id_required' });
+			}
+			expect(env.DB.batch).to.not.have.been.called;
+		});
+
+		it('should refuse a reservation that is not committed', async () => {
+			reservation.status = 'released';
+
+			try {
+				await restockReservation(env, { reservationId: 'res_1', reason: 'cancellation' });
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.deep.equal({ error: 'not_committed', status: 'released' });
+			}
+		});
+
+		it('should refuse more units than were committed', async () => {
+			restocked = [{ product_id: 'pro_1', variant_id: 'var_pro_1', warehouse_id: 'wh_delhi', qty: 2 }];
+
+			try {
+				await restockReservation(env, {
+					restockId: 'rma_2',
+					reservationId: 'res_1',
+					reason: 'return',
+					items: [{ productId: 'pro_1', qty: 2 }],
+				});
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.include({ error: 'exceeds_committed', committed: 3, restocked: 2, requested: 2 });
+			}
+		});
+
+		it('should report a lost race as a conflict', async () => {
+			env.DB.batch = sinon.stub().rejects(new Error('CHECK constraint failed: qty > 0'));
+
+			try {
+				await restockReservation(env, { reservationId: 'res_1', reason: 'return' });
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.deep.equal({ error: 'restock_conflict', reservationId: 'res_1' });
+			}
+		});
+	});
+
+	describe('formatRestock', () => {
+		it('should parse the stored items', () => {
+			const row = { restock_id: 'rst_1', reservation_id: 'res_1', reason: 'return', items: '[{"qty":1}]', sellable: 1, damaged: 0 };
+			expect(formatRestock(row))
+				.to.include({ orderId: null, actorId: null })
+				.and.have.deep.property('items', [{ qty: 1 }]);
+		});
+	});
+});
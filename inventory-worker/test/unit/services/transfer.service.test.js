@@ -0,0 +1,117 @@
+/**
+ * Unit tests for transfer.service.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { requestTransfer, advanceTransfer, formatTransfer } from '../../../src/services/transfer.service.js';
+import sinon from 'sinon';
+
+describe('transfer.service', () => {
+	let env;
+	let transferRows;
+	let warehouseRow;
+
+	beforeEach(() => {
+		warehouseRow = { product_id: 'pro_1', variant_id: 'var_pro_1', warehouse_id: 'wh_delhi', stock: 5, reserved: 1 };
+		transferRows = [
+			{
+				transfer_id: 'trf_1',
+				product_id: 'pro_1',
+				variant_id: 'var_pro_1',
+				from_warehouse_id: 'wh_delhi',
+				to_warehouse_id: 'wh_mumbai',
+				qty: 3,
+				status: 'requested',
+				created_at: 1700000000,
+				updated_at: 1700000000,
+			},
+		];
+
+		env = {
+			DB: {
+				prepare: sinon.stub().callsFake((query) => ({
+					query,
+					bind: sinon.stub().returnsThis(),
+					first: sinon.stub().callsFake(async () => (query.includes('FROM stock_transfers') ? transferRows.shift() : warehouseRow)),
+					all: sinon.stub().resolves({ results: [] }),
+				})),
+				batch: sinon.stub().callsFake(async (statements) => statements.map(() => ({ success: true, meta: { changes: 1 } }))),
+			},
+		};
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('requestTransfer', () => {
+		it('should record a requested transfer without moving stock', async () => {
+			const transfer = await requestTransfer(env, { productId: 'pro_1', fromWarehouseId: 'wh_delhi', toWarehouseId: 'wh_mumbai', qty: 4 });
+
+			expect(transfer).to.include({ variantId: 'var_pro_1', status: 'requested', qty: 4, note: null });
+			expect(transfer.transferId).to.match(/^trf_/);
+			const statements = env.DB.batch.firstCall.args[0];
+			expect(statements.map((s) => s.query).some((q) => q.includes('UPDATE'))).to.equal(false);
+		});
+
+		it('should reject more than the source has available', async () => {
+			try {
+				await requestTransfer(env, { productId: 'pro_1', fromWarehouseId: 'wh_delhi', toWarehouseId: 'wh_mumbai', qty: 5 });
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.deep.equal({ error: 'insufficient_stock', warehouseId: 'wh_delhi', available: 4, requested: 5 });
+			}
+			expect(env.DB.batch).to.not.have.been.called;
+		});
+	});
+
+	describe('advanceTransfer', () => {
+		it('should ship a requested transfer', async () => {
+			transferRows.push({ ...transferRows[0], status: 'in_transit' });
+
+			const transfer = await advanceTransfer(env, 'trf_1', 'ship', 'usr_admin');
+
+			expect(transfer).to.include({ status: 'in_transit' });
+			const queries = env.DB.batch.firstCall.args[0].map((s) => s.query);
+			expect(queries[1]).to.include('(stock - reserved) >= ? AND changes() = 1');
+		});
+
+		it('should refuse a step from the wrong status', async () => {
+			try {
+				await advanceTransfer(env, 'trf_1', 'receive');
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.deep.equal({ error: 'invalid_transition', status: 'requested', action: 'receive' });
+			}
+		});
+
+		it('should explain a ship the source can no longer cover', async () => {
+			transferRows.push({ ...transferRows[0] });
+			warehouseRow = { ...warehouseRow, reserved: 3 };
+			env.DB.batch = sinon.stub().rejects(new Error('CHECK constraint failed: qty > 0'));
+
+			try {
+				await advanceTransfer(env, 'trf_1', 'ship');
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.deep.equal({ error: 'insufficient_stock', warehouseId: 'wh_delhi', available: 2, requested: 3 });
+			}
+		});
+
+		it('should throw not_found for an unknown transfer', async () => {
+			transferRows = [];
+
+			try {
+				await advanceTransfer(env, 'trf_missing', 'cancel');
+				expect.fail('Should have thrown an error');
+			} catch (err) {
+				expect(err).to.deep.equal({ error: 'not_found' });
+			}
+		});
+	});
+
+	describe('formatTransfer', () => {
+		it('should default the optional fields to null', () => {
+			expect(formatTransfer(transferRows[0])).to.include({ note: null, requestedBy: null, shippedAt: null, receivedAt: null });
+		});
+	});
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for warehouse.service.js
+ */
+import { describe, it } from 'mocha';
+import { warehousesForZone, allocationsOf, planAllocations } from '../../../src/services/warehouse.service.js';
+
+const row = (productId, warehouseId, stock, reserved = 0) => ({
+	product_id: productId,
+	variant_id: `var_${productId}`,
+	warehouse_id: warehouseId,
+	stock,
+	reserved,
+});
+const line = (productId, qty) => ({ productId, variantId: `var_${productId}`, qty });
+
+describe('warehouse.service', () => {
+	describe('warehousesForZone', () => {
+		it('should put the zone warehouse first and keep priority order for the rest', () => {
+			expect(warehousesForZone('CHN')).to.deep.equal(['wh_chennai', 'wh_mumbai', 'wh_delhi', 'wh_bangalore']);
+		});
+
+		it('should ignore case', () => {
+			expect(warehousesForZone('blr')[0]).to.equal('wh_bangalore');
+		});
+
+		it('should fall back to priority order for unknown zones', () => {
+			expect(warehousesForZone('OTHER')).to.deep.equal(['wh_mumbai', 'wh_delhi', 'wh_chennai', 'wh_bangalore']);
+			expect(warehousesForZone(null)).to.deep.equal(['wh_mumbai', 'wh_delhi', 'wh_chennai', 'wh_bangalore']);
+		});
+	});
+
+	describe('allocationsOf', () => {
+		it('should return the stored allocations', () => {
+			const allocations = [{ warehouseId: 'wh_delhi', qty: 2 }];
+			expect(allocationsOf({ qty: 2, allocations })).to.equal(allocations);
+		});
+
+		it('should put items without allocations in the default warehouse', () => {
+			expect(allocationsOf({ qty: 2 })).to.deep.equal([{ warehouseId: 'wh_mumbai', qty: 2 }]);
+		});
+	});
+
+	describe('planAllocations', () => {
+		it('should prefer the zone warehouse when it covers the order', () => {
+			const rows = [row('pro_1', 'wh_mumbai', 5), row('pro_1', 'wh_delhi', 5)];
+
+			const planned = planAllocations([line('pro_1', 3)], rows, 'DEL');
+
+			expect(planned[0].allocations).to.deep.equal([{ warehouseId: 'wh_delhi', qty: 3 }]);
+		});
+
+		it('should ship the whole order from one warehouse when possible', () => {
+			const rows = [row('pro_1', 'wh_mumbai', 5), row('pro_1', 'wh_chennai', 5), row('pro_2', 'wh_chennai', 1)];
+
+			const planned = planAllocations([line('pro_1', 1), line('pro_2', 1)], rows, 'MUM');
+
+			expect(planned.map((l) => l.allocations)).to.deep.equal([
+				[{ warehouseId: 'wh_chennai', qty: 1 }],
+				[{ warehouseId: 'wh_chennai', qty: 1 }],
+			]);
+		});
+
+		it('should count only unreserved units', () => {
+			const rows = [row('pro_1', 'wh_mumbai', 5, 4), row('pro_1', 'wh_delhi', 2)];
+
+			const planned = planAllocations([line('pro_1', 2)], rows, 'MUM');
+
+			expect(planned[0].allocations).to.deep.equal([{ warehouseId: 'wh_delhi', qty: 2 }]);
+		});
+
+		it('should split a line across the nearest warehouses', () => {
+			const rows = [row('pro_1', 'wh_mumbai', 1), row('pro_1', 'wh_delhi', 1), row('pro_1', 'wh_bangalore', 4)];
+
+			const planned = planAllocations([line('pro_1', 4)], rows, 'BLR');
+
+			expect(planned[0].allocations).to.deep.equal([{ warehouseId: 'wh_bangalore', qty: 4 }]);
+
+			const split = planAllocations([line('pro_1', 6)], rows, 'BLR');
+
+			expect(split[0].allocations).to.deep.equal([
+				{ warehouseId: 'wh_bangalore', qty: 4 },
+				{ warehouseId: 'wh_mumbai', qty: 1 },
+				{ warehouseId: 'wh_delhi', qty: 1 },
+			]);
+		});
+
+		it('should leave a shortfall on the nearest warehouse', () => {
+			const rows = [row('pro_1', 'wh_delhi', 1)];
+
+			const planned = planAllocations([line('pro_1', 3)], rows, 'MUM');
+
+			expect(planned[0].allocations).to.deep.equal([
+				{ warehouseId: 'wh_mumbai', qty: 2 },
+				{ warehouseId: 'wh_delhi', qty: 1 },
+			]);
+		});
+
+		it('should keep warehouses it does not know about as a last resort', () => {
+			const rows = [row('pro_1', 'wh_pune', 2)];
+
+			const planned = planAllocations([line('pro_1', 2)], rows, 'MUM');
+
+			expect(planned[0].allocations).to.deep.equal([{ warehouseId: 'wh_pune', qty: 2 }]);
+		});
+	});
+});
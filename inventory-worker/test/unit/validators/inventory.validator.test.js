@@ -2,7 +2,26 @@
  * Unit tests for inventory.validator.js
  */
 import { describe, it } from 'mocha';
-import { reserveSchema, commitSchema, releaseSchema, productStockSchema } from '../../../src/validators/inventory.validator.js';
+import {
+	reserveSchema,
+	commitSchema,
+	releaseSchema,
+	productStockSchema,
+	stockBatchSchema,
+	adminUpdateSchema,
+	adjustmentsQuerySchema,
+	reservationsQuerySchema,
+	extendReservationSchema,
+	stockPolicySchema,
+	reorderPointSchema,
+	alertsQuerySchema,
+	importRowSchema,
+	exportQuerySchema,
+	reconcileSchema,
+	restockSchema,
+	transferSchema,
+	transfersQuerySchema,
+} from '../../../src/validators/inventory.validator.js';
 
 describe('inventory.validator', () => {
 	describe('reserveSchema', () => {
@@ -49,6 +68,13 @@ describe('inventory.validator', () => {
 			const { error } = reserveSchema.validate(invalidReserve);
 			expect(error).to.exist;
 		});
+
+		it('should accept an optional shipping zone', () => {
+			const base = { reservationId: 'res_123', items: [{ productId: 'pro_1', qty: 1 }] };
+
+			expect(reserveSchema.validate({ ...base, shippingZone: 'DEL' }).error).to.be.undefined;
+			expect(reserveSchema.validate({ ...base, shippingZone: null }).error).to.be.undefined;
+		});
 	});
 
 	describe('commitSchema', () => {
@@ -104,4 +130,231 @@ describe('inventory.validator', () => {
 			expect(error).to.exist;
 		});
 	});
+
+	describe('adminUpdateSchema', () => {
+		it('should validate a valid increment request', () => {
+			const { error } = adminUpdateSchema.validate({
+				productId: 'pro_123',
+				operation: 'increment',
+				quantity: 10,
+				reason: 'Restock from supplier',
+			});
+			expect(error).to.be.undefined;
+		});
+
+		it('should allow setting stock to zero', () => {
+			const { error } = adminUpdateSchema.validate({ productId: 'pro_123', operation: 'set', quantity: 0, reason: 'Write-off' });
+			expect(error).to.be.undefined;
+		});
+
+		it('should reject zero quantity for increment and decrement', () => {
+			const { error } = adminUpdateSchema.validate({ productId: 'pro_123', operation: 'decrement', quantity: 0, reason: 'Damaged' });
+			expect(error).to.exist;
+		});
+
+		it('should reject unknown operations', () => {
+			const { error } = adminUpdateSchema.validate({ productId: 'pro_123', operation: 'multiply', quantity: 2, reason: 'x' });
+			expect(error).to.exist;
+			expect(error.details[0].message).to.include('operation must be one of');
+		});
+
+		it('should require a reason', () => {
+			const { error } = adminUpdateSchema.validate({ productId: 'pro_123', operation: 'set', quantity: 5 });
+			expect(error).to.exist;
+			expect(error.details[0].message).to.equal('reason is required');
+		});
+
+		it('should accept known warehouses only', () => {
+			const base = { productId: 'pro_123', operation: 'increment', quantity: 1, reason: 'Restock' };
+
+			expect(adminUpdateSchema.validate({ ...base, warehouseId: 'wh_delhi' }).error).to.be.undefined;
+			const { error } = adminUpdateSchema.validate({ ...base, warehouseId: 'wh_nowhere' });
+			expect(error.details[0].message).to.include('warehouseId must be one of');
+		});
+	});
+
+	describe('adjustmentsQuerySchema', () => {
+		it('should default the limit', () => {
+			const { error, value } = adjustmentsQuerySchema.validate({ productId: 'pro_123' });
+			expect(error).to.be.undefined;
+			expect(value.limit).to.equal(50);
+		});
+
+		it('should coerce and cap the limit', () => {
+			expect(adjustmentsQuerySchema.validate({ limit: '10' }).value.limit).to.equal(10);
+			expect(adjustmentsQuerySchema.validate({ limit: 1000 }).error).to.exist;
+		});
+	});
+
+	describe('reservationsQuerySchema', () => {
+		it('should accept filters and default the limit', () => {
+			const { error, value } = reservationsQuerySchema.validate({ userId: 'user_1', status: 'active' });
+			expect(error).to.be.undefined;
+			expect(value).to.deep.equal({ userId: 'user_1', status: 'active', limit: 50 });
+		});
+
+		it('should reject unknown statuses', () => {
+			const { error } = reservationsQuerySchema.validate({ status: 'pending' });
+			expect(error.details[0].message).to.include('status must be one of');
+		});
+	});
+
+	describe('extendReservationSchema', () => {
+		it('should default the ttl', () => {
+			expect(extendReservationSchema.validate({}).value.ttl).to.equal(900);
+		});
+
+		it('should reject a ttl beyond the maximum', () => {
+			expect(extendReservationSchema.validate({ ttl: 7201 }).error).to.exist;
+			expect(extendReservationSchema.validate({ ttl: 30 }).error).to.exist;
+		});
+	});
+
+	describe('stockBatchSchema', () => {
+		it('should accept product and variant ids', () => {
+			const { error } = stockBatchSchema.validate({ items: [{ productId: 'pro_1' }, { productId: 'pro_2', variantId: 'var_m' }] });
+			expect(error).to.be.undefined;
+		});
+
+		it('should require at least one item and cap the batch size', () => {
+			expect(stockBatchSchema.validate({ items: [] }).error.details[0].message).to.equal('At least one item is required');
+			const items = Array.from({ length: 501 }, (_, i) => ({ productId: `pro_${i}` }));
+			expect(stockBatchSchema.validate({ items }).error.details[0].message).to.equal('At most 500 items per request');
+		});
+	});
+
+	describe('stockPolicySchema', () => {
+		it('should require a limit for backorders', () => {
+			expect(stockPolicySchema.validate({ productId: 'pro_1', policy: 'backorder', backorderLimit: 5 }).error).to.be.undefined;
+
+			const { error } = stockPolicySchema.validate({ productId: 'pro_1', policy: 'backorder' });
+			expect(error.details[0].message).to.equal('backorderLimit is required for backorder');
+		});
+
+		it('should require a release date for pre-orders only', () => {
+			expect(stockPolicySchema.validate({ productId: 'pro_1', policy: 'preorder', releaseDate: 1800000000 }).error).to.be.undefined;
+			expect(stockPolicySchema.validate({ productId: 'pro_1', policy: 'preorder' }).error).to.exist;
+			expect(stockPolicySchema.validate({ productId: 'pro_1', policy: 'deny', releaseDate: 1800000000 }).error).to.exist;
+		});
+
+		it('should reject unknown policies', () => {
+			const { error } = stockPolicySchema.validate({ productId: 'pro_1', policy: 'sometimes' });
+			expect(error.details[0].message).to.include('policy must be one of');
+		});
+	});
+
+	describe('reorderPointSchema', () => {
+		it('should default safety stock to 0', () => {
+			const { error, value } = reorderPointSchema.validate({ productId: 'pro_1', reorderThreshold: 10 });
+			expect(error).to.be.undefined;
+			expect(value.safetyStock).to.equal(0);
+		});
+
+		it('should keep safety stock within the threshold', () => {
+			const { error } = reorderPointSchema.validate({ productId: 'pro_1', reorderThreshold: 5, safetyStock: 6 });
+			expect(error.details[0].message).to.equal('safetyStock cannot exceed reorderThreshold');
+		});
+
+		it('should require a threshold', () => {
+			const { error } = reorderPointSchema.validate({ productId: 'pro_1' });
+			expect(error.details[0].message).to.equal('reorderThreshold is required');
+		});
+	});
+
+	describe('alertsQuerySchema', () => {
+		it('should reject unknown statuses', () => {
+			const { error } = alertsQuerySchema.validate({ status: 'snoozed' });
+			expect(error.details[0].message).to.equal('status must be one of open, resolved');
+		});
+	});
+
+	describe('importRowSchema', () => {
+		it('should accept CSV strings and warehouse zone codes', () => {
+			const { error, value } = importRowSchema.validate({ productId: 'pro_1', variantId: '', warehouse: 'blr', stock: '7', reserved: '2' });
+			expect(error).to.be.undefined;
+			expect(value).to.include({ warehouse: 'BLR', stock: 7 });
+		});
+
+		it('should reject negative or fractional stock', () => {
+			expect(importRowSchema.validate({ productId: 'pro_1', warehouse: 'MUM', stock: -1 }).error).to.exist;
+			expect(importRowSchema.validate({ productId: 'pro_1', warehouse: 'MUM', stock: 1.5 }).error).to.exist;
+		});
+	});
+
+	describe('exportQuerySchema', () => {
+		it('should default to CSV', () => {
+			expect(exportQuerySchema.validate({}).value).to.deep.equal({ format: 'csv' });
+		});
+
+		it('should reject unknown warehouses', () => {
+			const { error } = exportQuerySchema.validate({ warehouseId: 'wh_paris' });
+			expect(error.details[0].message).to.include('warehouseId must be one of');
+		});
+	});
+
+	describe('reconcileSchema', () => {
+		it('should report only by default', () => {
+			expect(reconcileSchema.validate({}).value).to.deep.equal({ repair: false });
+		});
+
+		it('should reject a non-boolean repair', () => {
+			expect(reconcileSchema.validate({ repair: 'please' }).error).to.exist;
+		});
+	});
+
+	describe('restockSchema', () => {
+		it('should default to sellable units', () => {
+			const { error, value } = restockSchema.validate({ reservationId: 'res_1', reason: 'cancellation' });
+			expect(error).to.be.undefined;
+			expect(value.condition).to.equal('sellable');
+		});
+
+		it('should require a known reason', () => {
+			const { error } = restockSchema.validate({ reservationId: 'res_1', reason: 'lost' });
+			expect(error.details[0].message).to.equal('reason must be one of cancellation, return');
+		});
+
+		it('should reject unknown conditions on items', () => {
+			const { error } = restockSchema.validate({
+				reservationId: 'res_1',
+				restockId: 'rma_1',
+				reason: 'return',
+				items: [{ productId: 'pro_1', qty: 1, condition: 'opened' }],
+			});
+			expect(error.details[0].message).to.equal('condition must be one of sellable, damaged');
+		});
+
+		it('should require a restockId for a partial return', () => {
+			const { error } = restockSchema.validate({ reservationId: 'res_1', reason: 'return', items: [{ productId: 'pro_1', qty: 1 }] });
+			expect(error.details[0].message).to.equal('restockId is required when returning specific items');
+		});
+	});
+
+	describe('transferSchema', () => {
+		it('should accept a transfer between two warehouses', () => {
+			const { error } = transferSchema.validate({ productId: 'pro_1', fromWarehouseId: 'wh_delhi', toWarehouseId: 'wh_mumbai', qty: 2 });
+			expect(error).to.be.undefined;
+		});
+
+		it('should reject a transfer to the same warehouse', () => {
+			const { error } = transferSchema.validate({ productId: 'pro_1', fromWarehouseId: 'wh_delhi', toWarehouseId: 'wh_delhi', qty: 2 });
+			expect(error.details[0].message).to.equal('toWarehouseId must differ from fromWarehouseId');
+		});
+
+		it('should reject unknown warehouses', () => {
+			const { error } = transferSchema.validate({ productId: 'pro_1', fromWarehouseId: 'wh_paris', toWarehouseId: 'wh_delhi', qty: 2 });
+			expect(error.details[0].message).to.include('warehouseId must be one of');
+		});
+	});
+
+	describe('transfersQuerySchema', () => {
+		it('should default the limit', () => {
+			expect(transfersQuerySchema.validate({}).value).to.deep.equal({ limit: 50 });
+		});
+
+		it('should reject unknown statuses', () => {
+			const { error } = transfersQuerySchema.validate({ status: 'lost' });
+			expect(error.details[0].message).to.include('status must be one of');
+		});
+	});
 });
@@ -0,0 +1,102 @@
+/**
+ * Backorder / pre-order reservation tests against real (miniflare) D1 and DOs
+ * Run with: npm run test:workers
+ */
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { reserveInventory, commitReservation, releaseReservation } from '../../src/services/inventory.service.js';
+import { setStockPolicy } from '../../src/services/policy.service.js';
+import { nowSec } from '../../src/helpers/utils.js';
+import { applySchema, setStock, stockRow, warehouseRows, settle } from './helpers.js';
+
+const d1Only = { DB: env.DB };
+
+function reserve(target, reservationId, items) {
+	return reserveInventory(target, reservationId, 'user_1', `cart_${reservationId}`, items, 900);
+}
+
+describe('backorder and pre-order reservations', () => {
+	beforeEach(async () => {
+		await applySchema(env);
+		await setStock(env, 'pro_bo', 2);
+		await setStockPolicy(d1Only, { productId: 'pro_bo', policy: 'backorder', backorderLimit: 3, leadTimeDays: 21 });
+	});
+
+	it('reserves beyond stock up to the backorder limit', async () => {
+		const res = await reserve(d1Only, 'res_bo', [{ productId: 'pro_bo', qty: 4 }]);
+
+		expect(res.backordered).toBe(2);
+		expect(res.items[0]).toMatchObject({
+			qty: 4,
+			backordered: 2,
+			backorderType: 'backorder',
+			allocations: [{ warehouseId: 'wh_mumbai', qty: 2 }],
+		});
+		expect(res.items[0].shipsAt).toBeGreaterThan(nowSec() + 20 * 86400);
+		expect(res.items[0]).not.toHaveProperty('backorderLimit');
+		expect(await stockRow(env, 'pro_bo')).toEqual({ stock: 2, reserved: 4 });
+		expect((await warehouseRows(env, 'pro_bo')).wh_mumbai).toEqual({ stock: 2, reserved: 2 });
+	});
+
+	it('rejects what the limit does not cover and reports what is left', async () => {
+		await expect(reserve(d1Only, 'res_big', [{ productId: 'pro_bo', qty: 6 }])).rejects.toMatchObject({
+			error: 'INSUFFICIENT_STOCK',
+			available: 2,
+			requested: 6,
+			backorderable: 3,
+		});
+	});
+
+	it('counts committed backorders against the limit', async () => {
+		await reserve(d1Only, 'res_1', [{ productId: 'pro_bo', qty: 4 }]);
+		await commitReservation(d1Only, 'res_1');
+
+		expect(await stockRow(env, 'pro_bo')).toEqual({ stock: -2, reserved: 0 });
+		expect((await warehouseRows(env, 'pro_bo')).wh_mumbai).toEqual({ stock: 0, reserved: 0 });
+
+		await expect(reserve(d1Only, 'res_2', [{ productId: 'pro_bo', qty: 2 }])).rejects.toMatchObject({
+			error: 'INSUFFICIENT_STOCK',
+			backorderable: 1,
+		});
+		const res = await reserve(d1Only, 'res_3', [{ productId: 'pro_bo', qty: 1 }]);
+		expect(res.items[0]).toMatchObject({ backordered: 1, allocations: [] });
+	});
+
+	it('gives backordered units back on release without touching warehouses', async () => {
+		await reserve(d1Only, 'res_rel', [{ productId: 'pro_bo', qty: 5 }]);
+		await releaseReservation(d1Only, 'res_rel');
+
+		expect(await stockRow(env, 'pro_bo')).toEqual({ stock: 2, reserved: 0 });
+		expect((await warehouseRows(env, 'pro_bo')).wh_mumbai).toEqual({ stock: 2, reserved: 0 });
+	});
+
+	it('takes open-ended pre-orders until the release date', async () => {
+		await setStock(env, 'pro_pre', 0);
+		const releaseDate = nowSec() + 30 * 86400;
+		await setStockPolicy(d1Only, { productId: 'pro_pre', policy: 'preorder', releaseDate });
+
+		const res = await reserve(d1Only, 'res_pre', [{ productId: 'pro_pre', qty: 50 }]);
+
+		expect(res.items[0]).toMatchObject({ backordered: 50, backorderType: 'preorder', shipsAt: releaseDate, allocations: [] });
+
+		await setStockPolicy(d1Only, { productId: 'pro_pre', policy: 'preorder', releaseDate: nowSec() - 1 });
+		await expect(reserve(d1Only, 'res_late', [{ productId: 'pro_pre', qty: 1 }])).rejects.toMatchObject({
+			error: 'INSUFFICIENT_STOCK',
+		});
+	});
+
+	it('lets the stock coordinator admit backorders under the same policy', async () => {
+		const productId = `pro_bo_${crypto.randomUUID().slice(0, 8)}`;
+		await setStock(env, productId, 1);
+		await setStockPolicy(env, { productId, policy: 'backorder', backorderLimit: 1 });
+
+		const results = await Promise.all([
+			settle(reserve(env, 'res_c1', [{ productId, qty: 1 }])),
+			settle(reserve(env, 'res_c2', [{ productId, qty: 1 }])),
+			settle(reserve(env, 'res_c3', [{ productId, qty: 1 }])),
+		]);
+
+		expect(results.filter((r) => r.ok)).toHaveLength(2);
+		expect(await stockRow(env, productId)).toEqual({ stock: 1, reserved: 2 });
+	});
+});
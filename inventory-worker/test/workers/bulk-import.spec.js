@@ -0,0 +1,97 @@
+/**
+ * Bulk import / export tests against a real (miniflare) D1 database
+ * Run with: npm run test:workers
+ */
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readImportRows, importStock, exportStockStream } from '../../src/services/bulk.service.js';
+import { reserveInventory } from '../../src/services/inventory.service.js';
+import { listWarehouseStockPage } from '../../src/db/queries.js';
+import { applySchema, setStock, stockRow, warehouseRows, count } from './helpers.js';
+
+const d1Only = { DB: env.DB };
+
+function importCsv(csv, options) {
+	return importStock(d1Only, readImportRows({ csv }), options);
+}
+
+describe('bulk stock import', () => {
+	beforeEach(async () => {
+		await applySchema(env);
+		await setStock(env, 'pro_a', { wh_mumbai: 5, wh_delhi: 2 });
+	});
+
+	it('sets warehouse stock, moves the totals and writes the ledger', async () => {
+		const report = await importCsv(
+			['productId,variantId,warehouse,stock', 'pro_a,,MUM,8', 'pro_a,var_pro_a,wh_delhi,2', 'pro_new,,CHN,4', 'pro_bad,,MUM,-1'].join('\n'),
+			{ actorId: 'usr_admin' },
+		);
+
+		expect(report).toMatchObject({ total: 4, updated: 2, unchanged: 1, invalid: 1, failed: 0 });
+		expect(await warehouseRows(env, 'pro_a')).toEqual({ wh_delhi: { stock: 2, reserved: 0 }, wh_mumbai: { stock: 8, reserved: 0 } });
+		expect(await stockRow(env, 'pro_a')).toEqual({ stock: 10, reserved: 0 });
+		expect(await warehouseRows(env, 'pro_new')).toEqual({ wh_chennai: { stock: 4, reserved: 0 } });
+		expect(await stockRow(env, 'pro_new')).toEqual({ stock: 4, reserved: 0 });
+
+		const ledger = await env.DB.prepare(
+			'SELECT product_id, operation, delta, reason, actor_id FROM stock_adjustments ORDER BY product_id',
+		).all();
+		expect(ledger.results).toEqual([
+			{ product_id: 'pro_a', operation: 'set', delta: 3, reason: 'import', actor_id: 'usr_admin' },
+			{ product_id: 'pro_new', operation: 'set', delta: 4, reason: 'import', actor_id: 'usr_admin' },
+		]);
+	});
+
+	it('keeps reserved units and applies the rest of the file', async () => {
+		await reserveInventory(d1Only, 'res_1', 'user', 'cart', [{ productId: 'pro_a', qty: 4 }], 900, 'MUM');
+
+		const report = await importCsv('productId,warehouse,stock\npro_a,MUM,3\npro_a,DEL,6');
+
+		expect(report.results.map((r) => r.status)).toEqual(['failed', 'updated']);
+		expect(report.results[0]).toMatchObject({ error: 'below_reserved', reserved: 4 });
+		expect(await warehouseRows(env, 'pro_a')).toEqual({ wh_delhi: { stock: 6, reserved: 0 }, wh_mumbai: { stock: 5, reserved: 4 } });
+	});
+
+	it('writes nothing on a dry run', async () => {
+		const report = await importCsv('productId,warehouse,stock\npro_a,MUM,9', { dryRun: true });
+
+		expect(report.results[0]).toMatchObject({ status: 'valid', stockBefore: 5, stockAfter: 9 });
+		expect(await count(env, 'stock_adjustments')).toBe(0);
+	});
+});
+
+describe('bulk stock export', () => {
+	beforeEach(async () => {
+		await applySchema(env);
+		// Only this test's rows, not the catalog seed stock
+		await env.DB.batch([env.DB.prepare('DELETE FROM warehouse_stock'), env.DB.prepare('DELETE FROM product_stock')]);
+		await setStock(env, 'pro_a', { wh_mumbai: 5, wh_delhi: 2 });
+		await setStock(env, 'pro_b', { wh_mumbai: 1 });
+	});
+
+	it('streams every warehouse row and round-trips through import', async () => {
+		await reserveInventory(d1Only, 'res_1', 'user', 'cart', [{ productId: 'pro_a', qty: 1 }], 900, 'DEL');
+
+		const csv = await new Response(exportStockStream(d1Only, { format: 'csv' })).text();
+
+		expect(csv.trim().split('\n')).toEqual([
+			'productId,variantId,warehouse,stock,reserved,available',
+			'pro_a,var_pro_a,wh_delhi,2,1,1',
+			'pro_a,var_pro_a,wh_mumbai,5,0,5',
+			'pro_b,var_pro_b,wh_mumbai,1,0,1',
+		]);
+		expect(await importCsv(csv)).toMatchObject({ total: 3, unchanged: 3 });
+	});
+
+	it('pages through a warehouse as JSON', async () => {
+		const rows = JSON.parse(await new Response(exportStockStream(d1Only, { format: 'json', warehouseId: 'wh_mumbai' })).text());
+
+		expect(rows.map((r) => r.productId)).toEqual(['pro_a', 'pro_b']);
+	});
+
+	it('continues a page after the last key', async () => {
+		const page = await listWarehouseStockPage(d1Only, { productId: 'pro_a', variantId: 'var_pro_a', warehouseId: 'wh_delhi' }, 10);
+
+		expect(page.results.map((r) => `${r.product_id}/${r.warehouse_id}`)).toEqual(['pro_a/wh_mumbai', 'pro_b/wh_mumbai']);
+	});
+});
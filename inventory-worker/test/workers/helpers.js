@@ -0,0 +1,60 @@
+/**
+ * Shared setup for the workers-pool specs (real miniflare D1 and Durable Objects)
+ */
+import schema from '../../src/schemas/schema.sql?raw';
+
+// schema.sql is a plain script; drop comments and run it statement by statement
+const statements = schema
+	.split('\n')
+	.map((line) => line.replace(/--.*$/, ''))
+	.join('\n')
+	.split(';')
+	.map((sql) => sql.trim())
+	.filter(Boolean);
+
+export async function applySchema(env) {
+	await env.DB.batch(statements.map((sql) => env.DB.prepare(sql)));
+}
+
+/**
+ * Stock a variant; `stock` is either a number (all in wh_mumbai) or
+ * { warehouseId: units }. product_stock gets the total.
+ */
+export async function setStock(env, productId, stock, variantId = `var_${productId}`) {
+	const split = typeof stock === 'number' ? { wh_mumbai: stock } : stock;
+	const total = Object.values(split).reduce((sum, n) => sum + n, 0);
+
+	await env.DB.batch([
+		env.DB.prepare(
+			`INSERT OR REPLACE INTO product_stock (product_id, variant_id, stock, reserved, active, updated_at) VALUES (?, ?, ?, 0, 1, 0)`,
+		).bind(productId, variantId, total),
+		...Object.entries(split).map(([warehouseId, n]) =>
+			env.DB.prepare(
+				`INSERT OR REPLACE INTO warehouse_stock (product_id, variant_id, warehouse_id, stock, reserved, updated_at) VALUES (?, ?, ?, ?, 0, 0)`,
+			).bind(productId, variantId, warehouseId, n),
+		),
+	]);
+}
+
+export async function warehouseRows(env, productId) {
+	const rows = await env.DB.prepare('SELECT warehouse_id, stock, reserved FROM warehouse_stock WHERE product_id = ? ORDER BY warehouse_id')
+		.bind(productId)
+		.all();
+	return Object.fromEntries(rows.results.map((r) => [r.warehouse_id, { stock: r.stock, reserved: r.reserved }]));
+}
+
+export async function stockRow(env, productId) {
+	return await env.DB.prepare('SELECT stock, reserved FROM product_stock WHERE product_id = ?').bind(productId).first();
+}
+
+export async function count(env, table) {
+	const row = await env.DB.prepare(`SELECT COUNT(*) AS n FROM ${table}`).first();
+	return row.n;
+}
+
+export function settle(promise) {
+	return promise.then(
+		(value) => ({ ok: true, value }),
+		(error) => ({ ok: false, error }),
+	);
+}
@@ -0,0 +1,84 @@
+/**
+ * Reorder point and low-stock alert tests against a real (miniflare) D1 database
+ * Run with: npm run test:workers
+ */
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { reserveInventory, commitReservation } from '../../src/services/inventory.service.js';
+import { adjustStock } from '../../src/services/adjustment.service.js';
+import { setReorderPoint, listLowStock } from '../../src/services/alert.service.js';
+import { listStockAlerts } from '../../src/db/queries.js';
+import { applySchema, setStock, count } from './helpers.js';
+
+const d1Only = { DB: env.DB };
+
+async function buy(reservationId, productId, qty) {
+	await reserveInventory(d1Only, reservationId, 'user_1', `cart_${reservationId}`, [{ productId, qty }], 900);
+	await commitReservation(d1Only, reservationId);
+}
+
+async function alerts(productId) {
+	return (await listStockAlerts(env, { productId }, 10)).results;
+}
+
+describe('low-stock alerts', () => {
+	beforeEach(async () => {
+		await applySchema(env);
+		await setStock(env, 'pro_low', 10);
+		await setStock(env, 'pro_fine', 50);
+		await setReorderPoint(d1Only, { productId: 'pro_low', reorderThreshold: 5, safetyStock: 2 });
+		await setReorderPoint(d1Only, { productId: 'pro_fine', reorderThreshold: 5 });
+	});
+
+	it('raises one alert when a commit drops stock below the threshold', async () => {
+		await buy('res_1', 'pro_low', 4);
+		expect(await count(env, 'stock_alerts')).toBe(0);
+
+		await buy('res_2', 'pro_low', 2);
+		await buy('res_3', 'pro_low', 1);
+
+		const rows = await alerts('pro_low');
+		expect(rows).toHaveLength(1);
+		expect(rows[0]).toMatchObject({ status: 'open', severity: 'low', available: 4, reorder_threshold: 5 });
+	});
+
+	it('resolves the alert on restock and raises a new one next time', async () => {
+		await buy('res_1', 'pro_low', 8);
+		expect((await alerts('pro_low'))[0]).toMatchObject({ status: 'open', severity: 'critical' });
+
+		await adjustStock(d1Only, { productId: 'pro_low', operation: 'increment', quantity: 10, reason: 'restock' });
+		expect((await alerts('pro_low'))[0]).toMatchObject({ status: 'resolved' });
+
+		await buy('res_2', 'pro_low', 9);
+		const rows = await alerts('pro_low');
+		expect(rows.map((r) => r.status).sort()).toEqual(['open', 'resolved']);
+	});
+
+	it('lists products under threshold, furthest below first', async () => {
+		await setStock(env, 'pro_out', 0);
+		await setReorderPoint(d1Only, { productId: 'pro_out', reorderThreshold: 3 });
+		await buy('res_1', 'pro_low', 7);
+
+		const products = await listLowStock(d1Only, 50);
+
+		expect(products).toEqual([
+			{
+				productId: 'pro_out',
+				reorderThreshold: 3,
+				safetyStock: 0,
+				stock: 0,
+				reserved: 0,
+				available: 0,
+				shortfall: 3,
+				severity: 'critical',
+			},
+			{ productId: 'pro_low', reorderThreshold: 5, safetyStock: 2, stock: 3, reserved: 0, available: 3, shortfall: 2, severity: 'low' },
+		]);
+	});
+
+	it('raises an alert as soon as a threshold is set above current stock', async () => {
+		const result = await setReorderPoint(d1Only, { productId: 'pro_fine', reorderThreshold: 60, safetyStock: 10 });
+
+		expect(result.alert).toMatchObject({ productId: 'pro_fine', severity: 'low', available: 50 });
+	});
+});
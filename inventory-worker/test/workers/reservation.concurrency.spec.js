@@ -0,0 +1,87 @@
+/**
+ * Reservation concurrency tests against a real (miniflare) D1 database
+ * Run with: npm run test:workers
+ */
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { reserveInventory } from '../../src/services/inventory.service.js';
+import { applySchema, setStock, stockRow, count, settle } from './helpers.js';
+
+// Without the STOCK_COORDINATOR binding the D1 batch alone has to hold the line
+const d1Only = { DB: env.DB };
+
+describe('reserveInventory concurrency (D1 batch)', () => {
+	beforeEach(async () => {
+		await applySchema(env);
+		await setStock(env, 'pro_last', 1);
+		await setStock(env, 'pro_plenty', 50);
+	});
+
+	it('lets only one of two carts racing for the last unit succeed', async () => {
+		const results = await Promise.all([
+			settle(reserveInventory(d1Only, 'res_a', 'user_a', 'cart_a', [{ productId: 'pro_last', qty: 1 }], 900)),
+			settle(reserveInventory(d1Only, 'res_b', 'user_b', 'cart_b', [{ productId: 'pro_last', qty: 1 }], 900)),
+		]);
+
+		const won = results.filter((r) => r.ok);
+		const lost = results.filter((r) => !r.ok);
+		expect(won).toHaveLength(1);
+		expect(lost).toHaveLength(1);
+		expect(lost[0].error).toMatchObject({ error: 'INSUFFICIENT_STOCK', productId: 'pro_last', available: 0, requested: 1 });
+
+		expect(await stockRow(env, 'pro_last')).toEqual({ stock: 1, reserved: 1 });
+		expect(await count(env, 'reservations')).toBe(1);
+		expect(await count(env, 'reservation_items')).toBe(1);
+	});
+
+	it('never oversells across many concurrent carts', async () => {
+		await setStock(env, 'pro_last', 3);
+
+		const results = await Promise.all(
+			Array.from({ length: 10 }, (_, i) =>
+				settle(reserveInventory(d1Only, `res_${i}`, `user_${i}`, `cart_${i}`, [{ productId: 'pro_last', qty: 1 }], 900)),
+			),
+		);
+
+		expect(results.filter((r) => r.ok)).toHaveLength(3);
+		expect(await stockRow(env, 'pro_last')).toEqual({ stock: 3, reserved: 3 });
+		expect(await count(env, 'reservations')).toBe(3);
+	});
+
+	it('leaves no partial reservation when a later item is short', async () => {
+		const results = await Promise.all([
+			settle(
+				reserveInventory(
+					d1Only,
+					'res_a',
+					'user_a',
+					'cart_a',
+					[
+						{ productId: 'pro_plenty', qty: 2 },
+						{ productId: 'pro_last', qty: 1 },
+					],
+					900,
+				),
+			),
+			settle(reserveInventory(d1Only, 'res_b', 'user_b', 'cart_b', [{ productId: 'pro_last', qty: 1 }], 900)),
+		]);
+
+		expect(results.filter((r) => r.ok)).toHaveLength(1);
+		expect((await stockRow(env, 'pro_last')).reserved).toBe(1);
+
+		// pro_plenty is only held if cart A was the one that got the last unit
+		const plentyReserved = results[0].ok ? 2 : 0;
+		expect((await stockRow(env, 'pro_plenty')).reserved).toBe(plentyReserved);
+		expect(await count(env, 'reservation_items')).toBe(results[0].ok ? 2 : 1);
+	});
+
+	it('rejects a reused reservation id without touching stock', async () => {
+		await reserveInventory(d1Only, 'res_a', 'user_a', 'cart_a', [{ productId: 'pro_plenty', qty: 1 }], 900);
+
+		await expect(reserveInventory(d1Only, 'res_a', 'user_a', 'cart_a', [{ productId: 'pro_plenty', qty: 1 }], 900)).rejects.toEqual({
+			error: 'reservation_exists',
+			reservationId: 'res_a',
+		});
+		expect((await stockRow(env, 'pro_plenty')).reserved).toBe(1);
+	});
+});
@@ -0,0 +1,130 @@
+/**
+ * Restock tests against a real (miniflare) D1 database
+ * Run with: npm run test:workers
+ */
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { restockReservation } from '../../src/services/restock.service.js';
+import { reserveInventory, commitReservation } from '../../src/services/inventory.service.js';
+import { setStockPolicy } from '../../src/services/policy.service.js';
+import { applySchema, setStock, stockRow, warehouseRows, count, settle } from './helpers.js';
+
+const d1Only = { DB: env.DB };
+
+async function commitOrder(reservationId, items) {
+	await reserveInventory(d1Only, reservationId, 'user_1', `cart_${reservationId}`, items, 900);
+	await commitReservation(d1Only, reservationId);
+}
+
+describe('restocking committed reservations', () => {
+	beforeEach(async () => {
+		await applySchema(env);
+		await setStock(env, 'pro_a', { wh_mumbai: 2, wh_delhi: 3 });
+		await setStock(env, 'pro_b', 4);
+		await commitOrder('res_1', [
+			{ productId: 'pro_a', qty: 4 },
+			{ productId: 'pro_b', qty: 1 },
+		]);
+	});
+
+	it('returns every committed unit to the warehouse it shipped from', async () => {
+		expect(await warehouseRows(env, 'pro_a')).toEqual({ wh_delhi: { stock: 1, reserved: 0 }, wh_mumbai: { stock: 0, reserved: 0 } });
+
+		const res = await restockReservation(d1Only, { reservationId: 'res_1', orderId: 'ord_1', reason: 'cancellation' });
+
+		expect(res).toMatchObject({ restockId: 'rst_res_1', sellable: 5, damaged: 0, duplicate: false });
+		expect(await stockRow(env, 'pro_a')).toEqual({ stock: 5, reserved: 0 });
+		expect(await stockRow(env, 'pro_b')).toEqual({ stock: 4, reserved: 0 });
+		expect(await warehouseRows(env, 'pro_a')).toEqual({ wh_delhi: { stock: 3, reserved: 0 }, wh_mumbai: { stock: 2, reserved: 0 } });
+		expect(await count(env, 'stock_adjustments')).toBe(3);
+	});
+
+	it('restocks only once however often it is called', async () => {
+		const first = await restockReservation(d1Only, { reservationId: 'res_1', reason: 'cancellation' });
+		const again = await restockReservation(d1Only, { reservationId: 'res_1', reason: 'cancellation' });
+
+		expect(again).toMatchObject({ restockId: first.restockId, sellable: 5, duplicate: true });
+		expect(await stockRow(env, 'pro_a')).toEqual({ stock: 5, reserved: 0 });
+		expect(await count(env, 'restocks')).toBe(1);
+	});
+
+	it('lets concurrent duplicates through only once', async () => {
+		const results = await Promise.all([
+			settle(restockReservation(d1Only, { reservationId: 'res_1', reason: 'return' })),
+			settle(restockReservation(d1Only, { reservationId: 'res_1', reason: 'return' })),
+		]);
+
+		expect(results.every((r) => r.ok)).toBe(true);
+		expect(results.filter((r) => r.value.duplicate)).toHaveLength(1);
+		expect(await stockRow(env, 'pro_b')).toEqual({ stock: 4, reserved: 0 });
+	});
+
+	it('keeps damaged units out of stock and caps partial returns at the committed quantity', async () => {
+		const rma = await restockReservation(d1Only, {
+			restockId: 'rma_1',
+			reservationId: 'res_1',
+			reason: 'return',
+			items: [
+				{ productId: 'pro_a', qty: 1 },
+				{ productId: 'pro_a', qty: 2, condition: 'damaged' },
+			],
+		});
+		expect(rma).toMatchObject({ sellable: 1, damaged: 2 });
+		expect(await stockRow(env, 'pro_a')).toEqual({ stock: 2, reserved: 0 });
+
+		await expect(
+			restockReservation(d1Only, { restockId: 'rma_2', reservationId: 'res_1', reason: 'return', items: [{ productId: 'pro_a', qty: 2 }] }),
+		).rejects.toMatchObject({ error: 'exceeds_committed', committed: 4, restocked: 3, requested: 2 });
+
+		const rest = await restockReservation(d1Only, { restockId: 'rma_3', reservationId: 'res_1', reason: 'return' });
+		expect(rest.items).toEqual([
+			expect.objectContaining({ productId: 'pro_a', qty: 1, condition: 'sellable' }),
+			expect.objectContaining({ productId: 'pro_b', qty: 1, condition: 'sellable' }),
+		]);
+		expect(await stockRow(env, 'pro_a')).toEqual({ stock: 3, reserved: 0 });
+
+		await expect(restockReservation(d1Only, { restockId: 'rma_4', reservationId: 'res_1', reason: 'return' })).rejects.toMatchObject({
+			error: 'nothing_to_restock',
+		});
+	});
+
+	it('books returns to the warehouse that received them', async () => {
+		await restockReservation(d1Only, {
+			restockId: 'rma_1',
+			reservationId: 'res_1',
+			reason: 'return',
+			items: [{ productId: 'pro_b', qty: 1, warehouseId: 'wh_chennai' }],
+		});
+
+		expect((await warehouseRows(env, 'pro_b')).wh_chennai).toEqual({ stock: 1, reserved: 0 });
+		expect(await stockRow(env, 'pro_b')).toEqual({ stock: 4, reserved: 0 });
+	});
+
+	it('gives backordered units back to the total only', async () => {
+		await setStock(env, 'pro_bo', 1);
+		await setStockPolicy(d1Only, { productId: 'pro_bo', policy: 'backorder', backorderLimit: 5 });
+		await commitOrder('res_bo', [{ productId: 'pro_bo', qty: 3 }]);
+		expect(await stockRow(env, 'pro_bo')).toEqual({ stock: -2, reserved: 0 });
+
+		const res = await restockReservation(d1Only, { reservationId: 'res_bo', reason: 'cancellation' });
+
+		expect(res.items).toEqual([
+			{ productId: 'pro_bo', variantId: 'var_pro_bo', warehouseId: 'wh_mumbai', condition: 'sellable', qty: 1 },
+			{ productId: 'pro_bo', variantId: 'var_pro_bo', warehouseId: null, condition: 'sellable', qty: 2 },
+		]);
+		expect(await stockRow(env, 'pro_bo')).toEqual({ stock: 1, reserved: 0 });
+		expect(await warehouseRows(env, 'pro_bo')).toEqual({ wh_mumbai: { stock: 1, reserved: 0 } });
+	});
+
+	it('refuses reservations that were never committed', async () => {
+		await reserveInventory(d1Only, 'res_open', 'user_1', 'cart_open', [{ productId: 'pro_b', qty: 1 }], 900);
+
+		await expect(restockReservation(d1Only, { reservationId: 'res_open', reason: 'cancellation' })).rejects.toMatchObject({
+			error: 'not_committed',
+			status: 'active',
+		});
+		await expect(
+			restockReservation(d1Only, { restockId: 'rma_1', reservationId: 'res_1', reason: 'return', items: [{ productId: 'pro_x', qty: 1 }] }),
+		).rejects.toMatchObject({ error: 'unknown_line' });
+	});
+});
@@ -0,0 +1,128 @@
+/**
+ * StockCoordinator Durable Object tests against real (miniflare) D1 and DOs
+ * Run with: npm run test:workers
+ */
+import { env, runInDurableObject } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { reserveInventory, commitReservation, releaseReservation } from '../../src/services/inventory.service.js';
+import { adjustStock } from '../../src/services/adjustment.service.js';
+import { getCoordinatorState } from '../../src/services/coordinator.service.js';
+import { applySchema, setStock, stockRow, count, settle } from './helpers.js';
+
+// Coordinator instances live in memory across tests, so every test gets fresh product ids
+function productIds(...names) {
+	const suffix = crypto.randomUUID().slice(0, 8);
+	return names.map((n) => `pro_${n}_${suffix}`);
+}
+
+function reserve(reservationId, items) {
+	return reserveInventory(env, reservationId, 'user_1', `cart_${reservationId}`, items, 900);
+}
+
+describe('StockCoordinator', () => {
+	beforeEach(async () => {
+		await applySchema(env);
+	});
+
+	it('admits only one of two carts racing for the last unit', async () => {
+		const [last] = productIds('last');
+		await setStock(env, last, 1);
+
+		const results = await Promise.all([
+			settle(reserve('res_a', [{ productId: last, qty: 1 }])),
+			settle(reserve('res_b', [{ productId: last, qty: 1 }])),
+		]);
+
+		expect(results.filter((r) => r.ok)).toHaveLength(1);
+		expect(results.find((r) => !r.ok).error).toMatchObject({ error: 'INSUFFICIENT_STOCK', productId: last, available: 0 });
+		expect(await stockRow(env, last)).toEqual({ stock: 1, reserved: 1 });
+		expect(await count(env, 'reservations')).toBe(1);
+
+		const state = await getCoordinatorState(env, last);
+		expect(state.variants).toEqual([{ variantId: `var_${last}`, stock: 1, reserved: 1, pending: 0, active: true }]);
+		expect(state.pendingReservations).toBe(0);
+	});
+
+	it('cancels holds on other products when one product refuses', async () => {
+		const [plenty, last] = productIds('plenty', 'last');
+		await setStock(env, plenty, 10);
+		await setStock(env, last, 1);
+
+		await reserve('res_first', [{ productId: last, qty: 1 }]);
+		const result = await settle(
+			reserve('res_second', [
+				{ productId: plenty, qty: 2 },
+				{ productId: last, qty: 1 },
+			]),
+		);
+
+		expect(result.ok).toBe(false);
+		expect(result.error).toMatchObject({ error: 'INSUFFICIENT_STOCK', productId: last });
+		expect((await stockRow(env, plenty)).reserved).toBe(0);
+
+		const state = await getCoordinatorState(env, plenty);
+		expect(state.variants[0]).toMatchObject({ reserved: 0, pending: 0 });
+	});
+
+	it('follows commits and releases written to D1', async () => {
+		const [p] = productIds('p');
+		await setStock(env, p, 5);
+
+		await reserve('res_commit', [{ productId: p, qty: 2 }]);
+		await commitReservation(env, 'res_commit');
+		await reserve('res_release', [{ productId: p, qty: 1 }]);
+		await releaseReservation(env, 'res_release');
+
+		expect(await stockRow(env, p)).toEqual({ stock: 3, reserved: 0 });
+		const state = await getCoordinatorState(env, p);
+		expect(state.variants[0]).toMatchObject({ stock: 3, reserved: 0, pending: 0 });
+	});
+
+	it('reloads after an admin adjustment', async () => {
+		const [p] = productIds('p');
+		await setStock(env, p, 1);
+
+		await reserve('res_a', [{ productId: p, qty: 1 }]);
+		await adjustStock(env, { productId: p, operation: 'increment', quantity: 2, reason: 'Restock' });
+
+		const result = await reserve('res_b', [{ productId: p, qty: 2 }]);
+		expect(result.items).toEqual([{ productId: p, variantId: `var_${p}`, allocations: [{ warehouseId: 'wh_mumbai', qty: 2 }], qty: 2 }]);
+		expect(await stockRow(env, p)).toEqual({ stock: 3, reserved: 3 });
+	});
+
+	it('resyncs from D1 when the write-through is refused', async () => {
+		const [p] = productIds('p');
+		await setStock(env, p, 2);
+		await getCoordinatorState(env, p);
+
+		// Stock drops behind the coordinator's back
+		await env.DB.prepare('UPDATE product_stock SET stock = 0 WHERE product_id = ?').bind(p).run();
+
+		const result = await settle(reserve('res_a', [{ productId: p, qty: 1 }]));
+		expect(result.error).toMatchObject({ error: 'INSUFFICIENT_STOCK', productId: p, available: 0 });
+
+		const state = await getCoordinatorState(env, p);
+		expect(state.variants[0]).toMatchObject({ stock: 0, reserved: 0, pending: 0 });
+	});
+
+	it('drops holds that were never confirmed', async () => {
+		const [p] = productIds('p');
+		await setStock(env, p, 1);
+
+		const stub = env.STOCK_COORDINATOR.get(env.STOCK_COORDINATOR.idFromName(p));
+		const hold = await stub.fetch('https://stock-coordinator/reserve', {
+			method: 'POST',
+			body: JSON.stringify({ productId: p, reservationId: 'res_orphan', lines: [{ variantId: `var_${p}`, qty: 1 }] }),
+		});
+		expect(hold.status).toBe(200);
+
+		await expect(reserve('res_a', [{ productId: p, qty: 1 }])).rejects.toMatchObject({ error: 'INSUFFICIENT_STOCK' });
+
+		await runInDurableObject(stub, (instance) => {
+			instance.pending.get('res_orphan').deadline = Date.now() - 1;
+		});
+
+		const result = await reserve('res_b', [{ productId: p, qty: 1 }]);
+		expect(result.reservationId).toBe('res_b');
+	});
+});
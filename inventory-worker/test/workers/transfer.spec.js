@@ -0,0 +1,110 @@
+/**
+ * Warehouse transfer tests against a real (miniflare) D1 database
+ * Run with: npm run test:workers
+ */
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { requestTransfer, advanceTransfer, findTransfers } from '../../src/services/transfer.service.js';
+import { reserveInventory } from '../../src/services/inventory.service.js';
+import { applySchema, setStock, stockRow, warehouseRows, count, settle } from './helpers.js';
+
+const d1Only = { DB: env.DB };
+
+function transfer(qty, extra = {}) {
+	return requestTransfer(d1Only, {
+		productId: 'pro_t',
+		fromWarehouseId: 'wh_delhi',
+		toWarehouseId: 'wh_mumbai',
+		qty,
+		actorId: 'usr_admin',
+		...extra,
+	});
+}
+
+describe('warehouse transfers', () => {
+	beforeEach(async () => {
+		await applySchema(env);
+		await setStock(env, 'pro_t', { wh_mumbai: 1, wh_delhi: 6 });
+	});
+
+	it('moves stock out on ship and in on receive', async () => {
+		const requested = await transfer(4);
+		expect(requested).toMatchObject({ status: 'requested', variantId: 'var_pro_t', requestedBy: 'usr_admin' });
+		expect(await warehouseRows(env, 'pro_t')).toEqual({ wh_delhi: { stock: 6, reserved: 0 }, wh_mumbai: { stock: 1, reserved: 0 } });
+
+		const shipped = await advanceTransfer(d1Only, requested.transferId, 'ship', 'usr_admin');
+		expect(shipped.status).toBe('in_transit');
+		expect(shipped.shippedAt).toBeTypeOf('number');
+		expect(await warehouseRows(env, 'pro_t')).toEqual({ wh_delhi: { stock: 2, reserved: 0 }, wh_mumbai: { stock: 1, reserved: 0 } });
+		expect(await stockRow(env, 'pro_t')).toEqual({ stock: 3, reserved: 0 });
+
+		const received = await advanceTransfer(d1Only, requested.transferId, 'receive', 'usr_admin');
+		expect(received.status).toBe('received');
+		expect(received.events.map((e) => e.status)).toEqual(['requested', 'in_transit', 'received']);
+		expect(await warehouseRows(env, 'pro_t')).toEqual({ wh_delhi: { stock: 2, reserved: 0 }, wh_mumbai: { stock: 5, reserved: 0 } });
+		expect(await stockRow(env, 'pro_t')).toEqual({ stock: 7, reserved: 0 });
+
+		const ledger = await env.DB.prepare('SELECT warehouse_id, delta, reason FROM stock_adjustments ORDER BY delta').all();
+		expect(ledger.results).toEqual([
+			{ warehouse_id: 'wh_delhi', delta: -4, reason: `transfer ${requested.transferId}` },
+			{ warehouse_id: 'wh_mumbai', delta: 4, reason: `transfer ${requested.transferId}` },
+		]);
+	});
+
+	it('creates the destination row for a warehouse that never stocked the variant', async () => {
+		const { transferId } = await transfer(2, { toWarehouseId: 'wh_chennai' });
+		await advanceTransfer(d1Only, transferId, 'ship');
+		await advanceTransfer(d1Only, transferId, 'receive');
+
+		expect((await warehouseRows(env, 'pro_t')).wh_chennai).toEqual({ stock: 2, reserved: 0 });
+	});
+
+	it('cannot ship units reserved since the request', async () => {
+		const { transferId } = await transfer(5);
+		await reserveInventory(d1Only, 'res_1', 'user_1', 'cart_1', [{ productId: 'pro_t', qty: 3 }], 900, 'DEL');
+
+		await expect(advanceTransfer(d1Only, transferId, 'ship')).rejects.toMatchObject({
+			error: 'insufficient_stock',
+			warehouseId: 'wh_delhi',
+			available: 3,
+			requested: 5,
+		});
+		expect((await warehouseRows(env, 'pro_t')).wh_delhi).toEqual({ stock: 6, reserved: 3 });
+		expect(await count(env, 'stock_transfer_events')).toBe(1);
+	});
+
+	it('rejects requests the source cannot cover', async () => {
+		await expect(transfer(7)).rejects.toMatchObject({ error: 'insufficient_stock', available: 6 });
+		await expect(transfer(1, { productId: 'pro_none' })).rejects.toMatchObject({ error: 'product_not_found' });
+	});
+
+	it('only allows each step from the status before it', async () => {
+		const { transferId } = await transfer(1);
+
+		await expect(advanceTransfer(d1Only, transferId, 'receive')).rejects.toMatchObject({
+			error: 'invalid_transition',
+			status: 'requested',
+		});
+
+		const results = await Promise.all([
+			settle(advanceTransfer(d1Only, transferId, 'ship')),
+			settle(advanceTransfer(d1Only, transferId, 'ship')),
+		]);
+		expect(results.filter((r) => r.ok)).toHaveLength(1);
+		expect(results.find((r) => !r.ok).error).toMatchObject({ error: 'invalid_transition', status: 'in_transit' });
+		expect((await warehouseRows(env, 'pro_t')).wh_delhi).toEqual({ stock: 5, reserved: 0 });
+
+		await expect(advanceTransfer(d1Only, transferId, 'cancel')).rejects.toMatchObject({ error: 'invalid_transition' });
+	});
+
+	it('cancels a requested transfer without moving stock and filters the list', async () => {
+		const { transferId } = await transfer(2);
+		const cancelled = await advanceTransfer(d1Only, transferId, 'cancel');
+		await transfer(1, { fromWarehouseId: 'wh_mumbai', toWarehouseId: 'wh_delhi' });
+
+		expect(cancelled.status).toBe('cancelled');
+		expect(await stockRow(env, 'pro_t')).toEqual({ stock: 7, reserved: 0 });
+		expect(await findTransfers(d1Only, { status: 'requested' }, 10)).toHaveLength(1);
+		expect(await findTransfers(d1Only, { warehouseId: 'wh_delhi' }, 10)).toHaveLength(2);
+	});
+});
@@ -0,0 +1,136 @@
+/**
+ * Warehouse allocation tests against a real (miniflare) D1 database
+ * Run with: npm run test:workers
+ */
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { reserveInventory, commitReservation, releaseReservation, getReservationDetails } from '../../src/services/inventory.service.js';
+import { adjustStock } from '../../src/services/adjustment.service.js';
+import { applyStockAdjustment } from '../../src/db/queries.js';
+import { applySchema, setStock, stockRow, warehouseRows, count } from './helpers.js';
+
+const d1Only = { DB: env.DB };
+
+describe('warehouse-aware reservations', () => {
+	beforeEach(async () => {
+		await applySchema(env);
+		await setStock(env, 'pro_split', { wh_mumbai: 2, wh_delhi: 3 });
+		await setStock(env, 'pro_other', { wh_delhi: 5 });
+	});
+
+	it('ships from the zone warehouse when it covers the order', async () => {
+		const res = await reserveInventory(d1Only, 'res_del', 'user', 'cart', [{ productId: 'pro_split', qty: 3 }], 900, 'DEL');
+
+		expect(res.items[0].allocations).toEqual([{ warehouseId: 'wh_delhi', qty: 3 }]);
+		expect(await warehouseRows(env, 'pro_split')).toEqual({
+			wh_delhi: { stock: 3, reserved: 3 },
+			wh_mumbai: { stock: 2, reserved: 0 },
+		});
+		expect(await stockRow(env, 'pro_split')).toEqual({ stock: 5, reserved: 3 });
+	});
+
+	it('keeps the order in one warehouse over the zone match', async () => {
+		const res = await reserveInventory(
+			d1Only,
+			'res_one',
+			'user',
+			'cart',
+			[
+				{ productId: 'pro_split', qty: 1 },
+				{ productId: 'pro_other', qty: 1 },
+			],
+			900,
+			'MUM',
+		);
+
+		expect(res.items.map((it) => it.allocations)).toEqual([[{ warehouseId: 'wh_delhi', qty: 1 }], [{ warehouseId: 'wh_delhi', qty: 1 }]]);
+	});
+
+	it('splits a line across warehouses, nearest first', async () => {
+		const res = await reserveInventory(d1Only, 'res_split', 'user', 'cart', [{ productId: 'pro_split', qty: 4 }], 900, 'MUM');
+
+		expect(res.items[0].allocations).toEqual([
+			{ warehouseId: 'wh_mumbai', qty: 2 },
+			{ warehouseId: 'wh_delhi', qty: 2 },
+		]);
+		expect(await count(env, 'reservation_allocations')).toBe(2);
+		expect((await getReservationDetails(d1Only, 'res_split')).items[0].allocations).toEqual([
+			{ warehouseId: 'wh_mumbai', qty: 2 },
+			{ warehouseId: 'wh_delhi', qty: 2 },
+		]);
+
+		await commitReservation(d1Only, 'res_split');
+		expect(await warehouseRows(env, 'pro_split')).toEqual({
+			wh_delhi: { stock: 1, reserved: 0 },
+			wh_mumbai: { stock: 0, reserved: 0 },
+		});
+		expect(await stockRow(env, 'pro_split')).toEqual({ stock: 1, reserved: 0 });
+	});
+
+	it('gives warehouse stock back on release', async () => {
+		await reserveInventory(d1Only, 'res_rel', 'user', 'cart', [{ productId: 'pro_split', qty: 5 }], 900, 'DEL');
+		await releaseReservation(d1Only, 'res_rel');
+
+		expect(await warehouseRows(env, 'pro_split')).toEqual({
+			wh_delhi: { stock: 3, reserved: 0 },
+			wh_mumbai: { stock: 2, reserved: 0 },
+		});
+		expect(await stockRow(env, 'pro_split')).toEqual({ stock: 5, reserved: 0 });
+	});
+
+	it('rejects more than all warehouses hold and writes nothing', async () => {
+		await expect(
+			reserveInventory(d1Only, 'res_big', 'user', 'cart', [{ productId: 'pro_split', qty: 6 }], 900, 'MUM'),
+		).rejects.toMatchObject({ error: 'INSUFFICIENT_STOCK', productId: 'pro_split', available: 5, requested: 6 });
+
+		expect(await count(env, 'reservations')).toBe(0);
+		expect(await count(env, 'reservation_allocations')).toBe(0);
+		expect(await stockRow(env, 'pro_split')).toEqual({ stock: 5, reserved: 0 });
+	});
+});
+
+describe('warehouse stock adjustments', () => {
+	beforeEach(async () => {
+		await applySchema(env);
+		await setStock(env, 'pro_adj', { wh_mumbai: 4, wh_chennai: 6 });
+	});
+
+	it('moves the warehouse and the product total together', async () => {
+		const result = await adjustStock(d1Only, {
+			productId: 'pro_adj',
+			warehouseId: 'wh_chennai',
+			operation: 'decrement',
+			quantity: 2,
+			reason: 'damaged',
+		});
+
+		expect(result).toMatchObject({ warehouseId: 'wh_chennai', stockBefore: 6, stockAfter: 4, delta: -2 });
+		expect(await warehouseRows(env, 'pro_adj')).toMatchObject({ wh_chennai: { stock: 4 }, wh_mumbai: { stock: 4 } });
+		expect(await stockRow(env, 'pro_adj')).toEqual({ stock: 8, reserved: 0 });
+		expect(await count(env, 'stock_adjustments')).toBe(1);
+	});
+
+	it('creates the warehouse row on restock', async () => {
+		await adjustStock(d1Only, { productId: 'pro_adj', warehouseId: 'wh_bangalore', operation: 'set', quantity: 3, reason: 'new dc' });
+
+		expect((await warehouseRows(env, 'pro_adj')).wh_bangalore).toEqual({ stock: 3, reserved: 0 });
+		expect(await stockRow(env, 'pro_adj')).toEqual({ stock: 13, reserved: 0 });
+	});
+
+	it('touches neither the total nor the ledger when the warehouse update loses a race', async () => {
+		const upd = await applyStockAdjustment(d1Only, {
+			adjustmentId: 'adj_stale',
+			productId: 'pro_adj',
+			variantId: 'var_pro_adj',
+			warehouseId: 'wh_mumbai',
+			operation: 'set',
+			stockBefore: 99, // not what the row holds
+			stockAfter: 1,
+			now: 0,
+		});
+
+		expect(upd.meta.changes).toBe(0);
+		expect(await stockRow(env, 'pro_adj')).toEqual({ stock: 10, reserved: 0 });
+		expect(await count(env, 'stock_adjustments')).toBe(0);
+	});
+});
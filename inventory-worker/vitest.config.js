@@ -4,6 +4,10 @@ export default defineWorkersConfig({
 	test: {
 		poolOptions: {
 			workers: {
+				// The StockCoordinator Durable Object does not survive storage snapshots;
+				// specs reset D1 from schema.sql before each test instead
+				isolatedStorage: false,
+				singleWorker: true,
 				wrangler: { configPath: './wrangler.jsonc' },
 			},
 		},
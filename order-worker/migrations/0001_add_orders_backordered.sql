@@ -0,0 +1,2 @@
+-- Units sold beyond stock on backorder or pre-order
+ALTER TABLE orders ADD COLUMN backordered INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,3 @@
+-- Keyset pagination walks orders by (created_at, order_id), per user and overall
+CREATE INDEX IF NOT EXISTS idx_orders_user_created ON orders(user_id, created_at, order_id);
+CREATE INDEX IF NOT EXISTS idx_orders_created_id ON orders(created_at, order_id);
@@ -9,5 +9,6 @@ export const CORS_HEADERS = {
 };
 
 export const SIGNATURE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
-export const MAX_ORDERS_PER_USER = 50;
-export const MAX_ORDERS_ADMIN = 100;
+export const DEFAULT_ORDER_PAGE_SIZE = 20;
+export const MAX_ORDERS_PER_USER = 50; // largest page of a user's orders
+export const MAX_ORDERS_ADMIN = 100; // largest page of the admin order list
@@ -6,12 +6,27 @@ export async function getOrderById(env, orderId) {
 	return await env.DB.prepare('SELECT * FROM orders WHERE order_id = ?').bind(orderId).first();
 }
 
-export async function getOrdersByUserId(env, userId, limit = 50) {
-	return await env.DB.prepare('SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC LIMIT ?').bind(userId, limit).all();
+// Newest first; `after` is the (created_at, order_id) of the last order already seen
+const AFTER_ORDER = '(created_at < ? OR (created_at = ? AND order_id < ?))';
+
+export async function getOrdersByUserId(env, userId, limit = 50, after = null) {
+	if (after) {
+		return await env.DB.prepare(`SELECT * FROM orders WHERE user_id = ? AND ${AFTER_ORDER} ORDER BY created_at DESC, order_id DESC LIMIT ?`)
+			.bind(userId, after.createdAt, after.createdAt, after.orderId, limit)
+			.all();
+	}
+	return await env.DB.prepare('SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC, order_id DESC LIMIT ?')
+		.bind(userId, limit)
+		.all();
 }
 
-export async function getAllOrders(env, limit = 100) {
-	return await env.DB.prepare('SELECT * FROM orders ORDER BY created_at DESC LIMIT ?').bind(limit).all();
+export async function getAllOrders(env, limit = 100, after = null) {
+	if (after) {
+		return await env.DB.prepare(`SELECT * FROM orders WHERE ${AFTER_ORDER} ORDER BY created_at DESC, order_id DESC LIMIT ?`)
+			.bind(after.createdAt, after.createdAt, after.orderId, limit)
+			.all();
+	}
+	return await env.DB.prepare('SELECT * FROM orders ORDER BY created_at DESC, order_id DESC LIMIT ?').bind(limit).all();
 }
 
 export async function checkOrderExists(env, orderId, reservationId) {
@@ -19,13 +34,14 @@ export async function checkOrderExists(env, orderId, reservationId) {
 }
 
 export async function createOrder(env, orderData) {
-	const { orderId, reservationId, userId, email, amount, currency, status, items, address, shipping, payment, now } = orderData;
+	const { orderId, reservationId, userId, email, amount, currency, status, items, backordered, address, shipping, payment, now } =
+		orderData;
 	return await env.DB.prepare(
 		`INSERT INTO orders (
       order_id, reservation_id, user_id, email, amount, currency, status, 
-      items_json, address_json, shipping_json, payment_json, created_at, updated_at
+      items_json, backordered, address_json, shipping_json, payment_json, created_at, updated_at
     )
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
 	)
 		.bind(
 			orderId,
@@ -36,6 +52,7 @@ export async function createOrder(env, orderData) {
 			currency || null,
 			status,
 			JSON.stringify(items || []),
+			backordered || 0,
 			JSON.stringify(address || null),
 			JSON.stringify(shipping || null),
 			JSON.stringify(payment),
@@ -48,3 +65,16 @@ export async function createOrder(env, orderData) {
 export async function updateOrderStatus(env, orderId, status, now) {
 	return await env.DB.prepare(`UPDATE orders SET status=?, updated_at=? WHERE order_id=?`).bind(status, now, orderId).run();
 }
+
+/**
+ * The user's most recent delivered order containing the product, if any
+ */
+export async function findDeliveredOrderForProduct(env, userId, productId) {
+	return await env.DB.prepare(
+		`SELECT o.order_id, o.updated_at FROM orders o, json_each(CASE WHEN json_valid(o.items_json) THEN o.items_json ELSE '[]' END) i
+    WHERE o.user_id = ? AND o.status = 'delivered' AND json_extract(i.value, '$.productId') = ?
+    ORDER BY o.updated_at DESC LIMIT 1`,
+	)
+		.bind(userId, productId)
+		.first();
+}
@@ -3,10 +3,17 @@
  */
 import { jsonResponse, jsonError } from '../helpers/response.js';
 import { requireInternalAuth, requireAdmin, checkUserAccess } from '../middleware/auth.middleware.js';
-import { getOrderById, getOrdersByUserId, getAllOrders, checkOrderExists, createOrder, updateOrderStatus } from '../db/queries.js';
-import { transformOrderRow, transformOrderRows } from '../services/order.service.js';
-import { createOrderSchema } from '../validators/order.validator.js';
-import { MAX_ORDERS_PER_USER, MAX_ORDERS_ADMIN } from '../config/constants.js';
+import {
+	getOrderById,
+	getOrdersByUserId,
+	getAllOrders,
+	checkOrderExists,
+	createOrder,
+	updateOrderStatus,
+	findDeliveredOrderForProduct,
+} from '../db/queries.js';
+import { transformOrderRow, parseOrderCursor, toOrderPage } from '../services/order.service.js';
+import { createOrderSchema, userOrdersQuerySchema, adminOrdersQuerySchema, purchaseCheckSchema } from '../validators/order.validator.js';
 
 /**
  * Validate request body against Joi schema
@@ -42,7 +49,17 @@ export async function createOrderHandler(req, env) {
 	}
 
 	const payload = validation.value;
-	const { reservationId, orderId: providedOrderId, payment, userId, email, items = [], address = null, shipping = null } = payload;
+	const {
+		reservationId,
+		orderId: providedOrderId,
+		payment,
+		userId,
+		email,
+		items = [],
+		backordered = 0,
+		address = null,
+		shipping = null,
+	} = payload;
 
 	if (!env.DB) {
 		return jsonError({ error: 'database_not_configured' }, 500);
@@ -76,6 +93,7 @@ export async function createOrderHandler(req, env) {
 			currency: payment.currency || null,
 			status: 'paid',
 			items,
+			backordered,
 			address,
 			shipping,
 			payment,
@@ -120,7 +138,27 @@ export async function getOrderByIdHandler(req, env) {
 }
 
 /**
- * GET /orders/user/:userId - Get user orders
+ * Page size and keyset position from ?limit=&cursor=, or an error response
+ */
+function readOrderPage(req, schema) {
+	const url = new URL(req.url);
+	const { error, value } = schema.validate({
+		limit: url.searchParams.get('limit') ?? undefined,
+		cursor: url.searchParams.get('cursor') ?? undefined,
+	});
+	if (error) {
+		return { error: jsonError({ error: 'validation_error', details: error.details[0].message }, 400) };
+	}
+
+	const after = value.cursor ? parseOrderCursor(value.cursor) : null;
+	if (value.cursor && !after) {
+		return { error: jsonError({ error: 'invalid_cursor' }, 400) };
+	}
+	return { limit: value.limit, after };
+}
+
+/**
+ * GET /orders/user/:userId - Get user orders, newest first, a page at a time
  */
 export async function getUserOrdersHandler(req, env) {
 	try {
@@ -134,10 +172,13 @@ export async function getUserOrdersHandler(req, env) {
 		const accessError = checkUserAccess(req, userId);
 		if (accessError) return accessError;
 
-		const rows = await getOrdersByUserId(env, userId, MAX_ORDERS_PER_USER);
-		const orders = transformOrderRows(rows);
+		const page = readOrderPage(req, userOrdersQuerySchema);
+		if (page.error) return page.error;
+
+		const rows = await getOrdersByUserId(env, userId, page.limit + 1, page.after);
+		const { orders, nextCursor } = toOrderPage(rows, page.limit);
 
-		return jsonResponse({ orders });
+		return jsonResponse({ orders, nextCursor });
 	} catch (err) {
 		console.error('get user orders error', err);
 		return jsonError({ error: 'database_error', message: String(err) }, 500);
@@ -145,7 +186,7 @@ export async function getUserOrdersHandler(req, env) {
 }
 
 /**
- * GET /debug/list-orders - List all orders (admin)
+ * GET /debug/list-orders - List all orders, newest first, a page at a time (admin)
  */
 export async function listAllOrdersHandler(req, env) {
 	const adminError = requireAdmin(req);
@@ -155,10 +196,13 @@ export async function listAllOrdersHandler(req, env) {
 		return jsonError({ error: 'database_not_configured' }, 500);
 	}
 
-	const rows = await getAllOrders(env, MAX_ORDERS_ADMIN);
-	const orders = transformOrderRows(rows);
+	const page = readOrderPage(req, adminOrdersQuerySchema);
+	if (page.error) return page.error;
 
-	return jsonResponse({ count: orders.length, orders });
+	const rows = await getAllOrders(env, page.limit + 1, page.after);
+	const { orders, nextCursor } = toOrderPage(rows, page.limit);
+
+	return jsonResponse({ count: orders.length, orders, nextCursor });
 }
 
 /**
@@ -195,3 +239,31 @@ export async function updateOrderStatusHandler(req, env) {
 		return jsonError({ error: 'database_error', message: String(err) }, 500);
 	}
 }
+
+/**
+ * POST /orders/purchase-check - Whether a user has a delivered order
+ * containing a product (internal)
+ */
+export async function purchaseCheckHandler(req, env) {
+	const authError = await requireInternalAuth(req, env);
+	if (authError) return authError;
+
+	const validation = await validateBody(purchaseCheckSchema)(req);
+	if (validation.error) {
+		return jsonError({ error: 'validation_error', details: validation.error }, 400);
+	}
+
+	try {
+		if (!env.DB) {
+			return jsonError({ error: 'database_not_configured' }, 500);
+		}
+
+		const { userId, productId } = validation.value;
+		const order = await findDeliveredOrderForProduct(env, userId, productId);
+
+		return jsonResponse({ purchased: Boolean(order), orderId: order?.order_id ?? null });
+	} catch (err) {
+		console.error('purchase check error', err);
+		return jsonError({ error: 'database_error', message: String(err) }, 500);
+	}
+}
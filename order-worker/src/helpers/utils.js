@@ -16,3 +16,28 @@ export function parseJSONSafe(v, fallback) {
 		return fallback;
 	}
 }
+
+/**
+ * Opaque page cursor: the keyset values of the last row on a page, as
+ * base64url JSON.
+ */
+export function encodeCursor(values) {
+	const bytes = new TextEncoder().encode(JSON.stringify(values));
+	return btoa(String.fromCharCode(...bytes))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+/**
+ * Keyset values from a cursor, or null when it is not one we issued.
+ */
+export function decodeCursor(cursor) {
+	try {
+		const bytes = Uint8Array.from(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')), (c) => c.charCodeAt(0));
+		const values = JSON.parse(new TextDecoder().decode(bytes));
+		return Array.isArray(values) ? values : null;
+	} catch {
+		return null;
+	}
+}
@@ -9,6 +9,7 @@ import {
 	getUserOrdersHandler,
 	listAllOrdersHandler,
 	updateOrderStatusHandler,
+	purchaseCheckHandler,
 } from '../handlers/order.handler.js';
 
 export function setupOrderRoutes(router) {
@@ -23,6 +24,9 @@ export function setupOrderRoutes(router) {
 	router.get('/orders/:orderId', getOrderByIdHandler);
 	router.get('/orders/user/:userId', getUserOrdersHandler);
 
+	// Internal endpoints
+	router.post('/orders/purchase-check', purchaseCheckHandler);
+
 	// Admin endpoints
 	router.get('/debug/list-orders', listAllOrdersHandler);
 	router.put('/orders/:orderId/status', updateOrderStatusHandler);
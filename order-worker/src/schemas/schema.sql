@@ -8,6 +8,7 @@ CREATE TABLE orders (
   currency TEXT,
   status TEXT,                          -- paid, shipped, delivered, cancelled
   items_json TEXT,
+  backordered INTEGER NOT NULL DEFAULT 0, -- units sold beyond stock (backorder / pre-order)
   address_json TEXT,
   shipping_json TEXT,
   payment_json TEXT,
@@ -16,5 +17,7 @@ CREATE TABLE orders (
 );
 
 CREATE INDEX idx_orders_user ON orders(user_id);
+CREATE INDEX idx_orders_user_created ON orders(user_id, created_at, order_id);
 CREATE INDEX idx_orders_status ON orders(status);
-CREATE INDEX idx_orders_created ON orders(created_at);
\ No newline at end of file
+CREATE INDEX idx_orders_created ON orders(created_at);
+CREATE INDEX idx_orders_created_id ON orders(created_at, order_id);
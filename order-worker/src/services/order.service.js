@@ -1,7 +1,7 @@
 /**
  * Order business logic service
  */
-import { parseJSONSafe } from '../helpers/utils.js';
+import { parseJSONSafe, encodeCursor, decodeCursor } from '../helpers/utils.js';
 
 export function transformOrderRow(row) {
 	return {
@@ -10,9 +10,36 @@ export function transformOrderRow(row) {
 		address_json: parseJSONSafe(row.address_json, null),
 		shipping_json: parseJSONSafe(row.shipping_json, null),
 		payment_json: parseJSONSafe(row.payment_json, null),
+		// backordered counts units; the flag tells the storefront whether to say so
+		has_backorder: (row.backordered || 0) > 0,
 	};
 }
 
 export function transformOrderRows(rows) {
 	return (rows.results || []).map((row) => transformOrderRow(row));
 }
+
+/**
+ * The (created_at, order_id) position a cursor points after, or null when the
+ * cursor is malformed.
+ */
+export function parseOrderCursor(cursor) {
+	const values = decodeCursor(cursor);
+	if (!values || values.length !== 2 || !Number.isFinite(values[0]) || typeof values[1] !== 'string') return null;
+	return { createdAt: values[0], orderId: values[1] };
+}
+
+/**
+ * A page of orders from rows read with one extra row: that row only tells
+ * whether another page exists, and nextCursor points after the last order
+ * returned.
+ */
+export function toOrderPage(rows, limit) {
+	const results = rows.results || [];
+	const page = results.slice(0, limit);
+	const last = page[page.length - 1];
+	return {
+		orders: page.map((row) => transformOrderRow(row)),
+		nextCursor: results.length > limit ? encodeCursor([last.created_at, last.order_id]) : null,
+	};
+}
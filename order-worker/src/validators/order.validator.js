@@ -2,6 +2,7 @@
  * Joi validation schemas for orders
  */
 import Joi from 'joi';
+import { DEFAULT_ORDER_PAGE_SIZE, MAX_ORDERS_PER_USER, MAX_ORDERS_ADMIN } from '../config/constants.js';
 
 export const createOrderSchema = Joi.object({
 	reservationId: Joi.string().required().messages({
@@ -28,10 +29,26 @@ export const createOrderSchema = Joi.object({
 				qty: Joi.number().integer().min(1).required(),
 				unitPrice: Joi.number().min(0).required(),
 				title: Joi.string().optional(),
+				backordered: Joi.number().integer().min(0).optional(),
 			}),
 		)
 		.min(1)
 		.default([]),
+	backordered: Joi.number().integer().min(0).default(0),
 	address: Joi.object().optional().allow(null),
 	shipping: Joi.object().optional().allow(null),
 });
+
+const orderPageSchema = (max) =>
+	Joi.object({
+		limit: Joi.number().integer().min(1).max(max).optional().default(DEFAULT_ORDER_PAGE_SIZE),
+		cursor: Joi.string().max(500).optional(),
+	});
+
+export const userOrdersQuerySchema = orderPageSchema(MAX_ORDERS_PER_USER);
+export const adminOrdersQuerySchema = orderPageSchema(MAX_ORDERS_ADMIN);
+
+export const purchaseCheckSchema = Joi.object({
+	userId: Joi.string().required(),
+	productId: Joi.string().required(),
+});
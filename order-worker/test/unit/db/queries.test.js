@@ -69,10 +69,24 @@ describe('db.queries', () => {
 
 			const result = await queries.getOrdersByUserId(env, 'user_123', 50);
 
-			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC LIMIT ?');
+			expect(env.DB.prepare).to.have.been.calledWith(
+				'SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC, order_id DESC LIMIT ?',
+			);
 			expect(stmt.bind).to.have.been.calledWith('user_123', 50);
 			expect(result).to.have.property('results');
 		});
+
+		it('should continue after the given position', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.getOrdersByUserId(env, 'user_123', 21, { createdAt: 1700000000000, orderId: 'order_5' });
+
+			expect(env.DB.prepare).to.have.been.calledWith(
+				'SELECT * FROM orders WHERE user_id = ? AND (created_at < ? OR (created_at = ? AND order_id < ?)) ORDER BY created_at DESC, order_id DESC LIMIT ?',
+			);
+			expect(stmt.bind).to.have.been.calledWith('user_123', 1700000000000, 1700000000000, 'order_5', 21);
+		});
 	});
 
 	describe('getAllOrders', () => {
@@ -90,10 +104,22 @@ describe('db.queries', () => {
 
 			const result = await queries.getAllOrders(env, 100);
 
-			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM orders ORDER BY created_at DESC LIMIT ?');
+			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM orders ORDER BY created_at DESC, order_id DESC LIMIT ?');
 			expect(stmt.bind).to.have.been.calledWith(100);
 			expect(result).to.have.property('results');
 		});
+
+		it('should continue after the given position', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.getAllOrders(env, 101, { createdAt: 1700000000000, orderId: 'order_5' });
+
+			expect(env.DB.prepare).to.have.been.calledWith(
+				'SELECT * FROM orders WHERE (created_at < ? OR (created_at = ? AND order_id < ?)) ORDER BY created_at DESC, order_id DESC LIMIT ?',
+			);
+			expect(stmt.bind).to.have.been.calledWith(1700000000000, 1700000000000, 'order_5', 101);
+		});
 	});
 
 	describe('checkOrderExists', () => {
@@ -144,6 +170,28 @@ describe('db.queries', () => {
 			expect(env.DB.prepare).to.have.been.called;
 			expect(stmt.run).to.have.been.calledOnce;
 		});
+
+		it('should store the backordered unit count', async () => {
+			const stmt = {
+				bind: sinon.stub().returnsThis(),
+				run: sinon.stub().resolves({ success: true }),
+			};
+
+			env.DB.prepare.returns(stmt);
+
+			await queries.createOrder(env, {
+				orderId: 'order_123',
+				reservationId: 'res_123',
+				status: 'paid',
+				items: [],
+				backordered: 3,
+				payment: {},
+				now: 1,
+			});
+
+			expect(env.DB.prepare.firstCall.args[0]).to.include('items_json, backordered');
+			expect(stmt.bind.firstCall.args[8]).to.equal(3);
+		});
 	});
 
 	describe('updateOrderStatus', () => {
@@ -163,4 +211,22 @@ describe('db.queries', () => {
 			expect(stmt.run).to.have.been.calledOnce;
 		});
 	});
+
+	describe('findDeliveredOrderForProduct', () => {
+		it('should look for a delivered order of the user listing the product', async () => {
+			const stmt = {
+				bind: sinon.stub().returnsThis(),
+				first: sinon.stub().resolves({ order_id: 'order_1', updated_at: 1700000000000 }),
+			};
+			env.DB.prepare.returns(stmt);
+
+			const result = await queries.findDeliveredOrderForProduct(env, 'user_123', 'pro_1');
+
+			const query = env.DB.prepare.firstCall.args[0];
+			expect(query).to.include("o.status = 'delivered'");
+			expect(query).to.include("json_extract(i.value, '$.productId') = ?");
+			expect(stmt.bind).to.have.been.calledWith('user_123', 'pro_1');
+			expect(result).to.have.property('order_id', 'order_1');
+		});
+	});
 });
@@ -2,7 +2,7 @@
  * Unit tests for helpers/utils.js
  */
 import { describe, it } from 'mocha';
-import { constantTimeEqual, parseJSONSafe } from '../../../src/helpers/utils.js';
+import { constantTimeEqual, parseJSONSafe, encodeCursor, decodeCursor } from '../../../src/helpers/utils.js';
 
 describe('utils', () => {
 	describe('constantTimeEqual', () => {
@@ -50,4 +50,18 @@ describe('utils', () => {
 			expect(result).to.deep.equal({ default: true });
 		});
 	});
+
+	describe('encodeCursor / decodeCursor', () => {
+		it('should round-trip keyset values as a URL-safe token', () => {
+			const cursor = encodeCursor([1700000000000, 'order_ü/+']);
+
+			expect(cursor).to.match(/^[A-Za-z0-9_-]+$/);
+			expect(decodeCursor(cursor)).to.deep.equal([1700000000000, 'order_ü/+']);
+		});
+
+		it('should return null for anything else', () => {
+			expect(decodeCursor('%%%')).to.be.null;
+			expect(decodeCursor(btoa('{"a":1}'))).to.be.null;
+		});
+	});
 });
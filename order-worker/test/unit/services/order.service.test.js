@@ -2,7 +2,8 @@
  * Unit tests for order.service.js
  */
 import { describe, it, beforeEach, afterEach } from 'mocha';
-import { transformOrderRow, transformOrderRows } from '../../../src/services/order.service.js';
+import { transformOrderRow, transformOrderRows, parseOrderCursor, toOrderPage } from '../../../src/services/order.service.js';
+import { encodeCursor } from '../../../src/helpers/utils.js';
 import sinon from 'sinon';
 
 describe('order.service', () => {
@@ -28,6 +29,11 @@ describe('order.service', () => {
 			expect(result.shipping_json).to.be.an('object');
 			expect(result.payment_json).to.be.an('object');
 		});
+
+		it('should flag orders carrying backordered units', () => {
+			expect(transformOrderRow({ order_id: 'order_1', backordered: 2 })).to.include({ backordered: 2, has_backorder: true });
+			expect(transformOrderRow({ order_id: 'order_2', backordered: 0 })).to.include({ has_backorder: false });
+		});
 	});
 
 	describe('transformOrderRows', () => {
@@ -66,4 +72,36 @@ describe('order.service', () => {
 			expect(results).to.be.an('array').that.is.empty;
 		});
 	});
+
+	describe('toOrderPage', () => {
+		const rows = {
+			results: [
+				{ order_id: 'order_3', created_at: 300, items_json: '[]' },
+				{ order_id: 'order_2', created_at: 200, items_json: '[]' },
+				{ order_id: 'order_1', created_at: 200, items_json: '[]' },
+			],
+		};
+
+		it('should point nextCursor after the last order when more remain', () => {
+			const page = toOrderPage(rows, 2);
+
+			expect(page.orders.map((o) => o.order_id)).to.deep.equal(['order_3', 'order_2']);
+			expect(parseOrderCursor(page.nextCursor)).to.deep.equal({ createdAt: 200, orderId: 'order_2' });
+		});
+
+		it('should return a null cursor on the last page', () => {
+			const page = toOrderPage(rows, 3);
+
+			expect(page.orders).to.have.length(3);
+			expect(page.nextCursor).to.be.null;
+		});
+	});
+
+	describe('parseOrderCursor', () => {
+		it('should reject cursors that are not order positions', () => {
+			expect(parseOrderCursor('not-a-cursor')).to.be.null;
+			expect(parseOrderCursor(encodeCursor(['order_1', 200]))).to.be.null;
+			expect(parseOrderCursor(encodeCursor([200]))).to.be.null;
+		});
+	});
 });
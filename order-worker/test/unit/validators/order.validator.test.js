@@ -2,7 +2,12 @@
  * Unit tests for order.validator.js
  */
 import { describe, it } from 'mocha';
-import { createOrderSchema } from '../../../src/validators/order.validator.js';
+import {
+	createOrderSchema,
+	userOrdersQuerySchema,
+	adminOrdersQuerySchema,
+	purchaseCheckSchema,
+} from '../../../src/validators/order.validator.js';
 
 describe('order.validator', () => {
 	describe('createOrderSchema', () => {
@@ -83,5 +88,45 @@ describe('order.validator', () => {
 			const { error } = createOrderSchema.validate(invalidOrder);
 			expect(error).to.exist;
 		});
+
+		it('should default backordered to 0 and accept it per item', () => {
+			const order = {
+				reservationId: 'res_123',
+				payment: { paymentId: 'pay_123', amount: 100 },
+				items: [{ productId: 'pro_1', qty: 3, unitPrice: 10, backordered: 2 }],
+			};
+
+			const { error, value } = createOrderSchema.validate(order);
+			expect(error).to.be.undefined;
+			expect(value.backordered).to.equal(0);
+			expect(value.items[0].backordered).to.equal(2);
+		});
+
+		it('should reject a negative backordered count', () => {
+			const { error } = createOrderSchema.validate({
+				reservationId: 'res_123',
+				payment: { paymentId: 'pay_123', amount: 100 },
+				backordered: -1,
+			});
+			expect(error).to.exist;
+		});
+	});
+
+	describe('order page queries', () => {
+		it('should default the page size', () => {
+			expect(userOrdersQuerySchema.validate({}).value).to.deep.equal({ limit: 20 });
+		});
+
+		it('should cap the page size for users below admins', () => {
+			expect(userOrdersQuerySchema.validate({ limit: '100' }).error).to.exist;
+			expect(adminOrdersQuerySchema.validate({ limit: '100' }).error).to.be.undefined;
+		});
+	});
+
+	describe('purchaseCheckSchema', () => {
+		it('should require both userId and productId', () => {
+			expect(purchaseCheckSchema.validate({ userId: 'user_1', productId: 'pro_1' }).error).to.be.undefined;
+			expect(purchaseCheckSchema.validate({ userId: 'user_1' }).error.message).to.include('productId');
+		});
 	});
 });
@@ -90,6 +90,14 @@ export async function createPaymentHandler(req, env) {
 	}
 }
 
+/**
+ * Key of a cart line as inventory commits it; no variant means the product's
+ * default variant
+ */
+function lineKey(productId, variantId) {
+	return `${productId}:${variantId || `var_${productId}`}`;
+}
+
 /**
  * POST /payment/paypal/capture - Capture PayPal payment
  */
@@ -149,6 +157,8 @@ export async function capturePaymentHandler(req, env) {
 		console.log('[PAYMENT.CAPTURE] PayPal capture successful, captureId:', captureId);
 
 		let orderId = `ord_${crypto.randomUUID()}`;
+		// Units per cart line inventory took beyond stock (backorders / pre-orders)
+		const backorderedByLine = new Map();
 
 		// Commit inventory - MUST succeed before creating order
 		if (env.INVENTORY_SERVICE && env.INTERNAL_SECRET) {
@@ -181,6 +191,9 @@ export async function capturePaymentHandler(req, env) {
 					invRes.status || 502,
 				);
 			}
+			for (const it of invRes.body?.items || []) {
+				if (it.backordered) backorderedByLine.set(lineKey(it.productId, it.variantId), it.backordered);
+			}
 			console.log('[PAYMENT.CAPTURE] Inventory committed successfully');
 		} else {
 			console.warn('[PAYMENT.CAPTURE] Inventory service not configured, skipping commit');
@@ -188,12 +201,15 @@ export async function capturePaymentHandler(req, env) {
 
 		// Create order - MUST succeed
 		if (env.ORDER_SERVICE && env.INTERNAL_SECRET) {
-			// Map cart items to order format (only productId, qty, unitPrice, title)
+			// Map cart items to order format (only productId, qty, unitPrice, title, backordered)
 			const orderItems = (paymentData.metadata?.items || []).map((item) => ({
 				productId: item.productId,
 				qty: item.qty,
 				unitPrice: item.unitPrice,
 				title: item.title || 'Product',
+				...(backorderedByLine.has(lineKey(item.productId, item.variantId)) && {
+					backordered: backorderedByLine.get(lineKey(item.productId, item.variantId)),
+				}),
 			}));
 
 			const orderPayload = {
@@ -206,6 +222,7 @@ export async function capturePaymentHandler(req, env) {
 					method: 'paypal', // Optional but helpful
 				},
 				items: orderItems,
+				backordered: [...backorderedByLine.values()].reduce((sum, n) => sum + n, 0),
 				address: paymentData.metadata?.address || null,
 				shipping: paymentData.metadata?.shippingMethod || null,
 				userId: paymentData.userId,
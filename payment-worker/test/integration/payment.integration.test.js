@@ -186,5 +186,60 @@ describe('Payment Worker Integration', () => {
 
 			expect([200, 400, 404, 502]).to.include(response.status);
 		});
+
+		it('should carry backorders onto the order per product variant', async () => {
+			env.PAYMENT_KV.get.resolves(
+				JSON.stringify({
+					reservationId: 'res_123',
+					userId: 'user_123',
+					amount: 50,
+					currency: 'USD',
+					metadata: {
+						items: [
+							{ productId: 'pro_1', variantId: 'var_red', qty: 2, unitPrice: 10 },
+							{ productId: 'pro_1', variantId: 'var_blue', qty: 3, unitPrice: 10 },
+						],
+					},
+				}),
+			);
+			global.fetch = sinon.stub().callsFake(async (url) => ({
+				ok: true,
+				json: sinon
+					.stub()
+					.resolves(
+						String(url).includes('/oauth2/token')
+							? { access_token: 'test_token', expires_in: 3600 }
+							: { purchase_units: [{ payments: { captures: [{ id: 'capture_123', status: 'COMPLETED' }] } }] },
+					),
+			}));
+			env.INVENTORY_SERVICE.fetch.resolves({
+				ok: true,
+				status: 200,
+				text: sinon.stub().resolves(
+					JSON.stringify({
+						committed: true,
+						items: [
+							{ productId: 'pro_1', variantId: 'var_red', qty: 2 },
+							{ productId: 'pro_1', variantId: 'var_blue', qty: 3, backordered: 1 },
+						],
+					}),
+				),
+			});
+			env.ORDER_SERVICE.fetch.resolves({ ok: true, status: 200, text: sinon.stub().resolves('{"orderId": "ord_1"}') });
+			env.DB.prepare().run.resolves({ success: true });
+
+			request = new Request('https://example.com/payment/paypal/capture', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', 'x-user-id': 'user_123', 'x-user-role': 'user' },
+				body: JSON.stringify({ paypalOrderId: 'paypal_order_123', reservationId: 'res_123' }),
+			});
+
+			const response = await handler.fetch(request, env);
+			const order = await env.ORDER_SERVICE.fetch.firstCall.args[0].json();
+
+			expect(response.status).to.equal(200);
+			expect(order.items.map((it) => it.backordered)).to.deep.equal([undefined, 1]);
+			expect(order.backordered).to.equal(1);
+		});
 	});
 });
@@ -0,0 +1,3 @@
+-- Soft delete support for products
+ALTER TABLE products ADD COLUMN deleted_at INTEGER;
+CREATE INDEX IF NOT EXISTS idx_products_deleted ON products(deleted_at);
@@ -0,0 +1,34 @@
+-- Variants move from products.metadata.variants to their own table
+CREATE TABLE IF NOT EXISTS product_variants (
+  variant_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  sku TEXT UNIQUE,
+  price REAL NOT NULL CHECK (price >= 0),
+  attributes TEXT,
+  weight REAL,
+  images TEXT,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER,
+  updated_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product ON product_variants(product_id, position);
+
+-- Variants defined in metadata keep their ids (inventory stock is keyed by
+-- them) and fall back to the product price like they did before
+INSERT OR IGNORE INTO product_variants (variant_id, product_id, sku, price, attributes, weight, images, position, created_at, updated_at)
+SELECT
+  json_extract(v.value, '$.variantId'),
+  p.product_id,
+  NULLIF(json_extract(v.value, '$.sku'), ''),
+  COALESCE(json_extract(v.value, '$.price'), json_extract(p.metadata, '$.price'), 0),
+  COALESCE(json_extract(v.value, '$.attributes'), '{}'),
+  json_extract(p.metadata, '$.weight'),
+  '[]',
+  v.key,
+  p.created_at,
+  CAST(strftime('%s', 'now') AS INTEGER)
+FROM products p, json_each(p.metadata, '$.variants') v
+WHERE json_valid(p.metadata);
+
+UPDATE products SET metadata = json_remove(metadata, '$.variants') WHERE json_valid(metadata) AND json_type(metadata, '$.variants') IS NOT NULL;
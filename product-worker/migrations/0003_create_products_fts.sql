@@ -0,0 +1,14 @@
+-- Full-text search over title, description, category and SKU
+CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+  product_id UNINDEXED,
+  title,
+  description,
+  category,
+  sku,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+INSERT INTO products_fts (product_id, title, description, category, sku)
+SELECT product_id, title, COALESCE(description, ''), COALESCE(category, ''), COALESCE(sku, '')
+FROM products
+WHERE deleted_at IS NULL;
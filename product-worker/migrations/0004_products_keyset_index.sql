@@ -0,0 +1,2 @@
+-- The default newest-first listing walks products by (created_at, product_id)
+CREATE INDEX IF NOT EXISTS idx_products_created ON products(created_at, product_id);
@@ -0,0 +1,18 @@
+-- Categories become managed records; products.category keeps holding the slug
+CREATE TABLE IF NOT EXISTS categories (
+  category_id TEXT PRIMARY KEY,
+  slug TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT,
+  parent_id TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER,
+  updated_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id, sort_order);
+
+-- Every category already in use becomes a top-level category of the same slug
+INSERT OR IGNORE INTO categories (category_id, slug, name, created_at, updated_at)
+SELECT 'cat_' || lower(hex(randomblob(16))), category, category, CAST(strftime('%s', 'now') AS INTEGER), CAST(strftime('%s', 'now') AS INTEGER)
+FROM (SELECT DISTINCT category FROM products WHERE category IS NOT NULL AND category != '');
@@ -0,0 +1,23 @@
+-- Customer reviews, one per user and product. Only approved reviews are shown
+-- and counted in the product's stored rating.
+CREATE TABLE IF NOT EXISTS product_reviews (
+  review_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  order_id TEXT,
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  title TEXT,
+  body TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  moderation_note TEXT,
+  created_at INTEGER,
+  updated_at INTEGER,
+  moderated_at INTEGER,
+  UNIQUE (product_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product ON product_reviews(product_id, status, created_at, review_id);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_status ON product_reviews(status, created_at, review_id);
+
+ALTER TABLE products ADD COLUMN rating_average REAL;
+ALTER TABLE products ADD COLUMN rating_count INTEGER NOT NULL DEFAULT 0;
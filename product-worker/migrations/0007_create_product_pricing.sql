@@ -0,0 +1,39 @@
+-- Compare-at ("was") prices for variants; a product's own is metadata.compareAtPrice
+ALTER TABLE product_variants ADD COLUMN compare_at_price REAL;
+
+-- Every regular price a product or variant has had
+CREATE TABLE IF NOT EXISTS product_price_history (
+  history_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id TEXT NOT NULL,
+  variant_id TEXT,
+  price REAL NOT NULL,
+  compare_at_price REAL,
+  changed_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_price_history_product ON product_price_history(product_id, changed_at);
+
+-- Sale prices for a whole product or one variant, from starts_at until ends_at
+CREATE TABLE IF NOT EXISTS product_sales (
+  sale_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  variant_id TEXT,
+  sale_price REAL CHECK (sale_price >= 0),
+  percent_off REAL CHECK (percent_off > 0 AND percent_off <= 100),
+  starts_at INTEGER NOT NULL,
+  ends_at INTEGER,
+  created_at INTEGER,
+  CHECK ((sale_price IS NULL) != (percent_off IS NULL)),
+  CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_sales_product ON product_sales(product_id, starts_at);
+
+-- Today's prices start the history
+INSERT INTO product_price_history (product_id, variant_id, price, compare_at_price, changed_at)
+SELECT product_id, NULL, json_extract(metadata, '$.price'), json_extract(metadata, '$.compareAtPrice'), COALESCE(updated_at, created_at, CAST(strftime('%s', 'now') AS INTEGER))
+FROM products WHERE json_valid(metadata) AND json_extract(metadata, '$.price') IS NOT NULL;
+
+INSERT INTO product_price_history (product_id, variant_id, price, compare_at_price, changed_at)
+SELECT product_id, variant_id, price, NULL, COALESCE(updated_at, created_at, CAST(strftime('%s', 'now') AS INTEGER))
+FROM product_variants;
@@ -5,6 +5,24 @@
 export const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB
 export const DEFAULT_PRODUCT_LIMIT = 20;
 export const DEFAULT_PRODUCT_OFFSET = 0;
+export const PRODUCT_SORT_ORDERS = ['newest', 'price_asc', 'price_desc', 'title'];
+export const DEFAULT_PRODUCT_SORT = 'newest';
+export const IN_STOCK_SCAN_SIZE = 200; // rows checked against inventory per round when filtering to in-stock
+// A worker invocation may run 1000 D1 queries and an imported row costs up to three
+export const IMPORT_MAX_ROWS = 200;
+export const IMPORT_BATCH_SIZE = 50;
+export const EXPORT_PAGE_SIZE = 200;
+export const EXPORT_FORMATS = ['csv', 'ndjson'];
+export const IMAGE_PREFIX = 'products/'; // every uploaded image lives under this R2 prefix
+export const DEFAULT_IMAGE_LIST_LIMIT = 50;
+export const MAX_IMAGE_DELETE_KEYS = 100; // with their derivatives, still within the 1000 keys one R2 delete takes
+export const IMAGE_DERIVATIVE_PREFIX = 'derivatives/'; // resized copies of an upload, kept out of the products/ listing
+export const IMAGE_DERIVATIVE_WIDTHS = [320, 640, 960, 1280, 1920]; // srcset widths stored with each upload
+export const ORPHAN_IMAGE_GRACE_SECONDS = 24 * 60 * 60; // an upload may wait this long for its product to be saved
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+export const DEFAULT_REVIEW_PAGE_SIZE = 20;
+export const MAX_REVIEW_PAGE_SIZE = 50;
+export const PRICE_HISTORY_LIMIT = 100; // most recent price changes returned for a product
 export const CACHE_CONTROL = 'public, max-age=31536000'; // 1 year
 
 export const CORS_HEADERS = {
@@ -3,47 +3,647 @@
  */
 import { instrumentDbQuery } from '../helpers/tracing.js';
 
-export async function getProducts(env, limit, offset) {
-	const query = 'SELECT * FROM products LIMIT ? OFFSET ?';
+// The price a variant of p sells at now, as pricing.service effectivePrice
+// works it out: its regular price, or the lowest active sale under it
+const SQL_NOW = "CAST(strftime('%s', 'now') AS INTEGER)";
+const sellingPrice = (regular, variantId) => `MIN(${regular}, COALESCE((
+       SELECT MIN(COALESCE(s.sale_price, ROUND(${regular} * (1 - s.percent_off / 100.0), 2))) FROM product_sales s
+       WHERE s.product_id = p.product_id AND (s.variant_id IS NULL OR s.variant_id = ${variantId})
+         AND s.starts_at <= ${SQL_NOW} AND (s.ends_at IS NULL OR s.ends_at > ${SQL_NOW})
+     ), ${regular}))`;
+
+// What a product sells from: its cheapest variant, else its default variant's price
+const PRODUCT_PRICE = `COALESCE((SELECT MIN(${sellingPrice('v.price', 'v.variant_id')}) FROM product_variants v WHERE v.product_id = p.product_id), ${sellingPrice("json_extract(p.metadata, '$.price')", "'var_' || p.product_id")}, 0)`;
+
+// Each listing order is a sort key plus product_id as tiebreaker, so every
+// row has a unique position to continue after
+const PRODUCT_SORTS = {
+	newest: { key: 'p.created_at', dir: 'DESC', idDir: 'DESC' },
+	price_asc: { key: PRODUCT_PRICE, dir: 'ASC', idDir: 'ASC' },
+	price_desc: { key: PRODUCT_PRICE, dir: 'DESC', idDir: 'ASC' },
+	title: { key: 'p.title COLLATE NOCASE', dir: 'ASC', idDir: 'ASC' },
+};
+
+const past = (dir) => (dir === 'DESC' ? '<' : '>');
+
+// Slugs of a category and every category below it; the slug itself is kept
+// even when it is not a managed category
+const CATEGORY_AND_DESCENDANTS = `WITH RECURSIVE tree(category_id, slug) AS (
+       SELECT category_id, slug FROM categories WHERE slug = ?
+       UNION ALL
+       SELECT c.category_id, c.slug FROM categories c JOIN tree t ON c.parent_id = t.category_id
+     ) SELECT slug FROM tree UNION SELECT ?`;
+
+/**
+ * A product has an attribute value when its own attributes or any of its
+ * variants' attributes have it. Values are compared as text, the way they
+ * arrive in a query string.
+ */
+function attributeMatch(name, values) {
+	const list = values.map(() => '?').join(', ');
+	return {
+		sql: `(CAST(json_extract(p.metadata, ?) AS TEXT) IN (${list}) OR EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.product_id AND CAST(json_extract(v.attributes, ?) AS TEXT) IN (${list})))`,
+		params: [`$.attributes."${name}"`, ...values, `$."${name}"`, ...values],
+	};
+}
+
+/**
+ * WHERE clauses for listing filters. `except` leaves a filter out, for facet
+ * counts that should not be narrowed by their own selection.
+ */
+function productFilters(filters = {}, except = null) {
+	const clauses = ['p.deleted_at IS NULL'];
+	const params = [];
+
+	if (filters.category && except !== 'category') {
+		clauses.push(`p.category IN (${CATEGORY_AND_DESCENDANTS})`);
+		params.push(filters.category, filters.category);
+	}
+	if (filters.minPrice !== undefined) {
+		clauses.push(`${PRODUCT_PRICE} >= ?`);
+		params.push(filters.minPrice);
+	}
+	if (filters.maxPrice !== undefined) {
+		clauses.push(`${PRODUCT_PRICE} <= ?`);
+		params.push(filters.maxPrice);
+	}
+	if (except !== 'attributes') {
+		for (const [name, values] of Object.entries(filters.attributes || {})) {
+			const match = attributeMatch(name, values);
+			clauses.push(match.sql);
+			params.push(...match.params);
+		}
+	}
+
+	return { where: clauses.join(' AND '), params };
+}
+
+/**
+ * One page of live products in a listing order. `after` is the position
+ * ({ key, id }) of the last product already seen; each row carries its own
+ * position as sort_key and product_id.
+ */
+export async function getProducts(env, limit, offset, filters = {}, sort = 'newest', after = null) {
+	const { where, params } = productFilters(filters);
+	const { key, dir, idDir } = PRODUCT_SORTS[sort];
+
+	let keyset = '';
+	if (after) {
+		keyset = ` AND (${key} ${past(dir)} ? OR (${key} = ? AND p.product_id ${past(idDir)} ?))`;
+		params.push(after.key, after.key, after.id);
+	}
+
+	const query = `SELECT p.*, ${key} AS sort_key FROM products p WHERE ${where}${keyset} ORDER BY ${key} ${dir}, p.product_id ${idDir} LIMIT ? OFFSET ?`;
 	return await instrumentDbQuery('db.query.getProducts', query, async () => {
-		return await env.DB.prepare(query).bind(limit, offset).all();
+		return await env.DB.prepare(query)
+			.bind(...params, limit, offset)
+			.all();
+	});
+}
+
+/**
+ * Live products per category under every filter but the category itself, so
+ * a category page can offer its siblings.
+ */
+export async function getCategoryFacets(env, filters) {
+	const { where, params } = productFilters(filters, 'category');
+	const query = `SELECT p.category AS value, COUNT(*) AS count FROM products p
+     WHERE ${where} AND p.category IS NOT NULL
+     GROUP BY p.category ORDER BY count DESC, value`;
+	return await instrumentDbQuery('db.query.getCategoryFacets', query, async () => {
+		return await env.DB.prepare(query)
+			.bind(...params)
+			.all();
+	});
+}
+
+/**
+ * Live products per attribute value, from product and variant attributes. An
+ * attribute's counts apply every filter except the one on that attribute, so
+ * picking one value still shows how many products the others would give.
+ */
+export async function getAttributeFacets(env, filters) {
+	const base = productFilters(filters, 'attributes');
+	const others = [];
+	const otherParams = [];
+	for (const [name, values] of Object.entries(filters.attributes || {})) {
+		const match = attributeMatch(name, values);
+		others.push(`(a.name = ? OR ${match.sql})`);
+		otherParams.push(name, ...match.params);
+	}
+
+	const scalar = "j.type NOT IN ('object', 'array', 'null')";
+	const query = `SELECT a.name, a.value, COUNT(DISTINCT a.product_id) AS count FROM (
+       SELECT p.product_id, j.key AS name, CAST(j.value AS TEXT) AS value
+       FROM products p, json_each(p.metadata, '$.attributes') j
+       WHERE ${base.where} AND ${scalar}
+       UNION
+       SELECT p.product_id, j.key AS name, CAST(j.value AS TEXT) AS value
+       FROM products p JOIN product_variants pv ON pv.product_id = p.product_id, json_each(pv.attributes) j
+       WHERE ${base.where} AND ${scalar}
+     ) a
+     JOIN products p ON p.product_id = a.product_id
+     ${others.length ? `WHERE ${others.join(' AND ')}` : ''}
+     GROUP BY a.name, a.value ORDER BY a.name, count DESC, a.value`;
+	return await instrumentDbQuery('db.query.getAttributeFacets', query, async () => {
+		return await env.DB.prepare(query)
+			.bind(...base.params, ...base.params, ...otherParams)
+			.all();
 	});
 }
 
 export async function getProductById(env, productId) {
-	const query = 'SELECT * FROM products WHERE product_id = ?';
+	const query = 'SELECT * FROM products WHERE product_id = ? AND deleted_at IS NULL';
 	return await instrumentDbQuery('db.query.getProductById', query, async () => {
 		return await env.DB.prepare(query).bind(productId).first();
 	});
 }
 
+// A product's own price lives in metadata; a variant's in its row
+const STORED_PRICE = {
+	product: `SELECT 1 FROM products WHERE product_id = ? AND json_extract(metadata, '$.price') IS ? AND json_extract(metadata, '$.compareAtPrice') IS ?`,
+	variant: 'SELECT 1 FROM product_variants WHERE variant_id = ? AND price IS ? AND compare_at_price IS ?',
+};
+
+/**
+ * A price history row, written only when the price differs from the one
+ * stored now. It reads the stored price, so it goes in the batch before the
+ * write that changes it.
+ */
+function priceHistoryStatement(env, { productId, variantId = null, price, compareAtPrice = null, now }) {
+	const stored = variantId ? STORED_PRICE.variant : STORED_PRICE.product;
+	return env.DB.prepare(
+		`INSERT INTO product_price_history (product_id, variant_id, price, compare_at_price, changed_at)
+     SELECT ?, ?, ?, ?, ? WHERE NOT EXISTS (${stored})`,
+	).bind(productId, variantId, price, compareAtPrice ?? null, now, variantId || productId, price, compareAtPrice ?? null);
+}
+
+/**
+ * Run a write, batched after its price history row when the price is set
+ */
+async function withPriceHistory(env, statement, entry) {
+	if (entry?.price === undefined || entry.price === null) {
+		return await statement.run();
+	}
+	const [, result] = await env.DB.batch([priceHistoryStatement(env, entry), statement]);
+	return result;
+}
+
 export async function createProduct(env, productData) {
 	const { productId, sku, title, description, category, images, metadata, now } = productData;
 	const query = `INSERT INTO products (product_id, sku, title, description, category, images, metadata, created_at, updated_at)
      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
 	return await instrumentDbQuery('db.query.createProduct', query, async () => {
+		const statement = env.DB.prepare(query).bind(
+			productId,
+			sku || null,
+			title,
+			description || null,
+			category || null,
+			JSON.stringify(images),
+			JSON.stringify(metadata || {}),
+			now,
+			now,
+		);
+		return await withPriceHistory(env, statement, { productId, price: metadata?.price, compareAtPrice: metadata?.compareAtPrice, now });
+	});
+}
+
+/**
+ * Update product columns; `price` ({ price, compareAtPrice, now }) records
+ * the new metadata price in the price history when it changed
+ */
+export async function updateProduct(env, productId, updates, values, price = null) {
+	const query = `UPDATE products SET ${updates.join(', ')} WHERE product_id = ?`;
+	return await instrumentDbQuery('db.query.updateProduct', query, async () => {
+		return await withPriceHistory(env, env.DB.prepare(query).bind(...values), price && { ...price, productId });
+	});
+}
+
+export async function softDeleteProduct(env, productId, now) {
+	const query = 'UPDATE products SET deleted_at = ?, updated_at = ? WHERE product_id = ? AND deleted_at IS NULL';
+	return await instrumentDbQuery('db.query.softDeleteProduct', query, async () => {
+		return await env.DB.prepare(query).bind(now, now, productId).run();
+	});
+}
+
+export async function listProductVariants(env, productId) {
+	const query = 'SELECT * FROM product_variants WHERE product_id = ? ORDER BY position, created_at';
+	return await instrumentDbQuery('db.query.listProductVariants', query, async () => {
+		return await env.DB.prepare(query).bind(productId).all();
+	});
+}
+
+export async function listVariantsForProducts(env, productIds) {
+	if (productIds.length === 0) return { results: [] };
+	const query = `SELECT * FROM product_variants WHERE product_id IN (${productIds.map(() => '?').join(', ')}) ORDER BY product_id, position, created_at`;
+	return await instrumentDbQuery('db.query.listVariantsForProducts', query, async () => {
 		return await env.DB.prepare(query)
-			.bind(
-				productId,
-				sku || null,
-				title,
-				description || null,
-				category || null,
-				JSON.stringify(images),
-				JSON.stringify(metadata || {}),
+			.bind(...productIds)
+			.all();
+	});
+}
+
+export async function getProductVariant(env, productId, variantId) {
+	const query = 'SELECT * FROM product_variants WHERE product_id = ? AND variant_id = ?';
+	return await instrumentDbQuery('db.query.getProductVariant', query, async () => {
+		return await env.DB.prepare(query).bind(productId, variantId).first();
+	});
+}
+
+export async function createProductVariant(env, variant) {
+	const { variantId, productId, sku, price, compareAtPrice, attributes, weight, images, position, now } = variant;
+	const query = `INSERT INTO product_variants (variant_id, product_id, sku, price, compare_at_price, attributes, weight, images, position, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+	return await instrumentDbQuery('db.query.createProductVariant', query, async () => {
+		const statement = env.DB.prepare(query).bind(
+			variantId,
+			productId,
+			sku || null,
+			price,
+			compareAtPrice ?? null,
+			JSON.stringify(attributes || {}),
+			weight ?? null,
+			JSON.stringify(images || []),
+			position || 0,
+			now,
+			now,
+		);
+		return await withPriceHistory(env, statement, { productId, variantId, price, compareAtPrice, now });
+	});
+}
+
+/**
+ * Update variant columns; `price` ({ price, compareAtPrice, now }) records
+ * the new price in the price history when it changed
+ */
+export async function updateProductVariant(env, productId, variantId, updates, values, price = null) {
+	const query = `UPDATE product_variants SET ${updates.join(', ')} WHERE product_id = ? AND variant_id = ?`;
+	return await instrumentDbQuery('db.query.updateProductVariant', query, async () => {
+		const statement = env.DB.prepare(query).bind(...values, productId, variantId);
+		return await withPriceHistory(env, statement, price && { ...price, productId, variantId });
+	});
+}
+
+export async function deleteProductVariant(env, productId, variantId) {
+	const query = 'DELETE FROM product_variants WHERE product_id = ? AND variant_id = ?';
+	return await instrumentDbQuery('db.query.deleteProductVariant', query, async () => {
+		return await env.DB.prepare(query).bind(productId, variantId).run();
+	});
+}
+
+export async function listProductsBySkus(env, skus) {
+	if (skus.length === 0) return { results: [] };
+	const query = `SELECT product_id, sku, deleted_at FROM products WHERE sku IN (${skus.map(() => '?').join(', ')})`;
+	return await instrumentDbQuery('db.query.listProductsBySkus', query, async () => {
+		return await env.DB.prepare(query)
+			.bind(...skus)
+			.all();
+	});
+}
+
+export async function listVariantsBySkus(env, skus) {
+	if (skus.length === 0) return { results: [] };
+	const query = `SELECT variant_id, product_id, sku FROM product_variants WHERE sku IN (${skus.map(() => '?').join(', ')})`;
+	return await instrumentDbQuery('db.query.listVariantsBySkus', query, async () => {
+		return await env.DB.prepare(query)
+			.bind(...skus)
+			.all();
+	});
+}
+
+/**
+ * Write one imported product and its variants in a single batch, with a
+ * price history row for each price that changed. An existing product is only
+ * updated while it is live; variants are upserted by SKU, keeping the id of
+ * an existing one, and never taken over from another product. Returns the
+ * product write's result, which tells whether the product was written.
+ */
+export async function importProduct(env, product, variants) {
+	const { productId, sku, title, description, category, images, metadata, create, now } = product;
+	const query = create
+		? `INSERT INTO products (product_id, sku, title, description, category, images, metadata, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+		: `UPDATE products SET title = ?, description = ?, category = ?, images = ?, metadata = ?, updated_at = ?
+     WHERE product_id = ? AND deleted_at IS NULL`;
+	const fields = [title, description || null, category || null, JSON.stringify(images), JSON.stringify(metadata || {})];
+	const variantQuery = `INSERT INTO product_variants (variant_id, product_id, sku, price, compare_at_price, attributes, weight, images, position, created_at, updated_at)
+     SELECT ?, product_id, ?, ?, ?, ?, ?, ?, ?, ?, ? FROM products WHERE product_id = ? AND deleted_at IS NULL
+     ON CONFLICT(sku) DO UPDATE SET price = excluded.price, compare_at_price = excluded.compare_at_price, attributes = excluded.attributes,
+       weight = excluded.weight, images = excluded.images, position = excluded.position, updated_at = excluded.updated_at
+     WHERE product_variants.product_id = excluded.product_id`;
+
+	const statements = [];
+	if (metadata?.price != null) {
+		statements.push(priceHistoryStatement(env, { productId, price: metadata.price, compareAtPrice: metadata.compareAtPrice, now }));
+	}
+	const productIndex = statements.length;
+	statements.push(
+		create ? env.DB.prepare(query).bind(productId, sku, ...fields, now, now) : env.DB.prepare(query).bind(...fields, now, productId),
+	);
+	for (const v of variants) {
+		const variantId = v.variantId || `var_${crypto.randomUUID()}`;
+		statements.push(
+			priceHistoryStatement(env, { productId, variantId, price: v.price, compareAtPrice: v.compareAtPrice, now }),
+			env.DB.prepare(variantQuery).bind(
+				variantId,
+				v.sku,
+				v.price,
+				v.compareAtPrice ?? null,
+				JSON.stringify(v.attributes || {}),
+				v.weight ?? null,
+				JSON.stringify(v.images || []),
+				v.position || 0,
 				now,
 				now,
-			)
+				productId,
+			),
+		);
+	}
+
+	return await instrumentDbQuery('db.query.importProduct', query, async () => {
+		const results = await env.DB.batch(statements);
+		return results[productIndex];
+	});
+}
+
+/**
+ * A page of live products in product_id order, for exports
+ */
+export async function listProductsPage(env, afterId, limit) {
+	const query = `SELECT * FROM products WHERE deleted_at IS NULL${afterId ? ' AND product_id > ?' : ''} ORDER BY product_id LIMIT ?`;
+	return await instrumentDbQuery('db.query.listProductsPage', query, async () => {
+		return await env.DB.prepare(query)
+			.bind(...(afterId ? [afterId, limit] : [limit]))
+			.all();
+	});
+}
+
+// Image URLs of live products and of their variants; an image is an object
+// with a url, or a bare URL string in rows written before images had
+// metadata. A malformed images column counts as no images rather than
+// failing the whole query.
+const IMAGE_URL = `CASE WHEN j.type = 'object' THEN json_extract(j.value, '$.url') ELSE j.value END`;
+const LIVE_IMAGE_URLS = `SELECT ${IMAGE_URL} AS url, p.product_id FROM products p,
+       json_each(CASE WHEN json_valid(p.images) THEN p.images ELSE '[]' END) j
+     WHERE p.deleted_at IS NULL
+     UNION
+     SELECT ${IMAGE_URL} AS url, v.product_id FROM product_variants v JOIN products p ON p.product_id = v.product_id,
+       json_each(CASE WHEN json_valid(v.images) THEN v.images ELSE '[]' END) j
+     WHERE p.deleted_at IS NULL`;
+
+/**
+ * Which live products use each of the given image URLs
+ */
+export async function listImageReferences(env, urls) {
+	if (urls.length === 0) return { results: [] };
+	const query = `SELECT url, product_id FROM (${LIVE_IMAGE_URLS}) WHERE url IN (${urls.map(() => '?').join(', ')})`;
+	return await instrumentDbQuery('db.query.listImageReferences', query, async () => {
+		return await env.DB.prepare(query)
+			.bind(...urls)
+			.all();
+	});
+}
+
+export async function listReferencedImageUrls(env) {
+	const query = `SELECT DISTINCT url FROM (${LIVE_IMAGE_URLS})`;
+	return await instrumentDbQuery('db.query.listReferencedImageUrls', query, async () => {
+		return await env.DB.prepare(query).all();
+	});
+}
+
+/**
+ * Re-index one product for search from its current row: a live product gets
+ * a fresh entry, an archived or missing one is left out.
+ */
+export async function syncProductSearchIndex(env, productId) {
+	const query = `INSERT INTO products_fts (product_id, title, description, category, sku)
+     SELECT product_id, title, COALESCE(description, ''), COALESCE(category, ''), COALESCE(sku, '')
+     FROM products WHERE product_id = ? AND deleted_at IS NULL`;
+	return await instrumentDbQuery('db.query.syncProductSearchIndex', query, async () => {
+		return await env.DB.batch([
+			env.DB.prepare('DELETE FROM products_fts WHERE product_id = ?').bind(productId),
+			env.DB.prepare(query).bind(productId),
+		]);
+	});
+}
+
+/**
+ * Live products matching an FTS5 expression, best match first. Title and SKU
+ * weigh more than category, and category more than description.
+ */
+export async function searchProducts(env, match, limit, offset) {
+	const query = `SELECT p.*,
+       highlight(products_fts, 1, '<mark>', '</mark>') AS title_highlight,
+       snippet(products_fts, 2, '<mark>', '</mark>', '…', 24) AS description_snippet,
+       bm25(products_fts, 0, 10.0, 1.0, 3.0, 10.0) AS search_rank
+     FROM products_fts
+     JOIN products p ON p.product_id = products_fts.product_id
+     WHERE products_fts MATCH ? AND p.deleted_at IS NULL
+     ORDER BY search_rank
+     LIMIT ? OFFSET ?`;
+	return await instrumentDbQuery('db.query.searchProducts', query, async () => {
+		return await env.DB.prepare(query).bind(match, limit, offset).all();
+	});
+}
+
+export async function listCategories(env) {
+	const query = 'SELECT * FROM categories ORDER BY sort_order, name';
+	return await instrumentDbQuery('db.query.listCategories', query, async () => {
+		return await env.DB.prepare(query).all();
+	});
+}
+
+export async function getCategoryById(env, categoryId) {
+	const query = 'SELECT * FROM categories WHERE category_id = ?';
+	return await instrumentDbQuery('db.query.getCategoryById', query, async () => {
+		return await env.DB.prepare(query).bind(categoryId).first();
+	});
+}
+
+/**
+ * Ids of every category below the given one, at any depth
+ */
+export async function listCategoryDescendantIds(env, categoryId) {
+	const query = `WITH RECURSIVE tree(category_id) AS (
+       SELECT category_id FROM categories WHERE parent_id = ?
+       UNION ALL
+       SELECT c.category_id FROM categories c JOIN tree t ON c.parent_id = t.category_id
+     ) SELECT category_id FROM tree`;
+	return await instrumentDbQuery('db.query.listCategoryDescendantIds', query, async () => {
+		return await env.DB.prepare(query).bind(categoryId).all();
+	});
+}
+
+export async function createCategory(env, category) {
+	const { categoryId, slug, name, description, parentId, sortOrder, now } = category;
+	const query = `INSERT INTO categories (category_id, slug, name, description, parent_id, sort_order, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+	return await instrumentDbQuery('db.query.createCategory', query, async () => {
+		return await env.DB.prepare(query)
+			.bind(categoryId, slug, name, description || null, parentId || null, sortOrder || 0, now, now)
 			.run();
 	});
 }
 
-export async function updateProduct(env, productId, updates, values) {
-	const query = `UPDATE products SET ${updates.join(', ')} WHERE product_id = ?`;
-	return await instrumentDbQuery('db.query.updateProduct', query, async () => {
+/**
+ * Update a category. A new slug is carried over to the products filed under
+ * the old one, and to their search entries, in the same batch.
+ */
+export async function updateCategory(env, categoryId, updates, values, rename = null) {
+	const query = `UPDATE categories SET ${updates.join(', ')} WHERE category_id = ?`;
+	return await instrumentDbQuery('db.query.updateCategory', query, async () => {
+		const statements = [env.DB.prepare(query).bind(...values, categoryId)];
+		if (rename) {
+			statements.push(
+				env.DB.prepare('UPDATE products SET category = ? WHERE category = ?').bind(rename.to, rename.from),
+				env.DB.prepare('UPDATE products_fts SET category = ? WHERE category = ?').bind(rename.to, rename.from),
+			);
+		}
+		return await env.DB.batch(statements);
+	});
+}
+
+/**
+ * Child categories and live products a category still has
+ */
+export async function getCategoryUsage(env, categoryId) {
+	const query = `SELECT
+       (SELECT COUNT(*) FROM categories WHERE parent_id = ?) AS children,
+       (SELECT COUNT(*) FROM products WHERE deleted_at IS NULL AND category = (SELECT slug FROM categories WHERE category_id = ?)) AS products`;
+	return await instrumentDbQuery('db.query.getCategoryUsage', query, async () => {
+		return await env.DB.prepare(query).bind(categoryId, categoryId).first();
+	});
+}
+
+export async function deleteCategory(env, categoryId) {
+	const query = 'DELETE FROM categories WHERE category_id = ?';
+	return await instrumentDbQuery('db.query.deleteCategory', query, async () => {
+		return await env.DB.prepare(query).bind(categoryId).run();
+	});
+}
+
+// Reviews page newest first on a product, oldest first in the moderation queue;
+// `after` is the (created_at, review_id) of the last review already seen
+const REVIEWS_AFTER = {
+	DESC: '(created_at < ? OR (created_at = ? AND review_id < ?))',
+	ASC: '(created_at > ? OR (created_at = ? AND review_id > ?))',
+};
+
+async function listReviewsPage(env, name, where, params, dir, limit, after) {
+	const conditions = after ? [...where, REVIEWS_AFTER[dir]] : where;
+	const query = `SELECT * FROM product_reviews WHERE ${conditions.join(' AND ')} ORDER BY created_at ${dir}, review_id ${dir} LIMIT ?`;
+	const afterParams = after ? [after.createdAt, after.createdAt, after.reviewId] : [];
+	return await instrumentDbQuery(name, query, async () => {
+		return await env.DB.prepare(query)
+			.bind(...params, ...afterParams, limit)
+			.all();
+	});
+}
+
+export async function listProductReviews(env, productId, limit, after = null) {
+	return await listReviewsPage(
+		env,
+		'db.query.listProductReviews',
+		['product_id = ?', "status = 'approved'"],
+		[productId],
+		'DESC',
+		limit,
+		after,
+	);
+}
+
+export async function listReviewsByStatus(env, status, limit, after = null) {
+	return await listReviewsPage(env, 'db.query.listReviewsByStatus', ['status = ?'], [status], 'ASC', limit, after);
+}
+
+export async function getReviewById(env, reviewId) {
+	const query = 'SELECT * FROM product_reviews WHERE review_id = ?';
+	return await instrumentDbQuery('db.query.getReviewById', query, async () => {
+		return await env.DB.prepare(query).bind(reviewId).first();
+	});
+}
+
+export async function createReview(env, review) {
+	const { reviewId, productId, userId, orderId, rating, title, body, now } = review;
+	const query = `INSERT INTO product_reviews (review_id, product_id, user_id, order_id, rating, title, body, status, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`;
+	return await instrumentDbQuery('db.query.createReview', query, async () => {
+		return await env.DB.prepare(query)
+			.bind(reviewId, productId, userId, orderId || null, rating, title || null, body || null, now, now)
+			.run();
+	});
+}
+
+/**
+ * Set a review's moderation status and recompute its product's rating from
+ * the approved reviews, in one batch so the two never disagree
+ */
+export async function moderateReview(env, reviewId, status, note, now) {
+	const query = 'UPDATE product_reviews SET status = ?, moderation_note = ?, moderated_at = ?, updated_at = ? WHERE review_id = ?';
+	const ratingQuery = `UPDATE products SET
+       rating_count = (SELECT COUNT(*) FROM product_reviews r WHERE r.product_id = products.product_id AND r.status = 'approved'),
+       rating_average = (SELECT ROUND(AVG(r.rating), 2) FROM product_reviews r WHERE r.product_id = products.product_id AND r.status = 'approved')
+     WHERE product_id = (SELECT product_id FROM product_reviews WHERE review_id = ?)`;
+	return await instrumentDbQuery('db.query.moderateReview', query, async () => {
+		return await env.DB.batch([
+			env.DB.prepare(query).bind(status, note || null, now, now, reviewId),
+			env.DB.prepare(ratingQuery).bind(reviewId),
+		]);
+	});
+}
+
+export async function listPriceHistory(env, productId, limit) {
+	const query = 'SELECT * FROM product_price_history WHERE product_id = ? ORDER BY changed_at DESC, history_id DESC LIMIT ?';
+	return await instrumentDbQuery('db.query.listPriceHistory', query, async () => {
+		return await env.DB.prepare(query).bind(productId, limit).all();
+	});
+}
+
+export async function listProductSales(env, productId) {
+	const query = 'SELECT * FROM product_sales WHERE product_id = ? ORDER BY starts_at DESC, sale_id';
+	return await instrumentDbQuery('db.query.listProductSales', query, async () => {
+		return await env.DB.prepare(query).bind(productId).all();
+	});
+}
+
+/**
+ * Sales in effect at `now` for the given products
+ */
+export async function listActiveSales(env, productIds, now) {
+	if (productIds.length === 0) return { results: [] };
+	const query = `SELECT * FROM product_sales WHERE product_id IN (${productIds.map(() => '?').join(', ')})
+     AND starts_at <= ? AND (ends_at IS NULL OR ends_at > ?)`;
+	return await instrumentDbQuery('db.query.listActiveSales', query, async () => {
 		return await env.DB.prepare(query)
-			.bind(...values)
+			.bind(...productIds, now, now)
+			.all();
+	});
+}
+
+export async function getProductSale(env, productId, saleId) {
+	const query = 'SELECT * FROM product_sales WHERE product_id = ? AND sale_id = ?';
+	return await instrumentDbQuery('db.query.getProductSale', query, async () => {
+		return await env.DB.prepare(query).bind(productId, saleId).first();
+	});
+}
+
+export async function createSale(env, sale) {
+	const { saleId, productId, variantId, salePrice, percentOff, startsAt, endsAt, now } = sale;
+	const query = `INSERT INTO product_sales (sale_id, product_id, variant_id, sale_price, percent_off, starts_at, ends_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+	return await instrumentDbQuery('db.query.createSale', query, async () => {
+		return await env.DB.prepare(query)
+			.bind(saleId, productId, variantId || null, salePrice ?? null, percentOff ?? null, startsAt, endsAt ?? null, now)
 			.run();
 	});
 }
+
+export async function deleteSale(env, productId, saleId) {
+	const query = 'DELETE FROM product_sales WHERE product_id = ? AND sale_id = ?';
+	return await instrumentDbQuery('db.query.deleteSale', query, async () => {
+		return await env.DB.prepare(query).bind(productId, saleId).run();
+	});
+}
@@ -0,0 +1,146 @@
+/**
+ * Category request handlers
+ */
+import { jsonResponse } from '../helpers/response.js';
+import { readBody, isUniqueViolation } from '../helpers/validation.js';
+import { nowSec } from '../helpers/utils.js';
+import { verifyAdminAuth } from '../middleware/auth.middleware.js';
+import {
+	listCategories,
+	getCategoryById,
+	listCategoryDescendantIds,
+	createCategory,
+	updateCategory,
+	getCategoryUsage,
+	deleteCategory,
+} from '../db/queries.js';
+import { formatCategory, buildCategoryTree } from '../services/category.service.js';
+import { createCategorySchema, updateCategorySchema } from '../validators/category.validator.js';
+import { instrumentOperation } from '../helpers/tracing.js';
+
+/**
+ * GET /categories - The full category tree, each level in sort order
+ */
+export async function getCategoryTreeHandler(req, env) {
+	return await instrumentOperation(
+		'handler.getCategoryTree',
+		async () => {
+			const rows = await listCategories(env);
+			return jsonResponse({ categories: buildCategoryTree(rows.results || []) });
+		},
+		{
+			'handler.operation': 'getCategoryTree',
+			'handler.route': '/categories',
+		},
+	);
+}
+
+/**
+ * POST /categories - Create a category, optionally under a parent
+ */
+export async function createCategoryHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { response, value: body } = await readBody(req, createCategorySchema);
+	if (response) return response;
+
+	if (body.parentId && !(await getCategoryById(env, body.parentId))) {
+		return jsonResponse({ error: 'Parent category not found' }, 404);
+	}
+
+	const categoryId = body.categoryId || `cat_${crypto.randomUUID()}`;
+	const now = nowSec();
+
+	try {
+		await createCategory(env, { ...body, categoryId, now });
+	} catch (error) {
+		if (isUniqueViolation(error)) {
+			return jsonResponse({ error: 'Category already exists', details: 'categoryId and slug must be unique' }, 409);
+		}
+		console.error('Category creation error:', error);
+		return jsonResponse({ error: 'Creation failed', details: error.message }, 500);
+	}
+
+	return jsonResponse(formatCategory(await getCategoryById(env, categoryId)), 201);
+}
+
+/**
+ * PUT /categories/:id - Update a category. Moving it under itself or one of
+ * its own descendants is refused; a new slug is carried over to its products.
+ */
+export async function updateCategoryHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { response, value: body } = await readBody(req, updateCategorySchema);
+	if (response) return response;
+
+	const { id } = req.params;
+	const existing = await getCategoryById(env, id);
+	if (!existing) {
+		return jsonResponse({ error: 'Category not found' }, 404);
+	}
+
+	if (body.parentId) {
+		const descendants = await listCategoryDescendantIds(env, id);
+		if (body.parentId === id || (descendants.results || []).some((r) => r.category_id === body.parentId)) {
+			return jsonResponse({ error: 'Invalid parent', details: 'a category cannot be moved under itself or its descendants' }, 409);
+		}
+		if (!(await getCategoryById(env, body.parentId))) {
+			return jsonResponse({ error: 'Parent category not found' }, 404);
+		}
+	}
+
+	const columns = { slug: 'slug', name: 'name', description: 'description', parentId: 'parent_id', sortOrder: 'sort_order' };
+	const updates = [];
+	const values = [];
+	for (const [field, column] of Object.entries(columns)) {
+		if (body[field] !== undefined) {
+			updates.push(`${column} = ?`);
+			values.push(field === 'description' || field === 'parentId' ? body[field] || null : body[field]);
+		}
+	}
+	updates.push('updated_at = ?');
+	values.push(nowSec());
+
+	const rename = body.slug && body.slug !== existing.slug ? { from: existing.slug, to: body.slug } : null;
+
+	try {
+		await updateCategory(env, id, updates, values, rename);
+	} catch (error) {
+		if (isUniqueViolation(error)) {
+			return jsonResponse({ error: 'Category already exists', details: 'slug must be unique' }, 409);
+		}
+		console.error('Category update error:', error);
+		return jsonResponse({ error: 'Update failed', details: error.message }, 500);
+	}
+
+	return jsonResponse(formatCategory(await getCategoryById(env, id)));
+}
+
+/**
+ * DELETE /categories/:id - Delete a category that has no child categories
+ * and no live products
+ */
+export async function deleteCategoryHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { id } = req.params;
+	const existing = await getCategoryById(env, id);
+	if (!existing) {
+		return jsonResponse({ error: 'Category not found' }, 404);
+	}
+
+	const usage = await getCategoryUsage(env, id);
+	if (usage?.children || usage?.products) {
+		return jsonResponse({ error: 'Category in use', children: usage.children, products: usage.products }, 409);
+	}
+
+	const result = await deleteCategory(env, id);
+	if ((result?.meta?.changes ?? result?.changes ?? 0) === 0) {
+		return jsonResponse({ error: 'Category not found' }, 404);
+	}
+	return jsonResponse({ categoryId: id, deleted: true });
+}
@@ -0,0 +1,111 @@
+/**
+ * Sale price and price history handlers (admin)
+ */
+import { jsonResponse } from '../helpers/response.js';
+import { readBody } from '../helpers/validation.js';
+import { nowSec } from '../helpers/utils.js';
+import { verifyAdminAuth } from '../middleware/auth.middleware.js';
+import {
+	getProductById,
+	listProductVariants,
+	listPriceHistory,
+	listProductSales,
+	getProductSale,
+	createSale,
+	deleteSale,
+} from '../db/queries.js';
+import { formatSale, formatPriceChange } from '../services/pricing.service.js';
+import { createSaleSchema } from '../validators/pricing.validator.js';
+import { PRICE_HISTORY_LIMIT } from '../config/constants.js';
+
+/**
+ * Whether a sale may target the variant: one of the product's variants, or
+ * its default variant when it has none
+ */
+async function isProductVariant(env, productId, variantId) {
+	const variants = (await listProductVariants(env, productId)).results || [];
+	if (variants.length === 0) return variantId === `var_${productId}`;
+	return variants.some((v) => v.variant_id === variantId);
+}
+
+/**
+ * GET /products/:id/price-history - The product's most recent price changes,
+ * newest first (admin)
+ */
+export async function getPriceHistoryHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { id } = req.params;
+	if (!(await getProductById(env, id))) {
+		return jsonResponse({ error: 'Product not found' }, 404);
+	}
+
+	const rows = await listPriceHistory(env, id, PRICE_HISTORY_LIMIT);
+	return jsonResponse({ productId: id, history: (rows.results || []).map(formatPriceChange) });
+}
+
+/**
+ * GET /products/:id/sales - The product's sales, scheduled, active and ended
+ * (admin)
+ */
+export async function listSalesHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { id } = req.params;
+	if (!(await getProductById(env, id))) {
+		return jsonResponse({ error: 'Product not found' }, 404);
+	}
+
+	const now = nowSec();
+	const rows = await listProductSales(env, id);
+	return jsonResponse({ productId: id, sales: (rows.results || []).map((r) => formatSale(r, now)) });
+}
+
+/**
+ * POST /products/:id/sales - Schedule a sale for the product, or for one of
+ * its variants (admin)
+ */
+export async function createSaleHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { id } = req.params;
+	const { response, value: body } = await readBody(req, createSaleSchema);
+	if (response) return response;
+
+	if (!(await getProductById(env, id))) {
+		return jsonResponse({ error: 'Product not found' }, 404);
+	}
+	if (body.variantId && !(await isProductVariant(env, id, body.variantId))) {
+		return jsonResponse({ error: 'Variant not found' }, 404);
+	}
+
+	const saleId = `sale_${crypto.randomUUID()}`;
+	const now = nowSec();
+	try {
+		await createSale(env, { ...body, saleId, productId: id, now });
+	} catch (error) {
+		console.error('Sale creation error:', error);
+		return jsonResponse({ error: 'Creation failed', details: error.message }, 500);
+	}
+
+	const sale = await getProductSale(env, id, saleId);
+	return jsonResponse(formatSale(sale, now), 201);
+}
+
+/**
+ * DELETE /products/:id/sales/:saleId - Cancel a sale (admin)
+ */
+export async function deleteSaleHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { id, saleId } = req.params;
+	const result = await deleteSale(env, id, saleId);
+	if ((result?.meta?.changes ?? result?.changes ?? 0) === 0) {
+		return jsonResponse({ error: 'Sale not found' }, 404);
+	}
+	return jsonResponse({ saleId, deleted: true });
+}
@@ -1,38 +1,55 @@
 /**
  * Product request handlers
  */
-import { jsonResponse } from '../helpers/response.js';
-import { nowSec } from '../helpers/utils.js';
+import { jsonResponse, corsHeaders } from '../helpers/response.js';
+import { nowSec, parseJSONSafe } from '../helpers/utils.js';
+import { normalizeImages } from '../helpers/image.js';
+import { readBody, isUniqueViolation } from '../helpers/validation.js';
 import { verifyAdminAuth } from '../middleware/auth.middleware.js';
-import { getProducts, getProductById, createProduct, updateProduct } from '../db/queries.js';
-import { enrichProductsWithStock, enrichProductWithStock } from '../services/product.service.js';
-import { uploadImageToR2, handleImageUpload } from '../services/r2.service.js';
-import { createProductSchema, updateProductSchema, getProductsQuerySchema } from '../validators/product.validator.js';
+import {
+	getProductById,
+	createProduct,
+	updateProduct,
+	softDeleteProduct,
+	getProductVariant,
+	listProductVariants,
+	createProductVariant,
+	updateProductVariant,
+	deleteProductVariant,
+} from '../db/queries.js';
+import { enrichProductWithStock, formatVariant } from '../services/product.service.js';
+import { deactivateProductStock, getVariantStock } from '../services/inventory.service.js';
+import { searchCatalog, refreshSearchIndex } from '../services/search.service.js';
+import { listCatalog, parseProductCursor } from '../services/catalog.service.js';
+import { getCategorySlugs } from '../services/category.service.js';
+import { readImportRows, importProducts, exportCatalogStream } from '../services/bulk.service.js';
+import { listImages, deleteImages, cleanupOrphanImages } from '../services/image.service.js';
+import { uploadImageToR2, handleImageUpload, deleteImagesFromR2, resolveImages } from '../services/r2.service.js';
+import {
+	createProductSchema,
+	updateProductSchema,
+	getProductsQuerySchema,
+	searchProductsQuerySchema,
+	createVariantSchema,
+	updateVariantSchema,
+	exportQuerySchema,
+	listImagesQuerySchema,
+	deleteImagesSchema,
+} from '../validators/product.validator.js';
 import { DEFAULT_PRODUCT_LIMIT, DEFAULT_PRODUCT_OFFSET } from '../config/constants.js';
 import { instrumentOperation } from '../helpers/tracing.js';
 
 /**
- * Validate request body against Joi schema
+ * Validation context for a product payload: the known category slugs, read
+ * only when the payload names a category
  */
-function validateBody(schema) {
-	return async (req, env) => {
-		try {
-			const body = await req.json().catch(() => ({}));
-			const { error, value } = schema.validate(body, { abortEarly: false });
-			if (error) {
-				const errors = error.details.map((d) => d.message).join(', ');
-				return jsonResponse({ error: 'validation_error', details: errors }, 400);
-			}
-			req.validatedBody = value;
-			return null;
-		} catch (err) {
-			return jsonResponse({ error: 'invalid_json' }, 400);
-		}
-	};
+async function categoryContext(env, data) {
+	return data?.category ? { categories: await getCategorySlugs(env) } : {};
 }
 
 /**
- * GET /products - Get all products
+ * GET /products - Browse products with filters, sort order and facet counts.
+ * Pages continue from the opaque nextCursor of the previous page.
  */
 export async function getProductsHandler(req, env) {
 	return await instrumentOperation(
@@ -51,31 +68,48 @@ export async function getProductsHandler(req, env) {
 				return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
 			}
 
-			const limit = Number(url.searchParams.get('limit') || DEFAULT_PRODUCT_LIMIT);
-			const offset = Number(url.searchParams.get('offset') || DEFAULT_PRODUCT_OFFSET);
-
-			// Validate query parameters
-			const { error: queryError } = getProductsQuerySchema.validate({ limit, offset });
+			// Validate query parameters; attribute filters come as attr.<name>=value[,value]
+			const attributes = {};
+			for (const [key, raw] of url.searchParams) {
+				if (key.startsWith('attr.')) attributes[key.slice(5)] = raw.split(',').filter(Boolean);
+			}
+			const { error: queryError, value: query } = getProductsQuerySchema.validate({
+				limit: url.searchParams.get('limit') || DEFAULT_PRODUCT_LIMIT,
+				offset: url.searchParams.get('offset') || DEFAULT_PRODUCT_OFFSET,
+				category: url.searchParams.get('category') ?? undefined,
+				minPrice: url.searchParams.get('minPrice') ?? undefined,
+				maxPrice: url.searchParams.get('maxPrice') ?? undefined,
+				inStock: url.searchParams.get('inStock') ?? undefined,
+				sort: url.searchParams.get('sort') ?? undefined,
+				cursor: url.searchParams.get('cursor') ?? undefined,
+				attributes,
+			});
 			if (queryError) {
 				return jsonResponse({ error: 'validation_error', details: queryError.details[0].message }, 400);
 			}
 
-			let rows;
+			const { limit, offset, sort, inStock, category, minPrice, maxPrice } = query;
+			const after = query.cursor ? parseProductCursor(query.cursor, sort) : null;
+			if (query.cursor && !after) {
+				return jsonResponse({ error: 'invalid_cursor', details: 'cursor is malformed or was issued for another sort order' }, 400);
+			}
+
+			let page;
 			try {
-				rows = await getProducts(env, limit, offset);
-				console.log('Query successful, rows:', rows?.results?.length || 0);
+				page = await listCatalog(env, {
+					filters: { category, minPrice, maxPrice, attributes: query.attributes },
+					sort,
+					inStock,
+					limit,
+					offset,
+					after,
+				});
 			} catch (dbError) {
 				console.error('Database query error:', dbError);
 				return jsonResponse({ error: 'Database query failed', details: dbError.message }, 500);
 			}
 
-			if (!rows || !rows.results) {
-				console.log('No results from database');
-				return jsonResponse([]);
-			}
-
-			const productsWithVariants = await enrichProductsWithStock(env, rows.results);
-			return jsonResponse(productsWithVariants);
+			return jsonResponse({ ...page, limit, offset });
 		},
 		{
 			'handler.operation': 'getProducts',
@@ -84,6 +118,38 @@ export async function getProductsHandler(req, env) {
 	);
 }
 
+/**
+ * GET /products/search?q= - Full-text search, best match first
+ */
+export async function searchProductsHandler(req, env) {
+	return await instrumentOperation(
+		'handler.searchProducts',
+		async () => {
+			const url = new URL(req.url);
+			const { error, value } = searchProductsQuerySchema.validate({
+				q: url.searchParams.get('q') ?? undefined,
+				limit: url.searchParams.get('limit') || DEFAULT_PRODUCT_LIMIT,
+				offset: url.searchParams.get('offset') || DEFAULT_PRODUCT_OFFSET,
+			});
+			if (error) {
+				return jsonResponse({ error: 'validation_error', details: error.details[0].message }, 400);
+			}
+
+			try {
+				const results = await searchCatalog(env, value.q, value.limit, value.offset);
+				return jsonResponse({ query: value.q, limit: value.limit, offset: value.offset, results });
+			} catch (dbError) {
+				console.error('Search query error:', dbError);
+				return jsonResponse({ error: 'Search failed', details: dbError.message }, 500);
+			}
+		},
+		{
+			'handler.operation': 'searchProducts',
+			'handler.route': '/products/search',
+		},
+	);
+}
+
 /**
  * GET /products/:id - Get product by ID
  */
@@ -134,11 +200,86 @@ export async function uploadImageHandler(req, env) {
 		const result = await handleImageUpload(req, env);
 		return jsonResponse(result, 201);
 	} catch (error) {
+		if (error.error === 'invalid_image') {
+			return jsonResponse({ error: 'invalid_image', details: error.message }, 415);
+		}
 		console.error('Image upload error:', error);
 		return jsonResponse({ error: 'Upload failed', details: error.message }, 500);
 	}
 }
 
+/**
+ * GET /products/images - List uploaded images and the products using them
+ */
+export async function listImagesHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	if (!env.PRODUCT_IMAGES || !env.R2_PUBLIC_URL) {
+		return jsonResponse({ error: 'R2 not configured' }, 500);
+	}
+
+	const url = new URL(req.url);
+	const { error, value } = listImagesQuerySchema.validate({
+		limit: url.searchParams.get('limit') || undefined,
+		cursor: url.searchParams.get('cursor') || undefined,
+	});
+	if (error) {
+		return jsonResponse({ error: 'validation_error', details: error.details[0].message }, 400);
+	}
+
+	try {
+		return jsonResponse(await listImages(env, value));
+	} catch (error) {
+		console.error('Image listing error:', error);
+		return jsonResponse({ error: 'Listing failed', details: error.message }, 500);
+	}
+}
+
+/**
+ * DELETE /products/images - Delete images by key; images still used by a
+ * product are kept and reported
+ */
+export async function deleteImagesHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { response, value: body } = await readBody(req, deleteImagesSchema);
+	if (response) return response;
+
+	if (!env.PRODUCT_IMAGES || !env.R2_PUBLIC_URL) {
+		return jsonResponse({ error: 'R2 not configured' }, 500);
+	}
+
+	try {
+		return jsonResponse(await deleteImages(env, body.keys));
+	} catch (error) {
+		console.error('Image deletion error:', error);
+		return jsonResponse({ error: 'Deletion failed', details: error.message }, 500);
+	}
+}
+
+/**
+ * POST /products/images/cleanup - Run the orphaned-image cleanup on demand;
+ * ?dryRun=true only reports
+ */
+export async function cleanupImagesHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	if (!env.PRODUCT_IMAGES || !env.R2_PUBLIC_URL) {
+		return jsonResponse({ error: 'R2 not configured' }, 500);
+	}
+
+	const dryRun = new URL(req.url).searchParams.get('dryRun') === 'true';
+	try {
+		return jsonResponse(await cleanupOrphanImages(env, { dryRun }));
+	} catch (error) {
+		console.error('Image cleanup error:', error);
+		return jsonResponse({ error: 'Cleanup failed', details: error.message }, 500);
+	}
+}
+
 /**
  * POST /products - Create product
  */
@@ -190,7 +331,10 @@ export async function createProductHandler(req, env) {
 
 		// Validate product data (skip validation for multipart as it's complex)
 		if (!isMultipart) {
-			const { error, value } = createProductSchema.validate(productData, { abortEarly: false });
+			const { error, value } = createProductSchema.validate(productData, {
+				abortEarly: false,
+				context: await categoryContext(env, productData),
+			});
 			if (error) {
 				const errors = error.details.map((d) => d.message).join(', ');
 				return jsonResponse({ error: 'validation_error', details: errors }, 400);
@@ -207,8 +351,7 @@ export async function createProductHandler(req, env) {
 			imageUrls = [...imageUrls, ...uploadedUrls];
 		}
 
-		// Ensure images is an array
-		const images = Array.isArray(imageUrls) ? imageUrls : imageUrls.length > 0 ? imageUrls : [];
+		const images = await resolveImages(imageUrls, env);
 
 		await createProduct(env, {
 			productId,
@@ -220,9 +363,13 @@ export async function createProductHandler(req, env) {
 			metadata: productData.metadata,
 			now,
 		});
+		await refreshSearchIndex(env, productId);
 
 		return jsonResponse({ productId, images }, 201);
 	} catch (error) {
+		if (error.error === 'invalid_image') {
+			return jsonResponse({ error: 'invalid_image', details: error.message }, 415);
+		}
 		console.error('Product creation error:', error);
 		return jsonResponse({ error: 'Creation failed', details: error.message }, 500);
 	}
@@ -281,7 +428,10 @@ export async function updateProductHandler(req, env) {
 			}
 
 			// Validate update data
-			const { error, value } = updateProductSchema.validate(updateData, { abortEarly: false });
+			const { error, value } = updateProductSchema.validate(updateData, {
+				abortEarly: false,
+				context: await categoryContext(env, updateData),
+			});
 			if (error) {
 				const errors = error.details.map((d) => d.message).join(', ');
 				return jsonResponse({ error: 'validation_error', details: errors }, 400);
@@ -298,6 +448,7 @@ export async function updateProductHandler(req, env) {
 		// Build update query dynamically
 		const updates = [];
 		const values = [];
+		let images;
 
 		if (updateData.sku !== undefined) {
 			updates.push('sku = ?');
@@ -316,7 +467,7 @@ export async function updateProductHandler(req, env) {
 			values.push(updateData.category);
 		}
 		if (imageUrls.length > 0 || updateData.images !== undefined) {
-			const images = Array.isArray(imageUrls) ? imageUrls : imageUrls.length > 0 ? imageUrls : [];
+			images = await resolveImages(imageUrls, env);
 			updates.push('images = ?');
 			values.push(JSON.stringify(images));
 		}
@@ -333,11 +484,290 @@ export async function updateProductHandler(req, env) {
 		values.push(now);
 		values.push(id);
 
-		await updateProduct(env, id, updates, values);
+		// A new metadata price goes into the price history
+		const { price, compareAtPrice } = updateData.metadata || {};
+		await updateProduct(env, id, updates, values, price !== undefined ? { price, compareAtPrice, now } : null);
+		await refreshSearchIndex(env, id);
 
-		return jsonResponse({ productId: id, updated: true });
+		return jsonResponse({ productId: id, updated: true, ...(images && { images }) });
 	} catch (error) {
+		if (error.error === 'invalid_image') {
+			return jsonResponse({ error: 'invalid_image', details: error.message }, 415);
+		}
 		console.error('Product update error:', error);
 		return jsonResponse({ error: 'Update failed', details: error.message }, 500);
 	}
 }
+
+/**
+ * DELETE /products/:id - Archive product
+ * Soft-deletes the row, then asks inventory to stop selling it and removes its R2 images.
+ */
+export async function deleteProductHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { id } = req.params;
+
+	const existing = await getProductById(env, id);
+	if (!existing) {
+		return jsonResponse({ error: 'Product not found' }, 404);
+	}
+
+	try {
+		const result = await softDeleteProduct(env, id, nowSec());
+		const changes = result?.meta?.changes ?? result?.changes ?? 0;
+		if (changes === 0) {
+			return jsonResponse({ error: 'Product not found' }, 404);
+		}
+	} catch (error) {
+		console.error('Product deletion error:', error);
+		return jsonResponse({ error: 'Deletion failed', details: error.message }, 500);
+	}
+
+	// Downstream cleanup is best effort: the product is already hidden from the catalog
+	await refreshSearchIndex(env, id);
+	const inventoryDeactivated = await deactivateProductStock(env, id);
+
+	let imagesDeleted = 0;
+	if (env.PRODUCT_IMAGES) {
+		try {
+			const urls = normalizeImages(parseJSONSafe(existing.images, [])).map((image) => image.url);
+			const keys = await deleteImagesFromR2(urls, env);
+			imagesDeleted = keys.length;
+		} catch (error) {
+			console.error('Image cleanup error:', error);
+		}
+	}
+
+	return jsonResponse({ productId: id, deleted: true, inventoryDeactivated, imagesDeleted });
+}
+
+/**
+ * Response refusing to drop a variant inventory still holds units for, or
+ * null when it holds none. Dropping it would strand its stock and any
+ * reservation still counting on it.
+ */
+async function variantStockConflict(env, productId, variantId) {
+	const held = await getVariantStock(env, productId, variantId);
+	if (!held) {
+		return jsonResponse({ error: 'Inventory unavailable', details: `could not check stock of ${variantId}` }, 503);
+	}
+	if (held.stock !== 0 || held.reserved !== 0) {
+		return jsonResponse({ error: 'Variant has stock', variantId, stock: held.stock, reserved: held.reserved }, 409);
+	}
+	return null;
+}
+
+/**
+ * POST /products/:id/variants - Add a variant to a product
+ *
+ * A product without variants sells as its default variant var_<productId>,
+ * which the first real variant replaces; that is refused while inventory
+ * still holds units for the default, unless the new variant keeps its id.
+ */
+export async function createVariantHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { response, value: body } = await readBody(req, createVariantSchema);
+	if (response) return response;
+
+	const { id } = req.params;
+	const existing = await getProductById(env, id);
+	if (!existing) {
+		return jsonResponse({ error: 'Product not found' }, 404);
+	}
+
+	const variantId = body.variantId || `var_${crypto.randomUUID()}`;
+	const defaultVariantId = `var_${id}`;
+	if (variantId !== defaultVariantId && !(await listProductVariants(env, id))?.results?.length) {
+		const conflict = await variantStockConflict(env, id, defaultVariantId);
+		if (conflict) return conflict;
+	}
+	const now = nowSec();
+
+	try {
+		const images = await resolveImages(body.images, env);
+		await createProductVariant(env, { ...body, images, variantId, productId: id, now });
+	} catch (error) {
+		if (isUniqueViolation(error)) {
+			return jsonResponse({ error: 'Variant already exists', details: 'variantId and sku must be unique' }, 409);
+		}
+		console.error('Variant creation error:', error);
+		return jsonResponse({ error: 'Creation failed', details: error.message }, 500);
+	}
+
+	const variant = await getProductVariant(env, id, variantId);
+	return jsonResponse(formatVariant(variant), 201);
+}
+
+/**
+ * PUT /products/:id/variants/:variantId - Update a variant
+ */
+export async function updateVariantHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { response, value: data } = await readBody(req, updateVariantSchema);
+	if (response) return response;
+
+	const { id, variantId } = req.params;
+	const existing = await getProductVariant(env, id, variantId);
+	if (!existing) {
+		return jsonResponse({ error: 'Variant not found' }, 404);
+	}
+
+	const updates = [];
+	const values = [];
+
+	if (data.sku !== undefined) {
+		updates.push('sku = ?');
+		values.push(data.sku || null);
+	}
+	if (data.price !== undefined) {
+		updates.push('price = ?');
+		values.push(data.price);
+	}
+	if (data.compareAtPrice !== undefined) {
+		updates.push('compare_at_price = ?');
+		values.push(data.compareAtPrice);
+	}
+	if (data.attributes !== undefined) {
+		updates.push('attributes = ?');
+		values.push(JSON.stringify(data.attributes));
+	}
+	if (data.weight !== undefined) {
+		updates.push('weight = ?');
+		values.push(data.weight);
+	}
+	if (data.images !== undefined) {
+		updates.push('images = ?');
+		values.push(JSON.stringify(await resolveImages(data.images, env)));
+	}
+	if (data.position !== undefined) {
+		updates.push('position = ?');
+		values.push(data.position);
+	}
+
+	const now = nowSec();
+	updates.push('updated_at = ?');
+	values.push(now);
+
+	// A price change goes into the price history, with whichever half was not sent
+	const price =
+		data.price !== undefined || data.compareAtPrice !== undefined
+			? {
+					price: data.price ?? existing.price,
+					compareAtPrice: data.compareAtPrice !== undefined ? data.compareAtPrice : existing.compare_at_price,
+					now,
+				}
+			: null;
+
+	try {
+		await updateProductVariant(env, id, variantId, updates, values, price);
+	} catch (error) {
+		if (isUniqueViolation(error)) {
+			return jsonResponse({ error: 'Variant already exists', details: 'sku must be unique' }, 409);
+		}
+		console.error('Variant update error:', error);
+		return jsonResponse({ error: 'Update failed', details: error.message }, 500);
+	}
+
+	const variant = await getProductVariant(env, id, variantId);
+	return jsonResponse(formatVariant(variant));
+}
+
+/**
+ * DELETE /products/:id/variants/:variantId - Remove a variant without stock
+ */
+export async function deleteVariantHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { id, variantId } = req.params;
+
+	const conflict = await variantStockConflict(env, id, variantId);
+	if (conflict) return conflict;
+
+	try {
+		const result = await deleteProductVariant(env, id, variantId);
+		const changes = result?.meta?.changes ?? result?.changes ?? 0;
+		if (changes === 0) {
+			return jsonResponse({ error: 'Variant not found' }, 404);
+		}
+	} catch (error) {
+		console.error('Variant deletion error:', error);
+		return jsonResponse({ error: 'Deletion failed', details: error.message }, 500);
+	}
+
+	return jsonResponse({ productId: id, variantId, deleted: true });
+}
+
+/**
+ * POST /products/import - Upsert products by SKU from a CSV or NDJSON file
+ *
+ * Body is CSV text (Content-Type text/csv) with at least a sku,title header,
+ * NDJSON (Content-Type application/x-ndjson) with one product per line, or
+ * JSON: a rows array, { rows }, { csv } or { ndjson }. ?dryRun=true validates only.
+ */
+export async function importProductsHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const url = new URL(req.url);
+	const contentType = req.headers.get('content-type') || '';
+	let file;
+	try {
+		if (contentType.includes('text/csv')) {
+			file = { csv: await req.text() };
+		} else if (contentType.includes('ndjson')) {
+			file = { ndjson: await req.text() };
+		} else {
+			const body = await req.json();
+			file = Array.isArray(body) ? { rows: body } : body || {};
+		}
+	} catch (error) {
+		return jsonResponse({ error: 'invalid_json' }, 400);
+	}
+
+	const dryRun = url.searchParams.get('dryRun') === 'true' || file.dryRun === true;
+
+	try {
+		const rows = readImportRows(file);
+		const report = await importProducts(env, rows, { dryRun });
+		return jsonResponse(report);
+	} catch (error) {
+		if (error.error === 'invalid_file') {
+			return jsonResponse({ error: 'invalid_file', details: error.message }, 400);
+		}
+		if (error.error === 'too_many_rows') {
+			return jsonResponse({ error: 'too_many_rows', max: error.max, rows: error.rows }, 413);
+		}
+		console.error('Product import error:', error);
+		return jsonResponse({ error: 'Import failed', details: error.message }, 500);
+	}
+}
+
+/**
+ * GET /products/export - Stream the live catalog as CSV or NDJSON
+ */
+export async function exportProductsHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const url = new URL(req.url);
+	const { error, value } = exportQuerySchema.validate({ format: url.searchParams.get('format') || undefined });
+	if (error) {
+		return jsonResponse({ error: 'validation_error', details: error.details[0].message }, 400);
+	}
+
+	const filename = `products-${new Date().toISOString().slice(0, 10)}.${value.format}`;
+	return new Response(exportCatalogStream(env, value), {
+		headers: {
+			'Content-Type': value.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+			'Content-Disposition': `attachment; filename="${filename}"`,
+			...corsHeaders(),
+		},
+	});
+}
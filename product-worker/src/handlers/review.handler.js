@@ -0,0 +1,142 @@
+/**
+ * Product review request handlers
+ */
+import { jsonResponse } from '../helpers/response.js';
+import { readBody, isUniqueViolation } from '../helpers/validation.js';
+import { nowSec } from '../helpers/utils.js';
+import { verifyAdminAuth, verifyInternalAuth } from '../middleware/auth.middleware.js';
+import { getProductById, listProductReviews, listReviewsByStatus, getReviewById, createReview, moderateReview } from '../db/queries.js';
+import { getDeliveredPurchase } from '../services/order.service.js';
+import { formatReview, formatRating, parseReviewCursor, toReviewPage } from '../services/review.service.js';
+import { createReviewSchema, moderateReviewSchema, reviewPageQuerySchema, reviewQueueQuerySchema } from '../validators/review.validator.js';
+import { instrumentOperation } from '../helpers/tracing.js';
+
+/**
+ * Paging parameters and keyset position from the query string
+ */
+function readPageQuery(req, schema) {
+	const url = new URL(req.url);
+	const { error, value } = schema.validate(Object.fromEntries(url.searchParams));
+	if (error) {
+		return { response: jsonResponse({ error: 'validation_error', details: error.details[0].message }, 400) };
+	}
+	const after = value.cursor ? parseReviewCursor(value.cursor) : null;
+	if (value.cursor && !after) {
+		return { response: jsonResponse({ error: 'invalid_cursor' }, 400) };
+	}
+	return { value, after };
+}
+
+/**
+ * GET /products/:id/reviews - Approved reviews of a product, newest first,
+ * with its rating
+ */
+export async function listProductReviewsHandler(req, env) {
+	return await instrumentOperation(
+		'handler.listProductReviews',
+		async () => {
+			const { id } = req.params;
+			const { response, value, after } = readPageQuery(req, reviewPageQuerySchema);
+			if (response) return response;
+
+			const product = await getProductById(env, id);
+			if (!product) {
+				return jsonResponse({ error: 'Product not found' }, 404);
+			}
+
+			const rows = await listProductReviews(env, id, value.limit + 1, after);
+			const { reviews, nextCursor } = toReviewPage(rows.results || [], value.limit);
+			return jsonResponse({ productId: id, rating: formatRating(product), reviews, nextCursor });
+		},
+		{
+			'handler.operation': 'listProductReviews',
+			'handler.route': '/products/:id/reviews',
+		},
+	);
+}
+
+/**
+ * POST /products/:id/reviews - Submit a review for moderation. Called by the
+ * gateway for the signed-in user, who must have a delivered order containing
+ * the product; one review per user and product.
+ */
+export async function createReviewHandler(req, env) {
+	const authError = await verifyInternalAuth(req, env);
+	if (authError) return authError;
+
+	const { id } = req.params;
+	const { response, value: body } = await readBody(req, createReviewSchema);
+	if (response) return response;
+
+	const product = await getProductById(env, id);
+	if (!product) {
+		return jsonResponse({ error: 'Product not found' }, 404);
+	}
+
+	const purchase = await getDeliveredPurchase(env, body.userId, id);
+	if (!purchase) {
+		return jsonResponse({ error: 'purchase_check_unavailable' }, 503);
+	}
+	if (!purchase.purchased) {
+		return jsonResponse(
+			{ error: 'purchase_required', details: 'Only customers with a delivered order for this product can review it' },
+			403,
+		);
+	}
+
+	const reviewId = `rev_${crypto.randomUUID()}`;
+	try {
+		await createReview(env, { ...body, reviewId, productId: id, orderId: purchase.orderId, now: nowSec() });
+	} catch (error) {
+		if (isUniqueViolation(error)) {
+			return jsonResponse({ error: 'already_reviewed' }, 409);
+		}
+		console.error('Review creation error:', error);
+		return jsonResponse({ error: 'Creation failed', details: error.message }, 500);
+	}
+
+	return jsonResponse({ reviewId, productId: id, status: 'pending' }, 201);
+}
+
+/**
+ * GET /reviews?status= - Moderation queue, oldest first; pending unless
+ * another status is asked for (admin)
+ */
+export async function listReviewQueueHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { response, value, after } = readPageQuery(req, reviewQueueQuerySchema);
+	if (response) return response;
+
+	const rows = await listReviewsByStatus(env, value.status, value.limit + 1, after);
+	const { reviews, nextCursor } = toReviewPage(rows.results || [], value.limit, { admin: true });
+	return jsonResponse({ status: value.status, reviews, nextCursor });
+}
+
+/**
+ * PUT /reviews/:reviewId - Approve or reject a review; the product's rating
+ * is recomputed from its approved reviews (admin)
+ */
+export async function moderateReviewHandler(req, env) {
+	const authError = await verifyAdminAuth(req, env);
+	if (authError) return authError;
+
+	const { reviewId } = req.params;
+	const { response, value: body } = await readBody(req, moderateReviewSchema);
+	if (response) return response;
+
+	if (!(await getReviewById(env, reviewId))) {
+		return jsonResponse({ error: 'Review not found' }, 404);
+	}
+
+	try {
+		await moderateReview(env, reviewId, body.status, body.note, nowSec());
+	} catch (error) {
+		console.error('Review moderation error:', error);
+		return jsonResponse({ error: 'Moderation failed', details: error.message }, 500);
+	}
+
+	const review = await getReviewById(env, reviewId);
+	return jsonResponse({ review: formatReview(review, { admin: true }) });
+}
@@ -0,0 +1,97 @@
+/**
+ * Image file sniffing and image list normalisation
+ */
+
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+const be16 = (b, i) => (b[i] << 8) | b[i + 1];
+const le16 = (b, i) => b[i] | (b[i + 1] << 8);
+const le24 = (b, i) => b[i] | (b[i + 1] << 8) | (b[i + 2] << 16);
+const be32 = (b, i) => ((b[i] << 24) | (b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]) >>> 0;
+
+// JPEG start-of-frame markers, the segments that carry the dimensions
+const JPEG_SOF = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+function jpegSize(b) {
+	let i = 2;
+	while (i + 9 < b.length) {
+		if (b[i] !== 0xff) return null;
+		const marker = b[i + 1];
+		if (marker === 0xff) {
+			i++; // fill byte
+		} else if (JPEG_SOF.has(marker)) {
+			return { height: be16(b, i + 5), width: be16(b, i + 7) };
+		} else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+			i += 2; // markers without a length
+		} else {
+			i += 2 + be16(b, i + 2);
+		}
+	}
+	return null;
+}
+
+function webpSize(b) {
+	const chunk = ascii(b, 12, 4);
+	if (chunk === 'VP8 ' && b[23] === 0x9d && b[24] === 0x01 && b[25] === 0x2a) {
+		return { width: le16(b, 26) & 0x3fff, height: le16(b, 28) & 0x3fff };
+	}
+	if (chunk === 'VP8L' && b[20] === 0x2f) {
+		return {
+			width: 1 + (b[21] | ((b[22] & 0x3f) << 8)),
+			height: 1 + ((b[22] >> 6) | (b[23] << 2) | ((b[24] & 0x0f) << 10)),
+		};
+	}
+	if (chunk === 'VP8X') {
+		return { width: 1 + le24(b, 24), height: 1 + le24(b, 27) };
+	}
+	return null;
+}
+
+/**
+ * Identify an image from its leading bytes rather than the name or
+ * content-type it was sent with. Returns { format, contentType, width,
+ * height }, or null when the bytes are not a PNG, JPEG, WebP or GIF image.
+ * Width and height are null when the header does not carry them.
+ */
+export function sniffImage(data) {
+	const b = data instanceof Uint8Array ? data : new Uint8Array(data);
+	if (b.length < 12) return null;
+
+	let format = null;
+	let size = null;
+	if (b[0] === 0x89 && ascii(b, 1, 3) === 'PNG' && b[4] === 0x0d && b[5] === 0x0a && b[6] === 0x1a && b[7] === 0x0a) {
+		format = 'png';
+		size = b.length >= 24 && ascii(b, 12, 4) === 'IHDR' ? { width: be32(b, 16), height: be32(b, 20) } : null;
+	} else if (b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) {
+		format = 'jpeg';
+		size = jpegSize(b);
+	} else if (ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WEBP') {
+		format = 'webp';
+		size = b.length >= 30 ? webpSize(b) : null;
+	} else if (ascii(b, 0, 6) === 'GIF87a' || ascii(b, 0, 6) === 'GIF89a') {
+		format = 'gif';
+		size = { width: le16(b, 6), height: le16(b, 8) };
+	}
+	if (!format) return null;
+
+	return { format, contentType: `image/${format}`, width: size?.width ?? null, height: size?.height ?? null };
+}
+
+/**
+ * An images list as image objects { url, alt, width, height, derivatives },
+ * derivatives being the resized copies stored for a srcset as { width, url }.
+ * Entries stored before images carried metadata are bare URL strings;
+ * anything without a URL is dropped.
+ */
+export function normalizeImages(images) {
+	const list = Array.isArray(images) ? images : images ? [images] : [];
+	return list
+		.map((image) => (typeof image === 'string' ? { url: image } : image))
+		.filter((image) => image && typeof image.url === 'string' && image.url)
+		.map((image) => ({
+			url: image.url,
+			alt: image.alt || null,
+			width: image.width ?? null,
+			height: image.height ?? null,
+			derivatives: Array.isArray(image.derivatives) ? image.derivatives : [],
+		}));
+}
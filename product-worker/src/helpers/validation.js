@@ -0,0 +1,30 @@
+/**
+ * Request validation helpers
+ */
+import { jsonResponse } from './response.js';
+
+/**
+ * Parse a JSON body and validate it against a Joi schema. Returns
+ * { value } when valid, otherwise { response } with the 400 to send.
+ */
+export async function readBody(req, schema) {
+	let body;
+	try {
+		body = await req.json();
+	} catch (err) {
+		return { response: jsonResponse({ error: 'invalid_json' }, 400) };
+	}
+	const { error, value } = schema.validate(body, { abortEarly: false });
+	if (error) {
+		const errors = error.details.map((d) => d.message).join(', ');
+		return { response: jsonResponse({ error: 'validation_error', details: errors }, 400) };
+	}
+	return { value };
+}
+
+/**
+ * Whether a D1 error is a UNIQUE or PRIMARY KEY constraint violation
+ */
+export function isUniqueViolation(error) {
+	return /UNIQUE constraint failed|PRIMARY KEY/i.test(error?.message || '');
+}
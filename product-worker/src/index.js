@@ -4,13 +4,20 @@
 import { Router } from 'itty-router';
 import { instrument } from '@microlabs/otel-cf-workers';
 import { setupProductRoutes } from './routes/product.routes.js';
+import { setupCategoryRoutes } from './routes/category.routes.js';
+import { setupReviewRoutes } from './routes/review.routes.js';
+import { setupPricingRoutes } from './routes/pricing.routes.js';
 import { jsonResponse } from './helpers/response.js';
+import { cleanupOrphanImages } from './services/image.service.js';
 import { trace } from '@opentelemetry/api';
 
 const router = Router();
 
 // Setup all routes
 setupProductRoutes(router);
+setupCategoryRoutes(router);
+setupReviewRoutes(router);
+setupPricingRoutes(router);
 
 // Catch all 404
 router.all('*', () => jsonResponse({ error: 'not_found' }, 404));
@@ -93,6 +100,15 @@ const handler = {
 			});
 		}
 	},
+
+	// Cron trigger: delete R2 images no live product uses once past the grace period
+	scheduled(event, env, ctx) {
+		ctx.waitUntil(
+			cleanupOrphanImages(env)
+				.then((report) => console.log('[PRODUCT.IMAGES] Cleanup completed', { cron: event.cron, ...report, orphans: undefined }))
+				.catch((e) => console.error('[PRODUCT.IMAGES] Cleanup failed', e)),
+		);
+	},
 };
 
 // OpenTelemetry configuration
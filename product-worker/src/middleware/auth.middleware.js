@@ -1,15 +1,15 @@
 /**
- * Authentication middleware for admin routes
+ * Authentication middleware for admin and internal routes
  */
 import { hmacSHA256Hex } from '../helpers/hmac.js';
 import { jsonResponse, corsHeaders } from '../helpers/response.js';
 
-export async function verifyAdminAuth(req, env) {
+async function verifySignedRequest(req, secret, missingSecret) {
 	const ts = req.headers.get('x-timestamp');
 	const sig = req.headers.get('x-signature');
 
-	if (!env.ADMIN_SECRET) {
-		return new Response('admin_secret_not_configured', { status: 500, headers: corsHeaders() });
+	if (!secret) {
+		return new Response(missingSecret, { status: 500, headers: corsHeaders() });
 	}
 
 	if (!ts || !sig) {
@@ -27,7 +27,7 @@ export async function verifyAdminAuth(req, env) {
 				.text()
 				.catch(() => '');
 	const msg = `${ts}|${req.method}|${new URL(req.url).pathname}|${bodyText}`;
-	const expected = await hmacSHA256Hex(env.ADMIN_SECRET, msg);
+	const expected = await hmacSHA256Hex(secret, msg);
 
 	if (expected !== sig) {
 		return new Response('unauthorized', { status: 401, headers: corsHeaders() });
@@ -35,3 +35,15 @@ export async function verifyAdminAuth(req, env) {
 
 	return null; // Auth passed
 }
+
+export async function verifyAdminAuth(req, env) {
+	return await verifySignedRequest(req, env.ADMIN_SECRET, 'admin_secret_not_configured');
+}
+
+/**
+ * Requests another service signs with INTERNAL_SECRET, such as the gateway
+ * acting for a signed-in user
+ */
+export async function verifyInternalAuth(req, env) {
+	return await verifySignedRequest(req, env.INTERNAL_SECRET, 'internal_secret_not_configured');
+}
@@ -0,0 +1,21 @@
+/**
+ * Category routes
+ */
+import {
+	getCategoryTreeHandler,
+	createCategoryHandler,
+	updateCategoryHandler,
+	deleteCategoryHandler,
+} from '../handlers/category.handler.js';
+
+export function setupCategoryRoutes(router) {
+	// Public routes
+	router.get('/categories', getCategoryTreeHandler);
+
+	// Admin routes
+	router.post('/categories', createCategoryHandler);
+	router.put('/categories/:id', updateCategoryHandler);
+	router.delete('/categories/:id', deleteCategoryHandler);
+
+	return router;
+}
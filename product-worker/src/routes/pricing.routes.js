@@ -0,0 +1,14 @@
+/**
+ * Sale price and price history routes
+ */
+import { getPriceHistoryHandler, listSalesHandler, createSaleHandler, deleteSaleHandler } from '../handlers/pricing.handler.js';
+
+export function setupPricingRoutes(router) {
+	// Admin routes
+	router.get('/products/:id/price-history', getPriceHistoryHandler);
+	router.get('/products/:id/sales', listSalesHandler);
+	router.post('/products/:id/sales', createSaleHandler);
+	router.delete('/products/:id/sales/:saleId', deleteSaleHandler);
+
+	return router;
+}
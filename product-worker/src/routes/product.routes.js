@@ -5,10 +5,20 @@ import { Router } from 'itty-router';
 import { handleOptions } from '../helpers/response.js';
 import {
 	getProductsHandler,
+	searchProductsHandler,
 	getProductByIdHandler,
 	uploadImageHandler,
 	createProductHandler,
 	updateProductHandler,
+	deleteProductHandler,
+	createVariantHandler,
+	updateVariantHandler,
+	deleteVariantHandler,
+	importProductsHandler,
+	exportProductsHandler,
+	listImagesHandler,
+	deleteImagesHandler,
+	cleanupImagesHandler,
 } from '../handlers/product.handler.js';
 
 export function setupProductRoutes(router) {
@@ -17,12 +27,23 @@ export function setupProductRoutes(router) {
 
 	// Public routes
 	router.get('/products', getProductsHandler);
+	router.get('/products/search', searchProductsHandler);
+	// Admin, but must come before /products/:id
+	router.get('/products/export', exportProductsHandler);
+	router.get('/products/images', listImagesHandler);
 	router.get('/products/:id', getProductByIdHandler);
 
 	// Admin routes
 	router.post('/products/images/upload', uploadImageHandler);
+	router.post('/products/images/cleanup', cleanupImagesHandler);
+	router.delete('/products/images', deleteImagesHandler);
 	router.post('/products', createProductHandler);
+	router.post('/products/import', importProductsHandler);
 	router.put('/products/:id', updateProductHandler);
+	router.delete('/products/:id', deleteProductHandler);
+	router.post('/products/:id/variants', createVariantHandler);
+	router.put('/products/:id/variants/:variantId', updateVariantHandler);
+	router.delete('/products/:id/variants/:variantId', deleteVariantHandler);
 
 	return router;
 }
@@ -0,0 +1,23 @@
+/**
+ * Product review routes
+ */
+import {
+	listProductReviewsHandler,
+	createReviewHandler,
+	listReviewQueueHandler,
+	moderateReviewHandler,
+} from '../handlers/review.handler.js';
+
+export function setupReviewRoutes(router) {
+	// Public routes
+	router.get('/products/:id/reviews', listProductReviewsHandler);
+
+	// Internal routes (gateway, on behalf of the signed-in user)
+	router.post('/products/:id/reviews', createReviewHandler);
+
+	// Admin routes
+	router.get('/reviews', listReviewQueueHandler);
+	router.put('/reviews/:reviewId', moderateReviewHandler);
+
+	return router;
+}
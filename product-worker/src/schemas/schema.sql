@@ -6,10 +6,118 @@ CREATE TABLE products (
   description TEXT,
   category TEXT,
   images TEXT,                          -- JSON array
-  metadata TEXT,                        -- JSON: {price, attributes, etc}
+  metadata TEXT,                        -- JSON: {price, compareAtPrice, attributes, etc}
+  rating_average REAL,                  -- mean of approved reviews, NULL without any
+  rating_count INTEGER NOT NULL DEFAULT 0,
   created_at INTEGER,
-  updated_at INTEGER
+  updated_at INTEGER,
+  deleted_at INTEGER                    -- Soft delete timestamp, NULL while live
 );
 
 CREATE INDEX idx_products_category ON products(category);
-CREATE INDEX idx_products_sku ON products(sku);
\ No newline at end of file
+CREATE INDEX idx_products_sku ON products(sku);
+CREATE INDEX idx_products_deleted ON products(deleted_at);
+CREATE INDEX idx_products_created ON products(created_at, product_id); -- newest-first listing keyset
+
+-- Sellable variants of a product, each with its own SKU and price. A product
+-- without any is sold as the single default variant var_<product_id>.
+DROP TABLE IF EXISTS product_variants;
+CREATE TABLE product_variants (
+  variant_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  sku TEXT UNIQUE,
+  price REAL NOT NULL CHECK (price >= 0),
+  attributes TEXT,                      -- JSON: {size, color, ...}
+  weight REAL,                          -- kg, for shipping
+  images TEXT,                          -- JSON array
+  position INTEGER NOT NULL DEFAULT 0,  -- display order within the product
+  compare_at_price REAL,                -- "was" price shown against price
+  created_at INTEGER,
+  updated_at INTEGER
+);
+
+CREATE INDEX idx_product_variants_product ON product_variants(product_id, position);
+
+-- Every regular price a product (variant_id NULL, metadata.price) or variant
+-- has had, written alongside each change of price or compare-at price
+DROP TABLE IF EXISTS product_price_history;
+CREATE TABLE product_price_history (
+  history_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id TEXT NOT NULL,
+  variant_id TEXT,
+  price REAL NOT NULL,
+  compare_at_price REAL,
+  changed_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_product_price_history_product ON product_price_history(product_id, changed_at);
+
+-- Scheduled sales: a fixed sale_price or a percent_off the regular price, for
+-- every variant of a product (variant_id NULL) or one variant, from starts_at
+-- until ends_at (open-ended when NULL). The lowest sale in effect wins.
+DROP TABLE IF EXISTS product_sales;
+CREATE TABLE product_sales (
+  sale_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  variant_id TEXT,
+  sale_price REAL CHECK (sale_price >= 0),
+  percent_off REAL CHECK (percent_off > 0 AND percent_off <= 100),
+  starts_at INTEGER NOT NULL,
+  ends_at INTEGER,
+  created_at INTEGER,
+  CHECK ((sale_price IS NULL) != (percent_off IS NULL)),
+  CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX idx_product_sales_product ON product_sales(product_id, starts_at);
+
+-- Full-text search index over live products, kept in sync by the product
+-- handlers. product_id is stored but not tokenized.
+DROP TABLE IF EXISTS products_fts;
+CREATE VIRTUAL TABLE products_fts USING fts5(
+  product_id UNINDEXED,
+  title,
+  description,
+  category,
+  sku,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Category tree. products.category holds a category slug; listing by a
+-- category includes every category below it.
+DROP TABLE IF EXISTS categories;
+CREATE TABLE categories (
+  category_id TEXT PRIMARY KEY,
+  slug TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT,
+  parent_id TEXT,                       -- NULL for a top-level category
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER,
+  updated_at INTEGER
+);
+
+CREATE INDEX idx_categories_parent ON categories(parent_id, sort_order);
+
+-- Customer reviews, one per user and product, from users with a delivered
+-- order for it. Only approved reviews are shown and counted in the product's
+-- rating_average and rating_count.
+DROP TABLE IF EXISTS product_reviews;
+CREATE TABLE product_reviews (
+  review_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  order_id TEXT,                        -- the delivered order that qualified the review
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  title TEXT,
+  body TEXT,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, approved, rejected
+  moderation_note TEXT,
+  created_at INTEGER,
+  updated_at INTEGER,
+  moderated_at INTEGER,
+  UNIQUE (product_id, user_id)
+);
+
+CREATE INDEX idx_product_reviews_product ON product_reviews(product_id, status, created_at, review_id);
+CREATE INDEX idx_product_reviews_status ON product_reviews(status, created_at, review_id); -- moderation queue
@@ -89,3 +89,16 @@ INSERT INTO products (product_id, sku, title, description, category, images, met
 
 -- AI Home Assistant
 ('pro_ai_home_030', 'SKU-AI-HOME-030', 'AI Home Control Hub', '2020s smart home AI controller. Unopened original. Controls entire home with voice commands. The future of home automation.', 'hardware', '[]', '{"price": 249.99, "era": "2020s", "isFeatured": false, "condition": "original", "rarity": "common", "brand": "HomeAI", "story": "Early smart home AI technology. This unopened unit represents the beginning of intelligent home automation.", "certification": "Authenticated by CyberVintage Labs", "timeline": "Manufactured: 2022 | Status: Mint Unopened", "origin": "Seattle, USA", "dimensions": "15cm × 15cm × 5cm", "weight": "450g", "warranty": "30 days authenticity guarantee", "collectorNotes": "Sealed original packaging", "energyRating": "A", "compatibility": "WiFi, Zigbee, Z-Wave", "attributes": {"connectivity": "wireless", "power": "AC adapter", "ai": "Voice assistant"}, "tags": ["ai", "smart home", "automation", "wireless"]}', strftime('%s','now'), strftime('%s','now'));
+
+-- Categories used by the seeded products
+INSERT INTO categories (category_id, slug, name, description, parent_id, sort_order, created_at, updated_at) VALUES
+('cat_hardware', 'hardware', 'Hardware', 'Computers, terminals and devices', NULL, 0, strftime('%s','now'), strftime('%s','now')),
+('cat_component', 'component', 'Components', 'Drives, boards and parts', 'cat_hardware', 0, strftime('%s','now'), strftime('%s','now')),
+('cat_console', 'console', 'Consoles', 'Gaming consoles', NULL, 1, strftime('%s','now'), strftime('%s','now')),
+('cat_wearable', 'wearable', 'Wearables', 'Devices you wear', NULL, 2, strftime('%s','now'), strftime('%s','now'));
+
+-- Index the seeded products for search
+INSERT INTO products_fts (product_id, title, description, category, sku)
+SELECT product_id, title, COALESCE(description, ''), COALESCE(category, ''), COALESCE(sku, '')
+FROM products
+WHERE deleted_at IS NULL;
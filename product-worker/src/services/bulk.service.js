@@ -0,0 +1,293 @@
+/**
+ * Bulk catalog import and export
+ *
+ * An import upserts products by SKU from CSV or NDJSON, one product per row
+ * with its variants and image URLs. Every row is validated with the product
+ * schemas and reported on; a row is written in one D1 batch, so a product
+ * never lands without its variants.
+ */
+import { listProductsBySkus, listVariantsBySkus, importProduct, listProductsPage, listVariantsForProducts } from '../db/queries.js';
+import { getCategorySlugs } from './category.service.js';
+import { refreshSearchIndex } from './search.service.js';
+import { createProductSchema, importVariantsSchema } from '../validators/product.validator.js';
+import { parseCsvRecords, toCsvLine } from '../helpers/csv.js';
+import { nowSec, parseJSONSafe } from '../helpers/utils.js';
+import { normalizeImages } from '../helpers/image.js';
+import { isUniqueViolation } from '../helpers/validation.js';
+import { IMPORT_MAX_ROWS, IMPORT_BATCH_SIZE, EXPORT_PAGE_SIZE } from '../config/constants.js';
+
+const IMPORT_COLUMNS = ['sku', 'title'];
+const EXPORT_COLUMNS = ['productId', 'sku', 'title', 'description', 'category', 'price', 'images', 'metadata', 'variants'];
+const IMAGE_SEPARATOR = '|';
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * A CSV record as an import row. images is a |-separated list of URLs,
+ * metadata and variants are JSON cells, and a price column sets
+ * metadata.price. A cell that is not valid JSON is kept as text, so the row
+ * fails validation instead of the file.
+ */
+function fromCsvRecord(record) {
+	const row = {};
+	for (const c of ['productId', 'sku', 'title', 'description', 'category']) {
+		if (record[c]) row[c] = record[c];
+	}
+	if (record.images) {
+		row.images = record.images
+			.split(IMAGE_SEPARATOR)
+			.map((url) => url.trim())
+			.filter(Boolean);
+	}
+	if (record.metadata) row.metadata = parseJSONSafe(record.metadata, record.metadata);
+	if (record.price)
+		row.metadata = isObject(row.metadata) ? { ...row.metadata, price: record.price } : (row.metadata ?? { price: record.price });
+	if (record.variants) row.variants = parseJSONSafe(record.variants, record.variants);
+	return row;
+}
+
+/**
+ * Rows of an import file: CSV text with a header line, NDJSON text (one
+ * product object per line), or already-parsed JSON rows. Throws
+ * { error: 'invalid_file' } when it cannot be read as rows.
+ */
+export function readImportRows({ csv, ndjson, rows }) {
+	if (Array.isArray(rows)) return rows;
+
+	if (typeof csv === 'string') {
+		const { columns, records } = parseCsvRecords(csv);
+		const missing = IMPORT_COLUMNS.filter((c) => !columns.includes(c));
+		if (missing.length) {
+			throw { error: 'invalid_file', message: `missing column(s): ${missing.join(', ')}` };
+		}
+		return records.map(fromCsvRecord);
+	}
+
+	if (typeof ndjson === 'string') {
+		const lines = ndjson.replace(/^\uFEFF/, '').split(/\r?\n/);
+		const parsed = [];
+		lines.forEach((line, i) => {
+			if (!line.trim()) return;
+			const row = parseJSONSafe(line, undefined);
+			if (!isObject(row)) {
+				throw { error: 'invalid_file', message: `line ${i + 1} is not a JSON object` };
+			}
+			parsed.push(row);
+		});
+		return parsed;
+	}
+
+	throw { error: 'invalid_file', message: 'expected CSV or NDJSON text, or a rows array' };
+}
+
+/**
+ * Validate rows into import lines, or an error per row. Rows are numbered
+ * from 1 in file order; a SKU used by an earlier row, as a product or as a
+ * variant, is rejected rather than silently winning.
+ */
+function validateRows(rows, categories) {
+	const seen = new Map();
+	return rows.map((raw, i) => {
+		const row = i + 1;
+		const { variants: rawVariants, ...fields } = isObject(raw) ? raw : {};
+
+		const errors = [];
+		const product = createProductSchema.validate(fields, { abortEarly: false, context: { categories } });
+		if (product.error) errors.push(...product.error.details.map((d) => d.message));
+		if (!product.error && !product.value.sku) errors.push('sku is required');
+		const variants = importVariantsSchema.validate(rawVariants, { abortEarly: false });
+		if (variants.error) errors.push(...variants.error.details.map((d) => d.message));
+		if (errors.length) {
+			return { row, sku: fields.sku ?? null, status: 'invalid', errors };
+		}
+
+		const { value } = product;
+		const skus = [value.sku, ...variants.value.map((v) => v.sku)];
+		const repeated = skus.find((sku, j) => seen.has(sku) || skus.indexOf(sku) !== j);
+		if (repeated) {
+			const where = seen.has(repeated) ? `row ${seen.get(repeated)}` : 'this row';
+			return { row, sku: value.sku, status: 'invalid', errors: [`sku "${repeated}" is already used by ${where}`] };
+		}
+		for (const sku of skus) seen.set(sku, row);
+
+		return {
+			row,
+			// Dimensions come from the row (an export carries them) rather than a
+			// lookup per image, which a full import could not afford
+			product: { ...value, images: normalizeImages(value.images) },
+			variants: variants.value.map((v) => ({ ...v, images: normalizeImages(v.images) })),
+		};
+	});
+}
+
+async function importBatch(env, lines, { dryRun, now }) {
+	const productSkus = lines.map((l) => l.product.sku);
+	const variantSkus = lines.flatMap((l) => l.variants.map((v) => v.sku));
+	const [products, variants] = await Promise.all([listProductsBySkus(env, productSkus), listVariantsBySkus(env, variantSkus)]);
+	const existing = new Map((products.results || []).map((r) => [r.sku, r]));
+	const variantOwners = new Map((variants.results || []).map((r) => [r.sku, r.product_id]));
+	const variantIds = new Map((variants.results || []).map((r) => [r.sku, r.variant_id]));
+
+	const results = [];
+	for (const l of lines) {
+		const { product } = l;
+		const current = existing.get(product.sku);
+		const productId = current?.product_id || product.productId || `pro_${crypto.randomUUID()}`;
+		const result = { row: l.row, sku: product.sku, productId, action: current ? 'update' : 'create', variants: l.variants.length };
+
+		if (current?.deleted_at) {
+			results.push({ ...result, status: 'failed', error: 'product_archived' });
+			continue;
+		}
+		if (current && product.productId && product.productId !== current.product_id) {
+			results.push({ ...result, status: 'failed', error: 'sku_conflict', message: `sku belongs to product ${current.product_id}` });
+			continue;
+		}
+		const taken = l.variants.find((v) => variantOwners.has(v.sku) && variantOwners.get(v.sku) !== productId);
+		if (taken) {
+			results.push({
+				...result,
+				status: 'failed',
+				error: 'sku_conflict',
+				message: `variant sku "${taken.sku}" belongs to another product`,
+			});
+			continue;
+		}
+		if (dryRun) {
+			results.push({ ...result, status: 'valid' });
+			continue;
+		}
+
+		try {
+			const variantsWithIds = l.variants.map((v) => ({ ...v, variantId: variantIds.get(v.sku) }));
+			const write = await importProduct(env, { ...product, productId, create: !current, now }, variantsWithIds);
+			// Archived since the read; nothing was written
+			if ((write?.meta?.changes ?? write?.changes ?? 0) === 0) {
+				results.push({ ...result, status: 'failed', error: 'product_archived' });
+				continue;
+			}
+		} catch (e) {
+			// Another write took the SKU or product id first
+			if (isUniqueViolation(e)) {
+				results.push({ ...result, status: 'failed', error: 'sku_conflict', message: e.message });
+				continue;
+			}
+			throw e;
+		}
+		await refreshSearchIndex(env, productId);
+		results.push({ ...result, status: current ? 'updated' : 'created' });
+	}
+	return results;
+}
+
+/**
+ * Validate and apply an import. With dryRun nothing is written and valid
+ * rows report whether they would create or update a product.
+ */
+export async function importProducts(env, rows, { dryRun = false } = {}) {
+	if (rows.length > IMPORT_MAX_ROWS) {
+		throw { error: 'too_many_rows', max: IMPORT_MAX_ROWS, rows: rows.length };
+	}
+
+	const now = nowSec();
+	const checked = validateRows(rows, await getCategorySlugs(env));
+	const lines = checked.filter((c) => !c.status);
+
+	const applied = new Map();
+	for (let i = 0; i < lines.length; i += IMPORT_BATCH_SIZE) {
+		for (const result of await importBatch(env, lines.slice(i, i + IMPORT_BATCH_SIZE), { dryRun, now })) {
+			applied.set(result.row, result);
+		}
+	}
+
+	const results = checked.map((c) => (c.status ? c : applied.get(c.row)));
+	const tally = (status) => results.filter((r) => r.status === status).length;
+	return {
+		dryRun,
+		total: results.length,
+		created: tally('created'),
+		updated: tally('updated'),
+		valid: tally('valid'),
+		invalid: tally('invalid'),
+		failed: tally('failed'),
+		results,
+	};
+}
+
+function exportRecord(row, variants) {
+	const metadata = parseJSONSafe(row.metadata, {});
+	return {
+		productId: row.product_id,
+		sku: row.sku,
+		title: row.title,
+		description: row.description,
+		category: row.category,
+		images: normalizeImages(parseJSONSafe(row.images, [])),
+		metadata,
+		variants: variants.map((v) => ({
+			sku: v.sku,
+			price: v.price,
+			compareAtPrice: v.compare_at_price ?? null,
+			attributes: parseJSONSafe(v.attributes, {}),
+			weight: v.weight,
+			images: normalizeImages(parseJSONSafe(v.images, [])),
+			position: v.position,
+		})),
+	};
+}
+
+function csvValues(record) {
+	return EXPORT_COLUMNS.map((c) => {
+		if (c === 'price') return record.metadata.price;
+		if (c === 'images') return record.images.map((image) => image.url).join(IMAGE_SEPARATOR);
+		if (c === 'metadata' || c === 'variants') return JSON.stringify(record[c]);
+		return record[c];
+	});
+}
+
+/**
+ * The live catalog as a stream, read page by page in product_id order so an
+ * export of any size never holds more than one page. Both formats use the
+ * import's row shape, so an export can be edited and fed back.
+ */
+export function exportCatalogStream(env, { format = 'csv' } = {}) {
+	const encoder = new TextEncoder();
+	let after = null;
+
+	return new ReadableStream({
+		start(controller) {
+			if (format === 'csv') controller.enqueue(encoder.encode(toCsvLine(EXPORT_COLUMNS)));
+		},
+		async pull(controller) {
+			try {
+				const rows = (await listProductsPage(env, after, EXPORT_PAGE_SIZE)).results || [];
+				const variants =
+					(
+						await listVariantsForProducts(
+							env,
+							rows.map((r) => r.product_id),
+						)
+					).results || [];
+
+				let chunk = '';
+				for (const r of rows) {
+					const record = exportRecord(
+						r,
+						variants.filter((v) => v.product_id === r.product_id),
+					);
+					chunk += format === 'csv' ? toCsvLine(csvValues(record)) : `${JSON.stringify(record)}\n`;
+				}
+
+				if (chunk) controller.enqueue(encoder.encode(chunk));
+				if (rows.length < EXPORT_PAGE_SIZE) {
+					controller.close();
+					return;
+				}
+				after = rows[rows.length - 1].product_id;
+			} catch (e) {
+				console.error('[PRODUCT.EXPORT] Error', e);
+				controller.error(e);
+			}
+		},
+	});
+}
@@ -0,0 +1,89 @@
+/**
+ * Catalog browsing: filtered, sorted product listing with facet counts
+ */
+import { getProducts, getCategoryFacets, getAttributeFacets } from '../db/queries.js';
+import { getProductsStock } from './inventory.service.js';
+import { enrichProductsWithStock } from './product.service.js';
+import { encodeCursor, decodeCursor } from '../helpers/utils.js';
+import { IN_STOCK_SCAN_SIZE } from '../config/constants.js';
+
+const positionOf = (row) => ({ key: row.sort_key, id: row.product_id });
+
+/**
+ * The listing position a cursor points after, or null when it is malformed
+ * or was issued for a different sort order.
+ */
+export function parseProductCursor(cursor, sort) {
+	const values = decodeCursor(cursor);
+	if (!values || values.length !== 3 || values[0] !== sort || typeof values[2] !== 'string') return null;
+	return { key: values[1], id: values[2] };
+}
+
+function cursorAfter(row, sort) {
+	return encodeCursor([sort, row.sort_key, row.product_id]);
+}
+
+/**
+ * Up to `wanted` live products with units available to sell. Stock lives in
+ * inventory, so candidates are read in listing order a round at a time and
+ * checked in one batch call per round.
+ */
+async function inStockRows(env, { filters, sort, offset, after }, wanted) {
+	const rows = [];
+	let skip = offset;
+	let position = after;
+	for (;;) {
+		const candidates = (await getProducts(env, IN_STOCK_SCAN_SIZE, 0, filters, sort, position)).results || [];
+		const stock = await getProductsStock(
+			env,
+			candidates.map((r) => r.product_id),
+		);
+
+		for (const row of candidates) {
+			const s = stock.get(row.product_id);
+			if (s.stock - s.reserved <= 0) continue;
+			if (skip > 0) {
+				skip--;
+				continue;
+			}
+			rows.push(row);
+			if (rows.length === wanted) return rows;
+		}
+
+		if (candidates.length < IN_STOCK_SCAN_SIZE) return rows;
+		position = positionOf(candidates[candidates.length - 1]);
+	}
+}
+
+function groupAttributeFacets(rows) {
+	const attributes = {};
+	for (const r of rows) {
+		(attributes[r.name] ||= []).push({ value: r.value, count: r.count });
+	}
+	return attributes;
+}
+
+/**
+ * One listing page plus facet counts for the same filters. One row past the
+ * page is read to tell whether nextCursor is needed. Facets count catalog
+ * matches and do not apply inStock.
+ */
+export async function listCatalog(env, { filters, sort, inStock, limit, offset, after = null }) {
+	const [rows, categories, attributes] = await Promise.all([
+		inStock
+			? inStockRows(env, { filters, sort, offset, after }, limit + 1)
+			: getProducts(env, limit + 1, offset, filters, sort, after).then((r) => r.results || []),
+		getCategoryFacets(env, filters),
+		getAttributeFacets(env, filters),
+	]);
+
+	const page = rows.slice(0, limit);
+	return {
+		products: await enrichProductsWithStock(env, page),
+		nextCursor: rows.length > limit ? cursorAfter(page[page.length - 1], sort) : null,
+		facets: {
+			categories: (categories.results || []).map((r) => ({ value: r.value, count: r.count })),
+			attributes: groupAttributeFacets(attributes.results || []),
+		},
+	};
+}
@@ -0,0 +1,39 @@
+/**
+ * Category business logic service
+ */
+import { listCategories } from '../db/queries.js';
+
+export function formatCategory(row) {
+	return {
+		categoryId: row.category_id,
+		slug: row.slug,
+		name: row.name,
+		description: row.description ?? null,
+		parentId: row.parent_id ?? null,
+		sortOrder: row.sort_order ?? 0,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+/**
+ * Nest category rows under their parents, keeping the row order within each
+ * level. A category whose parent no longer exists is shown at the top level.
+ */
+export function buildCategoryTree(rows) {
+	const nodes = new Map(rows.map((row) => [row.category_id, { ...formatCategory(row), children: [] }]));
+	const roots = [];
+	for (const node of nodes.values()) {
+		const parent = node.parentId && nodes.get(node.parentId);
+		(parent ? parent.children : roots).push(node);
+	}
+	return roots;
+}
+
+/**
+ * Slugs products may be filed under, for validating a product's category
+ */
+export async function getCategorySlugs(env) {
+	const rows = await listCategories(env);
+	return new Set((rows.results || []).map((row) => row.slug));
+}
@@ -0,0 +1,110 @@
+/**
+ * Product image lifecycle in R2
+ *
+ * Uploads land under products/ before the product that uses them is saved,
+ * and a product's images can be replaced or the product archived without its
+ * objects going away. An image is in use while a live product, or a variant
+ * of one, lists its URL; anything else older than the grace period is an
+ * orphan the scheduled cleanup deletes. The resized derivatives of an upload
+ * live outside products/ and are deleted along with it.
+ */
+import { listImageReferences, listReferencedImageUrls } from '../db/queries.js';
+import { imageKeysFromUrls, imageUrlForKey, withDerivativeKeys } from './r2.service.js';
+import { nowSec } from '../helpers/utils.js';
+import { IMAGE_PREFIX, ORPHAN_IMAGE_GRACE_SECONDS } from '../config/constants.js';
+
+const R2_LIST_LIMIT = 1000; // also the most keys one R2 delete accepts
+
+function formatImage(object, env, productIds) {
+	return {
+		key: object.key,
+		url: imageUrlForKey(object.key, env),
+		size: object.size,
+		contentType: object.httpMetadata?.contentType ?? null,
+		uploadedAt: Math.floor(new Date(object.uploaded).getTime() / 1000),
+		productIds,
+	};
+}
+
+/**
+ * Product ids using each of the given keys
+ */
+async function referencesFor(env, keys) {
+	const urls = keys.map((key) => imageUrlForKey(key, env));
+	const rows = (await listImageReferences(env, urls)).results || [];
+	const byKey = new Map(keys.map((key) => [key, []]));
+	for (const row of rows) {
+		const [key] = imageKeysFromUrls([row.url], env);
+		byKey.get(key)?.push(row.product_id);
+	}
+	return byKey;
+}
+
+/**
+ * A page of uploaded images in key order, each with the products using it
+ */
+export async function listImages(env, { limit, cursor }) {
+	const page = await env.PRODUCT_IMAGES.list({ prefix: IMAGE_PREFIX, limit, cursor, include: ['httpMetadata'] });
+	const references = await referencesFor(
+		env,
+		page.objects.map((o) => o.key),
+	);
+	return {
+		images: page.objects.map((o) => formatImage(o, env, references.get(o.key))),
+		nextCursor: page.truncated ? page.cursor : null,
+	};
+}
+
+/**
+ * Delete images by key. Images a live product still uses are left alone and
+ * reported with the products using them.
+ */
+export async function deleteImages(env, keys) {
+	const references = await referencesFor(env, keys);
+	const referenced = keys.filter((key) => references.get(key).length).map((key) => ({ key, productIds: references.get(key) }));
+	const deleted = keys.filter((key) => !references.get(key).length);
+
+	if (deleted.length) {
+		await env.PRODUCT_IMAGES.delete(withDerivativeKeys(deleted));
+	}
+	return { deleted, referenced };
+}
+
+/**
+ * Delete every image no live product uses that was uploaded more than the
+ * grace period ago. With dryRun the orphans are only reported.
+ */
+export async function cleanupOrphanImages(env, { dryRun = false, graceSeconds = ORPHAN_IMAGE_GRACE_SECONDS } = {}) {
+	const cutoff = nowSec() - graceSeconds;
+
+	const objects = [];
+	let cursor;
+	do {
+		const page = await env.PRODUCT_IMAGES.list({ prefix: IMAGE_PREFIX, limit: R2_LIST_LIMIT, cursor });
+		objects.push(...page.objects);
+		cursor = page.truncated ? page.cursor : undefined;
+	} while (cursor);
+
+	// Read after listing, so an image saved on a product meanwhile is seen as used
+	const urls = ((await listReferencedImageUrls(env)).results || []).map((r) => r.url);
+	const used = new Set(imageKeysFromUrls(urls, env));
+
+	const unused = objects.filter((o) => !used.has(o.key));
+	const orphans = unused.filter((o) => new Date(o.uploaded).getTime() / 1000 < cutoff).map((o) => o.key);
+
+	if (!dryRun) {
+		const keys = withDerivativeKeys(orphans);
+		for (let i = 0; i < keys.length; i += R2_LIST_LIMIT) {
+			await env.PRODUCT_IMAGES.delete(keys.slice(i, i + R2_LIST_LIMIT));
+		}
+	}
+
+	return {
+		dryRun,
+		scanned: objects.length,
+		inUse: objects.length - unused.length,
+		withinGrace: unused.length - orphans.length,
+		deleted: dryRun ? 0 : orphans.length,
+		orphans,
+	};
+}
@@ -5,7 +5,7 @@ import { callInternal } from '../helpers/hmac.js';
 
 export async function getProductStock(env, productId) {
 	if (!env.INVENTORY_SERVICE_URL || !env.INTERNAL_SECRET) {
-		return { stock: 0, reserved: 0 };
+		return { stock: 0, reserved: 0, variants: [] };
 	}
 
 	try {
@@ -14,11 +14,89 @@ export async function getProductStock(env, productId) {
 			return {
 				stock: inv.body.stock ?? 0,
 				reserved: inv.body.reserved ?? 0,
+				variants: Array.isArray(inv.body.variants) ? inv.body.variants : [],
+				stockPolicy: inv.body.stockPolicy || null,
 			};
 		}
 	} catch (e) {
 		console.error('Error fetching stock:', e);
 	}
 
-	return { stock: 0, reserved: 0 };
+	return { stock: 0, reserved: 0, variants: [] };
+}
+
+/**
+ * Stock for many products in one internal call, keyed by productId. Products
+ * inventory could not answer for report zero stock.
+ */
+export async function getProductsStock(env, productIds) {
+	const result = new Map(productIds.map((id) => [id, { stock: 0, reserved: 0, variants: [] }]));
+
+	if (!productIds.length || !env.INVENTORY_SERVICE_URL || !env.INTERNAL_SECRET) {
+		return result;
+	}
+
+	try {
+		const items = productIds.map((productId) => ({ productId }));
+		const inv = await callInternal(env.INVENTORY_SERVICE_URL, '/inventory/stock-batch', 'POST', { items }, env.INTERNAL_SECRET);
+		if (inv.ok && inv.body?.products) {
+			for (const id of productIds) {
+				const p = inv.body.products[id];
+				if (!p) continue;
+				result.set(id, {
+					stock: p.stock ?? 0,
+					reserved: p.reserved ?? 0,
+					variants: Array.isArray(p.variants) ? p.variants : [],
+					stockPolicy: p.stockPolicy || null,
+				});
+			}
+		} else {
+			console.error('Batch stock lookup failed:', inv.status, inv.body);
+		}
+	} catch (e) {
+		console.error('Error fetching batch stock:', e);
+	}
+
+	return result;
+}
+
+/**
+ * Stock and reserved units inventory holds for one variant, or null when
+ * inventory could not be asked.
+ */
+export async function getVariantStock(env, productId, variantId) {
+	if (!env.INVENTORY_SERVICE_URL || !env.INTERNAL_SECRET) {
+		return { stock: 0, reserved: 0 };
+	}
+
+	try {
+		const inv = await callInternal(env.INVENTORY_SERVICE_URL, '/inventory/product-stock', 'POST', { productId }, env.INTERNAL_SECRET);
+		if (inv.ok && inv.body) {
+			const variant = (Array.isArray(inv.body.variants) ? inv.body.variants : []).find((v) => v.variantId === variantId);
+			return { stock: variant?.stock ?? 0, reserved: variant?.reserved ?? 0 };
+		}
+		console.error('Variant stock lookup failed:', inv.status, inv.body);
+	} catch (e) {
+		console.error('Error fetching variant stock:', e);
+	}
+
+	return null;
+}
+
+export async function deactivateProductStock(env, productId) {
+	if (!env.INVENTORY_SERVICE_URL || !env.INTERNAL_SECRET) {
+		return false;
+	}
+
+	try {
+		const inv = await callInternal(env.INVENTORY_SERVICE_URL, '/inventory/product-deactivate', 'POST', { productId }, env.INTERNAL_SECRET);
+		if (inv.ok) {
+			return true;
+		}
+		console.error('Inventory deactivation failed:', inv.status, inv.body);
+	} catch (e) {
+		console.error('Error deactivating stock:', e);
+	}
+
+	return false;
 }
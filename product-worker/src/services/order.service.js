@@ -0,0 +1,26 @@
+/**
+ * Order service integration
+ */
+import { callInternal } from '../helpers/hmac.js';
+
+/**
+ * Whether the user has a delivered order containing the product, as
+ * { purchased, orderId }, or null when the order service cannot say.
+ */
+export async function getDeliveredPurchase(env, userId, productId) {
+	if (!env.ORDER_SERVICE_URL || !env.INTERNAL_SECRET) {
+		return null;
+	}
+
+	try {
+		const res = await callInternal(env.ORDER_SERVICE_URL, '/orders/purchase-check', 'POST', { userId, productId }, env.INTERNAL_SECRET);
+		if (res.ok && res.body) {
+			return { purchased: Boolean(res.body.purchased), orderId: res.body.orderId ?? null };
+		}
+		console.error('Purchase check failed:', res.status, res.body);
+	} catch (e) {
+		console.error('Error checking purchase:', e);
+	}
+
+	return null;
+}
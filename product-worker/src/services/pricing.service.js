@@ -0,0 +1,72 @@
+/**
+ * Sale pricing and price history formatting
+ *
+ * A variant has a regular price and may have a compare-at price (the "was"
+ * price shown struck through). A sale lowers the price of one variant, or of
+ * every variant of a product, between its start and end; while one is in
+ * effect the regular price becomes the compare-at price. Prices are worked
+ * out when a product is read, so a sale starts and ends without any write.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * The price a sale sells at, given the regular price
+ */
+export function salePrice(sale, regular) {
+	if (sale.sale_price !== null && sale.sale_price !== undefined) return sale.sale_price;
+	return round2(regular * (1 - sale.percent_off / 100));
+}
+
+export function saleStatus(sale, now) {
+	if (sale.starts_at > now) return 'scheduled';
+	if (sale.ends_at !== null && sale.ends_at !== undefined && sale.ends_at <= now) return 'ended';
+	return 'active';
+}
+
+/**
+ * The price in effect for a variant: { price, compareAtPrice, saleEndsAt }.
+ * `sales` are the product's active sales; those for the whole product or this
+ * variant apply, and the lowest price under the regular one wins. On sale,
+ * compareAtPrice is the regular price, which is also the price again once
+ * saleEndsAt passes; otherwise it is the variant's own compare-at price when
+ * that is above the price.
+ */
+export function effectivePrice(regular, compareAtPrice, variantId, sales) {
+	let best = null;
+	for (const sale of sales) {
+		if (sale.variant_id && sale.variant_id !== variantId) continue;
+		const price = salePrice(sale, regular);
+		if (price < regular && (!best || price < best.price)) {
+			best = { price, endsAt: sale.ends_at ?? null };
+		}
+	}
+
+	if (best) {
+		return { price: best.price, compareAtPrice: regular, saleEndsAt: best.endsAt };
+	}
+	return { price: regular, compareAtPrice: compareAtPrice > regular ? compareAtPrice : null, saleEndsAt: null };
+}
+
+export function formatSale(row, now) {
+	return {
+		saleId: row.sale_id,
+		productId: row.product_id,
+		variantId: row.variant_id ?? null,
+		salePrice: row.sale_price ?? null,
+		percentOff: row.percent_off ?? null,
+		startsAt: row.starts_at,
+		endsAt: row.ends_at ?? null,
+		status: saleStatus(row, now),
+		createdAt: row.created_at,
+	};
+}
+
+export function formatPriceChange(row) {
+	return {
+		variantId: row.variant_id ?? null,
+		price: row.price,
+		compareAtPrice: row.compare_at_price ?? null,
+		changedAt: row.changed_at,
+	};
+}
@@ -1,13 +1,82 @@
 /**
  * Product business logic service
  */
-import { parseJSONSafe } from '../helpers/utils.js';
-import { getProductStock } from './inventory.service.js';
+import { nowSec, parseJSONSafe } from '../helpers/utils.js';
+import { normalizeImages } from '../helpers/image.js';
+import { getProductStock, getProductsStock } from './inventory.service.js';
+import { formatRating } from './review.service.js';
+import { effectivePrice } from './pricing.service.js';
+import { listProductVariants, listVariantsForProducts, listActiveSales } from '../db/queries.js';
 
-export function transformProductRow(row, stock = 0, reserved = 0) {
+export function formatVariant(row) {
+	return {
+		variantId: row.variant_id,
+		productId: row.product_id,
+		sku: row.sku ?? null,
+		price: row.price,
+		compareAtPrice: row.compare_at_price ?? null,
+		attributes: parseJSONSafe(row.attributes, {}),
+		weight: row.weight ?? null,
+		images: normalizeImages(parseJSONSafe(row.images, [])),
+		position: row.position ?? 0,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+/**
+ * Build the variant list for a product from its product_variants rows; a
+ * product without any is sold as the single default variant
+ * `var_<productId>`. Stock comes from inventory's per-variant figures and
+ * prices from the product's active sales.
+ */
+function buildVariants(row, metadata, stock, reserved, variantStock, variantRows, sales) {
+	const stockByVariant = new Map(variantStock.map((v) => [v.variantId, v]));
+
+	if (variantRows.length === 0) {
+		const variantId = `var_${row.product_id}`;
+		const inv = stockByVariant.get(variantId);
+		return [
+			{
+				variantId,
+				code: row.sku || variantId,
+				...effectivePrice(metadata.price || 0, metadata.compareAtPrice, variantId, sales),
+				stock: inv ? inv.stock : stock,
+				reserved: inv ? inv.reserved : reserved,
+				attributes: metadata.attributes || {},
+				weight: metadata.weight ?? null,
+				images: [],
+			},
+		];
+	}
+
+	return variantRows.map((r) => {
+		const v = formatVariant(r);
+		const inv = stockByVariant.get(v.variantId);
+		return {
+			variantId: v.variantId,
+			code: v.sku || v.variantId,
+			...effectivePrice(v.price, v.compareAtPrice, v.variantId, sales),
+			stock: inv?.stock ?? 0,
+			reserved: inv?.reserved ?? 0,
+			attributes: v.attributes,
+			weight: v.weight,
+			images: v.images,
+		};
+	});
+}
+
+// Inventory sells nothing beyond stock unless a product has a policy saying otherwise
+const DEFAULT_STOCK_POLICY = { policy: 'deny', backorderLimit: null, releaseDate: null, leadTimeDays: null };
+
+/**
+ * A product as returned by the API. Its price, compareAtPrice and saleEndsAt
+ * are those of its cheapest variant.
+ */
+export function transformProductRow(row, stock = 0, reserved = 0, variantStock = [], stockPolicy = null, variantRows = [], sales = []) {
 	const metadata = parseJSONSafe(row.metadata, {});
-	const price = metadata.price || 0;
-	const variantId = `var_${row.product_id}`;
+	const variants = buildVariants(row, metadata, stock, reserved, variantStock, variantRows, sales);
+	const cheapest = variants.reduce((min, v) => (v.price < min.price ? v : min));
 
 	return {
 		productId: row.product_id,
@@ -15,29 +84,69 @@ export function transformProductRow(row, stock = 0, reserved = 0) {
 		title: row.title,
 		description: row.description,
 		category: row.category,
-		images: parseJSONSafe(row.images, []),
+		images: normalizeImages(parseJSONSafe(row.images, [])),
 		metadata: metadata,
+		price: cheapest.price,
+		compareAtPrice: cheapest.compareAtPrice,
+		saleEndsAt: cheapest.saleEndsAt,
 		stock: stock,
 		reserved: reserved,
-		variants: [
-			{
-				variantId,
-				code: row.sku || variantId,
-				price: price,
-				stock: stock,
-				attributes: metadata.attributes || {},
-			},
-		],
+		variants,
+		stockPolicy: stockPolicy || { ...DEFAULT_STOCK_POLICY },
+		rating: formatRating(row),
 		createdAt: row.created_at,
 		updatedAt: row.updated_at,
 	};
 }
 
 export async function enrichProductWithStock(env, productRow) {
-	const stockData = await getProductStock(env, productRow.product_id);
-	return transformProductRow(productRow, stockData.stock, stockData.reserved);
+	const [stockData, variants, sales] = await Promise.all([
+		getProductStock(env, productRow.product_id),
+		listProductVariants(env, productRow.product_id),
+		listActiveSales(env, [productRow.product_id], nowSec()),
+	]);
+	return transformProductRow(
+		productRow,
+		stockData.stock,
+		stockData.reserved,
+		stockData.variants,
+		stockData.stockPolicy,
+		variants.results || [],
+		sales.results || [],
+	);
+}
+
+function groupByProduct(rows) {
+	const byId = new Map();
+	for (const r of rows || []) {
+		if (!byId.has(r.product_id)) byId.set(r.product_id, []);
+		byId.get(r.product_id).push(r);
+	}
+	return byId;
 }
 
 export async function enrichProductsWithStock(env, productRows) {
-	return await Promise.all(productRows.map((row) => enrichProductWithStock(env, row)));
+	const productIds = [...new Set(productRows.map((row) => row.product_id))];
+	// One batched inventory call for the whole page instead of one per product
+	const [stockById, variants, sales] = await Promise.all([
+		getProductsStock(env, productIds),
+		listVariantsForProducts(env, productIds),
+		listActiveSales(env, productIds, nowSec()),
+	]);
+
+	const variantsById = groupByProduct(variants.results);
+	const salesById = groupByProduct(sales.results);
+
+	return productRows.map((row) => {
+		const stockData = stockById.get(row.product_id);
+		return transformProductRow(
+			row,
+			stockData.stock,
+			stockData.reserved,
+			stockData.variants,
+			stockData.stockPolicy,
+			variantsById.get(row.product_id) || [],
+			salesById.get(row.product_id) || [],
+		);
+	});
 }
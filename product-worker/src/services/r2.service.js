@@ -1,7 +1,74 @@
 /**
  * R2 storage service for product images
  */
-import { MAX_IMAGE_SIZE, CACHE_CONTROL } from '../config/constants.js';
+import { MAX_IMAGE_SIZE, CACHE_CONTROL, IMAGE_DERIVATIVE_PREFIX, IMAGE_DERIVATIVE_WIDTHS } from '../config/constants.js';
+import { sniffImage, normalizeImages } from '../helpers/image.js';
+
+/**
+ * Identify an upload by its bytes. Throws { error: 'invalid_image' } for
+ * anything that is not a PNG, JPEG, WebP or GIF image, whatever it claims to be.
+ */
+function checkImage(imageData) {
+	const image = sniffImage(imageData);
+	if (!image) {
+		throw { error: 'invalid_image', message: 'File is not a PNG, JPEG, WebP or GIF image' };
+	}
+	return image;
+}
+
+/**
+ * R2 key of the copy of the image at key scaled down to width
+ */
+function derivativeKey(key, width) {
+	return `${IMAGE_DERIVATIVE_PREFIX}${key}/w${width}.webp`;
+}
+
+function derivativeUrls(key, widths, env) {
+	return widths.map((width) => ({ width, url: imageUrlForKey(derivativeKey(key, width), env) }));
+}
+
+/**
+ * Keys of uploaded images followed by the keys their derivatives may be
+ * stored under, for deleting an image together with its resized copies
+ */
+export function withDerivativeKeys(keys) {
+	return keys.flatMap((key) => [key, ...IMAGE_DERIVATIVE_WIDTHS.map((width) => derivativeKey(key, width))]);
+}
+
+/**
+ * Store an image with its detected type, then a WebP copy of it for each
+ * IMAGE_DERIVATIVE_WIDTHS width below its own (every width when its own is
+ * unknown), made with the Images binding. Width, height, format and the
+ * derivative widths go in the object's custom metadata so they can be read
+ * back without the file. Returns the derivatives as { width, url }; there are
+ * none without the binding.
+ */
+async function storeImage(env, filePath, imageData, image) {
+	const widths = env.IMAGES ? IMAGE_DERIVATIVE_WIDTHS.filter((width) => image.width === null || width < image.width) : [];
+
+	await env.PRODUCT_IMAGES.put(filePath, imageData, {
+		httpMetadata: {
+			contentType: image.contentType,
+			cacheControl: CACHE_CONTROL,
+		},
+		customMetadata: {
+			format: image.format,
+			...(image.width !== null ? { width: String(image.width), height: String(image.height) } : {}),
+			...(widths.length ? { derivatives: widths.join(',') } : {}),
+		},
+	});
+
+	for (const width of widths) {
+		const output = await env.IMAGES.input(new Blob([imageData]).stream())
+			.transform({ width, fit: 'scale-down' })
+			.output({ format: 'image/webp' });
+		await env.PRODUCT_IMAGES.put(derivativeKey(filePath, width), await output.response().arrayBuffer(), {
+			httpMetadata: { contentType: 'image/webp', cacheControl: CACHE_CONTROL },
+		});
+	}
+
+	return derivativeUrls(filePath, widths, env);
+}
 
 export async function uploadImageToR2(imageFile, env) {
 	if (!env.PRODUCT_IMAGES || !env.R2_PUBLIC_URL) {
@@ -13,25 +80,19 @@ export async function uploadImageToR2(imageFile, env) {
 		throw new Error('File too large. Maximum size is 10MB');
 	}
 
+	const image = checkImage(imageData);
 	const fileName = imageFile.name || `image_${crypto.randomUUID()}`;
 	const filePath = `products/${Date.now()}_${crypto.randomUUID()}_${fileName}`;
-	const mimeType = imageFile.type || 'image/jpeg';
 
-	await env.PRODUCT_IMAGES.put(filePath, imageData, {
-		httpMetadata: {
-			contentType: mimeType,
-			cacheControl: CACHE_CONTROL,
-		},
-	});
+	const derivatives = await storeImage(env, filePath, imageData, image);
 
-	return `${env.R2_PUBLIC_URL}/${filePath}`;
+	return { url: `${env.R2_PUBLIC_URL}/${filePath}`, alt: null, width: image.width, height: image.height, derivatives };
 }
 
 export async function handleImageUpload(req, env) {
 	const contentType = req.headers.get('content-type') || '';
 	let imageData;
 	let fileName;
-	let mimeType;
 
 	if (contentType.includes('multipart/form-data')) {
 		const formData = await req.formData();
@@ -42,17 +103,10 @@ export async function handleImageUpload(req, env) {
 		}
 
 		imageData = await file.arrayBuffer();
-		fileName = file.name || `image_${crypto.randomUUID()}`;
-		mimeType = file.type || 'image/jpeg';
+		fileName = file.name || null;
 	} else {
 		// Direct binary upload
 		imageData = await req.arrayBuffer();
-		const contentTypeHeader = req.headers.get('content-type');
-		mimeType = contentTypeHeader || 'image/jpeg';
-
-		// Generate filename from timestamp
-		const ext = mimeType.includes('png') ? 'png' : mimeType.includes('gif') ? 'gif' : 'jpg';
-		fileName = `image_${Date.now()}_${crypto.randomUUID().slice(0, 8)}.${ext}`;
 	}
 
 	if (!imageData || imageData.byteLength === 0) {
@@ -63,19 +117,72 @@ export async function handleImageUpload(req, env) {
 		throw new Error('File too large. Maximum size is 10MB');
 	}
 
+	const image = checkImage(imageData);
+	// Name direct uploads after the detected type, not the header
+	const ext = image.format === 'jpeg' ? 'jpg' : image.format;
+	fileName = fileName || `image_${Date.now()}_${crypto.randomUUID().slice(0, 8)}.${ext}`;
 	const filePath = `products/${Date.now()}_${crypto.randomUUID()}_${fileName}`;
 
-	await env.PRODUCT_IMAGES.put(filePath, imageData, {
-		httpMetadata: {
-			contentType: mimeType,
-			cacheControl: CACHE_CONTROL,
-		},
-	});
+	const derivatives = await storeImage(env, filePath, imageData, image);
 
 	return {
 		url: `${env.R2_PUBLIC_URL}/${filePath}`,
 		path: filePath,
 		size: imageData.byteLength,
-		contentType: mimeType,
+		contentType: image.contentType,
+		width: image.width,
+		height: image.height,
+		derivatives,
 	};
 }
+
+/**
+ * Map public image URLs back to R2 object keys. URLs that do not point at
+ * our bucket (external images) are skipped.
+ */
+export function imageKeysFromUrls(urls, env) {
+	if (!env.R2_PUBLIC_URL || !Array.isArray(urls)) return [];
+
+	const prefix = `${env.R2_PUBLIC_URL.replace(/\/$/, '')}/`;
+	return urls.filter((url) => typeof url === 'string' && url.startsWith(prefix)).map((url) => url.slice(prefix.length));
+}
+
+export function imageUrlForKey(key, env) {
+	return `${env.R2_PUBLIC_URL.replace(/\/$/, '')}/${key}`;
+}
+
+export async function deleteImagesFromR2(urls, env) {
+	if (!env.PRODUCT_IMAGES) {
+		throw new Error('R2 not configured');
+	}
+
+	const keys = imageKeysFromUrls(urls, env);
+	if (keys.length > 0) {
+		await env.PRODUCT_IMAGES.delete(withDerivativeKeys(keys));
+	}
+
+	return keys;
+}
+
+/**
+ * Image objects for a product's images list. Our own uploads get their
+ * derivatives from their R2 metadata, and their width and height where the
+ * list does not give them.
+ */
+export async function resolveImages(images, env) {
+	return await Promise.all(
+		normalizeImages(images).map(async (image) => {
+			if (!env.PRODUCT_IMAGES) return image;
+			const [key] = imageKeysFromUrls([image.url], env);
+			if (!key) return image;
+
+			const object = await env.PRODUCT_IMAGES.head(key);
+			const metadata = object?.customMetadata || {};
+			const widths = metadata.derivatives ? metadata.derivatives.split(',').map(Number) : [];
+			const resolved = { ...image, derivatives: derivativeUrls(key, widths, env) };
+			const width = Number(metadata.width);
+			const height = Number(metadata.height);
+			return image.width === null && width && height ? { ...resolved, width, height } : resolved;
+		}),
+	);
+}
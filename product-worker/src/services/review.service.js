@@ -0,0 +1,57 @@
+/**
+ * Product review formatting and paging
+ */
+import { encodeCursor, decodeCursor } from '../helpers/utils.js';
+
+/**
+ * A review as returned by the API. The reviewer's user and order ids are only
+ * shown to admins.
+ */
+export function formatReview(row, { admin = false } = {}) {
+	const review = {
+		reviewId: row.review_id,
+		productId: row.product_id,
+		rating: row.rating,
+		title: row.title,
+		body: row.body,
+		verifiedPurchase: true,
+		createdAt: row.created_at,
+	};
+	if (!admin) return review;
+	return {
+		...review,
+		userId: row.user_id,
+		orderId: row.order_id,
+		status: row.status,
+		moderationNote: row.moderation_note,
+		moderatedAt: row.moderated_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+export function formatRating(row) {
+	return { average: row.rating_average ?? null, count: row.rating_count ?? 0 };
+}
+
+/**
+ * The (created_at, review_id) a cursor points after, or null when it is not
+ * one we issued
+ */
+export function parseReviewCursor(cursor) {
+	const values = decodeCursor(cursor);
+	if (!values || values.length !== 2 || !Number.isInteger(values[0]) || typeof values[1] !== 'string') return null;
+	return { createdAt: values[0], reviewId: values[1] };
+}
+
+/**
+ * A page from rows read with one row past the limit, which tells whether
+ * another page follows
+ */
+export function toReviewPage(rows, limit, options) {
+	const page = rows.slice(0, limit);
+	const last = page[page.length - 1];
+	return {
+		reviews: page.map((row) => formatReview(row, options)),
+		nextCursor: rows.length > limit ? encodeCursor([last.created_at, last.review_id]) : null,
+	};
+}
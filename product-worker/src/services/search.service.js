@@ -0,0 +1,45 @@
+/**
+ * Product search over the products_fts index
+ */
+import { searchProducts, syncProductSearchIndex } from '../db/queries.js';
+import { enrichProductsWithStock } from './product.service.js';
+
+/**
+ * Turn free text into an FTS5 expression. Every word must match, as a prefix
+ * so partial input still finds results; words are quoted so FTS5 operators
+ * and punctuation in the input are never interpreted. Null when the text has
+ * no words at all.
+ */
+export function toMatchExpression(text) {
+	const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+	if (words.length === 0) return null;
+	return words.map((w) => `"${w}"*`).join(' ');
+}
+
+export async function searchCatalog(env, q, limit, offset) {
+	const match = toMatchExpression(q);
+	if (!match) return [];
+
+	const rows = (await searchProducts(env, match, limit, offset)).results || [];
+	const products = await enrichProductsWithStock(env, rows);
+
+	return products.map((product, i) => ({
+		...product,
+		highlight: { title: rows[i].title_highlight, description: rows[i].description_snippet || null },
+		score: -rows[i].search_rank,
+	}));
+}
+
+/**
+ * Bring a product's search entry in line with its row after a write. The
+ * write itself has already succeeded, so a failure here is only logged.
+ */
+export async function refreshSearchIndex(env, productId) {
+	try {
+		await syncProductSearchIndex(env, productId);
+		return true;
+	} catch (error) {
+		console.error('Search index sync error:', error);
+		return false;
+	}
+}
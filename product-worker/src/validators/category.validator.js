@@ -0,0 +1,28 @@
+/**
+ * Joi validation schemas for categories
+ */
+import Joi from 'joi';
+
+const slugSchema = Joi.string()
+	.max(100)
+	.pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+	.messages({ 'string.pattern.base': 'slug must be lowercase letters and digits separated by single hyphens' });
+
+export const createCategorySchema = Joi.object({
+	categoryId: Joi.string().max(100).optional(),
+	slug: slugSchema.required(),
+	name: Joi.string().min(1).max(200).required(),
+	description: Joi.string().max(2000).optional().allow(null, ''),
+	parentId: Joi.string().max(100).optional().allow(null),
+	sortOrder: Joi.number().integer().optional().default(0),
+});
+
+export const updateCategorySchema = Joi.object({
+	slug: slugSchema.optional(),
+	name: Joi.string().min(1).max(200).optional(),
+	description: Joi.string().max(2000).optional().allow(null, ''),
+	parentId: Joi.string().max(100).optional().allow(null),
+	sortOrder: Joi.number().integer().optional(),
+})
+	.min(1)
+	.messages({ 'object.min': 'No fields to update' });
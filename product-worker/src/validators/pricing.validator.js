@@ -0,0 +1,25 @@
+/**
+ * Joi validation schemas for sale prices
+ */
+import Joi from 'joi';
+import { nowSec } from '../helpers/utils.js';
+
+// A sale sets either its price or a percentage off the regular price; times are unix seconds
+export const createSaleSchema = Joi.object({
+	variantId: Joi.string().max(100).optional().allow(null),
+	salePrice: Joi.number().min(0).optional(),
+	percentOff: Joi.number().greater(0).max(100).optional(),
+	startsAt: Joi.number()
+		.integer()
+		.min(0)
+		.optional()
+		.default(() => nowSec()),
+	endsAt: Joi.number()
+		.integer()
+		.greater(Joi.ref('startsAt'))
+		.optional()
+		.allow(null)
+		.messages({ 'number.greater': 'endsAt must be after startsAt' }),
+})
+	.xor('salePrice', 'percentOff')
+	.messages({ 'object.missing': 'salePrice or percentOff is required', 'object.xor': 'Give salePrice or percentOff, not both' });
@@ -2,6 +2,58 @@
  * Joi validation schemas for products
  */
 import Joi from 'joi';
+import {
+	PRODUCT_SORT_ORDERS,
+	DEFAULT_PRODUCT_SORT,
+	EXPORT_FORMATS,
+	IMAGE_PREFIX,
+	DEFAULT_IMAGE_LIST_LIMIT,
+	MAX_IMAGE_DELETE_KEYS,
+} from '../config/constants.js';
+
+/**
+ * A category slug. Validated with { context: { categories } } (a Set of known
+ * slugs), it must name an existing category.
+ */
+const categorySchema = Joi.string()
+	.max(100)
+	.optional()
+	.allow(null, '')
+	.custom((value, helpers) => {
+		const known = helpers.prefs.context?.categories;
+		return !value || !known || known.has(value) ? value : helpers.error('any.invalid');
+	})
+	.messages({ 'any.invalid': 'category "{#value}" does not exist' });
+
+/**
+ * An image: a bare URL, or { url, alt } with optional known dimensions and
+ * resized copies, as the upload endpoint returns it
+ */
+const imageSchema = Joi.alternatives().try(
+	Joi.string().uri(),
+	Joi.object({
+		url: Joi.string().uri().required(),
+		alt: Joi.string().max(500).optional().allow(null, ''),
+		width: Joi.number().integer().min(1).optional().allow(null),
+		height: Joi.number().integer().min(1).optional().allow(null),
+		derivatives: Joi.array()
+			.items(Joi.object({ width: Joi.number().integer().min(1).required(), url: Joi.string().uri().required() }))
+			.optional(),
+	}),
+);
+
+/**
+ * A "was" price shown struck through beside the price; it must be above the
+ * price it goes with
+ */
+const compareAtPriceSchema = Joi.number()
+	.min(0)
+	.optional()
+	.allow(null)
+	.when('price', {
+		is: Joi.exist(),
+		then: Joi.number().greater(Joi.ref('price')).messages({ 'number.greater': 'compareAtPrice must be above price' }),
+	});
 
 export const createProductSchema = Joi.object({
 	productId: Joi.string().optional(),
@@ -12,10 +64,11 @@ export const createProductSchema = Joi.object({
 		'string.max': 'Title must not exceed 500 characters',
 	}),
 	description: Joi.string().max(5000).optional().allow(null, ''),
-	category: Joi.string().max(100).optional().allow(null, ''),
-	images: Joi.alternatives().try(Joi.array().items(Joi.string().uri()), Joi.string().uri()).optional().default([]),
+	category: categorySchema,
+	images: Joi.alternatives().try(Joi.array().items(imageSchema), imageSchema).optional().default([]),
 	metadata: Joi.object({
 		price: Joi.number().min(0).optional(),
+		compareAtPrice: compareAtPriceSchema,
 		weight: Joi.number().min(0).optional(),
 		attributes: Joi.object().optional(),
 	})
@@ -27,10 +80,11 @@ export const updateProductSchema = Joi.object({
 	sku: Joi.string().max(100).optional().allow(null, ''),
 	title: Joi.string().min(1).max(500).optional(),
 	description: Joi.string().max(5000).optional().allow(null, ''),
-	category: Joi.string().max(100).optional().allow(null, ''),
-	images: Joi.alternatives().try(Joi.array().items(Joi.string().uri()), Joi.string().uri()).optional(),
+	category: categorySchema,
+	images: Joi.alternatives().try(Joi.array().items(imageSchema), imageSchema).optional(),
 	metadata: Joi.object({
 		price: Joi.number().min(0).optional(),
+		compareAtPrice: compareAtPriceSchema,
 		weight: Joi.number().min(0).optional(),
 		attributes: Joi.object().optional(),
 	}).optional(),
@@ -39,4 +93,98 @@ export const updateProductSchema = Joi.object({
 export const getProductsQuerySchema = Joi.object({
 	limit: Joi.number().integer().min(1).max(100).optional().default(20),
 	offset: Joi.number().integer().min(0).optional().default(0),
+	category: Joi.string().max(100).optional(),
+	minPrice: Joi.number().min(0).optional(),
+	maxPrice: Joi.number()
+		.min(0)
+		.optional()
+		.when('minPrice', {
+			is: Joi.exist(),
+			then: Joi.number().min(Joi.ref('minPrice')).messages({ 'number.min': 'maxPrice must not be below minPrice' }),
+		}),
+	inStock: Joi.boolean().optional().default(false),
+	sort: Joi.string()
+		.valid(...PRODUCT_SORT_ORDERS)
+		.optional()
+		.default(DEFAULT_PRODUCT_SORT),
+	cursor: Joi.string().max(1000).optional(),
+	attributes: Joi.object()
+		.pattern(/^[A-Za-z0-9_-]{1,50}$/, Joi.array().items(Joi.string().max(100)).min(1).max(20))
+		.max(10)
+		.optional()
+		.default({}),
+});
+
+export const searchProductsQuerySchema = Joi.object({
+	q: Joi.string().trim().min(1).max(200).required().messages({
+		'any.required': 'q is required',
+		'string.empty': 'q is required',
+	}),
+	limit: Joi.number().integer().min(1).max(100).optional().default(20),
+	offset: Joi.number().integer().min(0).optional().default(0),
+});
+
+export const createVariantSchema = Joi.object({
+	variantId: Joi.string().max(100).optional(),
+	sku: Joi.string().max(100).optional().allow(null, ''),
+	price: Joi.number().min(0).required(),
+	compareAtPrice: compareAtPriceSchema,
+	attributes: Joi.object().optional().default({}),
+	weight: Joi.number().min(0).optional().allow(null),
+	images: Joi.array().items(imageSchema).optional().default([]),
+	position: Joi.number().integer().min(0).optional().default(0),
+});
+
+export const updateVariantSchema = Joi.object({
+	sku: Joi.string().max(100).optional().allow(null, ''),
+	price: Joi.number().min(0).optional(),
+	compareAtPrice: compareAtPriceSchema,
+	attributes: Joi.object().optional(),
+	weight: Joi.number().min(0).optional().allow(null),
+	images: Joi.array().items(imageSchema).optional(),
+	position: Joi.number().integer().min(0).optional(),
+})
+	.min(1)
+	.messages({ 'object.min': 'No fields to update' });
+
+/**
+ * Variants of an imported product. They are matched by SKU, so it is required.
+ */
+export const importVariantsSchema = Joi.array()
+	.items(
+		createVariantSchema.keys({
+			sku: Joi.string()
+				.max(100)
+				.required()
+				.messages({ 'any.required': 'variant sku is required', 'string.empty': 'variant sku is required' }),
+		}),
+	)
+	.max(100)
+	.optional()
+	.default([]);
+
+export const exportQuerySchema = Joi.object({
+	format: Joi.string()
+		.valid(...EXPORT_FORMATS)
+		.default('csv')
+		.messages({ 'any.only': `format must be one of ${EXPORT_FORMATS.join(', ')}` }),
+});
+
+export const listImagesQuerySchema = Joi.object({
+	limit: Joi.number().integer().min(1).max(100).optional().default(DEFAULT_IMAGE_LIST_LIMIT),
+	cursor: Joi.string().max(1000).optional(),
+});
+
+export const deleteImagesSchema = Joi.object({
+	keys: Joi.array()
+		.items(
+			Joi.string()
+				.max(1024)
+				.pattern(new RegExp(`^${IMAGE_PREFIX}`))
+				.messages({ 'string.pattern.base': `keys must start with ${IMAGE_PREFIX}` }),
+		)
+		.min(1)
+		.max(MAX_IMAGE_DELETE_KEYS)
+		.unique()
+		.required(),
 });
@@ -0,0 +1,30 @@
+/**
+ * Joi validation schemas for product reviews
+ */
+import Joi from 'joi';
+import { REVIEW_STATUSES, DEFAULT_REVIEW_PAGE_SIZE, MAX_REVIEW_PAGE_SIZE } from '../config/constants.js';
+
+// userId is set by the gateway from the signed-in user, never by the client
+export const createReviewSchema = Joi.object({
+	userId: Joi.string().max(200).required(),
+	rating: Joi.number().integer().min(1).max(5).required(),
+	title: Joi.string().max(200).optional().allow(null, ''),
+	body: Joi.string().max(5000).optional().allow(null, ''),
+});
+
+export const moderateReviewSchema = Joi.object({
+	status: Joi.string().valid('approved', 'rejected').required(),
+	note: Joi.string().max(1000).optional().allow(null, ''),
+});
+
+export const reviewPageQuerySchema = Joi.object({
+	limit: Joi.number().integer().min(1).max(MAX_REVIEW_PAGE_SIZE).optional().default(DEFAULT_REVIEW_PAGE_SIZE),
+	cursor: Joi.string().max(500).optional(),
+});
+
+export const reviewQueueQuerySchema = reviewPageQuerySchema.keys({
+	status: Joi.string()
+		.valid(...REVIEW_STATUSES)
+		.optional()
+		.default('pending'),
+});
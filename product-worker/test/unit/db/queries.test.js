@@ -26,7 +26,7 @@ describe('db.queries', () => {
 	});
 
 	describe('getProducts', () => {
-		it('should fetch products with limit and offset', async () => {
+		it('should fetch live products newest first with limit and offset', async () => {
 			const mockProducts = {
 				results: [{ product_id: 'pro_1', title: 'Product 1' }],
 			};
@@ -40,12 +40,86 @@ describe('db.queries', () => {
 
 			const result = await queries.getProducts(env, 10, 0);
 
-			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM products LIMIT ? OFFSET ?');
+			expect(env.DB.prepare).to.have.been.calledWith(
+				'SELECT p.*, p.created_at AS sort_key FROM products p WHERE p.deleted_at IS NULL ORDER BY p.created_at DESC, p.product_id DESC LIMIT ? OFFSET ?',
+			);
 			expect(stmt.bind).to.have.been.calledWith(10, 0);
 			expect(stmt.all).to.have.been.calledOnce;
 			expect(result).to.have.property('results');
 			expect(result.results).to.be.an('array').with.lengthOf(1);
 		});
+
+		it('should filter by a category and its descendants', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.getProducts(env, 10, 0, { category: 'apparel' }, 'title');
+
+			const [sql] = env.DB.prepare.firstCall.args;
+			expect(sql).to.include('p.category IN (WITH RECURSIVE tree(category_id, slug) AS');
+			expect(sql).to.include('JOIN tree t ON c.parent_id = t.category_id');
+			expect(sql).to.include('ORDER BY p.title COLLATE NOCASE ASC, p.product_id ASC LIMIT ? OFFSET ?');
+			expect(stmt.bind).to.have.been.calledWith('apparel', 'apparel', 10, 0);
+		});
+
+		it('should continue after a position in the sort order', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.getProducts(env, 21, 0, {}, 'newest', { key: 1700000000, id: 'pro_9' });
+
+			expect(env.DB.prepare.firstCall.args[0]).to.include(
+				'AND (p.created_at < ? OR (p.created_at = ? AND p.product_id < ?)) ORDER BY p.created_at DESC, p.product_id DESC',
+			);
+			expect(stmt.bind).to.have.been.calledWith(1700000000, 1700000000, 'pro_9', 21, 0);
+		});
+
+		it('should continue upwards for ascending orders', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.getProducts(env, 21, 0, {}, 'price_desc', { key: 25, id: 'pro_9' });
+
+			expect(env.DB.prepare.firstCall.args[0]).to.match(/< \? OR \(COALESCE\([\s\S]*\) = \? AND p\.product_id > \?\)\)/);
+		});
+
+		it('should sort and filter by the price with active sales applied', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.getProducts(env, 21, 0, { minPrice: 10 }, 'price_asc');
+
+			const [sql] = env.DB.prepare.firstCall.args;
+			expect(sql).to.include('FROM product_sales s');
+			expect(sql).to.include('(s.variant_id IS NULL OR s.variant_id = v.variant_id)');
+			expect(sql).to.include("(s.variant_id IS NULL OR s.variant_id = 'var_' || p.product_id)");
+			expect(sql.match(/FROM product_sales s/g)).to.have.lengthOf(6);
+			expect(stmt.bind).to.have.been.calledWith(10, 21, 0);
+		});
+	});
+
+	describe('getCategoryFacets', () => {
+		it('should not narrow category counts by the selected category', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.getCategoryFacets(env, { category: 'apparel', minPrice: 5 });
+
+			expect(env.DB.prepare.firstCall.args[0]).to.not.include('p.category = ?');
+			expect(stmt.bind).to.have.been.calledWithExactly(5);
+		});
+	});
+
+	describe('getAttributeFacets', () => {
+		it('should apply other attribute filters but not its own', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.getAttributeFacets(env, { attributes: { color: ['red'] } });
+
+			expect(env.DB.prepare.firstCall.args[0]).to.include('(a.name = ? OR (CAST(json_extract(p.metadata, ?) AS TEXT) IN (?)');
+			expect(stmt.bind).to.have.been.calledWithExactly('color', '$.attributes."color"', 'red', '$."color"', 'red');
+		});
 	});
 
 	describe('getProductById', () => {
@@ -65,7 +139,7 @@ describe('db.queries', () => {
 
 			const result = await queries.getProductById(env, 'pro_123');
 
-			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM products WHERE product_id = ?');
+			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM products WHERE product_id = ? AND deleted_at IS NULL');
 			expect(stmt.bind).to.have.been.calledWith('pro_123');
 			expect(stmt.first).to.have.been.calledOnce;
 			expect(result).to.have.property('product_id', 'pro_123');
@@ -91,10 +165,13 @@ describe('db.queries', () => {
 			};
 
 			env.DB.prepare.returns(stmt);
+			env.DB.batch = sinon.stub().resolves([{ success: true }, { success: true }]);
 
 			await queries.createProduct(env, productData);
 
-			expect(env.DB.prepare).to.have.been.called;
+			// A priced product is written with its first price history row
+			expect(env.DB.prepare).to.have.been.calledWith(sinon.match('INSERT INTO product_price_history'));
+			expect(env.DB.batch.firstCall.args[0]).to.have.lengthOf(2);
 			expect(stmt.bind).to.have.been.calledWith(
 				'pro_123',
 				'SKU-001',
@@ -106,7 +183,7 @@ describe('db.queries', () => {
 				1234567890,
 				1234567890,
 			);
-			expect(stmt.run).to.have.been.calledOnce;
+			expect(stmt.run).to.not.have.been.called;
 		});
 
 		it('should handle null values correctly', async () => {
@@ -163,4 +240,157 @@ describe('db.queries', () => {
 			expect(stmt.run).to.have.been.calledOnce;
 		});
 	});
+
+	describe('softDeleteProduct', () => {
+		it('should stamp deleted_at on a live product', async () => {
+			const stmt = {
+				bind: sinon.stub().returnsThis(),
+				run: sinon.stub().resolves({ success: true, meta: { changes: 1 } }),
+			};
+
+			env.DB.prepare.returns(stmt);
+
+			await queries.softDeleteProduct(env, 'pro_123', 1700000000);
+
+			expect(env.DB.prepare).to.have.been.calledWith(
+				'UPDATE products SET deleted_at = ?, updated_at = ? WHERE product_id = ? AND deleted_at IS NULL',
+			);
+			expect(stmt.bind).to.have.been.calledWith(1700000000, 1700000000, 'pro_123');
+			expect(stmt.run).to.have.been.calledOnce;
+		});
+	});
+
+	describe('listVariantsForProducts', () => {
+		it('should read the variants of all products in one query', async () => {
+			const stmt = {
+				bind: sinon.stub().returnsThis(),
+				all: sinon.stub().resolves({ results: [] }),
+			};
+
+			env.DB.prepare.returns(stmt);
+
+			await queries.listVariantsForProducts(env, ['pro_1', 'pro_2']);
+
+			expect(env.DB.prepare).to.have.been.calledWith(
+				'SELECT * FROM product_variants WHERE product_id IN (?, ?) ORDER BY product_id, position, created_at',
+			);
+			expect(stmt.bind).to.have.been.calledWith('pro_1', 'pro_2');
+		});
+
+		it('should not query for an empty page', async () => {
+			const result = await queries.listVariantsForProducts(env, []);
+
+			expect(result).to.deep.equal({ results: [] });
+			expect(env.DB.prepare).to.not.have.been.called;
+		});
+	});
+
+	describe('createProductVariant', () => {
+		it('should store attributes and images as JSON', async () => {
+			const stmt = {
+				bind: sinon.stub().returnsThis(),
+				run: sinon.stub().resolves({ success: true }),
+			};
+
+			env.DB.prepare.returns(stmt);
+			env.DB.batch = sinon.stub().resolves([{ success: true }, { success: true }]);
+
+			await queries.createProductVariant(env, {
+				variantId: 'var_tee_s',
+				productId: 'pro_tee',
+				sku: 'TEE-S',
+				price: 20,
+				attributes: { size: 'S' },
+				images: ['https://cdn.example.com/s.jpg'],
+				now: 1700000000,
+			});
+
+			expect(stmt.bind).to.have.been.calledWith(
+				'var_tee_s',
+				'pro_tee',
+				'TEE-S',
+				20,
+				null,
+				'{"size":"S"}',
+				null,
+				'["https://cdn.example.com/s.jpg"]',
+				0,
+				1700000000,
+				1700000000,
+			);
+		});
+	});
+
+	describe('updateProduct', () => {
+		it('should record a new price in the price history before the update', async () => {
+			env.DB.batch = sinon.stub().resolves([{ success: true }, { success: true, meta: { changes: 1 } }]);
+
+			const result = await queries.updateProduct(env, 'pro_tee', ['metadata = ?'], ['{"price":18}', 'pro_tee'], {
+				price: 18,
+				compareAtPrice: undefined,
+				now: 1700000000,
+			});
+
+			const [history, update] = env.DB.batch.firstCall.args[0];
+			expect(env.DB.prepare.firstCall.args[0]).to.equal('UPDATE products SET metadata = ? WHERE product_id = ?');
+			expect(env.DB.prepare.secondCall.args[0]).to.include('WHERE NOT EXISTS (SELECT 1 FROM products WHERE product_id = ?');
+			expect(history.bind).to.have.been.calledWith('pro_tee', null, 18, null, 1700000000, 'pro_tee', 18, null);
+			expect(update).to.exist;
+			expect(result).to.deep.equal({ success: true, meta: { changes: 1 } });
+		});
+
+		it('should run a plain update without a price', async () => {
+			env.DB.batch = sinon.stub();
+
+			await queries.updateProduct(env, 'pro_tee', ['title = ?'], ['Tee', 'pro_tee']);
+
+			expect(env.DB.batch).to.not.have.been.called;
+			expect(env.DB.prepare().run).to.have.been.calledOnce;
+		});
+	});
+
+	describe('listActiveSales', () => {
+		it('should read the sales in effect now for the given products', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.listActiveSales(env, ['pro_1', 'pro_2'], 1700000000);
+
+			const query = env.DB.prepare.firstCall.args[0];
+			expect(query).to.include('product_id IN (?, ?)');
+			expect(query).to.include('starts_at <= ? AND (ends_at IS NULL OR ends_at > ?)');
+			expect(stmt.bind).to.have.been.calledWith('pro_1', 'pro_2', 1700000000, 1700000000);
+		});
+
+		it('should not query without products', async () => {
+			expect(await queries.listActiveSales(env, [], 1700000000)).to.deep.equal({ results: [] });
+			expect(env.DB.prepare).to.not.have.been.called;
+		});
+	});
+
+	describe('listProductReviews', () => {
+		it('should read approved reviews newest first after the cursor', async () => {
+			const stmt = { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results: [] }) };
+			env.DB.prepare.returns(stmt);
+
+			await queries.listProductReviews(env, 'pro_tee', 21, { createdAt: 1700000000, reviewId: 'rev_1' });
+
+			const query = env.DB.prepare.firstCall.args[0];
+			expect(query).to.include("product_id = ? AND status = 'approved' AND (created_at < ?");
+			expect(query).to.include('ORDER BY created_at DESC, review_id DESC');
+			expect(stmt.bind).to.have.been.calledWith('pro_tee', 1700000000, 1700000000, 'rev_1', 21);
+		});
+	});
+
+	describe('moderateReview', () => {
+		it('should update the review and the product rating in one batch', async () => {
+			env.DB.batch = sinon.stub().resolves([]);
+
+			await queries.moderateReview(env, 'rev_1', 'approved', null, 1700000000);
+
+			const [statements] = env.DB.batch.firstCall.args;
+			expect(statements).to.have.lengthOf(2);
+			expect(env.DB.prepare.secondCall.args[0]).to.include('rating_average = (SELECT ROUND(AVG(r.rating), 2)');
+		});
+	});
 });
@@ -0,0 +1,54 @@
+/**
+ * Shared setup for handler tests: a stub D1 binding and requests signed the
+ * way the gateway signs them
+ */
+import sinon from 'sinon';
+
+/**
+ * A D1 statement stub: no rows, one change per write
+ */
+export function stubStatement() {
+	return {
+		bind: sinon.stub().returnsThis(),
+		all: sinon.stub().resolves({ results: [] }),
+		first: sinon.stub(),
+		run: sinon.stub().resolves({ success: true, meta: { changes: 1 } }),
+	};
+}
+
+/**
+ * A D1 binding that hands out stmt for every query
+ */
+export function stubDb(stmt) {
+	return {
+		prepare: sinon.stub().returns(stmt),
+		batch: sinon.stub().resolves([]),
+	};
+}
+
+/**
+ * A bare request stub for the handlers to read params and headers from
+ */
+export function stubRequest() {
+	return { headers: { get: sinon.stub() }, params: {} };
+}
+
+/**
+ * Point `request` at method and path with the given body, carrying an HMAC
+ * signature made with secret
+ */
+export async function signRequest(request, secret, method, path, body) {
+	const ts = Date.now().toString();
+	const enc = new TextEncoder();
+	const key = await crypto.subtle.importKey('raw', enc.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	const sig = await crypto.subtle.sign('HMAC', key, enc.encode(`${ts}|${method}|${path}|${body}`));
+	const signature = [...new Uint8Array(sig)].map((b) => b.toString(16).padStart(2, '0')).join('');
+
+	request.url = `https://example.com${path}`;
+	request.method = method;
+	request.headers.get.withArgs('x-timestamp').returns(ts);
+	request.headers.get.withArgs('x-signature').returns(signature);
+	request.clone = sinon.stub().returns(request);
+	request.text = sinon.stub().resolves(body);
+	request.json = sinon.stub().callsFake(async () => (body ? JSON.parse(body) : {}));
+}
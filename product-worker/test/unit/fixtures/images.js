@@ -0,0 +1,55 @@
+/**
+ * Minimal image files for tests: valid headers, zero-filled to the given size
+ */
+
+function file(header, size) {
+	const bytes = new Uint8Array(Math.max(size, header.length));
+	bytes.set(header);
+	return bytes;
+}
+
+const text = (s) => [...s].map((c) => c.charCodeAt(0));
+const be16 = (n) => [(n >> 8) & 0xff, n & 0xff];
+const be32 = (n) => [(n >>> 24) & 0xff, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+const le16 = (n) => [n & 0xff, (n >> 8) & 0xff];
+const le24 = (n) => [n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff];
+
+export function png(width, height, size = 100) {
+	return file([0x89, ...text('PNG'), 0x0d, 0x0a, 0x1a, 0x0a, ...be32(13), ...text('IHDR'), ...be32(width), ...be32(height)], size);
+}
+
+export function jpeg(width, height, size = 100) {
+	// SOI, a JFIF APP0 segment, then a baseline start-of-frame
+	const app0 = [0xff, 0xe0, ...be16(16), ...text('JFIF'), 0, 1, 1, 0, 0, 1, 0, 1, 0, 0];
+	return file([0xff, 0xd8, ...app0, 0xff, 0xc0, ...be16(17), 8, ...be16(height), ...be16(width), 3], size);
+}
+
+export function gif(width, height, size = 100) {
+	return file([...text('GIF89a'), ...le16(width), ...le16(height)], size);
+}
+
+export function webp(width, height, size = 100) {
+	return file([...text('RIFF'), 0, 0, 0, 0, ...text('WEBPVP8X'), 10, 0, 0, 0, 0, 0, 0, 0, ...le24(width - 1), ...le24(height - 1)], size);
+}
+
+/**
+ * A stand-in for the Images binding: every transform comes out as a small
+ * WebP, and the transforms asked for are collected in `transforms`
+ */
+export function imagesBinding() {
+	const transforms = [];
+	return {
+		transforms,
+		input() {
+			return {
+				transform(options) {
+					transforms.push(options);
+					return this;
+				},
+				async output() {
+					return { response: () => new Response(webp(1, 1)) };
+				},
+			};
+		},
+	};
+}
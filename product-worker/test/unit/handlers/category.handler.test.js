@@ -0,0 +1,156 @@
+/**
+ * Unit tests for category.handler.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import * as categoryHandler from '../../../src/handlers/category.handler.js';
+import sinon from 'sinon';
+import { stubStatement, stubDb, stubRequest, signRequest } from '../fixtures/handlers.js';
+
+const categoryRow = (id, slug, parentId = null) => ({
+	category_id: id,
+	slug,
+	name: slug,
+	description: null,
+	parent_id: parentId,
+	sort_order: 0,
+	created_at: 1700000000,
+	updated_at: 1700000000,
+});
+
+describe('category.handler', () => {
+	let env, request, stmt;
+
+	beforeEach(() => {
+		stmt = stubStatement();
+		env = {
+			DB: stubDb(stmt),
+			ADMIN_SECRET: 'admin-secret',
+		};
+		request = stubRequest();
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	const signAdmin = (method, path, body) => signRequest(request, 'admin-secret', method, path, body);
+
+	describe('getCategoryTreeHandler', () => {
+		it('should return the nested category tree', async () => {
+			request.url = 'https://example.com/categories';
+			stmt.all.resolves({ results: [categoryRow('cat_hardware', 'hardware'), categoryRow('cat_component', 'component', 'cat_hardware')] });
+
+			const response = await categoryHandler.getCategoryTreeHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data.categories).to.have.lengthOf(1);
+			expect(data.categories[0].children[0]).to.include({ slug: 'component', parentId: 'cat_hardware' });
+		});
+	});
+
+	describe('createCategoryHandler', () => {
+		it('should require admin auth', async () => {
+			request.url = 'https://example.com/categories';
+			request.method = 'POST';
+
+			const response = await categoryHandler.createCategoryHandler(request, env);
+
+			expect(response.status).to.equal(401);
+		});
+
+		it('should create a category under its parent', async () => {
+			await signAdmin(
+				'POST',
+				'/categories',
+				JSON.stringify({ categoryId: 'cat_gpu', slug: 'gpu', name: 'GPUs', parentId: 'cat_component' }),
+			);
+			stmt.first.onFirstCall().resolves(categoryRow('cat_component', 'component'));
+			stmt.first.onSecondCall().resolves(categoryRow('cat_gpu', 'gpu', 'cat_component'));
+
+			const response = await categoryHandler.createCategoryHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(201);
+			expect(data).to.include({ categoryId: 'cat_gpu', parentId: 'cat_component' });
+			expect(stmt.bind).to.have.been.calledWith('cat_gpu', 'gpu', 'GPUs', null, 'cat_component', 0);
+		});
+
+		it('should return 404 for an unknown parent', async () => {
+			await signAdmin('POST', '/categories', JSON.stringify({ slug: 'gpu', name: 'GPUs', parentId: 'cat_missing' }));
+			stmt.first.resolves(null);
+
+			const response = await categoryHandler.createCategoryHandler(request, env);
+
+			expect(response.status).to.equal(404);
+			expect(stmt.run).to.not.have.been.called;
+		});
+
+		it('should return 409 for a duplicate slug', async () => {
+			await signAdmin('POST', '/categories', JSON.stringify({ slug: 'hardware', name: 'Hardware' }));
+			stmt.run.rejects(new Error('UNIQUE constraint failed: categories.slug'));
+
+			const response = await categoryHandler.createCategoryHandler(request, env);
+
+			expect(response.status).to.equal(409);
+		});
+	});
+
+	describe('updateCategoryHandler', () => {
+		it('should refuse to move a category under its own descendant', async () => {
+			request.params = { id: 'cat_hardware' };
+			await signAdmin('PUT', '/categories/cat_hardware', JSON.stringify({ parentId: 'cat_gpu' }));
+			stmt.first.resolves(categoryRow('cat_hardware', 'hardware'));
+			stmt.all.resolves({ results: [{ category_id: 'cat_component' }, { category_id: 'cat_gpu' }] });
+
+			const response = await categoryHandler.updateCategoryHandler(request, env);
+
+			expect(response.status).to.equal(409);
+			expect(env.DB.batch).to.not.have.been.called;
+		});
+
+		it('should carry a new slug over to its products', async () => {
+			request.params = { id: 'cat_hardware' };
+			await signAdmin('PUT', '/categories/cat_hardware', JSON.stringify({ slug: 'computer-hardware' }));
+			stmt.first.onFirstCall().resolves(categoryRow('cat_hardware', 'hardware'));
+			stmt.first.onSecondCall().resolves(categoryRow('cat_hardware', 'computer-hardware'));
+
+			const response = await categoryHandler.updateCategoryHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data.slug).to.equal('computer-hardware');
+			expect(env.DB.batch.firstCall.args[0]).to.have.lengthOf(3);
+			expect(env.DB.prepare).to.have.been.calledWith('UPDATE products SET category = ? WHERE category = ?');
+			expect(stmt.bind).to.have.been.calledWith('computer-hardware', 'hardware');
+		});
+	});
+
+	describe('deleteCategoryHandler', () => {
+		it('should refuse to delete a category that still has products', async () => {
+			request.params = { id: 'cat_console' };
+			await signAdmin('DELETE', '/categories/cat_console', '');
+			stmt.first.onFirstCall().resolves(categoryRow('cat_console', 'console'));
+			stmt.first.onSecondCall().resolves({ children: 0, products: 2 });
+
+			const response = await categoryHandler.deleteCategoryHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(409);
+			expect(data).to.include({ children: 0, products: 2 });
+			expect(stmt.run).to.not.have.been.called;
+		});
+
+		it('should delete an unused category', async () => {
+			request.params = { id: 'cat_console' };
+			await signAdmin('DELETE', '/categories/cat_console', '');
+			stmt.first.onFirstCall().resolves(categoryRow('cat_console', 'console'));
+			stmt.first.onSecondCall().resolves({ children: 0, products: 0 });
+
+			const response = await categoryHandler.deleteCategoryHandler(request, env);
+
+			expect(response.status).to.equal(200);
+			expect(await response.json()).to.deep.equal({ categoryId: 'cat_console', deleted: true });
+		});
+	});
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for pricing.handler.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import * as pricingHandler from '../../../src/handlers/pricing.handler.js';
+import sinon from 'sinon';
+import { stubStatement, stubDb, stubRequest, signRequest } from '../fixtures/handlers.js';
+
+describe('pricing.handler', () => {
+	let env, request, stmt;
+
+	beforeEach(() => {
+		stmt = stubStatement();
+		env = {
+			DB: stubDb(stmt),
+			ADMIN_SECRET: 'admin-secret',
+		};
+		request = stubRequest();
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	const signAdmin = (method, path, body) => signRequest(request, 'admin-secret', method, path, body);
+
+	describe('getPriceHistoryHandler', () => {
+		it('should list the most recent price changes', async () => {
+			request.params = { id: 'pro_tee' };
+			await signAdmin('GET', '/products/pro_tee/price-history', '');
+			stmt.first.resolves({ product_id: 'pro_tee' });
+			stmt.all.resolves({
+				results: [{ history_id: 2, product_id: 'pro_tee', variant_id: null, price: 18, compare_at_price: 20, changed_at: 1700000100 }],
+			});
+
+			const response = await pricingHandler.getPriceHistoryHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data).to.deep.equal({
+				productId: 'pro_tee',
+				history: [{ variantId: null, price: 18, compareAtPrice: 20, changedAt: 1700000100 }],
+			});
+			expect(stmt.bind).to.have.been.calledWith('pro_tee', 100);
+		});
+
+		it('should require admin auth', async () => {
+			request.url = 'https://example.com/products/pro_tee/price-history';
+			request.method = 'GET';
+
+			const response = await pricingHandler.getPriceHistoryHandler(request, env);
+
+			expect(response.status).to.equal(401);
+		});
+	});
+
+	describe('createSaleHandler', () => {
+		it('should schedule a sale and return it', async () => {
+			const body = JSON.stringify({ percentOff: 20, startsAt: 1900000000, endsAt: 1900086400 });
+			request.params = { id: 'pro_tee' };
+			await signAdmin('POST', '/products/pro_tee/sales', body);
+			stmt.first.onFirstCall().resolves({ product_id: 'pro_tee' });
+			stmt.first.onSecondCall().resolves({
+				sale_id: 'sale_1',
+				product_id: 'pro_tee',
+				variant_id: null,
+				sale_price: null,
+				percent_off: 20,
+				starts_at: 1900000000,
+				ends_at: 1900086400,
+				created_at: 1700000000,
+			});
+
+			const response = await pricingHandler.createSaleHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(201);
+			expect(data).to.include({ productId: 'pro_tee', percentOff: 20, status: 'scheduled' });
+			expect(env.DB.prepare).to.have.been.calledWith(sinon.match('INSERT INTO product_sales'));
+		});
+
+		it('should return 404 for a variant of another product', async () => {
+			const body = JSON.stringify({ variantId: 'var_mug', salePrice: 5 });
+			request.params = { id: 'pro_tee' };
+			await signAdmin('POST', '/products/pro_tee/sales', body);
+			stmt.first.resolves({ product_id: 'pro_tee' });
+			stmt.all.resolves({ results: [{ variant_id: 'var_tee_s', product_id: 'pro_tee' }] });
+
+			const response = await pricingHandler.createSaleHandler(request, env);
+
+			expect(response.status).to.equal(404);
+			expect(stmt.run).to.not.have.been.called;
+		});
+
+		it('should accept the default variant of a product without variant rows', async () => {
+			const body = JSON.stringify({ variantId: 'var_pro_tee', salePrice: 5 });
+			request.params = { id: 'pro_tee' };
+			await signAdmin('POST', '/products/pro_tee/sales', body);
+			stmt.first.onFirstCall().resolves({ product_id: 'pro_tee' });
+			stmt.first.onSecondCall().resolves({ sale_id: 'sale_1', product_id: 'pro_tee', variant_id: 'var_pro_tee', sale_price: 5 });
+
+			const response = await pricingHandler.createSaleHandler(request, env);
+
+			expect(response.status).to.equal(201);
+		});
+	});
+
+	describe('deleteSaleHandler', () => {
+		it('should return 404 for an unknown sale', async () => {
+			request.params = { id: 'pro_tee', saleId: 'sale_nope' };
+			await signAdmin('DELETE', '/products/pro_tee/sales/sale_nope', '');
+			stmt.run.resolves({ success: true, meta: { changes: 0 } });
+
+			const response = await pricingHandler.deleteSaleHandler(request, env);
+
+			expect(response.status).to.equal(404);
+		});
+	});
+});
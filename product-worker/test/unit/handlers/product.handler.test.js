@@ -4,6 +4,8 @@
 import { describe, it, beforeEach, afterEach } from 'mocha';
 import * as productHandler from '../../../src/handlers/product.handler.js';
 import sinon from 'sinon';
+import { signRequest } from '../fixtures/handlers.js';
+import { jpeg, imagesBinding } from '../fixtures/images.js';
 
 describe('product.handler', () => {
 	let env, request;
@@ -12,7 +14,7 @@ describe('product.handler', () => {
 	beforeEach(() => {
 		const stmt = {
 			bind: sinon.stub().returnsThis(),
-			all: sinon.stub(),
+			all: sinon.stub().resolves({ results: [] }),
 			first: sinon.stub(),
 			run: sinon.stub(),
 		};
@@ -20,6 +22,7 @@ describe('product.handler', () => {
 		env = {
 			DB: {
 				prepare: sinon.stub().returns(stmt),
+				batch: sinon.stub().resolves([]),
 			},
 			INVENTORY_SERVICE_URL: 'https://inventory.example.com',
 			INTERNAL_SECRET: 'test-secret',
@@ -32,8 +35,12 @@ describe('product.handler', () => {
 			},
 		};
 
-		// Mock fetch for inventory service calls
-		fetchStub = sinon.stub(global, 'fetch');
+		// Mock fetch for inventory service calls; default to an empty stock batch
+		fetchStub = sinon.stub(global, 'fetch').resolves({
+			ok: true,
+			status: 200,
+			text: sinon.stub().resolves('{"products": {}}'),
+		});
 	});
 
 	afterEach(() => {
@@ -41,42 +48,65 @@ describe('product.handler', () => {
 	});
 
 	describe('getProductsHandler', () => {
-		it('should return products list', async () => {
-			const mockProducts = {
-				results: [
-					{
-						product_id: 'pro_1',
-						title: 'Product 1',
-						sku: 'SKU-001',
-						description: 'Desc 1',
-						category: 'Cat 1',
-						images: '[]',
-						metadata: '{"price": 100}',
-						created_at: 1234567890,
-						updated_at: 1234567890,
-					},
-				],
-			};
+		const productRow = {
+			product_id: 'pro_1',
+			title: 'Product 1',
+			sku: 'SKU-001',
+			description: 'Desc 1',
+			category: 'Cat 1',
+			images: '[]',
+			metadata: '{"price": 100}',
+			created_at: 1234567890,
+			updated_at: 1234567890,
+		};
 
-			// Mock DB query
-			const stmt = env.DB.prepare();
-			stmt.all.resolves(mockProducts);
+		// Answer each query by what it selects: listing, facets or variants
+		function mockListing({ products = [], categories = [], attributes = [] } = {}) {
+			env.DB.prepare = sinon.stub().callsFake((sql) => {
+				let results = [];
+				if (sql.startsWith('SELECT p.*, ')) results = products;
+				else if (sql.startsWith('SELECT p.category')) results = categories;
+				else if (sql.startsWith('SELECT a.name')) results = attributes;
+				return { bind: sinon.stub().returnsThis(), all: sinon.stub().resolves({ results }) };
+			});
+		}
 
-			// Mock inventory service response
+		const listingCall = () => env.DB.prepare.getCalls().find((c) => c.args[0].startsWith('SELECT p.*, '));
+
+		it('should return products with facets', async () => {
+			mockListing({
+				products: [productRow],
+				categories: [{ value: 'Cat 1', count: 1 }],
+				attributes: [
+					{ name: 'color', value: 'red', count: 1 },
+					{ name: 'color', value: 'blue', count: 2 },
+				],
+			});
+
+			// Mock inventory batch stock response
 			fetchStub.resolves({
 				ok: true,
 				status: 200,
-				text: sinon.stub().resolves('{"stock": 50, "reserved": 5}'),
+				text: sinon.stub().resolves('{"products": {"pro_1": {"stock": 50, "reserved": 5, "variants": []}}}'),
 			});
 
 			const response = await productHandler.getProductsHandler(request, env);
 			const data = await response.json();
 
 			expect(response.status).to.equal(200);
-			expect(data).to.be.an('array');
-			expect(data[0]).to.have.property('productId', 'pro_1');
-			expect(data[0]).to.have.property('stock', 50);
-			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM products LIMIT ? OFFSET ?');
+			expect(data.products).to.be.an('array').with.length(1);
+			expect(data.products[0]).to.have.property('productId', 'pro_1');
+			expect(data.products[0]).to.have.property('stock', 50);
+			expect(data.facets).to.deep.equal({
+				categories: [{ value: 'Cat 1', count: 1 }],
+				attributes: {
+					color: [
+						{ value: 'red', count: 1 },
+						{ value: 'blue', count: 2 },
+					],
+				},
+			});
+			expect(data).to.include({ limit: 10, offset: 0 });
 		});
 
 		it('should handle database errors', async () => {
@@ -91,55 +121,128 @@ describe('product.handler', () => {
 			expect(data).to.have.property('error', 'Database query failed');
 		});
 
-		it('should use default limit and offset', async () => {
+		it('should list newest first with default limit and offset', async () => {
 			request.url = 'https://example.com/products';
+			mockListing();
 
-			const stmt = env.DB.prepare();
-			stmt.all.resolves({ results: [] });
+			await productHandler.getProductsHandler(request, env);
+
+			expect(listingCall().args[0]).to.equal(
+				'SELECT p.*, p.created_at AS sort_key FROM products p WHERE p.deleted_at IS NULL ORDER BY p.created_at DESC, p.product_id DESC LIMIT ? OFFSET ?',
+			);
+			// One row past the page tells whether there is a next one
+			expect(listingCall().returnValue.bind).to.have.been.calledWith(21, 0);
+		});
+
+		it('should pass filters and sort order to the listing query', async () => {
+			request.url = 'https://example.com/products?category=apparel&minPrice=10&maxPrice=50&sort=price_asc&attr.color=red,blue';
+			mockListing();
 
 			await productHandler.getProductsHandler(request, env);
 
-			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM products LIMIT ? OFFSET ?');
-			expect(stmt.bind).to.have.been.calledWith(20, 0);
+			const [sql] = listingCall().args;
+			expect(sql).to.include('p.category IN (WITH RECURSIVE tree');
+			expect(sql).to.include('ORDER BY COALESCE((SELECT MIN(MIN(v.price, COALESCE((');
+			expect(listingCall().returnValue.bind).to.have.been.calledWith(
+				'apparel',
+				'apparel',
+				10,
+				50,
+				'$.attributes."color"',
+				'red',
+				'blue',
+				'$."color"',
+				'red',
+				'blue',
+				21,
+				0,
+			);
 		});
 
-		it('should return empty array when no results', async () => {
-			const stmt = env.DB.prepare();
-			stmt.all.resolves({ results: [] });
+		it('should hand out a cursor that continues after the last product', async () => {
+			request.url = 'https://example.com/products?limit=2';
+			mockListing({
+				products: [
+					{ ...productRow, product_id: 'pro_3', sort_key: 300 },
+					{ ...productRow, product_id: 'pro_2', sort_key: 200 },
+					{ ...productRow, product_id: 'pro_1', sort_key: 100 },
+				],
+			});
 
-			fetchStub.resolves({
-				ok: true,
-				status: 200,
-				text: sinon.stub().resolves('{"stock": 0, "reserved": 0}'),
+			const first = await (await productHandler.getProductsHandler(request, env)).json();
+
+			expect(first.products.map((p) => p.productId)).to.deep.equal(['pro_3', 'pro_2']);
+			expect(first.nextCursor).to.be.a('string');
+
+			request.url = `https://example.com/products?limit=2&cursor=${first.nextCursor}`;
+			mockListing({ products: [{ ...productRow, product_id: 'pro_1', sort_key: 100 }] });
+
+			const second = await (await productHandler.getProductsHandler(request, env)).json();
+
+			expect(listingCall().returnValue.bind).to.have.been.calledWith(200, 200, 'pro_2', 3, 0);
+			expect(second.products.map((p) => p.productId)).to.deep.equal(['pro_1']);
+			expect(second.nextCursor).to.be.null;
+		});
+
+		it('should reject a cursor issued for another sort order', async () => {
+			mockListing({
+				products: [
+					{ ...productRow, product_id: 'pro_2', sort_key: 200 },
+					{ ...productRow, product_id: 'pro_1', sort_key: 100 },
+				],
 			});
+			request.url = 'https://example.com/products?limit=1';
+			const { nextCursor } = await (await productHandler.getProductsHandler(request, env)).json();
 
+			request.url = `https://example.com/products?limit=1&sort=title&cursor=${nextCursor}`;
 			const response = await productHandler.getProductsHandler(request, env);
 			const data = await response.json();
 
-			expect(response.status).to.equal(200);
-			expect(data).to.be.an('array').that.is.empty;
+			expect(response.status).to.equal(400);
+			expect(data).to.have.property('error', 'invalid_cursor');
 		});
 
-		it('should return empty array when rows is null', async () => {
-			const stmt = env.DB.prepare();
-			stmt.all.resolves(null);
+		it('should return an empty page when nothing matches', async () => {
+			mockListing();
 
 			const response = await productHandler.getProductsHandler(request, env);
 			const data = await response.json();
 
 			expect(response.status).to.equal(200);
-			expect(data).to.be.an('array').that.is.empty;
+			expect(data.products).to.be.an('array').that.is.empty;
+			expect(data.facets).to.deep.equal({ categories: [], attributes: {} });
 		});
 
-		it('should return empty array when rows.results is null', async () => {
-			const stmt = env.DB.prepare();
-			stmt.all.resolves({ results: null });
+		it('should only return products with available stock when inStock is set', async () => {
+			request.url = 'https://example.com/products?inStock=true&limit=1&offset=1';
+			mockListing({
+				products: [
+					{ ...productRow, product_id: 'pro_1' },
+					{ ...productRow, product_id: 'pro_2' },
+					{ ...productRow, product_id: 'pro_3' },
+					{ ...productRow, product_id: 'pro_4' },
+				],
+			});
+			fetchStub.resolves({
+				ok: true,
+				status: 200,
+				text: sinon.stub().resolves(
+					JSON.stringify({
+						products: {
+							pro_1: { stock: 5, reserved: 0 },
+							pro_2: { stock: 3, reserved: 3 },
+							pro_3: { stock: 1, reserved: 0 },
+							pro_4: { stock: 9, reserved: 0 },
+						},
+					}),
+				),
+			});
 
 			const response = await productHandler.getProductsHandler(request, env);
 			const data = await response.json();
 
-			expect(response.status).to.equal(200);
-			expect(data).to.be.an('array').that.is.empty;
+			// pro_2 is fully reserved; offset 1 skips pro_1
+			expect(data.products.map((p) => p.productId)).to.deep.equal(['pro_3']);
 		});
 
 		it('should handle errors in getProductsHandler catch block', async () => {
@@ -171,6 +274,48 @@ describe('product.handler', () => {
 			expect(response.status).to.equal(400);
 			expect(data).to.have.property('error', 'validation_error');
 		});
+
+		it('should reject an unknown sort order', async () => {
+			request.url = 'https://example.com/products?sort=popular';
+
+			const response = await productHandler.getProductsHandler(request, env);
+
+			expect(response.status).to.equal(400);
+		});
+	});
+
+	describe('searchProductsHandler', () => {
+		it('should return 400 without a query', async () => {
+			request.url = 'https://example.com/products/search';
+
+			const response = await productHandler.searchProductsHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(400);
+			expect(data).to.deep.equal({ error: 'validation_error', details: 'q is required' });
+		});
+
+		it('should search with the trimmed query and paging', async () => {
+			request.url = 'https://example.com/products/search?q=%20floppy%20&limit=5&offset=10';
+			const stmt = env.DB.prepare();
+			stmt.all.onFirstCall().resolves({ results: [] });
+
+			const response = await productHandler.searchProductsHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data).to.deep.equal({ query: 'floppy', limit: 5, offset: 10, results: [] });
+			expect(stmt.bind).to.have.been.calledWith('"floppy"*', 5, 10);
+		});
+
+		it('should return 500 when the search query fails', async () => {
+			request.url = 'https://example.com/products/search?q=floppy';
+			env.DB.prepare().all.rejects(new Error('fts5: syntax error'));
+
+			const response = await productHandler.searchProductsHandler(request, env);
+
+			expect(response.status).to.equal(500);
+		});
 	});
 
 	describe('getProductByIdHandler', () => {
@@ -208,7 +353,7 @@ describe('product.handler', () => {
 			expect(response.status).to.equal(200);
 			expect(data).to.have.property('productId', 'pro_123');
 			expect(data).to.have.property('stock', 50);
-			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM products WHERE product_id = ?');
+			expect(env.DB.prepare).to.have.been.calledWith('SELECT * FROM products WHERE product_id = ? AND deleted_at IS NULL');
 			expect(stmt.bind).to.have.been.calledWith('pro_123');
 		});
 
@@ -237,7 +382,7 @@ describe('product.handler', () => {
 
 	describe('uploadImageHandler', () => {
 		beforeEach(() => {
-			env.PRODUCT_IMAGES = { put: sinon.stub() };
+			env.PRODUCT_IMAGES = { put: sinon.stub(), head: sinon.stub().resolves(null) };
 			env.R2_PUBLIC_URL = 'https://cdn.example.com';
 			env.ADMIN_SECRET = 'admin-secret';
 			request.url = 'https://example.com/products/images/upload';
@@ -326,7 +471,7 @@ describe('product.handler', () => {
 	describe('createProductHandler', () => {
 		beforeEach(async () => {
 			env.ADMIN_SECRET = 'admin-secret';
-			env.PRODUCT_IMAGES = { put: sinon.stub() };
+			env.PRODUCT_IMAGES = { put: sinon.stub(), head: sinon.stub().resolves(null) };
 			env.R2_PUBLIC_URL = 'https://cdn.example.com';
 			request.url = 'https://example.com/products';
 			request.method = 'POST';
@@ -356,6 +501,7 @@ describe('product.handler', () => {
 			request.json = sinon.stub().resolves(productData);
 
 			const stmt = env.DB.prepare();
+			stmt.all.resolves({ results: [{ slug: 'Electronics' }] });
 			stmt.run.resolves({ success: true });
 
 			const response = await productHandler.createProductHandler(request, env);
@@ -364,6 +510,23 @@ describe('product.handler', () => {
 			expect(response.status).to.equal(201);
 			expect(data).to.have.property('productId');
 			expect(data).to.have.property('images');
+			// The product with its first price history row, then the search index
+			expect(env.DB.batch).to.have.been.calledTwice;
+			expect(env.DB.batch.firstCall.args[0]).to.have.lengthOf(2);
+		});
+
+		it('should return 400 when the category does not exist', async () => {
+			request.json = sinon.stub().resolves({ title: 'Test Product', category: 'gadgets' });
+
+			const stmt = env.DB.prepare();
+			stmt.all.resolves({ results: [{ slug: 'hardware' }] });
+
+			const response = await productHandler.createProductHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(400);
+			expect(data.details).to.include('category "gadgets" does not exist');
+			expect(stmt.run).to.not.have.been.called;
 		});
 
 		it('should return 400 for validation errors', async () => {
@@ -414,7 +577,7 @@ describe('product.handler', () => {
 		beforeEach(async () => {
 			request.params = { id: 'pro_123' };
 			env.ADMIN_SECRET = 'admin-secret';
-			env.PRODUCT_IMAGES = { put: sinon.stub() };
+			env.PRODUCT_IMAGES = { put: sinon.stub(), head: sinon.stub().resolves(null) };
 			env.R2_PUBLIC_URL = 'https://cdn.example.com';
 			const ts = Date.now().toString();
 			const body = '{}';
@@ -534,6 +697,7 @@ describe('product.handler', () => {
 			request.json = sinon.stub().resolves({ category: 'New Category' });
 
 			const stmt = env.DB.prepare();
+			stmt.all.resolves({ results: [{ slug: 'New Category' }] });
 			stmt.first.resolves({ product_id: 'pro_123' }); // First call for getProductById
 			stmt.run.resolves({ success: true });
 
@@ -602,12 +766,14 @@ describe('product.handler', () => {
 
 			const formData = new FormData();
 			formData.append('title', 'Updated Title');
-			const imageFile = new File([new Uint8Array(100)], 'test.jpg', { type: 'image/jpeg' });
+			const imageFile = new File([jpeg(640, 480)], 'test.jpg', { type: 'image/jpeg' });
 			formData.append('images', imageFile);
 
 			request.formData = sinon.stub().resolves(formData);
 
 			env.PRODUCT_IMAGES.put.resolves();
+			env.PRODUCT_IMAGES.head.resolves({ customMetadata: { format: 'jpeg', width: '640', height: '480', derivatives: '320' } });
+			env.IMAGES = imagesBinding();
 
 			const stmt = env.DB.prepare();
 			stmt.first.resolves({ product_id: 'pro_123' }); // First call for getProductById
@@ -618,7 +784,38 @@ describe('product.handler', () => {
 
 			expect(response.status).to.equal(200);
 			expect(data).to.have.property('updated', true);
-			expect(env.PRODUCT_IMAGES.put).to.have.been.calledOnce;
+			// The original, then its one derivative below 640px
+			expect(env.PRODUCT_IMAGES.put).to.have.been.calledTwice;
+			expect(data.images).to.have.length(1);
+			expect(data.images[0]).to.include({ width: 640, height: 480 });
+			expect(data.images[0].derivatives).to.have.length(1);
+			expect(data.images[0].derivatives[0].url).to.match(/^https:\/\/cdn\.example\.com\/derivatives\/products\/.+_test\.jpg\/w320\.webp$/);
+		});
+
+		it('should reject an uploaded file that is not an image', async () => {
+			const ts = Date.now().toString();
+			const msg = `${ts}|PUT|/products/pro_123|`;
+			const enc = new TextEncoder();
+			const key = await crypto.subtle.importKey('raw', enc.encode('admin-secret'), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+			const sig = await crypto.subtle.sign('HMAC', key, enc.encode(msg));
+			const signature = [...new Uint8Array(sig)].map((b) => b.toString(16).padStart(2, '0')).join('');
+
+			request.headers.get.withArgs('x-timestamp').returns(ts);
+			request.headers.get.withArgs('x-signature').returns(signature);
+			request.headers.get.withArgs('content-type').returns('multipart/form-data');
+
+			const formData = new FormData();
+			formData.append('images', new File([enc.encode('<svg onload="alert(1)"/>')], 'test.jpg', { type: 'image/jpeg' }));
+			request.formData = sinon.stub().resolves(formData);
+
+			env.DB.prepare().first.resolves({ product_id: 'pro_123' });
+
+			const response = await productHandler.updateProductHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(415);
+			expect(data).to.have.property('error', 'invalid_image');
+			expect(env.PRODUCT_IMAGES.put).to.not.have.been.called;
 		});
 
 		it('should update product with multipart form data using product field', async () => {
@@ -713,4 +910,362 @@ describe('product.handler', () => {
 			expect(data).to.have.property('updated', true);
 		});
 	});
+
+	describe('deleteProductHandler', () => {
+		beforeEach(async () => {
+			request.params = { id: 'pro_123' };
+			env.ADMIN_SECRET = 'admin-secret';
+			env.PRODUCT_IMAGES = { delete: sinon.stub().resolves() };
+			env.R2_PUBLIC_URL = 'https://cdn.example.com';
+			const ts = Date.now().toString();
+			const msg = `${ts}|DELETE|/products/pro_123|`;
+			const enc = new TextEncoder();
+			const key = await crypto.subtle.importKey('raw', enc.encode('admin-secret'), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+			const sig = await crypto.subtle.sign('HMAC', key, enc.encode(msg));
+			const signature = [...new Uint8Array(sig)].map((b) => b.toString(16).padStart(2, '0')).join('');
+
+			request.url = 'https://example.com/products/pro_123';
+			request.method = 'DELETE';
+			request.headers.get.withArgs('x-timestamp').returns(ts);
+			request.headers.get.withArgs('x-signature').returns(signature);
+			request.clone = sinon.stub().returns(request);
+			request.text = sinon.stub().resolves('');
+		});
+
+		it('should return 401 without admin auth', async () => {
+			request.headers.get.withArgs('x-signature').returns('bad-signature');
+
+			const response = await productHandler.deleteProductHandler(request, env);
+
+			expect(response.status).to.equal(401);
+		});
+
+		it('should return 404 if product not found', async () => {
+			const stmt = env.DB.prepare();
+			stmt.first.resolves(null);
+
+			const response = await productHandler.deleteProductHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(404);
+			expect(data).to.have.property('error', 'Product not found');
+		});
+
+		it('should soft-delete product, deactivate stock and remove R2 images', async () => {
+			const stmt = env.DB.prepare();
+			stmt.first.resolves({
+				product_id: 'pro_123',
+				images: JSON.stringify(['https://cdn.example.com/products/1_a_img.jpg', 'https://other.example.com/img.jpg']),
+			});
+			stmt.run.resolves({ success: true, meta: { changes: 1 } });
+
+			fetchStub.resolves({
+				ok: true,
+				status: 200,
+				text: sinon.stub().resolves('{"productId": "pro_123", "deactivated": true}'),
+			});
+
+			const response = await productHandler.deleteProductHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data).to.deep.equal({ productId: 'pro_123', deleted: true, inventoryDeactivated: true, imagesDeleted: 1 });
+			expect(env.DB.prepare).to.have.been.calledWith(
+				'UPDATE products SET deleted_at = ?, updated_at = ? WHERE product_id = ? AND deleted_at IS NULL',
+			);
+			expect(fetchStub.firstCall.args[0]).to.equal('https://inventory.example.com/inventory/product-deactivate');
+			expect(env.PRODUCT_IMAGES.delete.firstCall.args[0]).to.include('products/1_a_img.jpg').and.have.length(6);
+		});
+
+		it('should still delete when inventory and R2 cleanup fail', async () => {
+			const stmt = env.DB.prepare();
+			stmt.first.resolves({ product_id: 'pro_123', images: JSON.stringify(['https://cdn.example.com/products/1_a_img.jpg']) });
+			stmt.run.resolves({ success: true, meta: { changes: 1 } });
+
+			fetchStub.rejects(new Error('Network error'));
+			env.PRODUCT_IMAGES.delete.rejects(new Error('R2 error'));
+
+			const response = await productHandler.deleteProductHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data).to.have.property('deleted', true);
+			expect(data).to.have.property('inventoryDeactivated', false);
+			expect(data).to.have.property('imagesDeleted', 0);
+		});
+
+		it('should handle errors during deletion', async () => {
+			const stmt = env.DB.prepare();
+			stmt.first.resolves({ product_id: 'pro_123', images: '[]' });
+			stmt.run.rejects(new Error('DB Error'));
+
+			const response = await productHandler.deleteProductHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(500);
+			expect(data).to.have.property('error', 'Deletion failed');
+		});
+	});
+
+	async function signAdmin(method, path, body) {
+		env.ADMIN_SECRET = 'admin-secret';
+		await signRequest(request, 'admin-secret', method, path, body);
+	}
+
+	describe('variant handlers', () => {
+		const variantRow = {
+			variant_id: 'var_tee_s',
+			product_id: 'pro_123',
+			sku: 'TEE-S',
+			price: 20,
+			attributes: '{"size":"S"}',
+			weight: 0.2,
+			images: '[]',
+			position: 0,
+			created_at: 1234567890,
+			updated_at: 1234567890,
+		};
+
+		it('should create a variant and return it', async () => {
+			request.params = { id: 'pro_123' };
+			await signAdmin('POST', '/products/pro_123/variants', JSON.stringify({ variantId: 'var_tee_s', sku: 'TEE-S', price: 20 }));
+			const stmt = env.DB.prepare();
+			stmt.first.onFirstCall().resolves({ product_id: 'pro_123' });
+			stmt.first.onSecondCall().resolves(variantRow);
+			stmt.run.resolves({ success: true });
+
+			const response = await productHandler.createVariantHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(201);
+			expect(data).to.include({ variantId: 'var_tee_s', productId: 'pro_123', sku: 'TEE-S', price: 20 });
+			expect(data.attributes).to.deep.equal({ size: 'S' });
+			expect(stmt.bind).to.have.been.calledWith('var_tee_s', 'pro_123', 'TEE-S', 20, null, '{}', null, '[]', 0);
+		});
+
+		function mockVariantStock(variants) {
+			fetchStub.resolves({ ok: true, status: 200, text: sinon.stub().resolves(JSON.stringify({ productId: 'pro_123', variants })) });
+		}
+
+		it('should refuse the first variant while the default variant has stock', async () => {
+			request.params = { id: 'pro_123' };
+			await signAdmin('POST', '/products/pro_123/variants', JSON.stringify({ variantId: 'var_tee_s', sku: 'TEE-S', price: 20 }));
+			env.DB.prepare().first.resolves({ product_id: 'pro_123' });
+			mockVariantStock([{ variantId: 'var_pro_123', stock: 5, reserved: 1 }]);
+
+			const response = await productHandler.createVariantHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(409);
+			expect(data).to.deep.equal({ error: 'Variant has stock', variantId: 'var_pro_123', stock: 5, reserved: 1 });
+			expect(JSON.parse(fetchStub.firstCall.args[1].body)).to.deep.equal({ productId: 'pro_123' });
+			expect(env.DB.prepare).to.not.have.been.calledWithMatch(sinon.match('INSERT INTO product_variants'));
+		});
+
+		it('should not check the default variant once the product has variants', async () => {
+			request.params = { id: 'pro_123' };
+			await signAdmin('POST', '/products/pro_123/variants', JSON.stringify({ variantId: 'var_tee_m', sku: 'TEE-M', price: 20 }));
+			const stmt = env.DB.prepare();
+			stmt.first.onFirstCall().resolves({ product_id: 'pro_123' });
+			stmt.first.onSecondCall().resolves({ ...variantRow, variant_id: 'var_tee_m', sku: 'TEE-M' });
+			stmt.all.resolves({ results: [variantRow] });
+
+			const response = await productHandler.createVariantHandler(request, env);
+
+			expect(response.status).to.equal(201);
+			expect(fetchStub).to.not.have.been.called;
+		});
+
+		it('should return 404 when adding a variant to a missing product', async () => {
+			request.params = { id: 'pro_missing' };
+			await signAdmin('POST', '/products/pro_missing/variants', JSON.stringify({ price: 20 }));
+			env.DB.prepare().first.resolves(null);
+
+			const response = await productHandler.createVariantHandler(request, env);
+
+			expect(response.status).to.equal(404);
+		});
+
+		it('should return 409 for a duplicate SKU', async () => {
+			request.params = { id: 'pro_123' };
+			await signAdmin('POST', '/products/pro_123/variants', JSON.stringify({ sku: 'TEE-S', price: 20 }));
+			const stmt = env.DB.prepare();
+			stmt.first.resolves({ product_id: 'pro_123' });
+			env.DB.batch.rejects(new Error('D1_ERROR: UNIQUE constraint failed: product_variants.sku'));
+
+			const response = await productHandler.createVariantHandler(request, env);
+
+			expect(response.status).to.equal(409);
+		});
+
+		it('should reject an invalid variant body', async () => {
+			request.params = { id: 'pro_123' };
+			await signAdmin('POST', '/products/pro_123/variants', JSON.stringify({ sku: 'TEE-S' }));
+
+			const response = await productHandler.createVariantHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(400);
+			expect(data).to.have.property('error', 'validation_error');
+		});
+
+		it('should update only the given fields', async () => {
+			request.params = { id: 'pro_123', variantId: 'var_tee_s' };
+			await signAdmin('PUT', '/products/pro_123/variants/var_tee_s', JSON.stringify({ price: 25 }));
+			const stmt = env.DB.prepare();
+			stmt.first.onFirstCall().resolves(variantRow);
+			stmt.first.onSecondCall().resolves({ ...variantRow, price: 25 });
+			stmt.run.resolves({ success: true });
+
+			const response = await productHandler.updateVariantHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data).to.have.property('price', 25);
+			expect(env.DB.prepare).to.have.been.calledWith(
+				'UPDATE product_variants SET price = ?, updated_at = ? WHERE product_id = ? AND variant_id = ?',
+			);
+		});
+
+		it('should return 404 when updating a missing variant', async () => {
+			request.params = { id: 'pro_123', variantId: 'var_nope' };
+			await signAdmin('PUT', '/products/pro_123/variants/var_nope', JSON.stringify({ price: 25 }));
+			env.DB.prepare().first.resolves(null);
+
+			const response = await productHandler.updateVariantHandler(request, env);
+
+			expect(response.status).to.equal(404);
+		});
+
+		it('should delete a variant', async () => {
+			request.params = { id: 'pro_123', variantId: 'var_tee_s' };
+			await signAdmin('DELETE', '/products/pro_123/variants/var_tee_s', '');
+			env.DB.prepare().run.resolves({ success: true, meta: { changes: 1 } });
+
+			const response = await productHandler.deleteVariantHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data).to.deep.equal({ productId: 'pro_123', variantId: 'var_tee_s', deleted: true });
+		});
+
+		it('should refuse to delete a variant inventory still holds units for', async () => {
+			request.params = { id: 'pro_123', variantId: 'var_tee_s' };
+			await signAdmin('DELETE', '/products/pro_123/variants/var_tee_s', '');
+			mockVariantStock([{ variantId: 'var_tee_s', stock: 0, reserved: 2 }]);
+
+			const response = await productHandler.deleteVariantHandler(request, env);
+
+			expect(response.status).to.equal(409);
+			expect(env.DB.prepare().run).to.not.have.been.called;
+		});
+
+		it('should not delete a variant when inventory cannot be asked', async () => {
+			request.params = { id: 'pro_123', variantId: 'var_tee_s' };
+			await signAdmin('DELETE', '/products/pro_123/variants/var_tee_s', '');
+			fetchStub.rejects(new Error('Network error'));
+
+			const response = await productHandler.deleteVariantHandler(request, env);
+
+			expect(response.status).to.equal(503);
+			expect(env.DB.prepare().run).to.not.have.been.called;
+		});
+
+		it('should return 404 when deleting a missing variant', async () => {
+			request.params = { id: 'pro_123', variantId: 'var_nope' };
+			await signAdmin('DELETE', '/products/pro_123/variants/var_nope', '');
+			env.DB.prepare().run.resolves({ success: true, meta: { changes: 0 } });
+
+			const response = await productHandler.deleteVariantHandler(request, env);
+
+			expect(response.status).to.equal(404);
+		});
+	});
+
+	describe('importProductsHandler', () => {
+		it('should import CSV sent as text/csv', async () => {
+			const csv = 'sku,title\nCAP,Cap\n';
+			await signAdmin('POST', '/products/import', csv);
+			request.headers.get.withArgs('content-type').returns('text/csv');
+			env.DB.batch.resolves([{ success: true, meta: { changes: 1 } }]);
+
+			const response = await productHandler.importProductsHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data).to.include({ dryRun: false, total: 1, created: 1 });
+			expect(data.results[0]).to.include({ row: 1, sku: 'CAP', status: 'created' });
+		});
+
+		it('should validate only on a dry run', async () => {
+			await signAdmin('POST', '/products/import', JSON.stringify([{ sku: 'CAP', title: 'Cap' }]));
+			request.url = 'https://example.com/products/import?dryRun=true';
+
+			const response = await productHandler.importProductsHandler(request, env);
+			const data = await response.json();
+
+			expect(data).to.include({ dryRun: true, valid: 1 });
+			expect(env.DB.batch).to.not.have.been.called;
+		});
+
+		it('should return 400 for a file that cannot be read', async () => {
+			await signAdmin('POST', '/products/import', JSON.stringify({ csv: 'sku,price\nCAP,5' }));
+
+			const response = await productHandler.importProductsHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(400);
+			expect(data).to.deep.equal({ error: 'invalid_file', details: 'missing column(s): title' });
+		});
+	});
+
+	describe('exportProductsHandler', () => {
+		it('should reject an unknown format', async () => {
+			await signAdmin('GET', '/products/export', '');
+			request.url = 'https://example.com/products/export?format=xml';
+
+			const response = await productHandler.exportProductsHandler(request, env);
+
+			expect(response.status).to.equal(400);
+		});
+
+		it('should stream the catalog as a download', async () => {
+			await signAdmin('GET', '/products/export', '');
+			request.url = 'https://example.com/products/export?format=ndjson';
+
+			const response = await productHandler.exportProductsHandler(request, env);
+
+			expect(response.headers.get('content-type')).to.equal('application/x-ndjson');
+			expect(response.headers.get('content-disposition')).to.match(/^attachment; filename="products-.*\.ndjson"$/);
+			expect(await response.text()).to.equal('');
+		});
+	});
+
+	describe('image handlers', () => {
+		it('should return 400 when deleting keys outside the image prefix', async () => {
+			await signAdmin('DELETE', '/products/images', JSON.stringify({ keys: ['secrets/key.pem'] }));
+			env.PRODUCT_IMAGES = { delete: sinon.stub() };
+			env.R2_PUBLIC_URL = 'https://cdn.example.com';
+
+			const response = await productHandler.deleteImagesHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(400);
+			expect(data.details).to.include('keys must start with products/');
+			expect(env.PRODUCT_IMAGES.delete).to.not.have.been.called;
+		});
+
+		it('should run the cleanup as a dry run', async () => {
+			await signAdmin('POST', '/products/images/cleanup', '');
+			request.url = 'https://example.com/products/images/cleanup?dryRun=true';
+			env.PRODUCT_IMAGES = { list: sinon.stub().resolves({ objects: [], truncated: false }), delete: sinon.stub() };
+			env.R2_PUBLIC_URL = 'https://cdn.example.com';
+
+			const response = await productHandler.cleanupImagesHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data).to.include({ dryRun: true, scanned: 0, deleted: 0 });
+		});
+	});
 });
@@ -0,0 +1,226 @@
+/**
+ * Unit tests for review.handler.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import * as reviewHandler from '../../../src/handlers/review.handler.js';
+import { encodeCursor } from '../../../src/helpers/utils.js';
+import sinon from 'sinon';
+import { stubStatement, stubDb, stubRequest, signRequest } from '../fixtures/handlers.js';
+
+const reviewRow = (id, createdAt, extra = {}) => ({
+	review_id: id,
+	product_id: 'pro_tee',
+	user_id: 'user_1',
+	order_id: 'order_1',
+	rating: 4,
+	title: 'Nice',
+	body: 'Fits well',
+	status: 'approved',
+	moderation_note: null,
+	created_at: createdAt,
+	updated_at: createdAt,
+	moderated_at: null,
+	...extra,
+});
+
+describe('review.handler', () => {
+	let env, request, stmt, fetchStub;
+
+	beforeEach(() => {
+		stmt = stubStatement();
+		env = {
+			DB: stubDb(stmt),
+			ADMIN_SECRET: 'admin-secret',
+			INTERNAL_SECRET: 'internal-secret',
+			ORDER_SERVICE_URL: 'https://orders.example.com',
+		};
+		request = stubRequest();
+		fetchStub = sinon.stub(global, 'fetch');
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	const sign = (secret, method, path, body) => signRequest(request, secret, method, path, body);
+
+	function orderServiceReplies(body, status = 200) {
+		fetchStub.resolves({ ok: status < 400, status, text: sinon.stub().resolves(JSON.stringify(body)) });
+	}
+
+	describe('listProductReviewsHandler', () => {
+		it('should list approved reviews with the product rating and a next cursor', async () => {
+			request.url = 'https://example.com/products/pro_tee/reviews?limit=1';
+			request.params = { id: 'pro_tee' };
+			stmt.first.resolves({ product_id: 'pro_tee', rating_average: 4.5, rating_count: 2 });
+			stmt.all.resolves({ results: [reviewRow('rev_2', 1700000200), reviewRow('rev_1', 1700000100)] });
+
+			const response = await reviewHandler.listProductReviewsHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data.rating).to.deep.equal({ average: 4.5, count: 2 });
+			expect(data.reviews).to.have.lengthOf(1);
+			expect(data.reviews[0]).to.include({ reviewId: 'rev_2', rating: 4, verifiedPurchase: true });
+			expect(data.reviews[0]).to.not.have.property('userId');
+			expect(data.nextCursor).to.equal(encodeCursor([1700000200, 'rev_2']));
+			expect(stmt.bind.lastCall.args).to.deep.equal(['pro_tee', 2]);
+		});
+
+		it('should continue after the cursor', async () => {
+			request.url = `https://example.com/products/pro_tee/reviews?cursor=${encodeCursor([1700000200, 'rev_2'])}`;
+			request.params = { id: 'pro_tee' };
+			stmt.first.resolves({ product_id: 'pro_tee', rating_average: null, rating_count: 0 });
+
+			await reviewHandler.listProductReviewsHandler(request, env);
+
+			expect(stmt.bind.lastCall.args).to.deep.equal(['pro_tee', 1700000200, 1700000200, 'rev_2', 21]);
+		});
+
+		it('should reject a cursor it did not issue', async () => {
+			request.url = 'https://example.com/products/pro_tee/reviews?cursor=nope';
+			request.params = { id: 'pro_tee' };
+
+			const response = await reviewHandler.listProductReviewsHandler(request, env);
+
+			expect(response.status).to.equal(400);
+			expect(await response.json()).to.deep.equal({ error: 'invalid_cursor' });
+		});
+
+		it('should return 404 for an unknown product', async () => {
+			request.url = 'https://example.com/products/pro_nope/reviews';
+			request.params = { id: 'pro_nope' };
+			stmt.first.resolves(null);
+
+			const response = await reviewHandler.listProductReviewsHandler(request, env);
+
+			expect(response.status).to.equal(404);
+		});
+	});
+
+	describe('createReviewHandler', () => {
+		const body = JSON.stringify({ userId: 'user_1', rating: 5, title: 'Great', body: 'Would buy again' });
+
+		beforeEach(() => {
+			request.params = { id: 'pro_tee' };
+			stmt.first.resolves({ product_id: 'pro_tee' });
+		});
+
+		it('should require an internal signature', async () => {
+			await sign('admin-secret', 'POST', '/products/pro_tee/reviews', body);
+
+			const response = await reviewHandler.createReviewHandler(request, env);
+
+			expect(response.status).to.equal(401);
+		});
+
+		it('should store a pending review from a customer with a delivered order', async () => {
+			await sign('internal-secret', 'POST', '/products/pro_tee/reviews', body);
+			orderServiceReplies({ purchased: true, orderId: 'order_1' });
+
+			const response = await reviewHandler.createReviewHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(201);
+			expect(data).to.include({ productId: 'pro_tee', status: 'pending' });
+			expect(data.reviewId).to.match(/^rev_/);
+			expect(fetchStub.firstCall.args[0]).to.equal('https://orders.example.com/orders/purchase-check');
+			expect(JSON.parse(fetchStub.firstCall.args[1].body)).to.deep.equal({ userId: 'user_1', productId: 'pro_tee' });
+			expect(stmt.bind.lastCall.args.slice(1, 7)).to.deep.equal(['pro_tee', 'user_1', 'order_1', 5, 'Great', 'Would buy again']);
+		});
+
+		it('should refuse a user without a delivered order for the product', async () => {
+			await sign('internal-secret', 'POST', '/products/pro_tee/reviews', body);
+			orderServiceReplies({ purchased: false, orderId: null });
+
+			const response = await reviewHandler.createReviewHandler(request, env);
+
+			expect(response.status).to.equal(403);
+			expect(await response.json()).to.have.property('error', 'purchase_required');
+			expect(stmt.run).to.not.have.been.called;
+		});
+
+		it('should not accept the review when purchases cannot be checked', async () => {
+			await sign('internal-secret', 'POST', '/products/pro_tee/reviews', body);
+			orderServiceReplies({ error: 'database_error' }, 500);
+
+			const response = await reviewHandler.createReviewHandler(request, env);
+
+			expect(response.status).to.equal(503);
+			expect(stmt.run).to.not.have.been.called;
+		});
+
+		it('should return 409 for a second review of the same product', async () => {
+			await sign('internal-secret', 'POST', '/products/pro_tee/reviews', body);
+			orderServiceReplies({ purchased: true, orderId: 'order_1' });
+			stmt.run.rejects(new Error('UNIQUE constraint failed: product_reviews.product_id, product_reviews.user_id'));
+
+			const response = await reviewHandler.createReviewHandler(request, env);
+
+			expect(response.status).to.equal(409);
+			expect(await response.json()).to.deep.equal({ error: 'already_reviewed' });
+		});
+
+		it('should reject a rating outside 1 to 5', async () => {
+			await sign('internal-secret', 'POST', '/products/pro_tee/reviews', JSON.stringify({ userId: 'user_1', rating: 6 }));
+
+			const response = await reviewHandler.createReviewHandler(request, env);
+
+			expect(response.status).to.equal(400);
+			expect(fetchStub).to.not.have.been.called;
+		});
+	});
+
+	describe('listReviewQueueHandler', () => {
+		it('should list pending reviews oldest first with reviewer details', async () => {
+			await sign('admin-secret', 'GET', '/reviews', '');
+			stmt.all.resolves({ results: [reviewRow('rev_1', 1700000100, { status: 'pending' })] });
+
+			const response = await reviewHandler.listReviewQueueHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data).to.include({ status: 'pending', nextCursor: null });
+			expect(data.reviews[0]).to.include({ reviewId: 'rev_1', userId: 'user_1', orderId: 'order_1', status: 'pending' });
+			expect(env.DB.prepare.lastCall.args[0]).to.include('ORDER BY created_at ASC');
+			expect(stmt.bind.lastCall.args).to.deep.equal(['pending', 21]);
+		});
+	});
+
+	describe('moderateReviewHandler', () => {
+		it('should approve a review and recompute the product rating', async () => {
+			await sign('admin-secret', 'PUT', '/reviews/rev_1', JSON.stringify({ status: 'approved' }));
+			request.params = { reviewId: 'rev_1' };
+			stmt.first.onFirstCall().resolves(reviewRow('rev_1', 1700000100, { status: 'pending' }));
+			stmt.first.onSecondCall().resolves(reviewRow('rev_1', 1700000100, { moderated_at: 1700000300 }));
+
+			const response = await reviewHandler.moderateReviewHandler(request, env);
+			const data = await response.json();
+
+			expect(response.status).to.equal(200);
+			expect(data.review).to.include({ reviewId: 'rev_1', status: 'approved', moderatedAt: 1700000300 });
+			const [statements] = env.DB.batch.firstCall.args;
+			expect(statements).to.have.lengthOf(2);
+		});
+
+		it('should return 404 for an unknown review', async () => {
+			await sign('admin-secret', 'PUT', '/reviews/rev_nope', JSON.stringify({ status: 'rejected' }));
+			request.params = { reviewId: 'rev_nope' };
+			stmt.first.resolves(null);
+
+			const response = await reviewHandler.moderateReviewHandler(request, env);
+
+			expect(response.status).to.equal(404);
+			expect(env.DB.batch).to.not.have.been.called;
+		});
+
+		it('should only accept approved or rejected', async () => {
+			await sign('admin-secret', 'PUT', '/reviews/rev_1', JSON.stringify({ status: 'pending' }));
+			request.params = { reviewId: 'rev_1' };
+
+			const response = await reviewHandler.moderateReviewHandler(request, env);
+
+			expect(response.status).to.equal(400);
+		});
+	});
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for helpers/image.js
+ */
+import { describe, it } from 'mocha';
+import { sniffImage, normalizeImages } from '../../../src/helpers/image.js';
+import { png, jpeg, gif, webp } from '../fixtures/images.js';
+
+describe('helpers/image', () => {
+	describe('sniffImage', () => {
+		it('should read PNG dimensions from the IHDR chunk', () => {
+			expect(sniffImage(png(1200, 800))).to.deep.equal({ format: 'png', contentType: 'image/png', width: 1200, height: 800 });
+		});
+
+		it('should read JPEG dimensions from the start-of-frame segment', () => {
+			expect(sniffImage(jpeg(640, 480))).to.deep.equal({ format: 'jpeg', contentType: 'image/jpeg', width: 640, height: 480 });
+		});
+
+		it('should read GIF dimensions from the screen descriptor', () => {
+			expect(sniffImage(gif(16, 9))).to.include({ format: 'gif', width: 16, height: 9 });
+		});
+
+		it('should read extended WebP dimensions', () => {
+			expect(sniffImage(webp(2048, 1536))).to.deep.equal({ format: 'webp', contentType: 'image/webp', width: 2048, height: 1536 });
+		});
+
+		it('should read lossy and lossless WebP dimensions', () => {
+			const lossy = new Uint8Array(40);
+			lossy.set([...'RIFF'].map((c) => c.charCodeAt(0)));
+			lossy.set(
+				[...'WEBPVP8 '].map((c) => c.charCodeAt(0)),
+				8,
+			);
+			lossy.set([0x9d, 0x01, 0x2a, 0x20, 0x03, 0x58, 0x02], 23); // 800 x 600
+
+			const lossless = new Uint8Array(40);
+			lossless.set([...'RIFF'].map((c) => c.charCodeAt(0)));
+			lossless.set(
+				[...'WEBPVP8L'].map((c) => c.charCodeAt(0)),
+				8,
+			);
+			lossless.set([0x2f, 0x63, 0x40, 0x2b, 0x00], 20); // 100 x 174
+
+			expect(sniffImage(lossy)).to.include({ format: 'webp', width: 800, height: 600 });
+			expect(sniffImage(lossless)).to.include({ format: 'webp', width: 100, height: 174 });
+		});
+
+		it('should accept an ArrayBuffer', () => {
+			expect(sniffImage(png(1, 1).buffer)).to.include({ format: 'png' });
+		});
+
+		it('should reject anything that is not a supported image', () => {
+			const enc = new TextEncoder();
+			expect(sniffImage(enc.encode('<svg xmlns="http://www.w3.org/2000/svg"/>'))).to.be.null;
+			expect(sniffImage(enc.encode('%PDF-1.7 ...........'))).to.be.null;
+			expect(sniffImage(new Uint8Array(100))).to.be.null;
+			expect(sniffImage(new Uint8Array([0x89, 0x50]))).to.be.null;
+		});
+
+		it('should leave dimensions empty when a JPEG has no frame header', () => {
+			const bytes = jpeg(10, 10).slice(0, 20);
+			expect(sniffImage(bytes)).to.deep.equal({ format: 'jpeg', contentType: 'image/jpeg', width: null, height: null });
+		});
+	});
+
+	describe('normalizeImages', () => {
+		it('should turn URL strings into image objects', () => {
+			expect(normalizeImages(['https://cdn.example.com/a.jpg'])).to.deep.equal([
+				{ url: 'https://cdn.example.com/a.jpg', alt: null, width: null, height: null, derivatives: [] },
+			]);
+		});
+
+		it('should keep alt text, dimensions and derivatives and drop entries without a URL', () => {
+			const derivatives = [{ width: 320, url: 'https://cdn.example.com/a-320.webp' }];
+			const images = normalizeImages([
+				{ url: 'https://cdn.example.com/a.jpg', alt: 'Front', width: 10, height: 20, derivatives, extra: 1 },
+				{ alt: 'x' },
+				null,
+			]);
+
+			expect(images).to.deep.equal([{ url: 'https://cdn.example.com/a.jpg', alt: 'Front', width: 10, height: 20, derivatives }]);
+		});
+
+		it('should treat a missing list as empty', () => {
+			expect(normalizeImages(undefined)).to.deep.equal([]);
+		});
+	});
+});
@@ -2,7 +2,7 @@
  * Unit tests for utils.js
  */
 import { describe, it } from 'mocha';
-import { parseJSONSafe, nowSec } from '../../../src/helpers/utils.js';
+import { parseJSONSafe, nowSec, encodeCursor, decodeCursor } from '../../../src/helpers/utils.js';
 
 describe('utils', () => {
 	describe('parseJSONSafe', () => {
@@ -42,4 +42,18 @@ describe('utils', () => {
 			expect(result).to.be.at.most(after);
 		});
 	});
+
+	describe('encodeCursor / decodeCursor', () => {
+		it('should round-trip keyset values as a URL-safe token', () => {
+			const cursor = encodeCursor(['title', 'Ça va?', 'pro_1']);
+
+			expect(cursor).to.match(/^[A-Za-z0-9_-]+$/);
+			expect(decodeCursor(cursor)).to.deep.equal(['title', 'Ça va?', 'pro_1']);
+		});
+
+		it('should return null for anything else', () => {
+			expect(decodeCursor('%%%')).to.be.null;
+			expect(decodeCursor(btoa('"pro_1"'))).to.be.null;
+		});
+	});
 });
@@ -0,0 +1,49 @@
+/**
+ * Unit tests for validation.js
+ */
+import { describe, it } from 'mocha';
+import Joi from 'joi';
+import { readBody, isUniqueViolation } from '../../../src/helpers/validation.js';
+
+describe('validation', () => {
+	const schema = Joi.object({ name: Joi.string().required(), qty: Joi.number().integer().min(1).default(1) });
+	const requestWith = (text) => new Request('https://example.com', { method: 'POST', body: text });
+
+	describe('readBody', () => {
+		it('should return the validated body', async () => {
+			const { response, value } = await readBody(requestWith('{"name": "tee"}'), schema);
+
+			expect(response).to.be.undefined;
+			expect(value).to.deep.equal({ name: 'tee', qty: 1 });
+		});
+
+		it('should reject a body that is not JSON', async () => {
+			const { response } = await readBody(requestWith('not json'), schema);
+
+			expect(response.status).to.equal(400);
+			expect(await response.json()).to.deep.equal({ error: 'invalid_json' });
+		});
+
+		it('should report every validation error', async () => {
+			const { response } = await readBody(requestWith('{"qty": 0}'), schema);
+
+			expect(response.status).to.equal(400);
+			expect(await response.json()).to.deep.equal({
+				error: 'validation_error',
+				details: '"name" is required, "qty" must be greater than or equal to 1',
+			});
+		});
+	});
+
+	describe('isUniqueViolation', () => {
+		it('should match UNIQUE and PRIMARY KEY failures', () => {
+			expect(isUniqueViolation(new Error('D1_ERROR: UNIQUE constraint failed: products.sku'))).to.equal(true);
+			expect(isUniqueViolation(new Error('D1_ERROR: PRIMARY KEY must be unique'))).to.equal(true);
+		});
+
+		it('should not match other errors', () => {
+			expect(isUniqueViolation(new Error('D1_ERROR: CHECK constraint failed'))).to.equal(false);
+			expect(isUniqueViolation(undefined)).to.equal(false);
+		});
+	});
+});
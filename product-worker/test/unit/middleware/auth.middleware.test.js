@@ -2,7 +2,7 @@
  * Unit tests for auth.middleware.js
  */
 import { describe, it, beforeEach } from 'mocha';
-import { verifyAdminAuth } from '../../../src/middleware/auth.middleware.js';
+import { verifyAdminAuth, verifyInternalAuth } from '../../../src/middleware/auth.middleware.js';
 import sinon from 'sinon';
 
 describe('auth.middleware', () => {
@@ -127,4 +127,40 @@ describe('auth.middleware', () => {
 
 		expect(response).to.be.null; // Should use empty string on error
 	});
+
+	describe('verifyInternalAuth', () => {
+		async function signWith(secret) {
+			const ts = Date.now().toString();
+			const enc = new TextEncoder();
+			const key = await crypto.subtle.importKey('raw', enc.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+			const sig = await crypto.subtle.sign('HMAC', key, enc.encode(`${ts}|POST|/products|{}`));
+			request.headers.get.withArgs('x-timestamp').returns(ts);
+			request.headers.get.withArgs('x-signature').returns([...new Uint8Array(sig)].map((b) => b.toString(16).padStart(2, '0')).join(''));
+			request.clone.returns(request);
+			request.text = sinon.stub().resolves('{}');
+		}
+
+		it('should accept a request signed with INTERNAL_SECRET', async () => {
+			env.INTERNAL_SECRET = 'internal-secret';
+			await signWith('internal-secret');
+
+			expect(await verifyInternalAuth(request, env)).to.be.null;
+		});
+
+		it('should not accept the admin secret', async () => {
+			env.INTERNAL_SECRET = 'internal-secret';
+			await signWith('admin-secret');
+
+			const response = await verifyInternalAuth(request, env);
+
+			expect(response.status).to.equal(401);
+		});
+
+		it('should return error if INTERNAL_SECRET not configured', async () => {
+			const response = await verifyInternalAuth(request, env);
+
+			expect(response.status).to.equal(500);
+			expect(await response.text()).to.equal('internal_secret_not_configured');
+		});
+	});
 });
@@ -0,0 +1,199 @@
+/**
+ * Unit tests for bulk.service.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { readImportRows, importProducts, exportCatalogStream } from '../../../src/services/bulk.service.js';
+import sinon from 'sinon';
+
+describe('bulk.service', () => {
+	let env;
+	let productRows;
+	let variantRows;
+	let writes;
+
+	beforeEach(() => {
+		productRows = [{ product_id: 'pro_tee', sku: 'TEE', deleted_at: null }];
+		variantRows = [{ variant_id: 'var_mug', product_id: 'pro_mug', sku: 'MUG-RED' }];
+		writes = [];
+
+		env = {
+			DB: {
+				prepare: sinon.stub().callsFake((query) => {
+					const stmt = { query, bind: sinon.stub().returnsThis() };
+					stmt.all = sinon.stub().callsFake(async () => {
+						if (query.startsWith('SELECT * FROM categories')) return { results: [{ slug: 'apparel' }] };
+						if (query.startsWith('SELECT product_id, sku')) return { results: productRows };
+						if (query.startsWith('SELECT variant_id')) return { results: variantRows };
+						return { results: [] };
+					});
+					return stmt;
+				}),
+				batch: sinon.stub().callsFake(async (statements) => {
+					writes.push(statements);
+					return statements.map(() => ({ success: true, meta: { changes: 1 } }));
+				}),
+			},
+		};
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('readImportRows', () => {
+		it('should read CSV rows with image lists and JSON cells', () => {
+			const rows = readImportRows({
+				csv: 'sku,title,price,images,variants\nTEE,Tee,20,https://cdn.example.com/a.jpg|https://cdn.example.com/b.jpg,"[{""sku"":""TEE-S"",""price"":20}]"\n',
+			});
+
+			expect(rows).to.deep.equal([
+				{
+					sku: 'TEE',
+					title: 'Tee',
+					metadata: { price: '20' },
+					images: ['https://cdn.example.com/a.jpg', 'https://cdn.example.com/b.jpg'],
+					variants: [{ sku: 'TEE-S', price: 20 }],
+				},
+			]);
+		});
+
+		it('should read NDJSON, skipping blank lines', () => {
+			const rows = readImportRows({ ndjson: '{"sku":"TEE","title":"Tee"}\n\n{"sku":"MUG","title":"Mug"}\n' });
+
+			expect(rows.map((r) => r.sku)).to.deep.equal(['TEE', 'MUG']);
+		});
+
+		it('should reject an NDJSON line that is not an object', () => {
+			expect(() => readImportRows({ ndjson: '{"sku":"TEE","title":"Tee"}\nnot json\n' }))
+				.to.throw()
+				.that.deep.includes({ error: 'invalid_file', message: 'line 2 is not a JSON object' });
+		});
+
+		it('should reject CSV missing a required column', () => {
+			expect(() => readImportRows({ csv: 'sku,price\nTEE,20' }))
+				.to.throw()
+				.that.deep.includes({ error: 'invalid_file', message: 'missing column(s): title' });
+		});
+	});
+
+	describe('importProducts', () => {
+		it('should report a result for every row', async () => {
+			const report = await importProducts(env, [
+				{ sku: 'TEE', title: 'Tee', category: 'apparel', variants: [{ sku: 'TEE-S', price: 20 }] },
+				{ sku: 'CAP', title: 'Cap', images: ['https://cdn.example.com/cap.jpg'] },
+				{ sku: 'HAT', title: 'Hat', category: 'hats' },
+				{ title: 'No SKU' },
+				{ sku: 'TEE', title: 'Tee again' },
+				{ sku: 'BAG', title: 'Bag', variants: [{ sku: 'MUG-RED', price: 5 }] },
+			]);
+
+			expect(report).to.include({ dryRun: false, total: 6, created: 1, updated: 1, invalid: 3, failed: 1 });
+			expect(report.results[0]).to.include({ row: 1, status: 'updated', productId: 'pro_tee', variants: 1 });
+			expect(report.results[1]).to.include({ row: 2, status: 'created', action: 'create' });
+			expect(report.results[2].errors).to.deep.equal(['category "hats" does not exist']);
+			expect(report.results[3].errors).to.deep.equal(['sku is required']);
+			expect(report.results[4].errors).to.deep.equal(['sku "TEE" is already used by row 1']);
+			expect(report.results[5]).to.include({ status: 'failed', error: 'sku_conflict' });
+		});
+
+		it('should write a product and its variants in one batch', async () => {
+			await importProducts(env, [
+				{
+					sku: 'TEE',
+					title: 'Tee',
+					variants: [
+						{ sku: 'TEE-S', price: 20 },
+						{ sku: 'TEE-M', price: 22 },
+					],
+				},
+			]);
+
+			const [statements] = writes;
+			expect(statements).to.have.lengthOf(5);
+			expect(statements[0].query).to.include('UPDATE products SET title = ?');
+			expect(statements[1].query).to.include('INSERT INTO product_price_history');
+			expect(statements[2].query).to.include('ON CONFLICT(sku) DO UPDATE');
+			expect(statements[2].bind.firstCall.args.slice(1, 3)).to.deep.equal(['TEE-S', 20]);
+		});
+
+		it('should write nothing on a dry run', async () => {
+			const report = await importProducts(env, [{ sku: 'CAP', title: 'Cap' }], { dryRun: true });
+
+			expect(report).to.include({ dryRun: true, valid: 1, created: 0 });
+			expect(report.results[0]).to.include({ status: 'valid', action: 'create' });
+			expect(writes).to.be.empty;
+		});
+
+		it('should not revive an archived product', async () => {
+			productRows[0].deleted_at = 1700000000;
+
+			const report = await importProducts(env, [{ sku: 'TEE', title: 'Tee' }]);
+
+			expect(report.results[0]).to.include({ status: 'failed', error: 'product_archived' });
+			expect(writes).to.be.empty;
+		});
+
+		it('should refuse more rows than one import may write', async () => {
+			const rows = Array.from({ length: 201 }, (_, i) => ({ sku: `SKU-${i}`, title: 'x' }));
+
+			try {
+				await importProducts(env, rows);
+				expect.fail('should have thrown');
+			} catch (e) {
+				expect(e).to.deep.equal({ error: 'too_many_rows', max: 200, rows: 201 });
+			}
+		});
+	});
+
+	describe('exportCatalogStream', () => {
+		async function readAll(stream) {
+			return await new Response(stream).text();
+		}
+
+		beforeEach(() => {
+			env.DB.prepare = sinon.stub().callsFake((query) => ({
+				bind: sinon.stub().returnsThis(),
+				all: sinon.stub().resolves(
+					query.startsWith('SELECT * FROM products')
+						? {
+								results: [
+									{
+										product_id: 'pro_tee',
+										sku: 'TEE',
+										title: 'Tee, cotton',
+										description: null,
+										category: 'apparel',
+										images: '["https://cdn.example.com/a.jpg"]',
+										metadata: '{"price":20}',
+									},
+								],
+							}
+						: {
+								results: [
+									{ product_id: 'pro_tee', sku: 'TEE-S', price: 20, attributes: '{"size":"S"}', weight: null, images: '[]', position: 0 },
+								],
+							},
+				),
+			}));
+		});
+
+		it('should stream CSV in the import columns', async () => {
+			const text = await readAll(exportCatalogStream(env, { format: 'csv' }));
+
+			const [header, line] = text.trim().split('\n');
+			expect(header).to.equal('productId,sku,title,description,category,price,images,metadata,variants');
+			expect(line).to.match(/^pro_tee,TEE,"Tee, cotton",,apparel,20,https:\/\/cdn.example.com\/a.jpg,/);
+		});
+
+		it('should stream NDJSON that reads back as import rows', async () => {
+			const text = await readAll(exportCatalogStream(env, { format: 'ndjson' }));
+
+			const rows = readImportRows({ ndjson: text });
+			expect(rows).to.have.lengthOf(1);
+			expect(rows[0]).to.include({ productId: 'pro_tee', sku: 'TEE' });
+			expect(rows[0].variants).to.deep.equal([
+				{ sku: 'TEE-S', price: 20, compareAtPrice: null, attributes: { size: 'S' }, weight: null, images: [], position: 0 },
+			]);
+		});
+	});
+});
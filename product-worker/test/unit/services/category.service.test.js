@@ -0,0 +1,71 @@
+/**
+ * Unit tests for category.service.js
+ */
+import { describe, it, afterEach } from 'mocha';
+import { formatCategory, buildCategoryTree, getCategorySlugs } from '../../../src/services/category.service.js';
+import sinon from 'sinon';
+
+const row = (id, slug, parentId = null, sortOrder = 0) => ({
+	category_id: id,
+	slug,
+	name: slug,
+	description: null,
+	parent_id: parentId,
+	sort_order: sortOrder,
+	created_at: 1700000000,
+	updated_at: 1700000000,
+});
+
+describe('category.service', () => {
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('formatCategory', () => {
+		it('should map a row to the API shape', () => {
+			expect(formatCategory(row('cat_component', 'component', 'cat_hardware', 2))).to.deep.equal({
+				categoryId: 'cat_component',
+				slug: 'component',
+				name: 'component',
+				description: null,
+				parentId: 'cat_hardware',
+				sortOrder: 2,
+				createdAt: 1700000000,
+				updatedAt: 1700000000,
+			});
+		});
+	});
+
+	describe('buildCategoryTree', () => {
+		it('should nest children under their parents in row order', () => {
+			const tree = buildCategoryTree([
+				row('cat_hardware', 'hardware'),
+				row('cat_gpu', 'gpu', 'cat_component'),
+				row('cat_component', 'component', 'cat_hardware'),
+				row('cat_console', 'console'),
+			]);
+
+			expect(tree.map((c) => c.slug)).to.deep.equal(['hardware', 'console']);
+			expect(tree[0].children.map((c) => c.slug)).to.deep.equal(['component']);
+			expect(tree[0].children[0].children.map((c) => c.slug)).to.deep.equal(['gpu']);
+			expect(tree[1].children).to.deep.equal([]);
+		});
+
+		it('should keep a category with a missing parent at the top level', () => {
+			const tree = buildCategoryTree([row('cat_orphan', 'orphan', 'cat_gone')]);
+
+			expect(tree.map((c) => c.slug)).to.deep.equal(['orphan']);
+		});
+	});
+
+	describe('getCategorySlugs', () => {
+		it('should return the slugs of every category', async () => {
+			const stmt = { all: sinon.stub().resolves({ results: [row('cat_hardware', 'hardware'), row('cat_console', 'console')] }) };
+			const env = { DB: { prepare: sinon.stub().returns(stmt) } };
+
+			const slugs = await getCategorySlugs(env);
+
+			expect([...slugs]).to.deep.equal(['hardware', 'console']);
+		});
+	});
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for image.service.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { listImages, deleteImages, cleanupOrphanImages } from '../../../src/services/image.service.js';
+import sinon from 'sinon';
+
+const CDN = 'https://cdn.example.com';
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('image.service', () => {
+	let env;
+	let bucket;
+	let references;
+
+	const object = (key, ageMs) => ({
+		key,
+		size: 1024,
+		uploaded: new Date(Date.now() - ageMs),
+		httpMetadata: { contentType: 'image/jpeg' },
+	});
+
+	beforeEach(() => {
+		references = [{ url: `${CDN}/products/used.jpg`, product_id: 'pro_tee' }];
+		bucket = {
+			list: sinon.stub().resolves({
+				objects: [object('products/used.jpg', 3 * DAY), object('products/old.jpg', 3 * DAY), object('products/new.jpg', 60 * 1000)],
+				truncated: false,
+			}),
+			delete: sinon.stub().resolves(),
+		};
+		env = {
+			PRODUCT_IMAGES: bucket,
+			R2_PUBLIC_URL: CDN,
+			DB: {
+				prepare: sinon.stub().returns({
+					bind: sinon.stub().returnsThis(),
+					all: sinon.stub().callsFake(async () => ({ results: references })),
+				}),
+			},
+		};
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('listImages', () => {
+		it('should list images with the products using them', async () => {
+			bucket.list.resolves({ objects: [object('products/used.jpg', DAY)], truncated: true, cursor: 'next' });
+
+			const page = await listImages(env, { limit: 1 });
+
+			expect(bucket.list).to.have.been.calledWith({ prefix: 'products/', limit: 1, cursor: undefined, include: ['httpMetadata'] });
+			expect(page.nextCursor).to.equal('next');
+			expect(page.images[0]).to.include({ key: 'products/used.jpg', url: `${CDN}/products/used.jpg`, contentType: 'image/jpeg' });
+			expect(page.images[0].productIds).to.deep.equal(['pro_tee']);
+		});
+	});
+
+	describe('deleteImages', () => {
+		it('should keep images a product still uses', async () => {
+			const result = await deleteImages(env, ['products/used.jpg', 'products/old.jpg']);
+
+			expect(result).to.deep.equal({
+				deleted: ['products/old.jpg'],
+				referenced: [{ key: 'products/used.jpg', productIds: ['pro_tee'] }],
+			});
+			expect(bucket.delete).to.have.been.calledOnce;
+			expect(bucket.delete.firstCall.args[0]).to.include('products/old.jpg').and.include('derivatives/products/old.jpg/w320.webp');
+			expect(bucket.delete.firstCall.args[0]).to.not.include('products/used.jpg');
+		});
+	});
+
+	describe('cleanupOrphanImages', () => {
+		it('should delete unused images past the grace period', async () => {
+			const report = await cleanupOrphanImages(env);
+
+			expect(report).to.deep.equal({ dryRun: false, scanned: 3, inUse: 1, withinGrace: 1, deleted: 1, orphans: ['products/old.jpg'] });
+			expect(bucket.delete).to.have.been.calledOnceWith([
+				'products/old.jpg',
+				'derivatives/products/old.jpg/w320.webp',
+				'derivatives/products/old.jpg/w640.webp',
+				'derivatives/products/old.jpg/w960.webp',
+				'derivatives/products/old.jpg/w1280.webp',
+				'derivatives/products/old.jpg/w1920.webp',
+			]);
+		});
+
+		it('should only report on a dry run', async () => {
+			const report = await cleanupOrphanImages(env, { dryRun: true });
+
+			expect(report).to.include({ dryRun: true, deleted: 0 });
+			expect(report.orphans).to.deep.equal(['products/old.jpg']);
+			expect(bucket.delete).to.not.have.been.called;
+		});
+
+		it('should read every page of the bucket', async () => {
+			bucket.list.onFirstCall().resolves({ objects: [object('products/a.jpg', 3 * DAY)], truncated: true, cursor: 'c1' });
+			bucket.list.onSecondCall().resolves({ objects: [object('products/b.jpg', 3 * DAY)], truncated: false });
+
+			const report = await cleanupOrphanImages(env);
+
+			expect(bucket.list.secondCall.args[0]).to.include({ cursor: 'c1' });
+			expect(report.orphans).to.deep.equal(['products/a.jpg', 'products/b.jpg']);
+		});
+	});
+});
@@ -2,7 +2,7 @@
  * Unit tests for inventory.service.js
  */
 import { describe, it, beforeEach, afterEach } from 'mocha';
-import { getProductStock } from '../../../src/services/inventory.service.js';
+import { getProductStock, getProductsStock, getVariantStock, deactivateProductStock } from '../../../src/services/inventory.service.js';
 import sinon from 'sinon';
 
 describe('inventory.service', () => {
@@ -36,6 +36,35 @@ describe('inventory.service', () => {
 			expect(fetchStub).to.have.been.calledOnce;
 		});
 
+		it('should pass through per-variant stock', async () => {
+			fetchStub.resolves({
+				ok: true,
+				status: 200,
+				text: sinon
+					.stub()
+					.resolves(
+						'{"stock": 5, "reserved": 1, "variants": [{"variantId": "var_s", "stock": 2, "reserved": 1}, {"variantId": "var_m", "stock": 3, "reserved": 0}]}',
+					),
+			});
+
+			const result = await getProductStock(env, 'pro_123');
+
+			expect(result.variants).to.have.length(2);
+			expect(result.variants[0]).to.deep.equal({ variantId: 'var_s', stock: 2, reserved: 1 });
+		});
+
+		it('should pass through the stock policy', async () => {
+			fetchStub.resolves({
+				ok: true,
+				status: 200,
+				text: sinon.stub().resolves('{"stock": 0, "reserved": 0, "stockPolicy": {"policy": "backorder", "backorderLimit": 5}}'),
+			});
+
+			const result = await getProductStock(env, 'pro_123');
+
+			expect(result.stockPolicy).to.deep.equal({ policy: 'backorder', backorderLimit: 5 });
+		});
+
 		it('should return zero stock when service not configured', async () => {
 			delete env.INVENTORY_SERVICE_URL;
 
@@ -116,4 +145,133 @@ describe('inventory.service', () => {
 			expect(result).to.have.property('reserved', 0);
 		});
 	});
+
+	describe('getProductsStock', () => {
+		it('should fetch stock for all products in one call', async () => {
+			fetchStub.resolves({
+				ok: true,
+				status: 200,
+				text: sinon.stub().resolves(
+					JSON.stringify({
+						products: {
+							pro_1: { stock: 5, reserved: 1, variants: [{ variantId: 'var_pro_1', stock: 5, reserved: 1 }] },
+							pro_2: { stock: 0, reserved: 0, variants: [], stockPolicy: { policy: 'preorder', releaseDate: 1800000000 } },
+						},
+					}),
+				),
+			});
+
+			const result = await getProductsStock(env, ['pro_1', 'pro_2']);
+
+			expect(fetchStub).to.have.been.calledOnce;
+			expect(fetchStub.firstCall.args[0]).to.equal('https://inventory.example.com/inventory/stock-batch');
+			expect(result.get('pro_1')).to.deep.equal({
+				stock: 5,
+				reserved: 1,
+				variants: [{ variantId: 'var_pro_1', stock: 5, reserved: 1 }],
+				stockPolicy: null,
+			});
+			expect(result.get('pro_2')).to.deep.equal({
+				stock: 0,
+				reserved: 0,
+				variants: [],
+				stockPolicy: { policy: 'preorder', releaseDate: 1800000000 },
+			});
+		});
+
+		it('should report zero stock for every product when the call fails', async () => {
+			fetchStub.resolves({ ok: false, status: 500, text: sinon.stub().resolves('{"error": "boom"}') });
+
+			const result = await getProductsStock(env, ['pro_1']);
+
+			expect(result.get('pro_1')).to.deep.equal({ stock: 0, reserved: 0, variants: [] });
+		});
+
+		it('should not call inventory for an empty page', async () => {
+			const result = await getProductsStock(env, []);
+
+			expect(result.size).to.equal(0);
+			expect(fetchStub).to.not.have.been.called;
+		});
+
+		it('should return zero stock when service not configured', async () => {
+			delete env.INVENTORY_SERVICE_URL;
+
+			const result = await getProductsStock(env, ['pro_1']);
+
+			expect(result.get('pro_1')).to.deep.equal({ stock: 0, reserved: 0, variants: [] });
+			expect(fetchStub).to.not.have.been.called;
+		});
+	});
+
+	describe('getVariantStock', () => {
+		it('should pick the variant out of the product stock', async () => {
+			fetchStub.resolves({
+				ok: true,
+				status: 200,
+				text: sinon.stub().resolves('{"stock": 5, "reserved": 1, "variants": [{"variantId": "var_s", "stock": 2, "reserved": 1}]}'),
+			});
+
+			expect(await getVariantStock(env, 'pro_123', 'var_s')).to.deep.equal({ stock: 2, reserved: 1 });
+			expect(await getVariantStock(env, 'pro_123', 'var_m')).to.deep.equal({ stock: 0, reserved: 0 });
+		});
+
+		it('should return null when inventory cannot be asked', async () => {
+			fetchStub.resolves({ ok: false, status: 500, text: sinon.stub().resolves('{"error": "boom"}') });
+
+			expect(await getVariantStock(env, 'pro_123', 'var_s')).to.equal(null);
+		});
+
+		it('should return zero stock when service not configured', async () => {
+			delete env.INVENTORY_SERVICE_URL;
+
+			expect(await getVariantStock(env, 'pro_123', 'var_s')).to.deep.equal({ stock: 0, reserved: 0 });
+			expect(fetchStub).to.not.have.been.called;
+		});
+	});
+
+	describe('deactivateProductStock', () => {
+		it('should ask inventory to deactivate the product', async () => {
+			fetchStub.resolves({
+				ok: true,
+				status: 200,
+				text: sinon.stub().resolves('{"productId": "pro_123", "deactivated": true}'),
+			});
+
+			const result = await deactivateProductStock(env, 'pro_123');
+
+			expect(result).to.be.true;
+			expect(fetchStub.firstCall.args[0]).to.equal('https://inventory.example.com/inventory/product-deactivate');
+			expect(fetchStub.firstCall.args[1]).to.have.property('method', 'POST');
+		});
+
+		it('should return false when service not configured', async () => {
+			delete env.INVENTORY_SERVICE_URL;
+
+			const result = await deactivateProductStock(env, 'pro_123');
+
+			expect(result).to.be.false;
+			expect(fetchStub).to.not.have.been.called;
+		});
+
+		it('should return false when service returns error', async () => {
+			fetchStub.resolves({
+				ok: false,
+				status: 500,
+				text: sinon.stub().resolves('{"error": "deactivate_failed"}'),
+			});
+
+			const result = await deactivateProductStock(env, 'pro_123');
+
+			expect(result).to.be.false;
+		});
+
+		it('should return false when fetch throws', async () => {
+			fetchStub.rejects(new Error('Network error'));
+
+			const result = await deactivateProductStock(env, 'pro_123');
+
+			expect(result).to.be.false;
+		});
+	});
 });
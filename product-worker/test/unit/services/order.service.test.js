@@ -0,0 +1,56 @@
+/**
+ * Unit tests for order.service.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { getDeliveredPurchase } from '../../../src/services/order.service.js';
+import sinon from 'sinon';
+
+describe('order.service', () => {
+	let fetchStub;
+	let env;
+
+	beforeEach(() => {
+		fetchStub = sinon.stub(global, 'fetch');
+		env = {
+			ORDER_SERVICE_URL: 'https://orders.example.com',
+			INTERNAL_SECRET: 'test-secret',
+		};
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('getDeliveredPurchase', () => {
+		it('should ask the order service with a signed request', async () => {
+			fetchStub.resolves({ ok: true, status: 200, text: sinon.stub().resolves('{"purchased": true, "orderId": "order_1"}') });
+
+			const result = await getDeliveredPurchase(env, 'user_1', 'pro_tee');
+
+			expect(result).to.deep.equal({ purchased: true, orderId: 'order_1' });
+			const [url, init] = fetchStub.firstCall.args;
+			expect(url).to.equal('https://orders.example.com/orders/purchase-check');
+			expect(init.method).to.equal('POST');
+			expect(init.headers).to.have.property('x-signature');
+		});
+
+		it('should return null when the order service fails', async () => {
+			fetchStub.resolves({ ok: false, status: 500, text: sinon.stub().resolves('{"error": "database_error"}') });
+
+			expect(await getDeliveredPurchase(env, 'user_1', 'pro_tee')).to.be.null;
+		});
+
+		it('should return null when the order service is unreachable', async () => {
+			fetchStub.rejects(new Error('Network error'));
+
+			expect(await getDeliveredPurchase(env, 'user_1', 'pro_tee')).to.be.null;
+		});
+
+		it('should return null without the order service configured', async () => {
+			delete env.ORDER_SERVICE_URL;
+
+			expect(await getDeliveredPurchase(env, 'user_1', 'pro_tee')).to.be.null;
+			expect(fetchStub).to.not.have.been.called;
+		});
+	});
+});
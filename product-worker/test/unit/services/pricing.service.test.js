@@ -0,0 +1,72 @@
+/**
+ * Unit tests for pricing.service.js
+ */
+import { describe, it } from 'mocha';
+import { salePrice, saleStatus, effectivePrice, formatSale } from '../../../src/services/pricing.service.js';
+
+const sale = (extra = {}) => ({
+	sale_id: 'sale_1',
+	product_id: 'pro_tee',
+	variant_id: null,
+	sale_price: null,
+	percent_off: null,
+	starts_at: 1700000000,
+	ends_at: 1800000000,
+	created_at: 1690000000,
+	...extra,
+});
+
+describe('pricing.service', () => {
+	describe('salePrice', () => {
+		it('should use the sale price, or take the percentage off to the cent', () => {
+			expect(salePrice(sale({ sale_price: 15 }), 20)).to.equal(15);
+			expect(salePrice(sale({ percent_off: 15 }), 19.99)).to.equal(16.99);
+		});
+	});
+
+	describe('saleStatus', () => {
+		it('should tell scheduled, active and ended sales apart', () => {
+			expect(saleStatus(sale(), 1600000000)).to.equal('scheduled');
+			expect(saleStatus(sale(), 1700000000)).to.equal('active');
+			expect(saleStatus(sale(), 1800000000)).to.equal('ended');
+			expect(saleStatus(sale({ ends_at: null }), 1900000000)).to.equal('active');
+		});
+	});
+
+	describe('effectivePrice', () => {
+		it('should keep the regular price and a higher compare-at price without a sale', () => {
+			expect(effectivePrice(20, 25, 'var_tee_s', [])).to.deep.equal({ price: 20, compareAtPrice: 25, saleEndsAt: null });
+			expect(effectivePrice(20, 20, 'var_tee_s', [])).to.deep.equal({ price: 20, compareAtPrice: null, saleEndsAt: null });
+		});
+
+		it('should apply sales for the whole product or the same variant', () => {
+			const sales = [
+				sale({ variant_id: 'var_tee_m', sale_price: 5 }),
+				sale({ sale_id: 'sale_2', variant_id: 'var_tee_s', sale_price: 12 }),
+			];
+
+			expect(effectivePrice(20, null, 'var_tee_s', sales)).to.deep.equal({ price: 12, compareAtPrice: 20, saleEndsAt: 1800000000 });
+			expect(effectivePrice(20, null, 'var_tee_l', sales)).to.include({ price: 20 });
+		});
+
+		it('should ignore a sale that would not lower the price', () => {
+			expect(effectivePrice(20, null, 'var_tee_s', [sale({ sale_price: 22 })])).to.include({ price: 20, compareAtPrice: null });
+		});
+	});
+
+	describe('formatSale', () => {
+		it('should format a sale with its status', () => {
+			expect(formatSale(sale({ percent_off: 10 }), 1750000000)).to.deep.equal({
+				saleId: 'sale_1',
+				productId: 'pro_tee',
+				variantId: null,
+				salePrice: null,
+				percentOff: 10,
+				startsAt: 1700000000,
+				endsAt: 1800000000,
+				status: 'active',
+				createdAt: 1690000000,
+			});
+		});
+	});
+});
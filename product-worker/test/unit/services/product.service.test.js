@@ -5,6 +5,15 @@ import { describe, it, beforeEach, afterEach } from 'mocha';
 import { transformProductRow, enrichProductWithStock, enrichProductsWithStock } from '../../../src/services/product.service.js';
 import sinon from 'sinon';
 
+function mockDB(variantRows = [], saleRows = []) {
+	return {
+		prepare: sinon.stub().callsFake((query) => ({
+			bind: sinon.stub().returnsThis(),
+			all: sinon.stub().resolves({ results: query.includes('FROM product_sales') ? saleRows : variantRows }),
+		})),
+	};
+}
+
 describe('product.service', () => {
 	describe('transformProductRow', () => {
 		it('should transform a product row with stock data', () => {
@@ -73,6 +82,132 @@ describe('product.service', () => {
 			expect(result.metadata).to.have.property('price', 50);
 			expect(result.metadata.attributes).to.have.property('size', 'L');
 		});
+
+		it('should use inventory stock for the default variant', () => {
+			const row = { product_id: 'pro_123', sku: 'SKU-001', title: 'Test', images: '[]', metadata: '{"price": 10}' };
+
+			const result = transformProductRow(row, 8, 2, [{ variantId: 'var_pro_123', stock: 8, reserved: 2 }]);
+
+			expect(result.variants).to.deep.equal([
+				{
+					variantId: 'var_pro_123',
+					code: 'SKU-001',
+					price: 10,
+					compareAtPrice: null,
+					saleEndsAt: null,
+					stock: 8,
+					reserved: 2,
+					attributes: {},
+					weight: null,
+					images: [],
+				},
+			]);
+		});
+
+		it('should expose variant rows with their own stock', () => {
+			const row = { product_id: 'pro_tee', sku: 'TEE', title: 'T-Shirt', images: '[]', metadata: '{"price": 20}' };
+			const variantRows = [
+				{ variant_id: 'var_tee_s', product_id: 'pro_tee', sku: 'TEE-S', price: 20, attributes: '{"size":"S"}', weight: 0.2, images: '[]' },
+				{
+					variant_id: 'var_tee_xl',
+					product_id: 'pro_tee',
+					sku: null,
+					price: 22,
+					attributes: '{"size":"XL"}',
+					weight: null,
+					images: '["https://cdn.example.com/xl.jpg"]',
+				},
+			];
+
+			const result = transformProductRow(row, 3, 1, [{ variantId: 'var_tee_s', stock: 3, reserved: 1 }], null, variantRows);
+
+			expect(result.variants).to.deep.equal([
+				{
+					variantId: 'var_tee_s',
+					code: 'TEE-S',
+					price: 20,
+					compareAtPrice: null,
+					saleEndsAt: null,
+					stock: 3,
+					reserved: 1,
+					attributes: { size: 'S' },
+					weight: 0.2,
+					images: [],
+				},
+				{
+					variantId: 'var_tee_xl',
+					code: 'var_tee_xl',
+					price: 22,
+					compareAtPrice: null,
+					saleEndsAt: null,
+					stock: 0,
+					reserved: 0,
+					attributes: { size: 'XL' },
+					weight: null,
+					images: [{ url: 'https://cdn.example.com/xl.jpg', alt: null, width: null, height: null, derivatives: [] }],
+				},
+			]);
+		});
+
+		it('should price the product from its cheapest variant, with its compare-at price', () => {
+			const row = { product_id: 'pro_tee', sku: 'TEE', images: '[]', metadata: '{"price": 20}' };
+			const variantRows = [
+				{ variant_id: 'var_tee_s', product_id: 'pro_tee', price: 22, compare_at_price: null, attributes: '{}', images: '[]' },
+				{ variant_id: 'var_tee_m', product_id: 'pro_tee', price: 18, compare_at_price: 25, attributes: '{}', images: '[]' },
+			];
+
+			const result = transformProductRow(row, 0, 0, [], null, variantRows);
+
+			expect(result).to.include({ price: 18, compareAtPrice: 25, saleEndsAt: null });
+		});
+
+		it('should apply the lowest active sale, keeping the regular price as compare-at', () => {
+			const row = { product_id: 'pro_123', sku: 'SKU-001', images: '[]', metadata: '{"price": 40, "compareAtPrice": 50}' };
+			const sales = [
+				{ sale_id: 'sale_1', product_id: 'pro_123', variant_id: null, sale_price: null, percent_off: 25, ends_at: 1800000000 },
+				{ sale_id: 'sale_2', product_id: 'pro_123', variant_id: null, sale_price: 35, percent_off: null, ends_at: null },
+				{ sale_id: 'sale_3', product_id: 'pro_123', variant_id: 'var_other', sale_price: 1, percent_off: null, ends_at: null },
+			];
+
+			const result = transformProductRow(row, 0, 0, [], null, [], sales);
+
+			expect(result).to.include({ price: 30, compareAtPrice: 40, saleEndsAt: 1800000000 });
+			expect(result.variants[0]).to.include({ price: 30, compareAtPrice: 40, saleEndsAt: 1800000000 });
+		});
+
+		it('should expose images as objects with their alt text, dimensions and derivatives', () => {
+			const row = {
+				product_id: 'pro_123',
+				sku: 'SKU-001',
+				images:
+					'["https://cdn.example.com/a.jpg",{"url":"https://cdn.example.com/b.png","alt":"Back","width":800,"height":600,"derivatives":[{"width":320,"url":"https://cdn.example.com/b-320.webp"}]}]',
+				metadata: '{}',
+			};
+
+			expect(transformProductRow(row, 0, 0).images).to.deep.equal([
+				{ url: 'https://cdn.example.com/a.jpg', alt: null, width: null, height: null, derivatives: [] },
+				{
+					url: 'https://cdn.example.com/b.png',
+					alt: 'Back',
+					width: 800,
+					height: 600,
+					derivatives: [{ width: 320, url: 'https://cdn.example.com/b-320.webp' }],
+				},
+			]);
+		});
+
+		it('should expose the stock policy, denying backorders by default', () => {
+			const row = { product_id: 'pro_123', sku: 'SKU-001', images: '[]', metadata: '{}' };
+			const preorder = { policy: 'preorder', backorderLimit: null, releaseDate: 1800000000, leadTimeDays: null };
+
+			expect(transformProductRow(row, 0, 0).stockPolicy).to.deep.equal({
+				policy: 'deny',
+				backorderLimit: null,
+				releaseDate: null,
+				leadTimeDays: null,
+			});
+			expect(transformProductRow(row, 0, 0, [], preorder).stockPolicy).to.deep.equal(preorder);
+		});
 	});
 
 	describe('enrichProductWithStock', () => {
@@ -100,6 +235,7 @@ describe('product.service', () => {
 			};
 
 			const mockEnv = {
+				DB: mockDB(),
 				INVENTORY_SERVICE_URL: 'https://inventory.example.com',
 				INTERNAL_SECRET: 'test-secret',
 			};
@@ -131,6 +267,7 @@ describe('product.service', () => {
 			};
 
 			const mockEnv = {
+				DB: mockDB(),
 				INVENTORY_SERVICE_URL: 'https://inventory.example.com',
 				INTERNAL_SECRET: 'test-secret',
 			};
@@ -158,7 +295,7 @@ describe('product.service', () => {
 				updated_at: 1234567890,
 			};
 
-			const mockEnv = {}; // No INVENTORY_SERVICE_URL or INTERNAL_SECRET
+			const mockEnv = { DB: mockDB() }; // No INVENTORY_SERVICE_URL or INTERNAL_SECRET
 
 			const result = await enrichProductWithStock(mockEnv, row);
 
@@ -181,6 +318,7 @@ describe('product.service', () => {
 			};
 
 			const mockEnv = {
+				DB: mockDB(),
 				INVENTORY_SERVICE_URL: 'https://inventory.example.com',
 				INTERNAL_SECRET: 'test-secret',
 			};
@@ -236,31 +374,22 @@ describe('product.service', () => {
 			];
 
 			const mockEnv = {
+				DB: mockDB(),
 				INVENTORY_SERVICE_URL: 'https://inventory.example.com',
 				INTERNAL_SECRET: 'test-secret',
 			};
 
-			// Mock fetch to return different stock based on request body
-			fetchStub.callsFake(async (url, options) => {
-				const body = JSON.parse(options.body);
-				if (body.productId === 'pro_1') {
-					return {
-						ok: true,
-						status: 200,
-						text: sinon.stub().resolves('{"stock": 50, "reserved": 5}'),
-					};
-				} else if (body.productId === 'pro_2') {
-					return {
-						ok: true,
-						status: 200,
-						text: sinon.stub().resolves('{"stock": 100, "reserved": 10}'),
-					};
-				}
-				return {
-					ok: true,
-					status: 200,
-					text: sinon.stub().resolves('{"stock": 0, "reserved": 0}'),
-				};
+			fetchStub.resolves({
+				ok: true,
+				status: 200,
+				text: sinon.stub().resolves(
+					JSON.stringify({
+						products: {
+							pro_1: { productId: 'pro_1', stock: 50, reserved: 5, variants: [] },
+							pro_2: { productId: 'pro_2', stock: 100, reserved: 10, variants: [] },
+						},
+					}),
+				),
 			});
 
 			const results = await enrichProductsWithStock(mockEnv, rows);
@@ -271,7 +400,35 @@ describe('product.service', () => {
 			const pro2 = results.find((r) => r.productId === 'pro_2');
 			expect(pro1).to.have.property('stock', 50);
 			expect(pro2).to.have.property('stock', 100);
-			expect(fetchStub).to.have.been.calledTwice;
+			expect(fetchStub).to.have.been.calledOnce;
+			expect(fetchStub.firstCall.args[0]).to.equal('https://inventory.example.com/inventory/stock-batch');
+			expect(JSON.parse(fetchStub.firstCall.args[1].body)).to.deep.equal({ items: [{ productId: 'pro_1' }, { productId: 'pro_2' }] });
+		});
+
+		it('should attach each product its own variant rows from one query', async () => {
+			const rows = [
+				{ product_id: 'pro_1', sku: 'SKU-001', images: '[]', metadata: '{"price": 100}' },
+				{ product_id: 'pro_2', sku: 'SKU-002', images: '[]', metadata: '{"price": 200}' },
+			];
+			const mockEnv = {
+				DB: mockDB([
+					{ variant_id: 'var_a', product_id: 'pro_2', sku: 'SKU-002-A', price: 210, attributes: '{}', images: '[]' },
+					{ variant_id: 'var_b', product_id: 'pro_2', sku: 'SKU-002-B', price: 220, attributes: '{}', images: '[]' },
+				]),
+			};
+
+			const results = await enrichProductsWithStock(mockEnv, rows);
+
+			expect(results[0].variants.map((v) => v.variantId)).to.deep.equal(['var_pro_1']);
+			expect(results[1].variants.map((v) => [v.variantId, v.price])).to.deep.equal([
+				['var_a', 210],
+				['var_b', 220],
+			]);
+			expect(results[1]).to.have.property('price', 210);
+			// One query for the variants and one for the sales of the whole page
+			expect(mockEnv.DB.prepare).to.have.been.calledTwice;
+			expect(mockEnv.DB.prepare.firstCall.args[0]).to.include('WHERE product_id IN (?, ?)');
+			expect(mockEnv.DB.prepare.secondCall.args[0]).to.include('FROM product_sales WHERE product_id IN (?, ?)');
 		});
 	});
 });
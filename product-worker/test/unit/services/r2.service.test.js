@@ -2,7 +2,8 @@
  * Unit tests for r2.service.js
  */
 import { describe, it, beforeEach } from 'mocha';
-import { uploadImageToR2, handleImageUpload } from '../../../src/services/r2.service.js';
+import { uploadImageToR2, handleImageUpload, deleteImagesFromR2, resolveImages } from '../../../src/services/r2.service.js';
+import { png, jpeg, gif, imagesBinding } from '../fixtures/images.js';
 import sinon from 'sinon';
 
 describe('r2.service', () => {
@@ -21,16 +22,51 @@ describe('r2.service', () => {
 			};
 		});
 
-		it('should upload image to R2 and return public URL', async () => {
-			const imageData = new Uint8Array(1000);
-			const imageFile = new File([imageData], 'test.jpg', { type: 'image/jpeg' });
+		it('should upload image to R2 and return it with its dimensions', async () => {
+			const imageFile = new File([jpeg(640, 480, 1000)], 'test.jpg', { type: 'image/jpeg' });
 
 			const result = await uploadImageToR2(imageFile, mockEnv);
 
 			expect(mockR2Bucket.put).to.have.been.calledOnce;
-			expect(result).to.be.a('string');
-			expect(result).to.include('https://example.com/products/');
-			expect(result).to.include('test.jpg');
+			expect(result.url).to.include('https://example.com/products/');
+			expect(result.url).to.include('test.jpg');
+			expect(result).to.include({ alt: null, width: 640, height: 480 });
+			expect(mockR2Bucket.put.firstCall.args[2].customMetadata).to.deep.equal({ format: 'jpeg', width: '640', height: '480' });
+			expect(result.derivatives).to.deep.equal([]);
+		});
+
+		it('should store a WebP derivative for each srcset width below the original', async () => {
+			mockEnv.IMAGES = imagesBinding();
+			const imageFile = new File([jpeg(1000, 750)], 'test.jpg', { type: 'image/jpeg' });
+
+			const result = await uploadImageToR2(imageFile, mockEnv);
+
+			const key = result.url.slice('https://example.com/'.length);
+			expect(mockEnv.IMAGES.transforms).to.deep.equal([
+				{ width: 320, fit: 'scale-down' },
+				{ width: 640, fit: 'scale-down' },
+				{ width: 960, fit: 'scale-down' },
+			]);
+			expect(mockR2Bucket.put.firstCall.args[2].customMetadata).to.include({ derivatives: '320,640,960' });
+			expect(mockR2Bucket.put.secondCall.args[0]).to.equal(`derivatives/${key}/w320.webp`);
+			expect(mockR2Bucket.put.secondCall.args[2].httpMetadata.contentType).to.equal('image/webp');
+			expect(result.derivatives).to.deep.equal([
+				{ width: 320, url: `https://example.com/derivatives/${key}/w320.webp` },
+				{ width: 640, url: `https://example.com/derivatives/${key}/w640.webp` },
+				{ width: 960, url: `https://example.com/derivatives/${key}/w960.webp` },
+			]);
+		});
+
+		it('should reject a file that is not an image, whatever its type says', async () => {
+			const imageFile = new File([new TextEncoder().encode('<html><script>alert(1)</script></html>')], 'test.jpg', { type: 'image/jpeg' });
+
+			try {
+				await uploadImageToR2(imageFile, mockEnv);
+				expect.fail('Should have thrown an error');
+			} catch (error) {
+				expect(error).to.include({ error: 'invalid_image' });
+				expect(mockR2Bucket.put).to.not.have.been.called;
+			}
 		});
 
 		it('should throw error if R2 not configured', async () => {
@@ -59,7 +95,7 @@ describe('r2.service', () => {
 		});
 
 		it('should generate unique file path with timestamp and UUID', async () => {
-			const imageFile = new File([new Uint8Array(100)], 'test.jpg');
+			const imageFile = new File([jpeg(10, 10)], 'test.jpg');
 			const result1 = await uploadImageToR2(imageFile, mockEnv);
 
 			// Wait a bit to ensure different timestamp
@@ -67,19 +103,18 @@ describe('r2.service', () => {
 
 			const result2 = await uploadImageToR2(imageFile, mockEnv);
 
-			expect(result1).to.not.equal(result2);
+			expect(result1.url).to.not.equal(result2.url);
 			expect(mockR2Bucket.put).to.have.been.calledTwice;
 		});
 
 		it('should use fallback filename when imageFile.name is undefined', async () => {
-			const imageData = new Uint8Array(100);
-			const imageFile = new File([imageData], '', { type: 'image/jpeg' });
+			const imageFile = new File([jpeg(10, 10)], '', { type: 'image/jpeg' });
 			// Remove name property
 			Object.defineProperty(imageFile, 'name', { value: undefined, writable: true });
 
 			const result = await uploadImageToR2(imageFile, mockEnv);
 
-			expect(result).to.include('image_');
+			expect(result.url).to.include('image_');
 			expect(mockR2Bucket.put).to.have.been.calledOnce;
 		});
 	});
@@ -102,7 +137,7 @@ describe('r2.service', () => {
 
 		it('should handle multipart form data upload', async () => {
 			const formData = new FormData();
-			const imageFile = new File([new Uint8Array(100)], 'test.jpg', { type: 'image/jpeg' });
+			const imageFile = new File([jpeg(800, 600)], 'test.jpg', { type: 'image/jpeg' });
 			formData.append('file', imageFile);
 
 			mockRequest = {
@@ -118,10 +153,25 @@ describe('r2.service', () => {
 			expect(result).to.have.property('path');
 			expect(result).to.have.property('size', 100);
 			expect(result).to.have.property('contentType', 'image/jpeg');
+			expect(result).to.include({ width: 800, height: 600 });
+			expect(result.derivatives).to.deep.equal([]);
+		});
+
+		it('should return the derivatives it stored', async () => {
+			mockEnv.IMAGES = imagesBinding();
+			mockRequest = {
+				headers: { get: sinon.stub().withArgs('content-type').returns('image/png') },
+				arrayBuffer: sinon.stub().resolves(png(400, 300).buffer),
+			};
+
+			const result = await handleImageUpload(mockRequest, mockEnv);
+
+			expect(result.derivatives).to.deep.equal([{ width: 320, url: `https://example.com/derivatives/${result.path}/w320.webp` }]);
+			expect(mockR2Bucket.put).to.have.been.calledTwice;
 		});
 
 		it('should handle direct binary upload', async () => {
-			const imageData = new Uint8Array(200);
+			const imageData = png(1200, 900, 200);
 
 			mockRequest = {
 				headers: {
@@ -191,8 +241,8 @@ describe('r2.service', () => {
 			}
 		});
 
-		it('should handle empty content-type header', async () => {
-			const imageData = new Uint8Array(200);
+		it('should detect the type when the content-type header is empty', async () => {
+			const imageData = jpeg(10, 10, 200);
 
 			mockRequest = {
 				headers: {
@@ -204,12 +254,12 @@ describe('r2.service', () => {
 			const result = await handleImageUpload(mockRequest, mockEnv);
 
 			expect(result).to.have.property('url');
-			expect(result).to.have.property('contentType', 'image/jpeg'); // Default
+			expect(result).to.have.property('contentType', 'image/jpeg');
 		});
 
 		it('should handle file without name in multipart', async () => {
 			const formData = new FormData();
-			const imageFile = new File([new Uint8Array(100)], '', { type: 'image/jpeg' });
+			const imageFile = new File([jpeg(10, 10)], '', { type: 'image/jpeg' });
 			formData.append('file', imageFile);
 
 			mockRequest = {
@@ -226,7 +276,7 @@ describe('r2.service', () => {
 		});
 
 		it('should handle PNG content type', async () => {
-			const imageData = new Uint8Array(200);
+			const imageData = png(10, 10, 200);
 
 			mockRequest = {
 				headers: {
@@ -243,7 +293,7 @@ describe('r2.service', () => {
 		});
 
 		it('should handle GIF content type', async () => {
-			const imageData = new Uint8Array(200);
+			const imageData = gif(10, 10, 200);
 
 			mockRequest = {
 				headers: {
@@ -261,7 +311,7 @@ describe('r2.service', () => {
 
 		it('should handle file without type in multipart', async () => {
 			const formData = new FormData();
-			const imageFile = new File([new Uint8Array(100)], 'test.jpg');
+			const imageFile = new File([jpeg(10, 10)], 'test.jpg');
 			Object.defineProperty(imageFile, 'type', { value: '', writable: true });
 			formData.append('file', imageFile);
 
@@ -274,7 +324,122 @@ describe('r2.service', () => {
 
 			const result = await handleImageUpload(mockRequest, mockEnv);
 
-			expect(result).to.have.property('contentType', 'image/jpeg'); // Default
+			expect(result).to.have.property('contentType', 'image/jpeg');
+		});
+
+		it('should store the detected type rather than the header', async () => {
+			mockRequest = {
+				headers: {
+					get: sinon.stub().withArgs('content-type').returns('image/jpeg'),
+				},
+				arrayBuffer: sinon.stub().resolves(png(10, 10)),
+			};
+
+			const result = await handleImageUpload(mockRequest, mockEnv);
+
+			expect(result).to.have.property('contentType', 'image/png');
+			expect(mockR2Bucket.put.firstCall.args[2].httpMetadata.contentType).to.equal('image/png');
+		});
+
+		it('should reject a non-image body', async () => {
+			mockRequest = {
+				headers: {
+					get: sinon.stub().withArgs('content-type').returns('image/png'),
+				},
+				arrayBuffer: sinon.stub().resolves(new TextEncoder().encode('%PDF-1.7 not an image')),
+			};
+
+			try {
+				await handleImageUpload(mockRequest, mockEnv);
+				expect.fail('Should have thrown an error');
+			} catch (error) {
+				expect(error).to.deep.equal({ error: 'invalid_image', message: 'File is not a PNG, JPEG, WebP or GIF image' });
+			}
+		});
+	});
+
+	describe('deleteImagesFromR2', () => {
+		let mockEnv;
+
+		beforeEach(() => {
+			mockEnv = {
+				PRODUCT_IMAGES: { delete: sinon.stub().resolves() },
+				R2_PUBLIC_URL: 'https://example.com',
+			};
+		});
+
+		it('should delete only images stored in our bucket', async () => {
+			const keys = await deleteImagesFromR2(
+				['https://example.com/products/1_a_one.jpg', 'https://elsewhere.com/two.jpg', 'https://example.com/products/2_b_three.png'],
+				mockEnv,
+			);
+
+			expect(keys).to.deep.equal(['products/1_a_one.jpg', 'products/2_b_three.png']);
+			const deleted = mockEnv.PRODUCT_IMAGES.delete.firstCall.args[0];
+			expect(deleted).to.include.members([
+				...keys,
+				'derivatives/products/1_a_one.jpg/w320.webp',
+				'derivatives/products/2_b_three.png/w1920.webp',
+			]);
+			expect(deleted).to.have.length(12);
+		});
+
+		it('should not call R2 when there is nothing to delete', async () => {
+			const keys = await deleteImagesFromR2(['https://elsewhere.com/two.jpg'], mockEnv);
+
+			expect(keys).to.be.an('array').that.is.empty;
+			expect(mockEnv.PRODUCT_IMAGES.delete).to.not.have.been.called;
+		});
+
+		it('should throw error if R2 not configured', async () => {
+			delete mockEnv.PRODUCT_IMAGES;
+
+			try {
+				await deleteImagesFromR2([], mockEnv);
+				expect.fail('Should have thrown an error');
+			} catch (error) {
+				expect(error.message).to.equal('R2 not configured');
+			}
+		});
+	});
+
+	describe('resolveImages', () => {
+		it('should fill in dimensions and derivatives of our uploads from R2 metadata', async () => {
+			const env = {
+				R2_PUBLIC_URL: 'https://example.com',
+				PRODUCT_IMAGES: {
+					head: sinon.stub().resolves({ customMetadata: { format: 'png', width: '640', height: '480', derivatives: '320' } }),
+				},
+			};
+
+			const images = await resolveImages(
+				['https://example.com/products/1_a.png', { url: 'https://elsewhere.com/b.jpg', alt: 'Side view' }],
+				env,
+			);
+
+			expect(images).to.deep.equal([
+				{
+					url: 'https://example.com/products/1_a.png',
+					alt: null,
+					width: 640,
+					height: 480,
+					derivatives: [{ width: 320, url: 'https://example.com/derivatives/products/1_a.png/w320.webp' }],
+				},
+				{ url: 'https://elsewhere.com/b.jpg', alt: 'Side view', width: null, height: null, derivatives: [] },
+			]);
+			expect(env.PRODUCT_IMAGES.head).to.have.been.calledOnceWith('products/1_a.png');
+		});
+
+		it('should keep given dimensions and take derivatives from R2 for our uploads', async () => {
+			const env = {
+				R2_PUBLIC_URL: 'https://example.com',
+				PRODUCT_IMAGES: { head: sinon.stub().resolves({ customMetadata: { format: 'png', width: '640', height: '480' } }) },
+			};
+
+			const [image] = await resolveImages([{ url: 'https://example.com/products/1_a.png', width: 64, height: 48 }], env);
+
+			expect(image).to.include({ width: 64, height: 48 });
+			expect(image.derivatives).to.deep.equal([]);
 		});
 	});
 });
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for review.service.js
+ */
+import { describe, it } from 'mocha';
+import { formatReview, formatRating, parseReviewCursor, toReviewPage } from '../../../src/services/review.service.js';
+import { encodeCursor } from '../../../src/helpers/utils.js';
+
+const row = {
+	review_id: 'rev_1',
+	product_id: 'pro_tee',
+	user_id: 'user_1',
+	order_id: 'order_1',
+	rating: 5,
+	title: 'Great',
+	body: null,
+	status: 'approved',
+	moderation_note: null,
+	created_at: 1700000000,
+	updated_at: 1700000100,
+	moderated_at: 1700000100,
+};
+
+describe('review.service', () => {
+	describe('formatReview', () => {
+		it('should leave out who wrote the review unless for an admin', () => {
+			expect(formatReview(row)).to.deep.equal({
+				reviewId: 'rev_1',
+				productId: 'pro_tee',
+				rating: 5,
+				title: 'Great',
+				body: null,
+				verifiedPurchase: true,
+				createdAt: 1700000000,
+			});
+			expect(formatReview(row, { admin: true })).to.include({ userId: 'user_1', orderId: 'order_1', status: 'approved' });
+		});
+	});
+
+	describe('formatRating', () => {
+		it('should report no average before any review is approved', () => {
+			expect(formatRating({ rating_average: null, rating_count: 0 })).to.deep.equal({ average: null, count: 0 });
+			expect(formatRating({})).to.deep.equal({ average: null, count: 0 });
+		});
+	});
+
+	describe('parseReviewCursor', () => {
+		it('should read back a cursor from a page', () => {
+			const { nextCursor } = toReviewPage([row, { ...row, review_id: 'rev_2' }], 1);
+
+			expect(parseReviewCursor(nextCursor)).to.deep.equal({ createdAt: 1700000000, reviewId: 'rev_1' });
+		});
+
+		it('should reject cursors of another shape', () => {
+			expect(parseReviewCursor('garbage')).to.be.null;
+			expect(parseReviewCursor(encodeCursor(['newest', 1, 'pro_1']))).to.be.null;
+		});
+	});
+
+	describe('toReviewPage', () => {
+		it('should have no next cursor on the last page', () => {
+			expect(toReviewPage([row], 20)).to.deep.include({ nextCursor: null });
+		});
+	});
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for search.service.js
+ */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { toMatchExpression, searchCatalog, refreshSearchIndex } from '../../../src/services/search.service.js';
+import sinon from 'sinon';
+
+describe('search.service', () => {
+	describe('toMatchExpression', () => {
+		it('should require every word as a quoted prefix', () => {
+			expect(toMatchExpression('floppy drive')).to.equal('"floppy"* "drive"*');
+		});
+
+		it('should drop FTS5 operators and punctuation', () => {
+			expect(toMatchExpression('title:"AI" OR -hub*')).to.equal('"title"* "AI"* "OR"* "hub"*');
+		});
+
+		it('should keep non-ASCII words', () => {
+			expect(toMatchExpression('café  crème')).to.equal('"café"* "crème"*');
+		});
+
+		it('should return null when there are no words', () => {
+			expect(toMatchExpression(' ?! ')).to.be.null;
+		});
+	});
+
+	describe('searchCatalog', () => {
+		let env, stmt;
+
+		beforeEach(() => {
+			stmt = {
+				bind: sinon.stub().returnsThis(),
+				all: sinon.stub().resolves({ results: [] }),
+			};
+			env = { DB: { prepare: sinon.stub().returns(stmt) } };
+		});
+
+		afterEach(() => {
+			sinon.restore();
+		});
+
+		it('should return ranked products with highlights', async () => {
+			stmt.all.onFirstCall().resolves({
+				results: [
+					{
+						product_id: 'pro_1',
+						sku: 'SKU-FLO',
+						title: 'Floppy Drive',
+						description: 'Restored floppy drive',
+						images: '[]',
+						metadata: '{"price": 40}',
+						title_highlight: '<mark>Floppy</mark> Drive',
+						description_snippet: 'Restored <mark>floppy</mark> drive',
+						search_rank: -2.5,
+					},
+				],
+			});
+
+			const results = await searchCatalog(env, 'flop', 20, 0);
+
+			expect(stmt.bind).to.have.been.calledWith('"flop"*', 20, 0);
+			expect(results).to.have.length(1);
+			expect(results[0]).to.include({ productId: 'pro_1', title: 'Floppy Drive', score: 2.5 });
+			expect(results[0].highlight).to.deep.equal({
+				title: '<mark>Floppy</mark> Drive',
+				description: 'Restored <mark>floppy</mark> drive',
+			});
+			expect(results[0]).to.not.have.property('search_rank');
+		});
+
+		it('should not query when the text has no words', async () => {
+			const results = await searchCatalog(env, '***', 20, 0);
+
+			expect(results).to.deep.equal([]);
+			expect(env.DB.prepare).to.not.have.been.called;
+		});
+	});
+
+	describe('refreshSearchIndex', () => {
+		afterEach(() => {
+			sinon.restore();
+		});
+
+		it('should replace the product entry in one batch', async () => {
+			const stmt = { bind: sinon.stub().returnsThis() };
+			const env = { DB: { prepare: sinon.stub().returns(stmt), batch: sinon.stub().resolves([]) } };
+
+			expect(await refreshSearchIndex(env, 'pro_1')).to.be.true;
+			expect(env.DB.batch).to.have.been.calledOnce;
+			expect(env.DB.prepare.firstCall.args[0]).to.equal('DELETE FROM products_fts WHERE product_id = ?');
+			expect(env.DB.prepare.secondCall.args[0]).to.include('AND deleted_at IS NULL');
+			expect(stmt.bind).to.have.been.calledTwice.and.always.calledWith('pro_1');
+		});
+
+		it('should report a failed sync instead of throwing', async () => {
+			const env = {
+				DB: { prepare: sinon.stub().returns({ bind: sinon.stub().returnsThis() }), batch: sinon.stub().rejects(new Error('D1 down')) },
+			};
+
+			expect(await refreshSearchIndex(env, 'pro_1')).to.be.false;
+		});
+	});
+});
@@ -0,0 +1,42 @@
+/**
+ * Unit tests for category.validator.js
+ */
+import { describe, it } from 'mocha';
+import { createCategorySchema, updateCategorySchema } from '../../../src/validators/category.validator.js';
+
+describe('category.validator', () => {
+	describe('createCategorySchema', () => {
+		it('should validate a category and default its sort order', () => {
+			const { error, value } = createCategorySchema.validate({ slug: 'gpu', name: 'Graphics cards', parentId: 'cat_component' });
+
+			expect(error).to.be.undefined;
+			expect(value.sortOrder).to.equal(0);
+		});
+
+		it('should require slug and name', () => {
+			const { error } = createCategorySchema.validate({}, { abortEarly: false });
+
+			expect(error.details.map((d) => d.path[0])).to.deep.equal(['slug', 'name']);
+		});
+
+		it('should reject a slug that is not lowercase and hyphenated', () => {
+			const { error } = createCategorySchema.validate({ slug: 'Graphics Cards', name: 'Graphics cards' });
+
+			expect(error.message).to.include('slug must be lowercase letters and digits');
+		});
+	});
+
+	describe('updateCategorySchema', () => {
+		it('should allow moving a category to the top level', () => {
+			const { error } = updateCategorySchema.validate({ parentId: null });
+
+			expect(error).to.be.undefined;
+		});
+
+		it('should reject an empty update', () => {
+			const { error } = updateCategorySchema.validate({});
+
+			expect(error.message).to.equal('No fields to update');
+		});
+	});
+});
@@ -0,0 +1,30 @@
+/**
+ * Unit tests for pricing.validator.js
+ */
+import { describe, it } from 'mocha';
+import { createSaleSchema } from '../../../src/validators/pricing.validator.js';
+
+describe('pricing.validator', () => {
+	describe('createSaleSchema', () => {
+		it('should start a sale now unless a start is given', () => {
+			const { error, value } = createSaleSchema.validate({ percentOff: 20 });
+
+			expect(error).to.be.undefined;
+			expect(value.startsAt).to.be.closeTo(Math.floor(Date.now() / 1000), 5);
+		});
+
+		it('should take either a sale price or a percentage off', () => {
+			expect(createSaleSchema.validate({}).error.message).to.equal('salePrice or percentOff is required');
+			expect(createSaleSchema.validate({ salePrice: 10, percentOff: 20 }).error.message).to.equal('Give salePrice or percentOff, not both');
+			expect(createSaleSchema.validate({ percentOff: 0 }).error).to.exist;
+			expect(createSaleSchema.validate({ percentOff: 101 }).error).to.exist;
+		});
+
+		it('should end a sale after it starts', () => {
+			const { error } = createSaleSchema.validate({ salePrice: 10, startsAt: 1800000000, endsAt: 1800000000 });
+
+			expect(error.message).to.equal('endsAt must be after startsAt');
+			expect(createSaleSchema.validate({ salePrice: 10, startsAt: 1800000000, endsAt: null }).error).to.be.undefined;
+		});
+	});
+});
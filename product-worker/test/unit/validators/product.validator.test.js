@@ -2,10 +2,33 @@
  * Unit tests for product.validator.js
  */
 import { describe, it } from 'mocha';
-import { createProductSchema, updateProductSchema } from '../../../src/validators/product.validator.js';
+import {
+	createProductSchema,
+	updateProductSchema,
+	createVariantSchema,
+	updateVariantSchema,
+	searchProductsQuerySchema,
+	getProductsQuerySchema,
+} from '../../../src/validators/product.validator.js';
 
 describe('product.validator', () => {
 	describe('createProductSchema', () => {
+		it('should accept a known category when categories are given', () => {
+			const { error } = createProductSchema.validate(
+				{ title: 'GPU', category: 'component' },
+				{ context: { categories: new Set(['hardware', 'component']) } },
+			);
+			expect(error).to.be.undefined;
+		});
+
+		it('should reject a category that does not exist', () => {
+			const { error } = createProductSchema.validate(
+				{ title: 'GPU', category: 'gadgets' },
+				{ context: { categories: new Set(['hardware']) } },
+			);
+			expect(error.message).to.equal('category "gadgets" does not exist');
+		});
+
 		it('should validate a valid product', () => {
 			const validProduct = {
 				title: 'Test Product',
@@ -82,6 +105,19 @@ describe('product.validator', () => {
 			expect(error).to.exist;
 		});
 
+		it('should accept images as the upload endpoint returns them', () => {
+			const image = {
+				url: 'https://cdn.example.com/products/a.jpg',
+				alt: null,
+				width: 640,
+				height: 480,
+				derivatives: [{ width: 320, url: 'https://cdn.example.com/derivatives/products/a.jpg/w320.webp' }],
+			};
+
+			expect(createProductSchema.validate({ title: 'Valid Title', images: [image] }).error).to.be.undefined;
+			expect(createProductSchema.validate({ title: 'Valid Title', images: [{ ...image, derivatives: [{ width: 320 }] }] }).error).to.exist;
+		});
+
 		it('should allow optional fields', () => {
 			const minimalProduct = {
 				title: 'Valid Title',
@@ -90,6 +126,16 @@ describe('product.validator', () => {
 			const { error } = createProductSchema.validate(minimalProduct);
 			expect(error).to.be.undefined;
 		});
+
+		it('should reject variants in metadata', () => {
+			const product = {
+				title: 'T-Shirt',
+				metadata: { price: 20, variants: [{ variantId: 'var_tee_s', sku: 'TEE-S' }] },
+			};
+
+			const { error } = createProductSchema.validate(product);
+			expect(error).to.exist;
+		});
 	});
 
 	describe('updateProductSchema', () => {
@@ -129,4 +175,85 @@ describe('product.validator', () => {
 			expect(error).to.be.undefined;
 		});
 	});
+
+	describe('createVariantSchema', () => {
+		it('should default attributes, images and position', () => {
+			const { error, value } = createVariantSchema.validate({ sku: 'TEE-S', price: 20 });
+
+			expect(error).to.be.undefined;
+			expect(value).to.deep.equal({ sku: 'TEE-S', price: 20, attributes: {}, images: [], position: 0 });
+		});
+
+		it('should require a non-negative price', () => {
+			expect(createVariantSchema.validate({ sku: 'TEE-S' }).error).to.exist;
+			expect(createVariantSchema.validate({ price: -1 }).error).to.exist;
+		});
+
+		it('should reject image URLs that are not URIs', () => {
+			const { error } = createVariantSchema.validate({ price: 20, images: ['not a url'] });
+			expect(error).to.exist;
+		});
+	});
+
+	describe('updateVariantSchema', () => {
+		it('should accept a partial update', () => {
+			const { error } = updateVariantSchema.validate({ price: 25, weight: null });
+			expect(error).to.be.undefined;
+		});
+
+		it('should reject an empty update', () => {
+			const { error } = updateVariantSchema.validate({});
+			expect(error.message).to.equal('No fields to update');
+		});
+	});
+
+	describe('searchProductsQuerySchema', () => {
+		it('should trim the query and default paging', () => {
+			const { error, value } = searchProductsQuerySchema.validate({ q: '  floppy  ' });
+
+			expect(error).to.be.undefined;
+			expect(value).to.deep.equal({ q: 'floppy', limit: 20, offset: 0 });
+		});
+
+		it('should reject a blank query', () => {
+			const { error } = searchProductsQuerySchema.validate({ q: '   ' });
+			expect(error.message).to.equal('q is required');
+		});
+
+		it('should cap the limit', () => {
+			const { error } = searchProductsQuerySchema.validate({ q: 'floppy', limit: 500 });
+			expect(error).to.exist;
+		});
+	});
+
+	describe('getProductsQuerySchema', () => {
+		it('should default to the newest products in and out of stock', () => {
+			const { error, value } = getProductsQuerySchema.validate({});
+
+			expect(error).to.be.undefined;
+			expect(value).to.deep.equal({ limit: 20, offset: 0, inStock: false, sort: 'newest', attributes: {} });
+		});
+
+		it('should convert query string values', () => {
+			const { error, value } = getProductsQuerySchema.validate({ minPrice: '10', maxPrice: '25.5', inStock: 'true' });
+
+			expect(error).to.be.undefined;
+			expect(value).to.include({ minPrice: 10, maxPrice: 25.5, inStock: true });
+		});
+
+		it('should reject a price range that ends before it starts', () => {
+			const { error } = getProductsQuerySchema.validate({ minPrice: 50, maxPrice: 10 });
+			expect(error.message).to.equal('maxPrice must not be below minPrice');
+		});
+
+		it('should accept a price cap on its own', () => {
+			const { error } = getProductsQuerySchema.validate({ maxPrice: '10' });
+			expect(error).to.be.undefined;
+		});
+
+		it('should reject attribute names that are not plain identifiers', () => {
+			const { error } = getProductsQuerySchema.validate({ attributes: { 'col"or': ['red'] } });
+			expect(error).to.exist;
+		});
+	});
 });
@@ -0,0 +1,36 @@
+/**
+ * Unit tests for review.validator.js
+ */
+import { describe, it } from 'mocha';
+import { createReviewSchema, moderateReviewSchema, reviewQueueQuerySchema } from '../../../src/validators/review.validator.js';
+
+describe('review.validator', () => {
+	describe('createReviewSchema', () => {
+		it('should accept a rating with optional title and body', () => {
+			const { error } = createReviewSchema.validate({ userId: 'user_1', rating: 3, title: '', body: 'Fine' });
+
+			expect(error).to.be.undefined;
+		});
+
+		it('should require a whole rating from 1 to 5', () => {
+			for (const rating of [0, 6, 4.5, undefined]) {
+				expect(createReviewSchema.validate({ userId: 'user_1', rating }).error, String(rating)).to.exist;
+			}
+		});
+	});
+
+	describe('moderateReviewSchema', () => {
+		it('should only move a review to approved or rejected', () => {
+			expect(moderateReviewSchema.validate({ status: 'approved', note: 'ok' }).error).to.be.undefined;
+			expect(moderateReviewSchema.validate({ status: 'pending' }).error).to.exist;
+		});
+	});
+
+	describe('reviewQueueQuerySchema', () => {
+		it('should default to the pending queue', () => {
+			const { value } = reviewQueueQuerySchema.validate({});
+
+			expect(value).to.deep.equal({ status: 'pending', limit: 20 });
+		});
+	});
+});